@@ -0,0 +1,590 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "./ListingRegistry.sol";
+import "./OrderManager.sol";
+
+/**
+ * @title AuctionHouse
+ * @dev English auctions and best-offer sales of listings. Bids and offers are
+ * held here in the listing's currency; a won auction or accepted offer is
+ * turned into an escrowed OrderManager order at the agreed unit price. Funds
+ * of outbid, declined and withdrawn bidders are credited to `refunds` and
+ * paid out by withdrawRefund.
+ */
+contract AuctionHouse is Ownable, ReentrancyGuard {
+    using SafeERC20 for IERC20;
+
+    enum AuctionStatus { None, Active, Settled, Ended, Cancelled }
+
+    enum OfferStatus { None, Open, Countered, Accepted, Declined, Withdrawn }
+
+    // Prices are per unit, in the listing's currency
+    struct Auction {
+        string auctionId;
+        string listingId;
+        uint256 variantId;
+        uint256 quantity;
+        address seller;
+        address paymentToken;
+        uint256 startPrice;
+        uint256 reservePrice;     // below this the auction ends without a sale
+        uint256 minIncrement;
+        uint256 startTime;
+        uint256 endTime;
+        uint256 extensionWindow;  // a bid this close to the end pushes the end back to now + window
+        address highestBidder;
+        uint256 highestBid;
+        uint256 bidCount;
+        AuctionStatus status;
+        string orderId;
+    }
+
+    struct Offer {
+        string offerId;
+        string listingId;
+        uint256 variantId;
+        uint256 quantity;
+        address buyer;
+        address seller;
+        address paymentToken;
+        uint256 unitPrice;        // covered by the funds held for the offer
+        uint256 counterPrice;     // seller's counter, 0 if none
+        uint256 expiresAt;
+        OfferStatus status;
+        string orderId;
+    }
+
+    uint256 public constant MIN_AUCTION_DURATION = 1 hours;
+    uint256 public constant MAX_AUCTION_DURATION = 30 days;
+    uint256 public constant MAX_EXTENSION_WINDOW = 1 hours;
+    uint256 public constant MIN_OFFER_DURATION = 1 hours;
+    uint256 public constant MAX_OFFER_DURATION = 30 days;
+    // After this long past its end, the winner of an auction nobody settled
+    // (e.g. the listing was sold out meanwhile) may cancel it and get their bid back
+    uint256 public constant SETTLEMENT_PERIOD = 7 days;
+
+    ListingRegistry public listingRegistry;
+    OrderManager public orderManager;
+
+    mapping(string => Auction) public auctions;
+    mapping(string => Offer) public offers;
+
+    mapping(string => string[]) private listingAuctions;
+    mapping(string => string[]) private listingOffers;
+
+    // Withdrawable refunds per account and token (address(0) for ETH)
+    mapping(address => mapping(address => uint256)) public refunds;
+
+    // Events
+    event AuctionCreated(
+        string indexed auctionId,
+        string indexed listingId,
+        address indexed seller,
+        uint256 variantId,
+        uint256 quantity,
+        uint256 startPrice,
+        uint256 reservePrice,
+        uint256 endTime
+    );
+
+    event BidPlaced(
+        string indexed auctionId,
+        address indexed bidder,
+        uint256 unitPrice,
+        uint256 endTime
+    );
+
+    event AuctionExtended(string indexed auctionId, uint256 endTime);
+
+    event AuctionSettled(
+        string indexed auctionId,
+        address indexed winner,
+        uint256 unitPrice,
+        string orderId
+    );
+
+    event AuctionEnded(string indexed auctionId, uint256 highestBid, bool reserveMet);
+
+    event AuctionCancelled(string indexed auctionId, address indexed cancelledBy);
+
+    event BestOfferUpdated(string indexed listingId, bool enabled);
+
+    event OfferMade(
+        string indexed offerId,
+        string indexed listingId,
+        address indexed buyer,
+        uint256 variantId,
+        uint256 quantity,
+        uint256 unitPrice,
+        uint256 expiresAt
+    );
+
+    event OfferCountered(string indexed offerId, uint256 counterPrice);
+
+    event OfferAccepted(string indexed offerId, uint256 unitPrice, string orderId);
+
+    event OfferDeclined(string indexed offerId);
+
+    event OfferWithdrawn(string indexed offerId);
+
+    event RefundCredited(address indexed account, address indexed token, uint256 amount);
+
+    event RefundWithdrawn(address indexed account, address indexed token, uint256 amount);
+
+    constructor(address _listingRegistry, address _orderManager) Ownable(msg.sender) {
+        require(_listingRegistry != address(0), "Invalid listing registry address");
+        require(_orderManager != address(0), "Invalid order manager address");
+        listingRegistry = ListingRegistry(_listingRegistry);
+        orderManager = OrderManager(_orderManager);
+    }
+
+    // ---------------------------------------------------------------------
+    // Auctions
+    // ---------------------------------------------------------------------
+
+    /**
+     * @dev Put `_quantity` of a fixed-price listing (or one of its variants) up
+     * for auction. The listing can't be bought at its fixed price until the
+     * auction is settled or cancelled.
+     */
+    function createAuction(
+        string calldata _auctionId,
+        string calldata _listingId,
+        uint256 _variantId,
+        uint256 _quantity,
+        uint256 _startPrice,
+        uint256 _reservePrice,
+        uint256 _minIncrement,
+        uint256 _duration,
+        uint256 _extensionWindow
+    ) external {
+        require(bytes(_auctionId).length > 0, "Invalid auction ID");
+        require(auctions[_auctionId].status == AuctionStatus.None, "Auction already exists");
+        require(_startPrice > 0, "Start price must be greater than 0");
+        require(_minIncrement > 0, "Bid increment must be greater than 0");
+        require(
+            _duration >= MIN_AUCTION_DURATION && _duration <= MAX_AUCTION_DURATION,
+            "Duration out of range"
+        );
+        require(_extensionWindow <= MAX_EXTENSION_WINDOW, "Extension window too long");
+
+        address paymentToken = _requireSellable(_listingId, _variantId, _quantity);
+        require(
+            listingRegistry.saleModes(_listingId) == ListingRegistry.SaleMode.FixedPrice,
+            "Listing is not fixed price"
+        );
+        listingRegistry.setSaleMode(_listingId, ListingRegistry.SaleMode.Auction);
+
+        Auction storage auction = auctions[_auctionId];
+        auction.auctionId = _auctionId;
+        auction.listingId = _listingId;
+        auction.variantId = _variantId;
+        auction.quantity = _quantity;
+        auction.seller = msg.sender;
+        auction.paymentToken = paymentToken;
+        auction.startPrice = _startPrice;
+        auction.reservePrice = _reservePrice;
+        auction.minIncrement = _minIncrement;
+        auction.startTime = block.timestamp;
+        auction.endTime = block.timestamp + _duration;
+        auction.extensionWindow = _extensionWindow;
+        auction.status = AuctionStatus.Active;
+
+        listingAuctions[_listingId].push(_auctionId);
+
+        emit AuctionCreated(
+            _auctionId,
+            _listingId,
+            msg.sender,
+            _variantId,
+            _quantity,
+            _startPrice,
+            _reservePrice,
+            auction.endTime
+        );
+    }
+
+    /**
+     * @dev Bid `_unitPrice` per unit. The whole bid (unit price x quantity) is
+     * paid now, in ETH or the listing's token (approved to this contract); the
+     * bidder it outbids is credited their bid back.
+     */
+    function bid(string calldata _auctionId, uint256 _unitPrice) external payable nonReentrant {
+        Auction storage auction = auctions[_auctionId];
+        require(auction.status == AuctionStatus.Active, "Auction is not active");
+        require(block.timestamp < auction.endTime, "Auction has ended");
+        require(msg.sender != auction.seller, "Seller cannot bid");
+
+        if (auction.highestBidder == address(0)) {
+            require(_unitPrice >= auction.startPrice, "Bid below start price");
+        } else {
+            require(_unitPrice >= auction.highestBid + auction.minIncrement, "Bid increment too small");
+        }
+
+        _collect(auction.paymentToken, _unitPrice * auction.quantity);
+
+        if (auction.highestBidder != address(0)) {
+            _credit(auction.highestBidder, auction.paymentToken, auction.highestBid * auction.quantity);
+        }
+        auction.highestBidder = msg.sender;
+        auction.highestBid = _unitPrice;
+        auction.bidCount += 1;
+
+        if (auction.endTime - block.timestamp < auction.extensionWindow) {
+            auction.endTime = block.timestamp + auction.extensionWindow;
+            emit AuctionExtended(_auctionId, auction.endTime);
+        }
+
+        emit BidPlaced(_auctionId, msg.sender, _unitPrice, auction.endTime);
+    }
+
+    /**
+     * @dev Close an auction that has ended; the seller or the highest bidder
+     * may settle. If the reserve was met the winning bid becomes order
+     * `_orderId`, paid into escrow; otherwise the bid is credited back.
+     */
+    function settleAuction(string calldata _auctionId, string calldata _orderId) external nonReentrant {
+        Auction storage auction = auctions[_auctionId];
+        require(auction.status == AuctionStatus.Active, "Auction is not active");
+        require(block.timestamp >= auction.endTime, "Auction has not ended");
+        require(
+            msg.sender == auction.seller || msg.sender == auction.highestBidder,
+            "Not the seller or highest bidder"
+        );
+
+        listingRegistry.setSaleMode(auction.listingId, ListingRegistry.SaleMode.FixedPrice);
+
+        bool reserveMet = auction.highestBidder != address(0) && auction.highestBid >= auction.reservePrice;
+        if (!reserveMet) {
+            auction.status = AuctionStatus.Ended;
+            if (auction.highestBidder != address(0)) {
+                _credit(auction.highestBidder, auction.paymentToken, auction.highestBid * auction.quantity);
+            }
+            emit AuctionEnded(_auctionId, auction.highestBid, false);
+            return;
+        }
+
+        auction.status = AuctionStatus.Settled;
+        auction.orderId = _orderId;
+        _placeOrder(
+            _orderId,
+            auction.listingId,
+            auction.variantId,
+            auction.quantity,
+            auction.highestBidder,
+            auction.paymentToken,
+            auction.highestBid
+        );
+
+        emit AuctionEnded(_auctionId, auction.highestBid, true);
+        emit AuctionSettled(_auctionId, auction.highestBidder, auction.highestBid, _orderId);
+    }
+
+    /**
+     * @dev Cancel an auction: by the seller before the first bid, or by the
+     * highest bidder once it has gone unsettled for SETTLEMENT_PERIOD
+     */
+    function cancelAuction(string calldata _auctionId) external nonReentrant {
+        Auction storage auction = auctions[_auctionId];
+        require(auction.status == AuctionStatus.Active, "Auction is not active");
+
+        if (msg.sender == auction.seller) {
+            require(auction.highestBidder == address(0), "Auction has bids");
+        } else {
+            require(msg.sender == auction.highestBidder, "Not the seller or highest bidder");
+            require(block.timestamp >= auction.endTime + SETTLEMENT_PERIOD, "Settlement period not over");
+            _credit(auction.highestBidder, auction.paymentToken, auction.highestBid * auction.quantity);
+        }
+
+        auction.status = AuctionStatus.Cancelled;
+        listingRegistry.setSaleMode(auction.listingId, ListingRegistry.SaleMode.FixedPrice);
+
+        emit AuctionCancelled(_auctionId, msg.sender);
+    }
+
+    // ---------------------------------------------------------------------
+    // Best offers
+    // ---------------------------------------------------------------------
+
+    /**
+     * @dev Switch a fixed-price listing to best-offer sales, or back. Offers
+     * still open when it's switched back can no longer be accepted and are
+     * left for their buyers to withdraw.
+     */
+    function setBestOffer(string calldata _listingId, bool _enabled) external {
+        ListingRegistry.Listing memory listing = listingRegistry.getListing(_listingId);
+        require(bytes(listing.listingId).length > 0, "Listing does not exist");
+        require(listing.seller == msg.sender, "Not the seller");
+
+        ListingRegistry.SaleMode mode = listingRegistry.saleModes(_listingId);
+        if (_enabled) {
+            require(mode == ListingRegistry.SaleMode.FixedPrice, "Listing is not fixed price");
+            listingRegistry.setSaleMode(_listingId, ListingRegistry.SaleMode.BestOffer);
+        } else {
+            require(mode == ListingRegistry.SaleMode.BestOffer, "Listing is not best offer");
+            listingRegistry.setSaleMode(_listingId, ListingRegistry.SaleMode.FixedPrice);
+        }
+
+        emit BestOfferUpdated(_listingId, _enabled);
+    }
+
+    /**
+     * @dev Offer `_unitPrice` per unit for a best-offer listing, paying the
+     * full amount now. The offer lapses after `_duration`.
+     */
+    function makeOffer(
+        string calldata _offerId,
+        string calldata _listingId,
+        uint256 _variantId,
+        uint256 _quantity,
+        uint256 _unitPrice,
+        uint256 _duration
+    ) external payable nonReentrant {
+        require(bytes(_offerId).length > 0, "Invalid offer ID");
+        require(offers[_offerId].status == OfferStatus.None, "Offer already exists");
+        require(_unitPrice > 0, "Offer must be greater than 0");
+        require(
+            _duration >= MIN_OFFER_DURATION && _duration <= MAX_OFFER_DURATION,
+            "Duration out of range"
+        );
+        require(
+            listingRegistry.saleModes(_listingId) == ListingRegistry.SaleMode.BestOffer,
+            "Listing does not take offers"
+        );
+
+        ListingRegistry.Listing memory listing = listingRegistry.getListing(_listingId);
+        require(listing.seller != msg.sender, "Seller cannot make offers");
+        require(listing.active, "Listing is not active");
+        require(listingRegistry.hasStock(_listingId, _variantId, _quantity), "Insufficient stock");
+
+        _collect(listing.paymentToken, _unitPrice * _quantity);
+
+        Offer storage offer = offers[_offerId];
+        offer.offerId = _offerId;
+        offer.listingId = _listingId;
+        offer.variantId = _variantId;
+        offer.quantity = _quantity;
+        offer.buyer = msg.sender;
+        offer.seller = listing.seller;
+        offer.paymentToken = listing.paymentToken;
+        offer.unitPrice = _unitPrice;
+        offer.expiresAt = block.timestamp + _duration;
+        offer.status = OfferStatus.Open;
+
+        listingOffers[_listingId].push(_offerId);
+
+        emit OfferMade(_offerId, _listingId, msg.sender, _variantId, _quantity, _unitPrice, offer.expiresAt);
+    }
+
+    /**
+     * @dev Seller: accept an offer (or, after countering, the original
+     * amount) as order `_orderId`
+     */
+    function acceptOffer(string calldata _offerId, string calldata _orderId) external nonReentrant {
+        Offer storage offer = _liveOffer(_offerId);
+        require(msg.sender == offer.seller, "Not the seller");
+
+        _closeOffer(offer, _orderId);
+    }
+
+    /**
+     * @dev Seller: answer an offer with a higher unit price for the buyer to accept
+     */
+    function counterOffer(string calldata _offerId, uint256 _counterPrice) external {
+        Offer storage offer = _liveOffer(_offerId);
+        require(msg.sender == offer.seller, "Not the seller");
+        require(_counterPrice > offer.unitPrice, "Counter must exceed the offer");
+
+        offer.counterPrice = _counterPrice;
+        offer.status = OfferStatus.Countered;
+
+        emit OfferCountered(_offerId, _counterPrice);
+    }
+
+    /**
+     * @dev Buyer: accept the seller's counter, paying the difference now, as
+     * order `_orderId`
+     */
+    function acceptCounter(string calldata _offerId, string calldata _orderId) external payable nonReentrant {
+        Offer storage offer = _liveOffer(_offerId);
+        require(msg.sender == offer.buyer, "Not the buyer");
+        require(offer.status == OfferStatus.Countered, "Offer was not countered");
+
+        _collect(offer.paymentToken, (offer.counterPrice - offer.unitPrice) * offer.quantity);
+        offer.unitPrice = offer.counterPrice;
+
+        _closeOffer(offer, _orderId);
+    }
+
+    /**
+     * @dev Seller: decline an offer; the buyer is credited their funds back
+     */
+    function declineOffer(string calldata _offerId) external nonReentrant {
+        Offer storage offer = offers[_offerId];
+        require(msg.sender == offer.seller, "Not the seller");
+        require(
+            offer.status == OfferStatus.Open || offer.status == OfferStatus.Countered,
+            "Offer is not open"
+        );
+
+        offer.status = OfferStatus.Declined;
+        _credit(offer.buyer, offer.paymentToken, offer.unitPrice * offer.quantity);
+
+        emit OfferDeclined(_offerId);
+    }
+
+    /**
+     * @dev Buyer: withdraw an offer that hasn't been accepted, expired or not
+     */
+    function withdrawOffer(string calldata _offerId) external nonReentrant {
+        Offer storage offer = offers[_offerId];
+        require(msg.sender == offer.buyer, "Not the buyer");
+        require(
+            offer.status == OfferStatus.Open || offer.status == OfferStatus.Countered,
+            "Offer is not open"
+        );
+
+        offer.status = OfferStatus.Withdrawn;
+        _credit(offer.buyer, offer.paymentToken, offer.unitPrice * offer.quantity);
+
+        emit OfferWithdrawn(_offerId);
+    }
+
+    // ---------------------------------------------------------------------
+    // Refunds
+    // ---------------------------------------------------------------------
+
+    /**
+     * @dev Pay out everything credited to the caller in `_token` (address(0) for ETH)
+     */
+    function withdrawRefund(address _token) external nonReentrant {
+        uint256 amount = refunds[msg.sender][_token];
+        require(amount > 0, "Nothing to withdraw");
+        refunds[msg.sender][_token] = 0;
+
+        if (_token == address(0)) {
+            (bool success, ) = payable(msg.sender).call{value: amount}("");
+            require(success, "Refund transfer failed");
+        } else {
+            IERC20(_token).safeTransfer(msg.sender, amount);
+        }
+
+        emit RefundWithdrawn(msg.sender, _token, amount);
+    }
+
+    // ---------------------------------------------------------------------
+    // Views
+    // ---------------------------------------------------------------------
+
+    function getAuction(string calldata _auctionId) external view returns (Auction memory) {
+        require(auctions[_auctionId].status != AuctionStatus.None, "Auction does not exist");
+        return auctions[_auctionId];
+    }
+
+    function getOffer(string calldata _offerId) external view returns (Offer memory) {
+        require(offers[_offerId].status != OfferStatus.None, "Offer does not exist");
+        return offers[_offerId];
+    }
+
+    function getListingAuctions(string calldata _listingId) external view returns (string[] memory) {
+        return listingAuctions[_listingId];
+    }
+
+    function getListingOffers(string calldata _listingId) external view returns (string[] memory) {
+        return listingOffers[_listingId];
+    }
+
+    // ---------------------------------------------------------------------
+    // Internal
+    // ---------------------------------------------------------------------
+
+    /**
+     * @dev Check the caller sells an active listing with the stock; returns its payment token
+     */
+    function _requireSellable(
+        string calldata _listingId,
+        uint256 _variantId,
+        uint256 _quantity
+    ) internal view returns (address) {
+        ListingRegistry.Listing memory listing = listingRegistry.getListing(_listingId);
+        require(bytes(listing.listingId).length > 0, "Listing does not exist");
+        require(listing.seller == msg.sender, "Not the seller");
+        require(listing.active, "Listing is not active");
+        require(_quantity > 0, "Quantity must be greater than 0");
+        require(listingRegistry.hasStock(_listingId, _variantId, _quantity), "Insufficient stock");
+        return listing.paymentToken;
+    }
+
+    function _liveOffer(string calldata _offerId) internal view returns (Offer storage offer) {
+        offer = offers[_offerId];
+        require(
+            offer.status == OfferStatus.Open || offer.status == OfferStatus.Countered,
+            "Offer is not open"
+        );
+        require(block.timestamp < offer.expiresAt, "Offer has expired");
+        require(
+            listingRegistry.saleModes(offer.listingId) == ListingRegistry.SaleMode.BestOffer,
+            "Listing does not take offers"
+        );
+    }
+
+    function _closeOffer(Offer storage _offer, string calldata _orderId) internal {
+        _offer.status = OfferStatus.Accepted;
+        _offer.orderId = _orderId;
+
+        _placeOrder(
+            _orderId,
+            _offer.listingId,
+            _offer.variantId,
+            _offer.quantity,
+            _offer.buyer,
+            _offer.paymentToken,
+            _offer.unitPrice
+        );
+
+        emit OfferAccepted(_offer.offerId, _offer.unitPrice, _orderId);
+    }
+
+    /**
+     * @dev Hand the buyer's funds to OrderManager as a paid order
+     */
+    function _placeOrder(
+        string memory _orderId,
+        string memory _listingId,
+        uint256 _variantId,
+        uint256 _quantity,
+        address _buyer,
+        address _token,
+        uint256 _unitPrice
+    ) internal {
+        uint256 amount = _unitPrice * _quantity;
+        if (_token == address(0)) {
+            orderManager.createSaleOrder{value: amount}(_orderId, _listingId, _variantId, _quantity, _buyer, _unitPrice);
+        } else {
+            IERC20(_token).forceApprove(address(orderManager), amount);
+            orderManager.createSaleOrder(_orderId, _listingId, _variantId, _quantity, _buyer, _unitPrice);
+        }
+    }
+
+    /**
+     * @dev Take `_amount` from the caller: exactly msg.value for ETH, a pull for tokens
+     */
+    function _collect(address _token, uint256 _amount) internal {
+        if (_token == address(0)) {
+            require(msg.value == _amount, "Incorrect payment amount");
+        } else {
+            require(msg.value == 0, "Listing is paid in tokens");
+            if (_amount > 0) IERC20(_token).safeTransferFrom(msg.sender, address(this), _amount);
+        }
+    }
+
+    function _credit(address _account, address _token, uint256 _amount) internal {
+        refunds[_account][_token] += _amount;
+        emit RefundCredited(_account, _token, _amount);
+    }
+}
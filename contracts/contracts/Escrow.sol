@@ -3,14 +3,23 @@ pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/access/Ownable.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
 
 /**
  * @title Escrow
- * @dev Manages escrow payments for orders with time-lock and dispute mechanisms
+ * @dev Manages escrow payments for orders with time-lock and dispute mechanisms.
+ * Disputes are decided by owner-appointed arbitrators after an evidence window,
+ * and the locked amount can be split between buyer and seller.
+ * Funds are native ETH or an ERC-20 token (`token`, address(0) for ETH).
+ * Releases of operator escrows keep a holdback for RETURN_WINDOW so an
+ * accepted return can be refunded; sellers top this up with a deposit.
  */
 contract Escrow is Ownable, ReentrancyGuard {
+    using SafeERC20 for IERC20;
     
-    enum EscrowState { Locked, Released, Refunded, Disputed }
+    enum EscrowState { Locked, Released, Refunded, Disputed, Resolved }
     
     struct EscrowDetails {
         bytes32 escrowId;
@@ -22,6 +31,27 @@ contract Escrow is Ownable, ReentrancyGuard {
         uint256 createdAt;
         uint256 releaseTime;
         bool disputed;
+        address operator;   // contract that opened the escrow for the buyer (e.g. OrderManager)
+        address token;      // ERC-20 held in escrow, address(0) for ETH
+    }
+
+    struct Dispute {
+        address initiator;
+        address arbitrator;     // zero until assigned; any appointed arbitrator may then rule
+        uint256 openedAt;
+        uint256 evidenceDeadline;
+        uint256 evidenceCount;
+        bool resolved;
+        uint16 buyerShareBps;
+        string rulingCID;
+    }
+
+    struct Holdback {
+        uint256 amount;         // kept back from the seller's payout
+        uint256 reserved;       // earmarked from the seller deposit while a return is open
+        uint256 releasableAt;   // end of the return window
+        bool returnOpen;
+        bool settled;           // paid out to the seller or refunded to the buyer
     }
     
     // Escrow release period (14 days for auto-release if no dispute)
@@ -29,6 +59,19 @@ contract Escrow is Ownable, ReentrancyGuard {
     
     // Minimum dispute window
     uint256 public constant DISPUTE_WINDOW = 7 days;
+
+    // Both parties may submit evidence for this long after a dispute is opened
+    uint256 public constant EVIDENCE_PERIOD = 3 days;
+
+    uint16 public constant BPS_DENOMINATOR = 10000;
+
+    // Returns can be opened this long after release
+    uint256 public constant RETURN_WINDOW = 14 days;
+
+    uint16 public constant MAX_HOLDBACK_BPS = 5000;
+
+    // Share of an operator escrow kept back on release to fund returns
+    uint16 public returnHoldbackBps = 2000;
     
     // Mapping from escrowId to EscrowDetails
     mapping(bytes32 => EscrowDetails) public escrows;
@@ -38,6 +81,18 @@ contract Escrow is Ownable, ReentrancyGuard {
     
     // Array to track all escrow IDs
     bytes32[] public escrowIds;
+
+    // Appointed arbitrators
+    mapping(address => bool) public arbitrators;
+
+    // Mapping from escrowId to its dispute
+    mapping(bytes32 => Dispute) private disputes;
+
+    // Mapping from escrowId to the holdback kept on release
+    mapping(bytes32 => Holdback) private holdbacks;
+
+    // Return deposits per seller and token (address(0) for ETH)
+    mapping(address => mapping(address => uint256)) public sellerDeposits;
     
     // Events
     event EscrowCreated(
@@ -67,6 +122,66 @@ contract Escrow is Ownable, ReentrancyGuard {
         string indexed orderId,
         address initiator
     );
+
+    event ArbitratorUpdated(
+        address indexed arbitrator,
+        bool active
+    );
+
+    event ArbitratorAssigned(
+        bytes32 indexed escrowId,
+        address indexed arbitrator
+    );
+
+    event EvidenceSubmitted(
+        bytes32 indexed escrowId,
+        address indexed party,
+        string evidenceCID
+    );
+
+    event DisputeResolved(
+        bytes32 indexed escrowId,
+        string indexed orderId,
+        address indexed arbitrator,
+        uint16 buyerShareBps,
+        uint256 buyerAmount,
+        uint256 sellerAmount,
+        string rulingCID
+    );
+
+    event HoldbackRetained(
+        bytes32 indexed escrowId,
+        uint256 amount,
+        uint256 releasableAt
+    );
+
+    event HoldbackReleased(
+        bytes32 indexed escrowId,
+        address indexed seller,
+        uint256 amount
+    );
+
+    event ReturnOpened(
+        bytes32 indexed escrowId,
+        uint256 coveredAmount
+    );
+
+    event ReturnClosed(bytes32 indexed escrowId);
+
+    event ReturnRefunded(
+        bytes32 indexed escrowId,
+        string indexed orderId,
+        address indexed buyer,
+        uint256 amount
+    );
+
+    event SellerDepositUpdated(
+        address indexed seller,
+        address indexed token,
+        uint256 balance
+    );
+
+    event ReturnHoldbackUpdated(uint16 holdbackBps);
     
     constructor() Ownable(msg.sender) {}
     
@@ -77,79 +192,223 @@ contract Escrow is Ownable, ReentrancyGuard {
         string memory _orderId,
         address _seller
     ) external payable nonReentrant returns (bytes32) {
-        require(msg.value > 0, "Must send ETH to escrow");
+        return _createEscrow(_orderId, msg.sender, _seller, address(0), address(0), msg.value);
+    }
+    
+    /**
+     * @dev Create escrow on behalf of a buyer. The caller becomes the escrow's
+     * operator and may release or refund it like the buyer / seller can.
+     */
+    function createEscrowFor(
+        string memory _orderId,
+        address _buyer,
+        address _seller
+    ) external payable nonReentrant returns (bytes32) {
+        require(_buyer != address(0), "Invalid buyer address");
+        return _createEscrow(_orderId, _buyer, _seller, msg.sender, address(0), msg.value);
+    }
+    
+    /**
+     * @dev Create escrow and lock `_amount` of an ERC-20 token (approved by the caller)
+     */
+    function createTokenEscrow(
+        string memory _orderId,
+        address _token,
+        address _seller,
+        uint256 _amount
+    ) external nonReentrant returns (bytes32) {
+        _pullTokens(_token, _amount);
+        return _createEscrow(_orderId, msg.sender, _seller, address(0), _token, _amount);
+    }
+    
+    /**
+     * @dev Same as createTokenEscrow, approving the transfer with an EIP-2612 permit
+     */
+    function createTokenEscrowWithPermit(
+        string memory _orderId,
+        address _token,
+        address _seller,
+        uint256 _amount,
+        uint256 _deadline,
+        uint8 _v,
+        bytes32 _r,
+        bytes32 _s
+    ) external nonReentrant returns (bytes32) {
+        _permit(_token, _amount, _deadline, _v, _r, _s);
+        _pullTokens(_token, _amount);
+        return _createEscrow(_orderId, msg.sender, _seller, address(0), _token, _amount);
+    }
+    
+    /**
+     * @dev Token escrow on behalf of a buyer; the tokens come from the caller (operator)
+     */
+    function createTokenEscrowFor(
+        string memory _orderId,
+        address _token,
+        address _buyer,
+        address _seller,
+        uint256 _amount
+    ) external nonReentrant returns (bytes32) {
+        require(_buyer != address(0), "Invalid buyer address");
+        _pullTokens(_token, _amount);
+        return _createEscrow(_orderId, _buyer, _seller, msg.sender, _token, _amount);
+    }
+    
+    function _createEscrow(
+        string memory _orderId,
+        address _buyer,
+        address _seller,
+        address _operator,
+        address _token,
+        uint256 _amount
+    ) internal returns (bytes32) {
+        require(_amount > 0, "Escrow amount must be greater than 0");
         require(_seller != address(0), "Invalid seller address");
-        require(_seller != msg.sender, "Buyer and seller cannot be the same");
+        require(_seller != _buyer, "Buyer and seller cannot be the same");
         require(orderToEscrow[_orderId] == bytes32(0), "Escrow already exists for this order");
         
-        bytes32 escrowId = keccak256(abi.encodePacked(_orderId, msg.sender, block.timestamp));
+        bytes32 escrowId = keccak256(abi.encodePacked(_orderId, _buyer, block.timestamp));
         
         EscrowDetails memory newEscrow = EscrowDetails({
             escrowId: escrowId,
             orderId: _orderId,
-            buyer: msg.sender,
+            buyer: _buyer,
             seller: _seller,
-            amount: msg.value,
+            amount: _amount,
             state: EscrowState.Locked,
             createdAt: block.timestamp,
             releaseTime: block.timestamp + ESCROW_PERIOD,
-            disputed: false
+            disputed: false,
+            operator: _operator,
+            token: _token
         });
         
         escrows[escrowId] = newEscrow;
         orderToEscrow[_orderId] = escrowId;
         escrowIds.push(escrowId);
         
-        emit EscrowCreated(escrowId, _orderId, msg.sender, _seller, msg.value);
+        emit EscrowCreated(escrowId, _orderId, _buyer, _seller, _amount);
         
         return escrowId;
     }
     
+    function _pullTokens(address _token, uint256 _amount) internal {
+        require(_token != address(0), "Invalid token address");
+        require(msg.value == 0, "ETH sent with token escrow");
+        
+        // Balance delta rejects fee-on-transfer tokens, whose escrow would be underfunded
+        uint256 balanceBefore = IERC20(_token).balanceOf(address(this));
+        IERC20(_token).safeTransferFrom(msg.sender, address(this), _amount);
+        require(
+            IERC20(_token).balanceOf(address(this)) - balanceBefore == _amount,
+            "Token transfer amount mismatch"
+        );
+    }
+    
+    function _permit(
+        address _token,
+        uint256 _amount,
+        uint256 _deadline,
+        uint8 _v,
+        bytes32 _r,
+        bytes32 _s
+    ) internal {
+        // A front-run permit leaves the allowance in place, so only fail if it is missing
+        try IERC20Permit(_token).permit(msg.sender, address(this), _amount, _deadline, _v, _r, _s) {
+        } catch {
+            require(
+                IERC20(_token).allowance(msg.sender, address(this)) >= _amount,
+                "Permit failed"
+            );
+        }
+    }
+    
+    function _payout(EscrowDetails storage _escrow, address _to, uint256 _amount) internal {
+        _transfer(_escrow.token, _to, _amount);
+    }
+    
+    function _transfer(address _token, address _to, uint256 _amount) internal {
+        if (_token == address(0)) {
+            (bool success, ) = _to.call{value: _amount}("");
+            require(success, "ETH transfer failed");
+        } else {
+            IERC20(_token).safeTransfer(_to, _amount);
+        }
+    }
+    
     /**
-     * @dev Release escrow funds to seller
+     * @dev Release escrow funds to seller. During a dispute only the buyer can
+     * release (conceding it).
      */
     function releaseEscrow(bytes32 _escrowId) external nonReentrant {
         EscrowDetails storage escrow = escrows[_escrowId];
         
         require(escrow.escrowId != bytes32(0), "Escrow does not exist");
-        require(escrow.state == EscrowState.Locked, "Escrow is not locked");
-        require(!escrow.disputed, "Escrow is disputed");
-        require(
-            msg.sender == escrow.buyer || 
-            msg.sender == owner() || 
-            block.timestamp >= escrow.releaseTime,
-            "Not authorized to release"
-        );
+        if (escrow.state == EscrowState.Disputed) {
+            require(msg.sender == escrow.buyer, "Escrow is disputed");
+        } else {
+            require(escrow.state == EscrowState.Locked, "Escrow is not locked");
+            require(
+                msg.sender == escrow.buyer || 
+                msg.sender == escrow.operator ||
+                msg.sender == owner() || 
+                block.timestamp >= escrow.releaseTime,
+                "Not authorized to release"
+            );
+        }
         
         escrow.state = EscrowState.Released;
         
+        // Only operator escrows go through the return flow, so only they keep a holdback
+        uint256 holdback;
+        if (escrow.operator != address(0)) {
+            holdback = (escrow.amount * returnHoldbackBps) / BPS_DENOMINATOR;
+            holdbacks[_escrowId] = Holdback({
+                amount: holdback,
+                reserved: 0,
+                releasableAt: block.timestamp + RETURN_WINDOW,
+                returnOpen: false,
+                settled: false
+            });
+            emit HoldbackRetained(_escrowId, holdback, block.timestamp + RETURN_WINDOW);
+        }
+        
         // Transfer funds to seller
-        (bool success, ) = escrow.seller.call{value: escrow.amount}("");
-        require(success, "Transfer to seller failed");
+        _payout(escrow, escrow.seller, escrow.amount - holdback);
         
         emit EscrowReleased(_escrowId, escrow.orderId, escrow.seller, escrow.amount);
     }
     
     /**
-     * @dev Refund escrow to buyer
+     * @dev Refund escrow to buyer. The operator cannot refund a disputed escrow;
+     * a dispute nobody has ruled on within DISPUTE_WINDOW after the evidence
+     * deadline can be refunded by anyone.
      */
     function refundEscrow(bytes32 _escrowId) external nonReentrant {
         EscrowDetails storage escrow = escrows[_escrowId];
         
         require(escrow.escrowId != bytes32(0), "Escrow does not exist");
-        require(escrow.state == EscrowState.Locked, "Escrow is not locked");
-        require(
-            msg.sender == escrow.seller || 
-            msg.sender == owner() ||
-            (escrow.disputed && block.timestamp >= escrow.createdAt + DISPUTE_WINDOW),
-            "Not authorized to refund"
-        );
+        if (escrow.state == EscrowState.Disputed) {
+            require(
+                msg.sender == escrow.seller || 
+                msg.sender == owner() ||
+                block.timestamp >= disputes[_escrowId].evidenceDeadline + DISPUTE_WINDOW,
+                "Not authorized to refund"
+            );
+        } else {
+            require(escrow.state == EscrowState.Locked, "Escrow is not locked");
+            require(
+                msg.sender == escrow.seller || 
+                msg.sender == escrow.operator ||
+                msg.sender == owner(),
+                "Not authorized to refund"
+            );
+        }
         
         escrow.state = EscrowState.Refunded;
         
         // Transfer funds back to buyer
-        (bool success, ) = escrow.buyer.call{value: escrow.amount}("");
-        require(success, "Transfer to buyer failed");
+        _payout(escrow, escrow.buyer, escrow.amount);
         
         emit EscrowRefunded(_escrowId, escrow.orderId, escrow.buyer, escrow.amount);
     }
@@ -171,9 +430,239 @@ contract Escrow is Ownable, ReentrancyGuard {
         escrow.disputed = true;
         escrow.state = EscrowState.Disputed;
         
+        Dispute storage dispute = disputes[_escrowId];
+        dispute.initiator = msg.sender;
+        dispute.openedAt = block.timestamp;
+        dispute.evidenceDeadline = block.timestamp + EVIDENCE_PERIOD;
+        
         emit DisputeInitiated(_escrowId, escrow.orderId, msg.sender);
     }
     
+    /**
+     * @dev Appoint or remove an arbitrator
+     */
+    function setArbitrator(address _arbitrator, bool _active) external onlyOwner {
+        require(_arbitrator != address(0), "Invalid arbitrator address");
+        arbitrators[_arbitrator] = _active;
+        
+        emit ArbitratorUpdated(_arbitrator, _active);
+    }
+    
+    /**
+     * @dev Assign an appointed arbitrator to an open dispute
+     */
+    function assignArbitrator(bytes32 _escrowId, address _arbitrator) external onlyOwner {
+        EscrowDetails storage escrow = escrows[_escrowId];
+        
+        require(escrow.state == EscrowState.Disputed, "Escrow is not disputed");
+        require(arbitrators[_arbitrator], "Not an appointed arbitrator");
+        require(
+            _arbitrator != escrow.buyer && _arbitrator != escrow.seller,
+            "Arbitrator cannot be a party"
+        );
+        
+        disputes[_escrowId].arbitrator = _arbitrator;
+        
+        emit ArbitratorAssigned(_escrowId, _arbitrator);
+    }
+    
+    /**
+     * @dev Submit evidence (an IPFS CID) while the evidence window is open
+     */
+    function submitEvidence(bytes32 _escrowId, string calldata _evidenceCID) external {
+        EscrowDetails storage escrow = escrows[_escrowId];
+        Dispute storage dispute = disputes[_escrowId];
+        
+        require(escrow.state == EscrowState.Disputed, "Escrow is not disputed");
+        require(
+            msg.sender == escrow.buyer || msg.sender == escrow.seller,
+            "Only buyer or seller can submit evidence"
+        );
+        require(block.timestamp <= dispute.evidenceDeadline, "Evidence window closed");
+        require(bytes(_evidenceCID).length > 0, "Evidence CID required");
+        
+        dispute.evidenceCount++;
+        
+        emit EvidenceSubmitted(_escrowId, msg.sender, _evidenceCID);
+    }
+    
+    /**
+     * @dev Rule on a dispute once the evidence window has closed. The buyer
+     * receives `_buyerShareBps` / 10000 of the locked amount, the seller the rest.
+     */
+    function resolveDispute(
+        bytes32 _escrowId,
+        uint16 _buyerShareBps,
+        string calldata _rulingCID
+    ) external nonReentrant {
+        EscrowDetails storage escrow = escrows[_escrowId];
+        Dispute storage dispute = disputes[_escrowId];
+        
+        require(escrow.state == EscrowState.Disputed, "Escrow is not disputed");
+        require(arbitrators[msg.sender], "Only an appointed arbitrator can resolve");
+        require(
+            dispute.arbitrator == address(0) || dispute.arbitrator == msg.sender,
+            "Dispute is assigned to another arbitrator"
+        );
+        require(
+            msg.sender != escrow.buyer && msg.sender != escrow.seller,
+            "Arbitrator cannot be a party"
+        );
+        require(block.timestamp > dispute.evidenceDeadline, "Evidence window still open");
+        require(_buyerShareBps <= BPS_DENOMINATOR, "Share exceeds 100%");
+        
+        uint256 buyerAmount = (escrow.amount * _buyerShareBps) / BPS_DENOMINATOR;
+        uint256 sellerAmount = escrow.amount - buyerAmount;
+        
+        escrow.state = EscrowState.Resolved;
+        dispute.arbitrator = msg.sender;
+        dispute.resolved = true;
+        dispute.buyerShareBps = _buyerShareBps;
+        dispute.rulingCID = _rulingCID;
+        
+        if (buyerAmount > 0) {
+            _payout(escrow, escrow.buyer, buyerAmount);
+        }
+        if (sellerAmount > 0) {
+            _payout(escrow, escrow.seller, sellerAmount);
+        }
+        
+        emit DisputeResolved(
+            _escrowId,
+            escrow.orderId,
+            msg.sender,
+            _buyerShareBps,
+            buyerAmount,
+            sellerAmount,
+            _rulingCID
+        );
+    }
+    
+    /**
+     * @dev Deposit funds that back returns beyond the holdback
+     */
+    function depositReturnReserve(address _token, uint256 _amount) external payable nonReentrant {
+        if (_token == address(0)) {
+            require(_amount > 0 && msg.value == _amount, "Incorrect deposit amount");
+        } else {
+            require(_amount > 0, "Incorrect deposit amount");
+            _pullTokens(_token, _amount);
+        }
+        
+        sellerDeposits[msg.sender][_token] += _amount;
+        
+        emit SellerDepositUpdated(msg.sender, _token, sellerDeposits[msg.sender][_token]);
+    }
+    
+    /**
+     * @dev Withdraw unreserved return deposit
+     */
+    function withdrawReturnReserve(address _token, uint256 _amount) external nonReentrant {
+        require(sellerDeposits[msg.sender][_token] >= _amount, "Insufficient deposit");
+        
+        sellerDeposits[msg.sender][_token] -= _amount;
+        _transfer(_token, msg.sender, _amount);
+        
+        emit SellerDepositUpdated(msg.sender, _token, sellerDeposits[msg.sender][_token]);
+    }
+    
+    /**
+     * @dev Open a return on a released escrow (operator only, within RETURN_WINDOW).
+     * Whatever the holdback does not cover is reserved from the seller deposit.
+     */
+    function openReturn(bytes32 _escrowId) external {
+        EscrowDetails storage escrow = escrows[_escrowId];
+        Holdback storage holdback = holdbacks[_escrowId];
+        
+        require(msg.sender == escrow.operator && msg.sender != address(0), "Only the escrow operator");
+        require(escrow.state == EscrowState.Released, "Escrow is not released");
+        require(!holdback.settled && !holdback.returnOpen, "Return not possible");
+        require(block.timestamp < holdback.releasableAt, "Return window closed");
+        
+        uint256 shortfall = escrow.amount - holdback.amount;
+        uint256 available = sellerDeposits[escrow.seller][escrow.token];
+        uint256 reserved = shortfall < available ? shortfall : available;
+        
+        sellerDeposits[escrow.seller][escrow.token] = available - reserved;
+        holdback.reserved = reserved;
+        holdback.returnOpen = true;
+        
+        emit ReturnOpened(_escrowId, holdback.amount + reserved);
+    }
+    
+    /**
+     * @dev Close a return without refund, giving the reserved deposit back
+     */
+    function closeReturn(bytes32 _escrowId) external {
+        EscrowDetails storage escrow = escrows[_escrowId];
+        Holdback storage holdback = holdbacks[_escrowId];
+        
+        require(msg.sender == escrow.operator && msg.sender != address(0), "Only the escrow operator");
+        require(holdback.returnOpen, "No open return");
+        
+        sellerDeposits[escrow.seller][escrow.token] += holdback.reserved;
+        holdback.reserved = 0;
+        holdback.returnOpen = false;
+        
+        emit ReturnClosed(_escrowId);
+    }
+    
+    /**
+     * @dev Refund an accepted return to the buyer from the holdback and the
+     * reserved deposit. Returns the refunded amount.
+     */
+    function refundReturn(bytes32 _escrowId) external nonReentrant returns (uint256) {
+        EscrowDetails storage escrow = escrows[_escrowId];
+        Holdback storage holdback = holdbacks[_escrowId];
+        
+        require(msg.sender == escrow.operator && msg.sender != address(0), "Only the escrow operator");
+        require(holdback.returnOpen, "No open return");
+        
+        uint256 amount = holdback.amount + holdback.reserved;
+        holdback.returnOpen = false;
+        holdback.settled = true;
+        
+        if (amount > 0) {
+            _payout(escrow, escrow.buyer, amount);
+        }
+        
+        emit ReturnRefunded(_escrowId, escrow.orderId, escrow.buyer, amount);
+        
+        return amount;
+    }
+    
+    /**
+     * @dev Pay the holdback to the seller once the return window has passed
+     * and no return is open. Callable by anyone.
+     */
+    function claimHoldback(bytes32 _escrowId) external nonReentrant {
+        EscrowDetails storage escrow = escrows[_escrowId];
+        Holdback storage holdback = holdbacks[_escrowId];
+        
+        require(holdback.releasableAt != 0, "No holdback for this escrow");
+        require(!holdback.settled, "Holdback already settled");
+        require(!holdback.returnOpen, "Return in progress");
+        require(block.timestamp >= holdback.releasableAt, "Return window still open");
+        
+        holdback.settled = true;
+        
+        if (holdback.amount > 0) {
+            _payout(escrow, escrow.seller, holdback.amount);
+        }
+        
+        emit HoldbackReleased(_escrowId, escrow.seller, holdback.amount);
+    }
+    
+    /**
+     * @dev Set the share of operator escrows kept back on release
+     */
+    function setReturnHoldback(uint16 _holdbackBps) external onlyOwner {
+        require(_holdbackBps <= MAX_HOLDBACK_BPS, "Holdback too high");
+        returnHoldbackBps = _holdbackBps;
+        
+        emit ReturnHoldbackUpdated(_holdbackBps);
+    }
+    
     /**
      * @dev Get escrow details
      */
@@ -182,6 +671,22 @@ contract Escrow is Ownable, ReentrancyGuard {
         return escrows[_escrowId];
     }
     
+    /**
+     * @dev Get dispute details
+     */
+    function getDispute(bytes32 _escrowId) external view returns (Dispute memory) {
+        require(escrows[_escrowId].disputed, "No dispute for this escrow");
+        return disputes[_escrowId];
+    }
+    
+    /**
+     * @dev Get the holdback kept on release
+     */
+    function getHoldback(bytes32 _escrowId) external view returns (Holdback memory) {
+        require(holdbacks[_escrowId].releasableAt != 0, "No holdback for this escrow");
+        return holdbacks[_escrowId];
+    }
+    
     /**
      * @dev Get escrow by order ID
      */
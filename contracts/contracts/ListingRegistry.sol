@@ -6,7 +6,9 @@ import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
 
 /**
  * @title ListingRegistry
- * @dev Manages product listings on-chain with IPFS metadata references
+ * @dev Manages product listings on-chain with IPFS metadata references.
+ * Listings are priced in ETH or in an allow-listed ERC-20 token, named by its
+ * symbol in `currency` (price is then in the token's smallest unit).
  */
 contract ListingRegistry is Ownable, ReentrancyGuard {
     
@@ -20,6 +22,17 @@ contract ListingRegistry is Ownable, ReentrancyGuard {
         string ipfsCID;
         bool active;
         uint256 createdAt;
+        address paymentToken;   // address(0) for ETH
+    }
+    
+    // A size/colour/... option of a listing with its own price and stock.
+    // `attributes` is a canonical JSON object such as {"colour":"red","size":"M"}.
+    struct Variant {
+        string sku;
+        string attributes;
+        uint256 price;
+        uint256 stock;
+        bool active;
     }
     
     // Mapping from listingId to Listing
@@ -31,6 +44,34 @@ contract ListingRegistry is Ownable, ReentrancyGuard {
     // Mapping from seller address to their listing IDs
     mapping(address => string[]) public sellerListings;
     
+    // Allow-listed ERC-20 payment tokens by currency symbol
+    mapping(string => address) public paymentTokens;
+    mapping(address => bool) public allowedTokens;
+    string[] private paymentTokenSymbols;
+    
+    // The only caller allowed to move stock (orders created, cancelled and expired)
+    address public orderManager;
+    
+    // Order lines per listing whose order is not yet delivered, refunded or
+    // cancelled. Metadata can't change under them.
+    mapping(string => uint256) public openOrders;
+    
+    // Variants per listing; variant N is listingVariants[listingId][N - 1], and
+    // variant 0 is the listing itself. A listing with variants is only sold
+    // through them.
+    mapping(string => Variant[]) private listingVariants;
+    
+    // Variant ID of each SKU within a listing (0 if unused)
+    mapping(string => mapping(string => uint256)) public variantIdsBySku;
+    
+    // How a listing is sold. Auction and BestOffer listings are only sold
+    // through the sale contract, at the price agreed there.
+    enum SaleMode { FixedPrice, Auction, BestOffer }
+    mapping(string => SaleMode) public saleModes;
+    
+    // The only caller allowed to switch sale modes (AuctionHouse)
+    address public saleContract;
+    
     // Events
     event ListingCreated(
         string indexed listingId,
@@ -48,12 +89,53 @@ contract ListingRegistry is Ownable, ReentrancyGuard {
         bool active
     );
     
+    event ListingMetadataUpdated(
+        string indexed listingId,
+        string ipfsCID
+    );
+    
+    event VariantAdded(
+        string indexed listingId,
+        uint256 variantId,
+        string sku,
+        string attributes,
+        uint256 price,
+        uint256 stock
+    );
+    
+    event VariantUpdated(
+        string indexed listingId,
+        uint256 variantId,
+        uint256 price,
+        uint256 stock,
+        bool active
+    );
+    
+    event PaymentTokenUpdated(
+        string symbol,
+        address indexed token
+    );
+    
     event StockDecremented(
         string indexed listingId,
+        uint256 variantId,
+        uint256 quantity,
+        uint256 remainingStock
+    );
+    
+    event StockIncremented(
+        string indexed listingId,
+        uint256 variantId,
         uint256 quantity,
         uint256 remainingStock
     );
     
+    event OrderManagerUpdated(address indexed orderManager);
+    
+    event SaleModeUpdated(string indexed listingId, SaleMode saleMode);
+    
+    event SaleContractUpdated(address indexed saleContract);
+    
     constructor() Ownable(msg.sender) {}
     
     /**
@@ -72,6 +154,8 @@ contract ListingRegistry is Ownable, ReentrancyGuard {
         require(_price > 0, "Price must be greater than 0");
         require(_stock > 0, "Stock must be greater than 0");
         
+        address paymentToken = _resolvePaymentToken(_currency);
+        
         Listing memory newListing = Listing({
             listingId: _listingId,
             seller: msg.sender,
@@ -81,7 +165,8 @@ contract ListingRegistry is Ownable, ReentrancyGuard {
             stock: _stock,
             ipfsCID: _ipfsCID,
             active: true,
-            createdAt: block.timestamp
+            createdAt: block.timestamp,
+            paymentToken: paymentToken
         });
         
         listings[_listingId] = newListing;
@@ -92,7 +177,52 @@ contract ListingRegistry is Ownable, ReentrancyGuard {
     }
     
     /**
-     * @dev Update listing details
+     * @dev Allow-list an ERC-20 token as a listing currency, replace the token
+     * behind a symbol, or remove it (token = address(0)). Existing listings keep
+     * their token, but new orders for a removed token are rejected.
+     */
+    function setPaymentToken(string calldata _symbol, address _token) external onlyOwner {
+        require(bytes(_symbol).length > 0, "Invalid symbol");
+        require(keccak256(bytes(_symbol)) != keccak256(bytes("ETH")), "ETH is the native currency");
+        
+        address previous = paymentTokens[_symbol];
+        if (previous != address(0)) {
+            allowedTokens[previous] = false;
+        } else {
+            paymentTokenSymbols.push(_symbol);
+        }
+        
+        paymentTokens[_symbol] = _token;
+        if (_token != address(0)) {
+            allowedTokens[_token] = true;
+        }
+        
+        emit PaymentTokenUpdated(_symbol, _token);
+    }
+    
+    /**
+     * @dev Get all payment token symbols with their current token (address(0) if removed)
+     */
+    function getPaymentTokens() external view returns (string[] memory symbols, address[] memory tokens) {
+        symbols = paymentTokenSymbols;
+        tokens = new address[](symbols.length);
+        for (uint256 i = 0; i < symbols.length; i++) {
+            tokens[i] = paymentTokens[symbols[i]];
+        }
+    }
+    
+    function _resolvePaymentToken(string memory _currency) internal view returns (address) {
+        if (keccak256(bytes(_currency)) == keccak256(bytes("ETH"))) {
+            return address(0);
+        }
+        address token = paymentTokens[_currency];
+        require(token != address(0), "Unsupported currency");
+        return token;
+    }
+    
+    /**
+     * @dev Update listing details. Refused while the listing is up for auction
+     * or offers, so the sale can still reserve its stock when it settles.
      */
     function updateListing(
         string memory _listingId,
@@ -103,6 +233,8 @@ contract ListingRegistry is Ownable, ReentrancyGuard {
         Listing storage listing = listings[_listingId];
         require(bytes(listing.listingId).length > 0, "Listing does not exist");
         require(listing.seller == msg.sender, "Not the seller");
+        require(saleModes[_listingId] == SaleMode.FixedPrice, "Listing is not fixed price");
+        require(_price > 0, "Price must be greater than 0");
         
         listing.price = _price;
         listing.stock = _stock;
@@ -112,18 +244,187 @@ contract ListingRegistry is Ownable, ReentrancyGuard {
     }
     
     /**
-     * @dev Decrement stock (called when order is created)
+     * @dev Point the listing at a re-pinned metadata document. Refused while
+     * orders are open, so buyers keep the description they ordered against.
+     */
+    function updateListingMetadata(string memory _listingId, string memory _ipfsCID) external {
+        Listing storage listing = listings[_listingId];
+        require(bytes(listing.listingId).length > 0, "Listing does not exist");
+        require(listing.seller == msg.sender, "Not the seller");
+        require(bytes(_ipfsCID).length > 0, "Invalid IPFS CID");
+        require(openOrders[_listingId] == 0, "Listing has open orders");
+        
+        listing.ipfsCID = _ipfsCID;
+        
+        emit ListingMetadataUpdated(_listingId, _ipfsCID);
+    }
+    
+    /**
+     * @dev Add a variant to a listing; returns its variant ID (1-based)
      */
-    function decrementStock(string memory _listingId, uint256 _quantity) external returns (bool) {
+    function addVariant(
+        string memory _listingId,
+        string memory _sku,
+        string memory _attributes,
+        uint256 _price,
+        uint256 _stock
+    ) external returns (uint256 variantId) {
+        Listing storage listing = listings[_listingId];
+        require(bytes(listing.listingId).length > 0, "Listing does not exist");
+        require(listing.seller == msg.sender, "Not the seller");
+        require(bytes(_sku).length > 0, "Invalid SKU");
+        require(variantIdsBySku[_listingId][_sku] == 0, "SKU already exists");
+        require(_price > 0, "Price must be greater than 0");
+        
+        listingVariants[_listingId].push(Variant({
+            sku: _sku,
+            attributes: _attributes,
+            price: _price,
+            stock: _stock,
+            active: true
+        }));
+        variantId = listingVariants[_listingId].length;
+        variantIdsBySku[_listingId][_sku] = variantId;
+        
+        emit VariantAdded(_listingId, variantId, _sku, _attributes, _price, _stock);
+    }
+    
+    /**
+     * @dev Update a variant's price, stock and availability. SKU and
+     * attributes are fixed; add a new variant to change them. Refused while
+     * the listing is up for auction or offers, like updateListing.
+     */
+    function updateVariant(
+        string memory _listingId,
+        uint256 _variantId,
+        uint256 _price,
+        uint256 _stock,
+        bool _active
+    ) external {
+        require(listings[_listingId].seller == msg.sender, "Not the seller");
+        require(saleModes[_listingId] == SaleMode.FixedPrice, "Listing is not fixed price");
+        require(_price > 0, "Price must be greater than 0");
+        Variant storage variant = _variant(_listingId, _variantId);
+        
+        variant.price = _price;
+        variant.stock = _stock;
+        variant.active = _active;
+        
+        emit VariantUpdated(_listingId, _variantId, _price, _stock, _active);
+    }
+    
+    /**
+     * @dev Reserve stock for an order line and return its unit price. Listings
+     * with variants must be ordered by variant (ID > 0), others as variant 0.
+     * Only `_saleOrder` lines (a won auction or accepted offer) may reserve
+     * stock of a listing that isn't sold at a fixed price.
+     */
+    function decrementStock(
+        string memory _listingId,
+        uint256 _variantId,
+        uint256 _quantity,
+        bool _saleOrder
+    ) external returns (uint256 unitPrice) {
+        require(msg.sender == orderManager, "Only OrderManager");
         Listing storage listing = listings[_listingId];
         require(bytes(listing.listingId).length > 0, "Listing does not exist");
         require(listing.active, "Listing is not active");
-        require(listing.stock >= _quantity, "Insufficient stock");
+        require(_saleOrder || saleModes[_listingId] == SaleMode.FixedPrice, "Listing is not fixed price");
+        
+        uint256 remaining;
+        if (_variantId == 0) {
+            require(listingVariants[_listingId].length == 0, "Variant required");
+            require(listing.stock >= _quantity, "Insufficient stock");
+            listing.stock -= _quantity;
+            remaining = listing.stock;
+            unitPrice = listing.price;
+        } else {
+            Variant storage variant = _variant(_listingId, _variantId);
+            require(variant.active, "Variant is not active");
+            require(variant.stock >= _quantity, "Insufficient stock");
+            variant.stock -= _quantity;
+            remaining = variant.stock;
+            unitPrice = variant.price;
+        }
+        openOrders[_listingId] += 1;
+        
+        emit StockDecremented(_listingId, _variantId, _quantity, remaining);
+    }
+    
+    /**
+     * @dev Return stock held by an order that was cancelled or expired. Works on
+     * inactive listings too, so the stock is there if the listing is reactivated.
+     */
+    function incrementStock(
+        string memory _listingId,
+        uint256 _variantId,
+        uint256 _quantity
+    ) external {
+        require(msg.sender == orderManager, "Only OrderManager");
+        Listing storage listing = listings[_listingId];
+        require(bytes(listing.listingId).length > 0, "Listing does not exist");
         
-        listing.stock -= _quantity;
+        uint256 remaining;
+        if (_variantId == 0) {
+            listing.stock += _quantity;
+            remaining = listing.stock;
+        } else {
+            Variant storage variant = _variant(_listingId, _variantId);
+            variant.stock += _quantity;
+            remaining = variant.stock;
+        }
+        _closeOrderLine(_listingId);
         
-        emit StockDecremented(_listingId, _quantity, listing.stock);
-        return true;
+        emit StockIncremented(_listingId, _variantId, _quantity, remaining);
+    }
+    
+    /**
+     * @dev An order line for this listing was delivered or refunded without
+     * its stock coming back
+     */
+    function closeOrderLine(string memory _listingId) external {
+        require(msg.sender == orderManager, "Only OrderManager");
+        _closeOrderLine(_listingId);
+    }
+    
+    function _closeOrderLine(string memory _listingId) internal {
+        if (openOrders[_listingId] > 0) {
+            openOrders[_listingId] -= 1;
+        }
+    }
+    
+    function _variant(string memory _listingId, uint256 _variantId) internal view returns (Variant storage) {
+        require(_variantId > 0 && _variantId <= listingVariants[_listingId].length, "Variant does not exist");
+        return listingVariants[_listingId][_variantId - 1];
+    }
+    
+    /**
+     * @dev Set the OrderManager allowed to restore stock
+     */
+    function setOrderManager(address _orderManager) external onlyOwner {
+        require(_orderManager != address(0), "Invalid order manager address");
+        orderManager = _orderManager;
+        emit OrderManagerUpdated(_orderManager);
+    }
+    
+    /**
+     * @dev Set the sale contract allowed to switch listings to auctions and offers
+     */
+    function setSaleContract(address _saleContract) external onlyOwner {
+        saleContract = _saleContract;
+        emit SaleContractUpdated(_saleContract);
+    }
+    
+    /**
+     * @dev Switch how a listing is sold; the sale contract checks the caller is the seller
+     */
+    function setSaleMode(string memory _listingId, SaleMode _saleMode) external {
+        require(msg.sender == saleContract, "Only sale contract");
+        require(bytes(listings[_listingId].listingId).length > 0, "Listing does not exist");
+        
+        saleModes[_listingId] = _saleMode;
+        
+        emit SaleModeUpdated(_listingId, _saleMode);
     }
     
     /**
@@ -134,6 +435,21 @@ contract ListingRegistry is Ownable, ReentrancyGuard {
         return listings[_listingId];
     }
     
+    /**
+     * @dev Get one variant of a listing
+     */
+    function getVariant(string memory _listingId, uint256 _variantId) external view returns (Variant memory) {
+        return _variant(_listingId, _variantId);
+    }
+    
+    /**
+     * @dev Get all variants of a listing, in variant ID order
+     */
+    function getVariants(string memory _listingId) external view returns (Variant[] memory) {
+        require(bytes(listings[_listingId].listingId).length > 0, "Listing does not exist");
+        return listingVariants[_listingId];
+    }
+    
     /**
      * @dev Get all listings count
      */
@@ -149,11 +465,17 @@ contract ListingRegistry is Ownable, ReentrancyGuard {
     }
     
     /**
-     * @dev Check if listing has sufficient stock
+     * @dev Check if a listing (variant 0) or one of its variants has sufficient stock
      */
-    function hasStock(string memory _listingId, uint256 _quantity) external view returns (bool) {
+    function hasStock(string memory _listingId, uint256 _variantId, uint256 _quantity) external view returns (bool) {
         Listing memory listing = listings[_listingId];
-        return listing.active && listing.stock >= _quantity;
+        if (!listing.active) return false;
+        if (_variantId == 0) {
+            return listingVariants[_listingId].length == 0 && listing.stock >= _quantity;
+        }
+        if (_variantId > listingVariants[_listingId].length) return false;
+        Variant memory variant = listingVariants[_listingId][_variantId - 1];
+        return variant.active && variant.stock >= _quantity;
     }
 }
 
@@ -0,0 +1,25 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol";
+
+/**
+ * @title MockStablecoin
+ * @dev 6-decimal ERC-20 with EIP-2612 permit for local testing. Anyone can mint.
+ */
+contract MockStablecoin is ERC20, ERC20Permit {
+    
+    constructor() ERC20("Mock USD Coin", "USDC") ERC20Permit("Mock USD Coin") {}
+    
+    function decimals() public pure override returns (uint8) {
+        return 6;
+    }
+    
+    /**
+     * @dev Test faucet
+     */
+    function mint(address _to, uint256 _amount) external {
+        _mint(_to, _amount);
+    }
+}
@@ -5,15 +5,21 @@ import "@openzeppelin/contracts/access/Ownable.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
 import "./ListingRegistry.sol";
 import "./Escrow.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
 
 /**
  * @title OrderManager
  * @dev Manages order lifecycle and coordinates with Listing and Escrow contracts
  */
 contract OrderManager is Ownable, ReentrancyGuard {
+    using SafeERC20 for IERC20;
     
     enum OrderStatus { Pending, Paid, Shipped, Delivered, Cancelled, Disputed, Refunded }
     
+    enum ReturnStatus { None, Requested, Approved, Rejected, Shipped, Received, Refunded }
+    
     struct Order {
         string orderId;
         string listingId;
@@ -25,6 +31,41 @@ contract OrderManager is Ownable, ReentrancyGuard {
         bytes32 escrowId;
         uint256 createdAt;
         uint256 updatedAt;
+        address paymentToken;   // listing's ERC-20, address(0) for ETH
+        uint256 paymentDeadline; // unpaid after this, anyone may expire the order
+    }
+    
+    // listingId/quantity on Order are the first item and the total quantity;
+    // the full breakdown of an order lives in its line items
+    struct LineItem {
+        string listingId;
+        uint256 variantId;      // 0 for listings without variants
+        uint256 quantity;
+        uint256 unitPrice;
+    }
+    
+    struct CartItem {
+        string listingId;
+        uint256 variantId;
+        uint256 quantity;
+    }
+    
+    // One order of a cart checkout: the items a buyer takes from one seller
+    struct SellerOrder {
+        string orderId;
+        CartItem[] items;
+    }
+    
+    // Return of a delivered order, refunded from the escrow holdback
+    struct ReturnRequest {
+        ReturnStatus status;
+        string reason;
+        string evidenceCID;
+        string sellerNote;
+        string trackingInfo;
+        uint256 refundAmount;
+        uint256 requestedAt;
+        uint256 updatedAt;
     }
     
     // Contract references
@@ -43,6 +84,29 @@ contract OrderManager is Ownable, ReentrancyGuard {
     // Mapping from seller to their order IDs
     mapping(address => string[]) public sellerOrders;
     
+    // Mapping from orderId to its line items
+    mapping(string => LineItem[]) private orderItems;
+    
+    // Time a new order has to be paid before it can be expired
+    uint256 public paymentWindow = 1 hours;
+    uint256 public constant MIN_PAYMENT_WINDOW = 5 minutes;
+    uint256 public constant MAX_PAYMENT_WINDOW = 7 days;
+    
+    // Mapping from orderId to its return
+    mapping(string => ReturnRequest) private orderReturns;
+    
+    // An approved return not shipped back within this period can be closed
+    uint256 public constant RETURN_SHIP_PERIOD = 7 days;
+    
+    // keccak256 of the off-chain shipment record (carrier and parcel tracking numbers)
+    mapping(string => bytes32) public shipmentHashes;
+    
+    // keccak256 of the carrier delivery scans delivery was confirmed with
+    mapping(string => bytes32) public deliveryProofHashes;
+    
+    // Contract that sells auction and best-offer listings, the only caller of createSaleOrder
+    address public saleContract;
+    
     // Events
     event OrderCreated(
         string indexed orderId,
@@ -79,6 +143,47 @@ contract OrderManager is Ownable, ReentrancyGuard {
         string reason
     );
     
+    event OrderExpired(
+        string indexed orderId,
+        uint256 paymentDeadline
+    );
+    
+    event PaymentWindowUpdated(uint256 paymentWindow);
+    
+    event SaleContractUpdated(address indexed saleContract);
+    
+    event CartCheckedOut(
+        string indexed cartId,
+        address indexed buyer,
+        string[] orderIds,
+        address paymentToken,
+        uint256 totalAmount
+    );
+    
+    event ShipmentAnchored(
+        string indexed orderId,
+        bytes32 shipmentHash
+    );
+    
+    event DeliveryProofAnchored(
+        string indexed orderId,
+        bytes32 proofHash
+    );
+    
+    event ReturnRequested(
+        string indexed orderId,
+        address indexed buyer,
+        string reason,
+        string evidenceCID
+    );
+    
+    event ReturnStatusUpdated(
+        string indexed orderId,
+        ReturnStatus oldStatus,
+        ReturnStatus newStatus,
+        string note
+    );
+    
     constructor(
         address _listingRegistryAddress,
         address _escrowAddress
@@ -91,85 +196,276 @@ contract OrderManager is Ownable, ReentrancyGuard {
     }
     
     /**
-     * @dev Create a new order (without payment)
+     * @dev Create a new order (without payment). _variantId picks a variant of
+     * the listing, 0 for listings without variants.
      */
     function createOrder(
         string memory _orderId,
         string memory _listingId,
+        uint256 _variantId,
         uint256 _quantity
     ) external nonReentrant returns (bool) {
+        CartItem[] memory items = new CartItem[](1);
+        items[0] = CartItem(_listingId, _variantId, _quantity);
+        _createOrder(_orderId, items, msg.sender, 0);
+        return true;
+    }
+    
+    /**
+     * @dev Create and fund the order for a won auction or accepted offer at its
+     * agreed unit price. Called by the sale contract, which holds the buyer's
+     * funds: ETH comes as msg.value, tokens are pulled from it.
+     */
+    function createSaleOrder(
+        string calldata _orderId,
+        string calldata _listingId,
+        uint256 _variantId,
+        uint256 _quantity,
+        address _buyer,
+        uint256 _unitPrice
+    ) external payable nonReentrant returns (bytes32) {
+        require(msg.sender == saleContract, "Only sale contract");
+        require(_unitPrice > 0, "Invalid price");
+        
+        CartItem[] memory items = new CartItem[](1);
+        items[0] = CartItem(_listingId, _variantId, _quantity);
+        return _payAndLock(_createOrder(_orderId, items, _buyer, _unitPrice));
+    }
+    
+    /**
+     * @dev Check out a cart: one order per seller, all created and funded in
+     * this transaction with one escrow each. Every item must be paid in the
+     * same currency; ETH carts send the grand total as msg.value, token carts
+     * need an allowance of the grand total for this contract.
+     */
+    function checkout(
+        string calldata _cartId,
+        SellerOrder[] calldata _sellerOrders
+    ) external payable nonReentrant returns (bytes32[] memory escrowIds) {
+        require(_sellerOrders.length > 0, "Cart is empty");
+        
+        string[] memory ids = new string[](_sellerOrders.length);
+        address[] memory sellers = new address[](_sellerOrders.length);
+        address token;
+        uint256 grandTotal;
+        
+        for (uint256 i = 0; i < _sellerOrders.length; i++) {
+            Order storage order = _createOrder(_sellerOrders[i].orderId, _sellerOrders[i].items, msg.sender, 0);
+            
+            for (uint256 j = 0; j < i; j++) {
+                require(sellers[j] != order.seller, "One order per seller");
+            }
+            if (i == 0) {
+                token = order.paymentToken;
+            } else {
+                require(order.paymentToken == token, "Mixed payment currencies");
+            }
+            
+            ids[i] = order.orderId;
+            sellers[i] = order.seller;
+            grandTotal += order.totalAmount;
+        }
+        
+        if (token == address(0)) {
+            require(msg.value == grandTotal, "Incorrect payment amount");
+        } else {
+            require(msg.value == 0, "Order is paid in tokens");
+            _pullTokens(token, grandTotal);
+        }
+        
+        escrowIds = new bytes32[](ids.length);
+        for (uint256 i = 0; i < ids.length; i++) {
+            Order storage order = orders[ids[i]];
+            escrowIds[i] = _lockPayment(order, _createEscrow(order));
+        }
+        
+        emit CartCheckedOut(_cartId, msg.sender, ids, token, grandTotal);
+    }
+    
+    /**
+     * @dev Record a pending order for _buyer. All items must belong to one
+     * seller and share a payment currency; stock is reserved per item. Items
+     * are priced by the listing unless _agreedPrice (auctions and offers) is
+     * set; fixed-price orders are refused for listings sold those ways.
+     */
+    function _createOrder(
+        string memory _orderId,
+        CartItem[] memory _items,
+        address _buyer,
+        uint256 _agreedPrice
+    ) internal returns (Order storage order) {
         require(bytes(_orderId).length > 0, "Invalid order ID");
         require(bytes(orders[_orderId].orderId).length == 0, "Order already exists");
-        require(_quantity > 0, "Quantity must be greater than 0");
+        require(_items.length > 0, "Order has no items");
         
-        // Get listing details
-        ListingRegistry.Listing memory listing = listingRegistry.getListing(_listingId);
-        require(listing.active, "Listing is not active");
-        require(listing.stock >= _quantity, "Insufficient stock");
-        
-        // Calculate total amount
-        uint256 totalAmount = listing.price * _quantity;
+        address seller;
+        address paymentToken;
+        uint256 totalQuantity;
+        uint256 totalAmount;
         
-        // Decrement stock
-        require(listingRegistry.decrementStock(_listingId, _quantity), "Failed to decrement stock");
+        for (uint256 i = 0; i < _items.length; i++) {
+            require(_items[i].quantity > 0, "Quantity must be greater than 0");
+            
+            // Get listing details
+            ListingRegistry.Listing memory listing = listingRegistry.getListing(_items[i].listingId);
+            require(
+                listing.paymentToken == address(0) || listingRegistry.allowedTokens(listing.paymentToken),
+                "Payment token not allowed"
+            );
+            
+            if (i == 0) {
+                seller = listing.seller;
+                paymentToken = listing.paymentToken;
+            } else {
+                require(listing.seller == seller, "Items from different sellers");
+                require(listing.paymentToken == paymentToken, "Mixed payment currencies");
+            }
+            
+            // Reserve stock of the listing or variant; reverts when it is
+            // inactive or short, and prices the line
+            uint256 unitPrice = listingRegistry.decrementStock(
+                _items[i].listingId,
+                _items[i].variantId,
+                _items[i].quantity,
+                _agreedPrice > 0
+            );
+            if (_agreedPrice > 0) unitPrice = _agreedPrice;
+            
+            orderItems[_orderId].push(LineItem(_items[i].listingId, _items[i].variantId, _items[i].quantity, unitPrice));
+            totalQuantity += _items[i].quantity;
+            totalAmount += unitPrice * _items[i].quantity;
+        }
         
         // Create order
-        Order memory newOrder = Order({
-            orderId: _orderId,
-            listingId: _listingId,
-            buyer: msg.sender,
-            seller: listing.seller,
-            quantity: _quantity,
-            totalAmount: totalAmount,
-            status: OrderStatus.Pending,
-            escrowId: bytes32(0),
-            createdAt: block.timestamp,
-            updatedAt: block.timestamp
-        });
-        
-        orders[_orderId] = newOrder;
-        orderIds.push(_orderId);
-        buyerOrders[msg.sender].push(_orderId);
-        sellerOrders[listing.seller].push(_orderId);
+        order = orders[_orderId];
+        order.orderId = _orderId;
+        order.listingId = _items[0].listingId;
+        order.buyer = _buyer;
+        order.seller = seller;
+        order.quantity = totalQuantity;
+        order.totalAmount = totalAmount;
+        order.status = OrderStatus.Pending;
+        order.createdAt = block.timestamp;
+        order.updatedAt = block.timestamp;
+        order.paymentToken = paymentToken;
+        order.paymentDeadline = block.timestamp + paymentWindow;
         
-        emit OrderCreated(_orderId, _listingId, msg.sender, listing.seller, _quantity, totalAmount);
+        orderIds.push(_orderId);
+        buyerOrders[_buyer].push(_orderId);
+        sellerOrders[seller].push(_orderId);
         
-        return true;
+        emit OrderCreated(_orderId, order.listingId, _buyer, seller, totalQuantity, totalAmount);
     }
     
     /**
-     * @dev Pay for an order and create escrow
+     * @dev Pay for an order and create escrow. ETH orders send totalAmount as
+     * msg.value; token orders need an allowance of totalAmount for this contract.
      */
     function payOrder(string memory _orderId) external payable nonReentrant returns (bytes32) {
-        Order storage order = orders[_orderId];
+        return _payAndLock(_payableOrder(_orderId));
+    }
+    
+    /**
+     * @dev Take the order total from the caller (msg.value or a token pull)
+     * and lock it in escrow
+     */
+    function _payAndLock(Order storage order) internal returns (bytes32) {
+        if (order.paymentToken == address(0)) {
+            require(msg.value == order.totalAmount, "Incorrect payment amount");
+        } else {
+            require(msg.value == 0, "Order is paid in tokens");
+            _pullTokens(order.paymentToken, order.totalAmount);
+        }
+        
+        return _lockPayment(order, _createEscrow(order));
+    }
+    
+    /**
+     * @dev Pay a token order, approving the transfer with an EIP-2612 permit
+     */
+    function payOrderWithPermit(
+        string memory _orderId,
+        uint256 _deadline,
+        uint8 _v,
+        bytes32 _r,
+        bytes32 _s
+    ) external nonReentrant returns (bytes32) {
+        Order storage order = _payableOrder(_orderId);
+        require(order.paymentToken != address(0), "Order is paid in ETH");
+        
+        // A front-run permit leaves the allowance in place, so only fail if it is missing
+        try IERC20Permit(order.paymentToken).permit(
+            msg.sender, address(this), order.totalAmount, _deadline, _v, _r, _s
+        ) {
+        } catch {
+            require(
+                IERC20(order.paymentToken).allowance(msg.sender, address(this)) >= order.totalAmount,
+                "Permit failed"
+            );
+        }
+        
+        _pullTokens(order.paymentToken, order.totalAmount);
+        return _lockPayment(order, _createEscrow(order));
+    }
+    
+    function _payableOrder(string memory _orderId) internal view returns (Order storage order) {
+        order = orders[_orderId];
         
         require(bytes(order.orderId).length > 0, "Order does not exist");
         require(order.buyer == msg.sender, "Not the buyer");
         require(order.status == OrderStatus.Pending, "Order is not pending");
-        require(msg.value == order.totalAmount, "Incorrect payment amount");
-        
-        // Create escrow
-        bytes32 escrowId = escrowContract.createEscrow{value: msg.value}(_orderId, order.seller);
-        
-        // Update order
-        order.escrowId = escrowId;
+        require(block.timestamp <= order.paymentDeadline, "Payment deadline passed");
+    }
+    
+    function _pullTokens(address _token, uint256 _amount) internal {
+        // Pull from the buyer, then let Escrow pull from here
+        IERC20(_token).safeTransferFrom(msg.sender, address(this), _amount);
+        IERC20(_token).forceApprove(address(escrowContract), _amount);
+    }
+    
+    function _createEscrow(Order storage order) internal returns (bytes32) {
+        if (order.paymentToken == address(0)) {
+            return escrowContract.createEscrowFor{value: order.totalAmount}(order.orderId, order.buyer, order.seller);
+        }
+        return escrowContract.createTokenEscrowFor(
+            order.orderId,
+            order.paymentToken,
+            order.buyer,
+            order.seller,
+            order.totalAmount
+        );
+    }
+    
+    function _lockPayment(Order storage order, bytes32 _escrowId) internal returns (bytes32) {
+        order.escrowId = _escrowId;
         order.status = OrderStatus.Paid;
         order.updatedAt = block.timestamp;
         
-        emit OrderPaid(_orderId, escrowId, msg.value);
-        emit OrderStatusUpdated(_orderId, OrderStatus.Pending, OrderStatus.Paid);
+        emit OrderPaid(order.orderId, _escrowId, order.totalAmount);
+        emit OrderStatusUpdated(order.orderId, OrderStatus.Pending, OrderStatus.Paid);
         
-        return escrowId;
+        return _escrowId;
     }
     
     /**
-     * @dev Update order status (seller can mark as shipped, buyer can mark as delivered)
+     * @dev Move an order along the status state machine. Allowed transitions:
+     *   Paid      -> Shipped               seller
+     *   Shipped   -> Delivered             buyer or owner; releases the locked escrow
+     *   Paid/Shipped -> Delivered          any party, once the escrow was released
+     *                                      directly on Escrow (e.g. by the release keeper)
+     *   Pending   -> Cancelled             any party
+     *   Paid      -> Cancelled             any party; refunds the locked escrow (ends Refunded)
+     *   Paid/Shipped -> Disputed           any party, once the escrow is disputed
+     *   Disputed  -> Delivered / Refunded  any party, once the escrow was released /
+     *                                      refunded (either after a split ruling)
+     * Pending -> Paid and Delivered -> Refunded only happen through payOrder and
+     * the return flow.
      */
     function updateOrderStatus(
         string memory _orderId,
         OrderStatus _newStatus,
         string memory _notes
-    ) external {
+    ) external nonReentrant {
         Order storage order = orders[_orderId];
         
         require(bytes(order.orderId).length > 0, "Order does not exist");
@@ -179,30 +475,160 @@ contract OrderManager is Ownable, ReentrancyGuard {
             msg.sender == owner(),
             "Not authorized"
         );
+        require(_isTransitionAllowed(order, _newStatus, msg.sender), "Invalid status transition");
+        
+        if (_newStatus == OrderStatus.Cancelled) {
+            _cancelOrder(order, _notes);
+            return;
+        }
         
         OrderStatus oldStatus = order.status;
+        order.status = _newStatus;
+        order.updatedAt = block.timestamp;
         
-        // Status transition validation
         if (_newStatus == OrderStatus.Shipped) {
-            require(order.status == OrderStatus.Paid, "Order must be paid first");
-            require(msg.sender == order.seller, "Only seller can mark as shipped");
             emit OrderShipped(_orderId, _notes);
-        } else if (_newStatus == OrderStatus.Delivered) {
-            require(order.status == OrderStatus.Shipped, "Order must be shipped first");
-            emit OrderDelivered(_orderId);
-        } else if (_newStatus == OrderStatus.Cancelled) {
-            require(order.status == OrderStatus.Pending || order.status == OrderStatus.Paid, "Cannot cancel at this stage");
-            emit OrderCancelled(_orderId, _notes);
+        } else if (_newStatus == OrderStatus.Delivered || _newStatus == OrderStatus.Refunded) {
+            // The order is done with its listings
+            _closeOrderLines(_orderId);
+            if (_newStatus == OrderStatus.Delivered) {
+                _releaseIfLocked(order);
+                emit OrderDelivered(_orderId);
+            }
         }
         
-        order.status = _newStatus;
+        emit OrderStatusUpdated(_orderId, oldStatus, _newStatus);
+    }
+    
+    /**
+     * @dev Mark a paid order shipped (seller), anchoring the hash of its shipment record
+     */
+    function shipOrder(
+        string memory _orderId,
+        bytes32 _shipmentHash,
+        string memory _trackingInfo
+    ) external {
+        Order storage order = orders[_orderId];
+        
+        require(bytes(order.orderId).length > 0, "Order does not exist");
+        require(_shipmentHash != bytes32(0), "Shipment hash required");
+        require(_isTransitionAllowed(order, OrderStatus.Shipped, msg.sender), "Invalid status transition");
+        
+        order.status = OrderStatus.Shipped;
         order.updatedAt = block.timestamp;
+        shipmentHashes[_orderId] = _shipmentHash;
         
-        emit OrderStatusUpdated(_orderId, oldStatus, _newStatus);
+        emit OrderShipped(_orderId, _trackingInfo);
+        emit ShipmentAnchored(_orderId, _shipmentHash);
+        emit OrderStatusUpdated(_orderId, OrderStatus.Paid, OrderStatus.Shipped);
     }
     
     /**
-     * @dev Confirm delivery and release escrow
+     * @dev Confirm delivery on the buyer's behalf from a carrier delivery scan
+     * (platform only) and release the escrow. Only for shipments anchored with shipOrder.
+     */
+    function confirmDeliveryWithProof(string memory _orderId, bytes32 _proofHash) external onlyOwner nonReentrant {
+        Order storage order = orders[_orderId];
+        
+        require(bytes(order.orderId).length > 0, "Order does not exist");
+        require(_proofHash != bytes32(0), "Delivery proof required");
+        require(shipmentHashes[_orderId] != bytes32(0), "Shipment not anchored");
+        require(_isTransitionAllowed(order, OrderStatus.Delivered, msg.sender), "Invalid status transition");
+        require(order.status == OrderStatus.Shipped, "Order must be shipped");
+        
+        order.status = OrderStatus.Delivered;
+        order.updatedAt = block.timestamp;
+        deliveryProofHashes[_orderId] = _proofHash;
+        _closeOrderLines(_orderId);
+        
+        _releaseIfLocked(order);
+        
+        emit OrderDelivered(_orderId);
+        emit DeliveryProofAnchored(_orderId, _proofHash);
+        emit OrderStatusUpdated(_orderId, OrderStatus.Shipped, OrderStatus.Delivered);
+    }
+    
+    /**
+     * @dev Statuses `_account` may move the order to with updateOrderStatus
+     */
+    function getAllowedStatuses(
+        string memory _orderId,
+        address _account
+    ) external view returns (OrderStatus[] memory allowed) {
+        Order storage order = orders[_orderId];
+        require(bytes(order.orderId).length > 0, "Order does not exist");
+        
+        allowed = new OrderStatus[](uint256(type(OrderStatus).max) + 1);
+        uint256 count;
+        for (uint256 i = 0; i <= uint256(type(OrderStatus).max); i++) {
+            if (_isTransitionAllowed(order, OrderStatus(i), _account)) {
+                allowed[count++] = OrderStatus(i);
+            }
+        }
+        
+        // Trim the array to the statuses found
+        assembly ("memory-safe") {
+            mstore(allowed, count)
+        }
+    }
+    
+    function _isTransitionAllowed(
+        Order storage order,
+        OrderStatus _to,
+        address _account
+    ) internal view returns (bool) {
+        bool isBuyer = _account == order.buyer;
+        bool isSeller = _account == order.seller;
+        bool isOwner = _account == owner();
+        if (!isBuyer && !isSeller && !isOwner) return false;
+        
+        OrderStatus from = order.status;
+        
+        if (_to == OrderStatus.Shipped) {
+            return from == OrderStatus.Paid && isSeller;
+        }
+        // Cancelling a paid order and delivering refund / release a locked escrow
+        if (_to == OrderStatus.Cancelled) {
+            if (from == OrderStatus.Pending) return true;
+            return from == OrderStatus.Paid && _escrowState(order) == Escrow.EscrowState.Locked;
+        }
+        if (_to == OrderStatus.Delivered) {
+            if (from != OrderStatus.Paid && from != OrderStatus.Shipped && from != OrderStatus.Disputed) return false;
+            Escrow.EscrowState state = _escrowState(order);
+            if (from == OrderStatus.Disputed) {
+                return state == Escrow.EscrowState.Released || state == Escrow.EscrowState.Resolved;
+            }
+            // Released outside OrderManager: the order only catches up
+            if (state == Escrow.EscrowState.Released) return true;
+            return from == OrderStatus.Shipped && (isBuyer || isOwner) && state == Escrow.EscrowState.Locked;
+        }
+        if (_to == OrderStatus.Disputed) {
+            return (from == OrderStatus.Paid || from == OrderStatus.Shipped) &&
+                _escrowState(order) == Escrow.EscrowState.Disputed;
+        }
+        if (_to == OrderStatus.Refunded) {
+            if (from != OrderStatus.Disputed) return false;
+            Escrow.EscrowState state = _escrowState(order);
+            return state == Escrow.EscrowState.Refunded || state == Escrow.EscrowState.Resolved;
+        }
+        
+        // Pending and Paid are never set directly
+        return false;
+    }
+    
+    function _escrowState(Order storage order) internal view returns (Escrow.EscrowState) {
+        return escrowContract.getEscrow(order.escrowId).state;
+    }
+    
+    // The release keeper, the buyer and the owner can release on Escrow directly
+    function _releaseIfLocked(Order storage order) internal {
+        if (_escrowState(order) == Escrow.EscrowState.Locked) {
+            escrowContract.releaseEscrow(order.escrowId);
+        }
+    }
+    
+    /**
+     * @dev Confirm delivery and release escrow (if it was not released already)
      */
     function confirmDeliveryAndRelease(string memory _orderId) external nonReentrant {
         Order storage order = orders[_orderId];
@@ -211,13 +637,14 @@ contract OrderManager is Ownable, ReentrancyGuard {
         require(msg.sender == order.buyer, "Only buyer can confirm delivery");
         require(order.status == OrderStatus.Shipped, "Order must be shipped");
         require(order.escrowId != bytes32(0), "No escrow found");
+        require(_isTransitionAllowed(order, OrderStatus.Delivered, msg.sender), "Invalid status transition");
         
         // Update order status
         order.status = OrderStatus.Delivered;
         order.updatedAt = block.timestamp;
+        _closeOrderLines(_orderId);
         
-        // Release escrow
-        escrowContract.releaseEscrow(order.escrowId);
+        _releaseIfLocked(order);
         
         emit OrderDelivered(_orderId);
         emit OrderStatusUpdated(_orderId, OrderStatus.Shipped, OrderStatus.Delivered);
@@ -241,9 +668,14 @@ contract OrderManager is Ownable, ReentrancyGuard {
             "Cannot cancel at this stage"
         );
         
+        _cancelOrder(order, _reason);
+    }
+    
+    function _cancelOrder(Order storage order, string memory _reason) internal {
         OrderStatus oldStatus = order.status;
         order.status = OrderStatus.Cancelled;
         order.updatedAt = block.timestamp;
+        _restoreStock(order.orderId);
         
         // Refund if already paid
         if (oldStatus == OrderStatus.Paid && order.escrowId != bytes32(0)) {
@@ -251,8 +683,195 @@ contract OrderManager is Ownable, ReentrancyGuard {
             order.status = OrderStatus.Refunded;
         }
         
-        emit OrderCancelled(_orderId, _reason);
-        emit OrderStatusUpdated(_orderId, oldStatus, order.status);
+        emit OrderCancelled(order.orderId, _reason);
+        emit OrderStatusUpdated(order.orderId, oldStatus, order.status);
+    }
+    
+    /**
+     * @dev Cancel an order that was not paid by its deadline and return its
+     * stock. Callable by anyone, so a keeper can sweep stale orders.
+     */
+    function expireOrder(string memory _orderId) external nonReentrant {
+        Order storage order = orders[_orderId];
+        
+        require(bytes(order.orderId).length > 0, "Order does not exist");
+        require(order.status == OrderStatus.Pending, "Order is not pending");
+        require(block.timestamp > order.paymentDeadline, "Payment deadline not reached");
+        
+        order.status = OrderStatus.Cancelled;
+        order.updatedAt = block.timestamp;
+        _restoreStock(_orderId);
+        
+        emit OrderExpired(_orderId, order.paymentDeadline);
+        emit OrderCancelled(_orderId, "Payment deadline passed");
+        emit OrderStatusUpdated(_orderId, OrderStatus.Pending, OrderStatus.Cancelled);
+    }
+    
+    /**
+     * @dev Release the escrow of an order past its release time and mark the
+     * order delivered. Callable by anyone, so the release keeper settles
+     * the order together with its escrow.
+     */
+    function releaseDueOrder(string memory _orderId) external nonReentrant {
+        Order storage order = orders[_orderId];
+    
+        require(bytes(order.orderId).length > 0, "Order does not exist");
+        require(
+            order.status == OrderStatus.Paid || order.status == OrderStatus.Shipped,
+            "Order is not awaiting delivery"
+        );
+        require(escrowContract.canAutoRelease(order.escrowId), "Escrow is not due for release");
+    
+        OrderStatus oldStatus = order.status;
+        order.status = OrderStatus.Delivered;
+        order.updatedAt = block.timestamp;
+        _closeOrderLines(_orderId);
+    
+        escrowContract.releaseEscrow(order.escrowId);
+    
+        emit OrderDelivered(_orderId);
+        emit OrderStatusUpdated(_orderId, oldStatus, OrderStatus.Delivered);
+    }
+    
+    /**
+     * @dev Set how long new orders can stay unpaid
+     */
+    function setPaymentWindow(uint256 _paymentWindow) external onlyOwner {
+        require(
+            _paymentWindow >= MIN_PAYMENT_WINDOW && _paymentWindow <= MAX_PAYMENT_WINDOW,
+            "Payment window out of range"
+        );
+        paymentWindow = _paymentWindow;
+        emit PaymentWindowUpdated(_paymentWindow);
+    }
+    
+    /**
+     * @dev Set the sale contract allowed to create orders for won auctions and accepted offers
+     */
+    function setSaleContract(address _saleContract) external onlyOwner {
+        saleContract = _saleContract;
+        emit SaleContractUpdated(_saleContract);
+    }
+    
+    /**
+     * @dev Request a return of a delivered order. The escrow must still be in
+     * its return window; the refund is reserved from the holdback and the
+     * seller's deposit.
+     */
+    function requestReturn(
+        string memory _orderId,
+        string memory _reason,
+        string memory _evidenceCID
+    ) external {
+        Order storage order = orders[_orderId];
+        ReturnRequest storage ret = orderReturns[_orderId];
+        
+        require(bytes(order.orderId).length > 0, "Order does not exist");
+        require(msg.sender == order.buyer, "Only buyer can request a return");
+        require(order.status == OrderStatus.Delivered, "Order must be delivered");
+        require(ret.status == ReturnStatus.None, "Return already requested");
+        require(bytes(_reason).length > 0, "Return reason required");
+        
+        escrowContract.openReturn(order.escrowId);
+        
+        ret.reason = _reason;
+        ret.evidenceCID = _evidenceCID;
+        ret.requestedAt = block.timestamp;
+        _setReturnStatus(_orderId, ReturnStatus.Requested, _reason);
+        
+        emit ReturnRequested(_orderId, msg.sender, _reason, _evidenceCID);
+    }
+    
+    /**
+     * @dev Seller approves or rejects a requested return
+     */
+    function respondToReturn(string memory _orderId, bool _approve, string memory _note) external {
+        Order storage order = orders[_orderId];
+        
+        require(msg.sender == order.seller, "Only seller can respond to a return");
+        require(orderReturns[_orderId].status == ReturnStatus.Requested, "Return is not requested");
+        
+        orderReturns[_orderId].sellerNote = _note;
+        if (_approve) {
+            _setReturnStatus(_orderId, ReturnStatus.Approved, _note);
+        } else {
+            escrowContract.closeReturn(order.escrowId);
+            _setReturnStatus(_orderId, ReturnStatus.Rejected, _note);
+        }
+    }
+    
+    /**
+     * @dev Buyer marks an approved return as shipped back
+     */
+    function markReturnShipped(string memory _orderId, string memory _trackingInfo) external {
+        require(msg.sender == orders[_orderId].buyer, "Only buyer can ship a return");
+        require(orderReturns[_orderId].status == ReturnStatus.Approved, "Return is not approved");
+        
+        orderReturns[_orderId].trackingInfo = _trackingInfo;
+        _setReturnStatus(_orderId, ReturnStatus.Shipped, _trackingInfo);
+    }
+    
+    /**
+     * @dev Seller (or the platform) confirms the returned goods arrived, which
+     * refunds the buyer and moves the order to Refunded
+     */
+    function confirmReturnReceived(string memory _orderId) external nonReentrant {
+        Order storage order = orders[_orderId];
+        ReturnRequest storage ret = orderReturns[_orderId];
+        
+        require(
+            msg.sender == order.seller || msg.sender == owner(),
+            "Only seller can confirm a return"
+        );
+        require(ret.status == ReturnStatus.Shipped, "Return is not shipped");
+        
+        _setReturnStatus(_orderId, ReturnStatus.Received, "");
+        
+        ret.refundAmount = escrowContract.refundReturn(order.escrowId);
+        _setReturnStatus(_orderId, ReturnStatus.Refunded, "");
+        
+        order.status = OrderStatus.Refunded;
+        order.updatedAt = block.timestamp;
+        
+        emit OrderStatusUpdated(_orderId, OrderStatus.Delivered, OrderStatus.Refunded);
+    }
+    
+    /**
+     * @dev Close an approved return the buyer did not ship back within
+     * RETURN_SHIP_PERIOD. Callable by anyone.
+     */
+    function expireReturn(string memory _orderId) external {
+        ReturnRequest storage ret = orderReturns[_orderId];
+        
+        require(ret.status == ReturnStatus.Approved, "Return is not approved");
+        require(block.timestamp > ret.updatedAt + RETURN_SHIP_PERIOD, "Return ship period not over");
+        
+        escrowContract.closeReturn(orders[_orderId].escrowId);
+        _setReturnStatus(_orderId, ReturnStatus.Rejected, "Return not shipped in time");
+    }
+    
+    function _setReturnStatus(string memory _orderId, ReturnStatus _status, string memory _note) internal {
+        ReturnRequest storage ret = orderReturns[_orderId];
+        ReturnStatus oldStatus = ret.status;
+        
+        ret.status = _status;
+        ret.updatedAt = block.timestamp;
+        
+        emit ReturnStatusUpdated(_orderId, oldStatus, _status, _note);
+    }
+    
+    function _restoreStock(string memory _orderId) internal {
+        LineItem[] storage items = orderItems[_orderId];
+        for (uint256 i = 0; i < items.length; i++) {
+            listingRegistry.incrementStock(items[i].listingId, items[i].variantId, items[i].quantity);
+        }
+    }
+    
+    function _closeOrderLines(string memory _orderId) internal {
+        LineItem[] storage items = orderItems[_orderId];
+        for (uint256 i = 0; i < items.length; i++) {
+            listingRegistry.closeOrderLine(items[i].listingId);
+        }
     }
     
     /**
@@ -263,6 +882,22 @@ contract OrderManager is Ownable, ReentrancyGuard {
         return orders[_orderId];
     }
     
+    /**
+     * @dev Get the line items of an order
+     */
+    function getOrderItems(string memory _orderId) external view returns (LineItem[] memory) {
+        require(bytes(orders[_orderId].orderId).length > 0, "Order does not exist");
+        return orderItems[_orderId];
+    }
+    
+    /**
+     * @dev Get the return of an order (status None if there is none)
+     */
+    function getReturn(string memory _orderId) external view returns (ReturnRequest memory) {
+        require(bytes(orders[_orderId].orderId).length > 0, "Order does not exist");
+        return orderReturns[_orderId];
+    }
+    
     /**
      * @dev Get buyer's orders
      */
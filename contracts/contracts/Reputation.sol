@@ -3,6 +3,7 @@ pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/access/Ownable.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "./OrderManager.sol";
 
 /**
  * @title Reputation
@@ -75,12 +76,21 @@ contract Reputation is Ownable, ReentrancyGuard {
     mapping(address => string[]) public userRatings; // user => ratingIds[]
     mapping(string => string[]) public orderRatings; // orderId => ratingIds[]
     mapping(string => bool) public ratingExists; // ratingId => exists
+    mapping(string => mapping(RatingType => bool)) public orderRated; // orderId => direction => rated
+    
+    // Orders ratings are checked against
+    OrderManager public orderManager;
     
     uint256 public identityCounter;
     uint256 public ratingCounter;
     uint256 public constant MIN_RATING = 1;
     uint256 public constant MAX_RATING = 5;
     
+    // Reputation scores are a Bayesian average; see _calculateBaseScore
+    string public constant SCORE_ALGORITHM = "bayesian-v1";
+    uint256 public constant PRIOR_MEAN = 3;
+    uint256 public constant PRIOR_WEIGHT = 5;
+    
     // DID validation regex pattern stored as string for events
     string public constant DID_PATTERN = "did:ethr:0x";
     
@@ -116,6 +126,8 @@ contract Reputation is Ownable, ReentrancyGuard {
         uint256 timestamp
     );
     
+    event OrderManagerUpdated(address indexed orderManager);
+    
     event ReputationScoreUpdated(
         address indexed userAddress,
         string indexed did,
@@ -188,15 +200,26 @@ contract Reputation is Ownable, ReentrancyGuard {
         newIdentity.avatar = _avatar;
         newIdentity.verified = false;
         newIdentity.verification.status = VerificationStatus.UNVERIFIED;
-        newIdentity.reputationScore.value = 50;
-        newIdentity.reputationScore.algorithm = "weighted-v1";
-        newIdentity.reputationScore.confidence = 50;
+        newIdentity.reputationScore.algorithm = SCORE_ALGORITHM;
+        _setDefaultScore(newIdentity);
         newIdentity.createdAt = block.timestamp;
         newIdentity.updatedAt = block.timestamp;
     }
     
     /**
-     * @dev Submit a rating
+     * @dev Set the OrderManager whose orders ratings must come from
+     */
+    function setOrderManager(address _orderManager) external onlyOwner {
+        require(_orderManager != address(0), "Invalid order manager");
+        orderManager = OrderManager(_orderManager);
+        emit OrderManagerUpdated(_orderManager);
+    }
+    
+    /**
+     * @dev Submit a rating. Buyer and seller ratings need an order that was
+     * Delivered or Refunded (including disputes resolved either way), from
+     * the party the direction names to the other one, once per direction.
+     * Admin adjustments are owner-only and not tied to an order.
      * @param _toAddress Recipient address
      * @param _orderId Order ID for verification
      * @param _rating Rating from 1-5
@@ -212,6 +235,14 @@ contract Reputation is Ownable, ReentrancyGuard {
     ) external validRating(_rating) onlyRegisteredIdentity(_toAddress) onlyRegisteredIdentity(msg.sender) nonReentrant {
         require(_toAddress != msg.sender, "Cannot rate yourself");
         
+        if (_ratingType == RatingType.ADMIN_ADJUSTMENT) {
+            require(msg.sender == owner(), "Only owner can adjust");
+        } else {
+            _checkOrderParties(_orderId, _toAddress, _ratingType);
+            require(!orderRated[_orderId][_ratingType], "Order already rated in this direction");
+            orderRated[_orderId][_ratingType] = true;
+        }
+        
         ratingCounter++;
         string memory ratingId = _generateRatingId();
         
@@ -229,6 +260,25 @@ contract Reputation is Ownable, ReentrancyGuard {
         );
     }
     
+    function _checkOrderParties(string memory _orderId, address _toAddress, RatingType _ratingType) private view {
+        require(address(orderManager) != address(0), "Order manager not set");
+        
+        OrderManager.Order memory order = orderManager.getOrder(_orderId);
+        require(
+            order.status == OrderManager.OrderStatus.Delivered ||
+            order.status == OrderManager.OrderStatus.Refunded,
+            "Order not completed"
+        );
+        
+        if (_ratingType == RatingType.BUYER_TO_SELLER) {
+            require(msg.sender == order.buyer, "Only the buyer can rate the seller");
+            require(_toAddress == order.seller, "Recipient is not the order's seller");
+        } else {
+            require(msg.sender == order.seller, "Only the seller can rate the buyer");
+            require(_toAddress == order.buyer, "Recipient is not the order's buyer");
+        }
+    }
+    
     function _generateRatingId() private view returns (string memory) {
         return string(abi.encodePacked("r_", _toString(ratingCounter), "_", _toString(block.timestamp)));
     }
@@ -503,7 +553,7 @@ contract Reputation is Ownable, ReentrancyGuard {
             return;
         }
         
-        uint256 baseScore = _calculateBaseScore(totalScore, validRatings, identity.verified);
+        uint256 baseScore = _calculateBaseScore(totalScore, validRatings);
         uint256 confidence = _calculateConfidence(validRatings);
         
         uint256 oldScore = identity.reputationScore.value;
@@ -516,7 +566,7 @@ contract Reputation is Ownable, ReentrancyGuard {
     
     function _setDefaultScore(Identity storage identity) private {
         identity.reputationScore.value = 50;
-        identity.reputationScore.confidence = 50;
+        identity.reputationScore.confidence = 0;
     }
     
     function _calculateTotalScore(string[] memory userRatingIds) private view returns (uint256, uint256) {
@@ -533,27 +583,20 @@ contract Reputation is Ownable, ReentrancyGuard {
         return (totalScore, validRatings);
     }
     
-    function _calculateBaseScore(uint256 totalScore, uint256 validRatings, bool verified) private pure returns (uint256) {
-        uint256 averageRating = totalScore / validRatings;
-        uint256 baseScore = averageRating * 20;
-        
-        if (verified) {
-            baseScore += 5;
-        }
-        
-        uint256 volumeBonus = validRatings > 50 ? 10 : (validRatings * 10) / 50;
-        baseScore += volumeBonus;
-        
-        if (baseScore > 100) baseScore = 100;
-        if (baseScore < 1) baseScore = 1;
-        
-        return baseScore;
+    /**
+     * @dev Bayesian average: the mean star rating shrunk towards PRIOR_MEAN
+     * with the weight of PRIOR_WEIGHT ratings, mapped from 1-5 stars onto
+     * 0-100 and rounded. Matches bayesian-v1 in the identity service.
+     */
+    function _calculateBaseScore(uint256 totalScore, uint256 validRatings) private pure returns (uint256) {
+        uint256 weight = PRIOR_WEIGHT + validRatings;
+        // ((PRIOR_MEAN * PRIOR_WEIGHT + totalScore) / weight - 1) * 25, rounded half up
+        uint256 scaled = 25 * (PRIOR_MEAN * PRIOR_WEIGHT + totalScore - weight);
+        return (2 * scaled + weight) / (2 * weight);
     }
     
     function _calculateConfidence(uint256 validRatings) private pure returns (uint256) {
-        uint256 confidence = validRatings > 20 ? 100 : (validRatings * 100) / 20;
-        if (confidence > 100) confidence = 100;
-        return confidence;
+        return (validRatings * 100) / (validRatings + PRIOR_WEIGHT);
     }
     
     /**
@@ -52,6 +52,55 @@ async function main() {
   const orderManagerAddress = await OrderManager.getAddress();
   console.log("✅ OrderManager:", orderManagerAddress);
 
+  // Cancelled and expired orders put their stock back through OrderManager
+  await (await ListingRegistry.setOrderManager(orderManagerAddress)).wait();
+  console.log("✅ OrderManager allowed to restore listing stock");
+
+  // Ratings must come from the buyer or seller of a completed order
+  await (await Reputation.setOrderManager(orderManagerAddress)).wait();
+  console.log("✅ Reputation checks ratings against OrderManager");
+
+  // ---------------------------
+  // 5. AuctionHouse
+  // ---------------------------
+  console.log("\n🔨 Deploying AuctionHouse...");
+  const AuctionHouse = await hre.ethers.deployContract(
+    "AuctionHouse",
+    [listingAddress, orderManagerAddress]
+  );
+  await AuctionHouse.waitForDeployment();
+  const auctionHouseAddress = await AuctionHouse.getAddress();
+  console.log("✅ AuctionHouse:", auctionHouseAddress);
+
+  // Auctions and offers switch listing sale modes and turn into paid orders
+  await (await ListingRegistry.setSaleContract(auctionHouseAddress)).wait();
+  await (await OrderManager.setSaleContract(auctionHouseAddress)).wait();
+  console.log("✅ AuctionHouse allowed to set sale modes and create sale orders");
+
+  // ---------------------------
+  // 6. Mock stablecoin (local networks only)
+  // ---------------------------
+  let mockStablecoinAddress = null;
+  if (["hardhat", "localhost"].includes(hre.network.name)) {
+    console.log("\n🪙 Deploying MockStablecoin...");
+    const MockStablecoin = await hre.ethers.deployContract("MockStablecoin");
+    await MockStablecoin.waitForDeployment();
+    mockStablecoinAddress = await MockStablecoin.getAddress();
+    console.log("✅ MockStablecoin (USDC):", mockStablecoinAddress);
+
+    // Listings priced in "USDC" lock this token in escrow
+    await (await ListingRegistry.setPaymentToken("USDC", mockStablecoinAddress)).wait();
+    console.log("✅ USDC allow-listed in ListingRegistry");
+
+    // 10,000 USDC for each of the first 10 test accounts
+    const signers = await hre.ethers.getSigners();
+    const faucetAmount = hre.ethers.parseUnits("10000", 6);
+    for (const signer of signers.slice(0, 10)) {
+      await (await MockStablecoin.mint(signer.address, faucetAmount)).wait();
+    }
+    console.log("✅ Minted 10,000 USDC to the first 10 accounts");
+  }
+
   // ---------------------------
   // Save deployments.json
   // ---------------------------
@@ -63,7 +112,9 @@ async function main() {
       Reputation: { address: reputationAddress },
       ListingRegistry: { address: listingAddress },
       Escrow: { address: escrowAddress },
-      OrderManager: { address: orderManagerAddress }
+      OrderManager: { address: orderManagerAddress },
+      AuctionHouse: { address: auctionHouseAddress },
+      ...(mockStablecoinAddress && { MockStablecoin: { address: mockStablecoinAddress, symbol: "USDC", decimals: 6 } })
     },
     deployer: deployer.address
   };
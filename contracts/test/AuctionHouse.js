@@ -0,0 +1,182 @@
+const { loadFixture, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { ORDER_STATUS, ESCROW_STATE, deployMarketplace } = require("./fixtures");
+
+const SALE_MODE = { FixedPrice: 0, Auction: 1, BestOffer: 2 };
+const AUCTION_STATUS = { None: 0, Active: 1, Settled: 2, Ended: 3, Cancelled: 4 };
+
+const START_PRICE = ethers.parseEther("1");
+const RESERVE_PRICE = ethers.parseEther("1.5");
+const MIN_INCREMENT = ethers.parseEther("0.1");
+const DURATION = 24 * 60 * 60;
+
+describe("AuctionHouse", function () {
+  // One unit of a 1 ETH listing with 5 in stock up for a day, reserve 1.5 ETH
+  async function auctionFixture() {
+    const contracts = await deployMarketplace();
+    const { listingRegistry, auctionHouse, seller } = contracts;
+    await listingRegistry.connect(seller).createListing("listing-1", "Lamp", ethers.parseEther("1"), "ETH", 5, "QmLamp");
+    await auctionHouse.connect(seller).createAuction(
+      "auction-1", "listing-1", 0, 1, START_PRICE, RESERVE_PRICE, MIN_INCREMENT, DURATION, 0
+    );
+    return contracts;
+  }
+
+  describe("Bidding", function () {
+    it("takes a bid at the start price and holds it", async function () {
+      const { auctionHouse, buyer } = await loadFixture(auctionFixture);
+
+      await expect(auctionHouse.connect(buyer).bid("auction-1", START_PRICE, { value: START_PRICE }))
+        .to.emit(auctionHouse, "BidPlaced");
+
+      const auction = await auctionHouse.getAuction("auction-1");
+      expect(auction.highestBidder).to.equal(buyer.address);
+      expect(auction.highestBid).to.equal(START_PRICE);
+      expect(auction.bidCount).to.equal(1);
+      expect(await ethers.provider.getBalance(await auctionHouse.getAddress())).to.equal(START_PRICE);
+    });
+
+    it("rejects bids below the start price, from the seller or with the wrong amount", async function () {
+      const { auctionHouse, seller, buyer } = await loadFixture(auctionFixture);
+      const low = START_PRICE - 1n;
+
+      await expect(auctionHouse.connect(buyer).bid("auction-1", low, { value: low }))
+        .to.be.revertedWith("Bid below start price");
+      await expect(auctionHouse.connect(seller).bid("auction-1", START_PRICE, { value: START_PRICE }))
+        .to.be.revertedWith("Seller cannot bid");
+      await expect(auctionHouse.connect(buyer).bid("auction-1", START_PRICE, { value: low }))
+        .to.be.revertedWith("Incorrect payment amount");
+    });
+
+    it("keeps the listing off fixed-price sale while the auction runs", async function () {
+      const { listingRegistry, orderManager, buyer } = await loadFixture(auctionFixture);
+
+      expect(await listingRegistry.saleModes("listing-1")).to.equal(SALE_MODE.Auction);
+      await expect(orderManager.connect(buyer).createOrder("order-1", "listing-1", 0, 1))
+        .to.be.revertedWith("Listing is not fixed price");
+    });
+
+    it("freezes the listing's price, stock and availability until settlement", async function () {
+      const { listingRegistry, auctionHouse, seller, buyer } = await loadFixture(auctionFixture);
+      const winning = ethers.parseEther("2");
+      await auctionHouse.connect(buyer).bid("auction-1", winning, { value: winning });
+
+      await expect(listingRegistry.connect(seller).updateListing("listing-1", ethers.parseEther("1"), 5, false))
+        .to.be.revertedWith("Listing is not fixed price");
+      await expect(listingRegistry.connect(seller).updateListing("listing-1", ethers.parseEther("1"), 0, true))
+        .to.be.revertedWith("Listing is not fixed price");
+      await time.increase(DURATION);
+
+      await expect(auctionHouse.connect(seller).settleAuction("auction-1", "order-1"))
+        .to.emit(auctionHouse, "AuctionSettled");
+      await listingRegistry.connect(seller).updateListing("listing-1", ethers.parseEther("1"), 0, false);
+    });
+  });
+
+  describe("Being outbid", function () {
+    async function outbidFixture() {
+      const contracts = await auctionFixture();
+      const { auctionHouse, buyer, otherBuyer } = contracts;
+      await auctionHouse.connect(buyer).bid("auction-1", START_PRICE, { value: START_PRICE });
+      const higher = START_PRICE + MIN_INCREMENT;
+      await auctionHouse.connect(otherBuyer).bid("auction-1", higher, { value: higher });
+      return contracts;
+    }
+
+    it("credits the previous bidder their bid back", async function () {
+      const { auctionHouse, buyer, otherBuyer } = await loadFixture(outbidFixture);
+
+      expect(await auctionHouse.refunds(buyer.address, ethers.ZeroAddress)).to.equal(START_PRICE);
+      expect((await auctionHouse.getAuction("auction-1")).highestBidder).to.equal(otherBuyer.address);
+    });
+
+    it("pays the credited bid out on withdrawRefund", async function () {
+      const { auctionHouse, buyer } = await loadFixture(outbidFixture);
+
+      await expect(auctionHouse.connect(buyer).withdrawRefund(ethers.ZeroAddress))
+        .to.changeEtherBalances([buyer, auctionHouse], [START_PRICE, -START_PRICE]);
+      expect(await auctionHouse.refunds(buyer.address, ethers.ZeroAddress)).to.equal(0);
+      await expect(auctionHouse.connect(buyer).withdrawRefund(ethers.ZeroAddress))
+        .to.be.revertedWith("Nothing to withdraw");
+    });
+
+    it("requires the minimum increment over the highest bid", async function () {
+      const { auctionHouse, buyer } = await loadFixture(outbidFixture);
+      const tooLow = START_PRICE + MIN_INCREMENT + MIN_INCREMENT - 1n;
+
+      await expect(auctionHouse.connect(buyer).bid("auction-1", tooLow, { value: tooLow }))
+        .to.be.revertedWith("Bid increment too small");
+    });
+  });
+
+  describe("Settlement", function () {
+    it("turns a winning bid over the reserve into a paid, escrowed order", async function () {
+      const { auctionHouse, orderManager, escrow, listingRegistry, seller, buyer } = await loadFixture(auctionFixture);
+      const winning = ethers.parseEther("2");
+      await auctionHouse.connect(buyer).bid("auction-1", winning, { value: winning });
+
+      await expect(auctionHouse.connect(seller).settleAuction("auction-1", "order-1"))
+        .to.be.revertedWith("Auction has not ended");
+      await time.increase(DURATION);
+
+      await expect(auctionHouse.connect(seller).settleAuction("auction-1", "order-1"))
+        .to.emit(auctionHouse, "AuctionSettled").withArgs("auction-1", buyer.address, winning, "order-1");
+
+      const order = await orderManager.getOrder("order-1");
+      expect(order.buyer).to.equal(buyer.address);
+      expect(order.seller).to.equal(seller.address);
+      expect(order.totalAmount).to.equal(winning);
+      expect(order.status).to.equal(ORDER_STATUS.Paid);
+
+      const held = await escrow.getEscrow(order.escrowId);
+      expect(held.state).to.equal(ESCROW_STATE.Locked);
+      expect(held.amount).to.equal(winning);
+      expect(await ethers.provider.getBalance(await auctionHouse.getAddress())).to.equal(0);
+
+      expect((await auctionHouse.getAuction("auction-1")).status).to.equal(AUCTION_STATUS.Settled);
+      expect((await listingRegistry.getListing("listing-1")).stock).to.equal(4);
+      expect(await listingRegistry.saleModes("listing-1")).to.equal(SALE_MODE.FixedPrice);
+    });
+
+    it("credits the highest bid back when the reserve was not met", async function () {
+      const { auctionHouse, orderManager, buyer } = await loadFixture(auctionFixture);
+      await auctionHouse.connect(buyer).bid("auction-1", START_PRICE, { value: START_PRICE });
+      await time.increase(DURATION);
+
+      await expect(auctionHouse.connect(buyer).settleAuction("auction-1", "order-1"))
+        .to.emit(auctionHouse, "AuctionEnded").withArgs("auction-1", START_PRICE, false);
+
+      expect(await auctionHouse.refunds(buyer.address, ethers.ZeroAddress)).to.equal(START_PRICE);
+      expect((await auctionHouse.getAuction("auction-1")).status).to.equal(AUCTION_STATUS.Ended);
+      await expect(orderManager.getOrder("order-1")).to.be.revertedWith("Order does not exist");
+    });
+  });
+
+  describe("No bids", function () {
+    it("ends without an order and puts the listing back on fixed-price sale", async function () {
+      const { auctionHouse, orderManager, listingRegistry, seller, buyer } = await loadFixture(auctionFixture);
+      await time.increase(DURATION);
+
+      await expect(auctionHouse.connect(seller).settleAuction("auction-1", "order-1"))
+        .to.emit(auctionHouse, "AuctionEnded").withArgs("auction-1", 0, false)
+        .and.not.to.emit(auctionHouse, "RefundCredited");
+
+      expect((await auctionHouse.getAuction("auction-1")).status).to.equal(AUCTION_STATUS.Ended);
+      await expect(orderManager.getOrder("order-1")).to.be.revertedWith("Order does not exist");
+      expect((await listingRegistry.getListing("listing-1")).stock).to.equal(5);
+      expect(await listingRegistry.saleModes("listing-1")).to.equal(SALE_MODE.FixedPrice);
+
+      await orderManager.connect(buyer).createOrder("order-2", "listing-1", 0, 1);
+    });
+
+    it("lets the seller cancel before the first bid", async function () {
+      const { auctionHouse, listingRegistry, seller } = await loadFixture(auctionFixture);
+
+      await expect(auctionHouse.connect(seller).cancelAuction("auction-1"))
+        .to.emit(auctionHouse, "AuctionCancelled").withArgs("auction-1", seller.address);
+
+      expect(await listingRegistry.saleModes("listing-1")).to.equal(SALE_MODE.FixedPrice);
+    });
+  });
+});
@@ -0,0 +1,229 @@
+const { loadFixture, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { ESCROW_STATE, signPermit } = require("./fixtures");
+
+const AMOUNT = ethers.parseEther("1");
+
+describe("Escrow", function () {
+  async function deployEscrow() {
+    const [owner, seller, buyer, operator, arbitrator, stranger] = await ethers.getSigners();
+    const escrow = await ethers.deployContract("Escrow");
+    await escrow.setArbitrator(arbitrator.address, true);
+    return { escrow, owner, seller, buyer, operator, arbitrator, stranger };
+  }
+
+  // A 1 ETH escrow the buyer opened directly, disputed by the buyer
+  async function disputedFixture() {
+    const contracts = await deployEscrow();
+    const { escrow, seller, buyer } = contracts;
+    await escrow.connect(buyer).createEscrow("order-1", seller.address, { value: AMOUNT });
+    const escrowId = await escrow.orderToEscrow("order-1");
+    await escrow.connect(buyer).initiateDispute(escrowId);
+    return { ...contracts, escrowId };
+  }
+
+  // A 1 ETH escrow opened by an operator on the buyer's behalf, then released
+  async function releasedOperatorFixture() {
+    const contracts = await deployEscrow();
+    const { escrow, seller, buyer, operator } = contracts;
+    await escrow.connect(operator).createEscrowFor("order-1", buyer.address, seller.address, { value: AMOUNT });
+    const escrowId = await escrow.orderToEscrow("order-1");
+    await escrow.connect(operator).releaseEscrow(escrowId);
+    return { ...contracts, escrowId };
+  }
+
+  describe("resolveDispute", function () {
+    it("splits the locked amount by the buyer's share", async function () {
+      const { escrow, seller, buyer, arbitrator, escrowId } = await loadFixture(disputedFixture);
+      await time.increase(await escrow.EVIDENCE_PERIOD());
+
+      const tx = escrow.connect(arbitrator).resolveDispute(escrowId, 3000, "QmRuling");
+
+      await expect(tx).to.changeEtherBalances(
+        [buyer, seller, escrow],
+        [ethers.parseEther("0.3"), ethers.parseEther("0.7"), -AMOUNT]
+      );
+      await expect(tx).to.emit(escrow, "DisputeResolved").withArgs(
+        escrowId, "order-1", arbitrator.address, 3000, ethers.parseEther("0.3"), ethers.parseEther("0.7"), "QmRuling"
+      );
+
+      expect((await escrow.getEscrow(escrowId)).state).to.equal(ESCROW_STATE.Resolved);
+      const dispute = await escrow.getDispute(escrowId);
+      expect(dispute.resolved).to.equal(true);
+      expect(dispute.buyerShareBps).to.equal(3000);
+      expect(dispute.arbitrator).to.equal(arbitrator.address);
+    });
+
+    it("pays everything to one side at 0% and 100%", async function () {
+      const { escrow, seller, buyer, arbitrator, escrowId } = await loadFixture(disputedFixture);
+      await time.increase(await escrow.EVIDENCE_PERIOD());
+
+      await expect(escrow.connect(arbitrator).resolveDispute(escrowId, 10000, "QmRuling"))
+        .to.changeEtherBalances([buyer, seller], [AMOUNT, 0]);
+
+      const contracts = await loadFixture(disputedFixture);
+      await time.increase(await contracts.escrow.EVIDENCE_PERIOD());
+      await expect(contracts.escrow.connect(contracts.arbitrator).resolveDispute(contracts.escrowId, 0, "QmRuling"))
+        .to.changeEtherBalances([contracts.buyer, contracts.seller], [0, AMOUNT]);
+    });
+
+    it("waits for the evidence window to close", async function () {
+      const { escrow, arbitrator, escrowId } = await loadFixture(disputedFixture);
+
+      await expect(escrow.connect(arbitrator).resolveDispute(escrowId, 5000, "QmRuling"))
+        .to.be.revertedWith("Evidence window still open");
+    });
+
+    it("only takes rulings from appointed arbitrators within 100%", async function () {
+      const { escrow, arbitrator, stranger, escrowId } = await loadFixture(disputedFixture);
+      await time.increase(await escrow.EVIDENCE_PERIOD());
+
+      await expect(escrow.connect(stranger).resolveDispute(escrowId, 5000, "QmRuling"))
+        .to.be.revertedWith("Only an appointed arbitrator can resolve");
+      await expect(escrow.connect(arbitrator).resolveDispute(escrowId, 10001, "QmRuling"))
+        .to.be.revertedWith("Share exceeds 100%");
+    });
+  });
+
+  describe("Release while disputed", function () {
+    it("lets the buyer concede and release to the seller", async function () {
+      const { escrow, seller, buyer, escrowId } = await loadFixture(disputedFixture);
+
+      await expect(escrow.connect(buyer).releaseEscrow(escrowId))
+        .to.changeEtherBalances([seller, escrow], [AMOUNT, -AMOUNT]);
+
+      expect((await escrow.getEscrow(escrowId)).state).to.equal(ESCROW_STATE.Released);
+    });
+
+    it("refuses the seller and the owner", async function () {
+      const { escrow, seller, owner, escrowId } = await loadFixture(disputedFixture);
+
+      await expect(escrow.connect(seller).releaseEscrow(escrowId)).to.be.revertedWith("Escrow is disputed");
+      await expect(escrow.connect(owner).releaseEscrow(escrowId)).to.be.revertedWith("Escrow is disputed");
+    });
+
+    it("is not auto-released after the release time", async function () {
+      const { escrow, stranger, escrowId } = await loadFixture(disputedFixture);
+      await time.increase(await escrow.ESCROW_PERIOD());
+
+      expect(await escrow.canAutoRelease(escrowId)).to.equal(false);
+      await expect(escrow.connect(stranger).releaseEscrow(escrowId)).to.be.revertedWith("Escrow is disputed");
+    });
+  });
+
+  describe("Token escrow with a permit", function () {
+    const TOKENS = ethers.parseUnits("5", 6);
+
+    async function tokenFixture() {
+      const contracts = await deployEscrow();
+      const usdc = await ethers.deployContract("MockStablecoin");
+      await usdc.mint(contracts.buyer.address, TOKENS);
+      return { ...contracts, usdc };
+    }
+
+    it("locks the tokens without a prior approval", async function () {
+      const { escrow, usdc, seller, buyer } = await loadFixture(tokenFixture);
+      const { deadline, v, r, s } = await signPermit(usdc, buyer, await escrow.getAddress(), TOKENS);
+
+      await expect(escrow.connect(buyer).createTokenEscrowWithPermit(
+        "order-1", await usdc.getAddress(), seller.address, TOKENS, deadline, v, r, s
+      )).to.changeTokenBalances(usdc, [buyer, escrow], [-TOKENS, TOKENS]);
+
+      const held = await escrow.getEscrow(await escrow.orderToEscrow("order-1"));
+      expect(held.state).to.equal(ESCROW_STATE.Locked);
+      expect(held.token).to.equal(await usdc.getAddress());
+    });
+
+    it("fails when the permit is for less than the escrow amount", async function () {
+      const { escrow, usdc, seller, buyer } = await loadFixture(tokenFixture);
+      const { deadline, v, r, s } = await signPermit(usdc, buyer, await escrow.getAddress(), TOKENS - 1n);
+
+      await expect(escrow.connect(buyer).createTokenEscrowWithPermit(
+        "order-1", await usdc.getAddress(), seller.address, TOKENS, deadline, v, r, s
+      )).to.be.revertedWith("Permit failed");
+    });
+  });
+
+  describe("Holdback on operator escrows", function () {
+    it("keeps returnHoldbackBps of the amount back on release", async function () {
+      const { escrow, seller, buyer, operator } = await loadFixture(deployEscrow);
+      await escrow.connect(operator).createEscrowFor("order-1", buyer.address, seller.address, { value: AMOUNT });
+      const escrowId = await escrow.orderToEscrow("order-1");
+      const holdback = ethers.parseEther("0.2");
+
+      const tx = escrow.connect(operator).releaseEscrow(escrowId);
+
+      await expect(tx).to.changeEtherBalances([seller, escrow], [AMOUNT - holdback, -(AMOUNT - holdback)]);
+      await expect(tx).to.emit(escrow, "HoldbackRetained");
+      const held = await escrow.getHoldback(escrowId);
+      expect(held.amount).to.equal(holdback);
+      expect(held.releasableAt).to.equal((await time.latest()) + Number(await escrow.RETURN_WINDOW()));
+      expect(held.settled).to.equal(false);
+    });
+
+    it("keeps nothing back on escrows the buyer opened directly", async function () {
+      const { escrow, seller, buyer } = await loadFixture(deployEscrow);
+      await escrow.connect(buyer).createEscrow("order-1", seller.address, { value: AMOUNT });
+      const escrowId = await escrow.orderToEscrow("order-1");
+
+      await expect(escrow.connect(buyer).releaseEscrow(escrowId)).to.changeEtherBalance(seller, AMOUNT);
+
+      await expect(escrow.claimHoldback(escrowId)).to.be.revertedWith("No holdback for this escrow");
+    });
+
+    it("applies a changed holdback to later releases", async function () {
+      const { escrow, seller, buyer, operator } = await loadFixture(deployEscrow);
+      await escrow.setReturnHoldback(1000);
+      await escrow.connect(operator).createEscrowFor("order-1", buyer.address, seller.address, { value: AMOUNT });
+      const escrowId = await escrow.orderToEscrow("order-1");
+
+      await expect(escrow.connect(operator).releaseEscrow(escrowId))
+        .to.changeEtherBalance(seller, ethers.parseEther("0.9"));
+      await expect(escrow.setReturnHoldback(5001)).to.be.revertedWith("Holdback too high");
+    });
+
+    it("pays the holdback to the seller once the return window has passed", async function () {
+      const { escrow, seller, stranger, escrowId } = await loadFixture(releasedOperatorFixture);
+
+      await expect(escrow.claimHoldback(escrowId)).to.be.revertedWith("Return window still open");
+      await time.increase(await escrow.RETURN_WINDOW());
+
+      await expect(escrow.connect(stranger).claimHoldback(escrowId))
+        .to.changeEtherBalances([seller, escrow], [ethers.parseEther("0.2"), -ethers.parseEther("0.2")]);
+      expect((await escrow.getHoldback(escrowId)).settled).to.equal(true);
+      await expect(escrow.claimHoldback(escrowId)).to.be.revertedWith("Holdback already settled");
+    });
+
+    it("refunds a return from the holdback and the reserved seller deposit", async function () {
+      const { escrow, seller, buyer, operator, escrowId } = await loadFixture(releasedOperatorFixture);
+      await escrow.connect(seller).depositReturnReserve(ethers.ZeroAddress, ethers.parseEther("0.5"), {
+        value: ethers.parseEther("0.5")
+      });
+
+      await escrow.connect(operator).openReturn(escrowId);
+      expect((await escrow.getHoldback(escrowId)).reserved).to.equal(ethers.parseEther("0.5"));
+      expect(await escrow.sellerDeposits(seller.address, ethers.ZeroAddress)).to.equal(0);
+      await time.increase(await escrow.RETURN_WINDOW());
+      await expect(escrow.claimHoldback(escrowId)).to.be.revertedWith("Return in progress");
+
+      await expect(escrow.connect(operator).refundReturn(escrowId))
+        .to.changeEtherBalance(buyer, ethers.parseEther("0.7"));
+      await expect(escrow.claimHoldback(escrowId)).to.be.revertedWith("Holdback already settled");
+    });
+
+    it("gives the reserved deposit back when a return is closed without refund", async function () {
+      const { escrow, seller, operator, escrowId } = await loadFixture(releasedOperatorFixture);
+      await escrow.connect(seller).depositReturnReserve(ethers.ZeroAddress, ethers.parseEther("0.5"), {
+        value: ethers.parseEther("0.5")
+      });
+      await escrow.connect(operator).openReturn(escrowId);
+
+      await escrow.connect(operator).closeReturn(escrowId);
+
+      expect(await escrow.sellerDeposits(seller.address, ethers.ZeroAddress)).to.equal(ethers.parseEther("0.5"));
+      await time.increase(await escrow.RETURN_WINDOW());
+      await expect(escrow.claimHoldback(escrowId)).to.changeEtherBalance(seller, ethers.parseEther("0.2"));
+    });
+  });
+});
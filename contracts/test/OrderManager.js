@@ -0,0 +1,496 @@
+const { loadFixture, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { ORDER_STATUS, ESCROW_STATE, deployMarketplace, shippedOrder, signPermit } = require("./fixtures");
+
+describe("OrderManager", function () {
+  describe("Delivery after the escrow was released directly", function () {
+    // The release keeper releases escrows past their releaseTime on Escrow itself
+    async function keeperReleasedFixture() {
+      const contracts = await deployMarketplace();
+      const escrowId = await shippedOrder(contracts);
+      await time.increase(await contracts.escrow.ESCROW_PERIOD());
+      await contracts.escrow.connect(contracts.keeper).releaseEscrow(escrowId);
+      return { ...contracts, escrowId };
+    }
+
+    it("lets any party move the order to Delivered without releasing again", async function () {
+      const { orderManager, escrow, seller, escrowId } = await loadFixture(keeperReleasedFixture);
+
+      const allowed = await orderManager.getAllowedStatuses("order-1", seller.address);
+      expect(allowed.map(Number)).to.deep.equal([ORDER_STATUS.Delivered]);
+
+      await expect(orderManager.connect(seller).updateOrderStatus("order-1", ORDER_STATUS.Delivered, ""))
+        .to.emit(orderManager, "OrderDelivered").withArgs("order-1")
+        .and.not.to.emit(escrow, "EscrowReleased");
+
+      expect((await orderManager.getOrder("order-1")).status).to.equal(ORDER_STATUS.Delivered);
+      expect((await escrow.getEscrow(escrowId)).state).to.equal(ESCROW_STATE.Released);
+    });
+
+    it("lets the buyer confirm delivery", async function () {
+      const { orderManager, buyer } = await loadFixture(keeperReleasedFixture);
+
+      await orderManager.connect(buyer).confirmDeliveryAndRelease("order-1");
+
+      expect((await orderManager.getOrder("order-1")).status).to.equal(ORDER_STATUS.Delivered);
+    });
+
+    it("closes the order's listing lines so metadata can be edited again", async function () {
+      const { orderManager, listingRegistry, seller, buyer } = await loadFixture(keeperReleasedFixture);
+
+      await expect(listingRegistry.connect(seller).updateListingMetadata("listing-1", "QmLampV2"))
+        .to.be.revertedWith("Listing has open orders");
+
+      await orderManager.connect(buyer).updateOrderStatus("order-1", ORDER_STATUS.Delivered, "");
+
+      expect(await listingRegistry.openOrders("listing-1")).to.equal(0);
+      await listingRegistry.connect(seller).updateListingMetadata("listing-1", "QmLampV2");
+    });
+
+    it("pays the seller once", async function () {
+      const { orderManager, escrow, seller, buyer } = await loadFixture(keeperReleasedFixture);
+      const before = await ethers.provider.getBalance(seller.address);
+
+      await orderManager.connect(buyer).updateOrderStatus("order-1", ORDER_STATUS.Delivered, "");
+
+      expect(await ethers.provider.getBalance(seller.address)).to.equal(before);
+      expect(await ethers.provider.getBalance(await escrow.getAddress()))
+        .to.equal((ethers.parseEther("1") * (await escrow.returnHoldbackBps())) / 10000n);
+    });
+
+    it("also applies to a paid order that was never shipped", async function () {
+      const contracts = await loadFixture(deployMarketplace);
+      const { listingRegistry, orderManager, escrow, seller, buyer } = contracts;
+      await listingRegistry.connect(seller).createListing("listing-1", "Lamp", ethers.parseEther("1"), "ETH", 5, "QmLamp");
+      await orderManager.connect(buyer).createOrder("order-1", "listing-1", 0, 1);
+      await orderManager.connect(buyer).payOrder("order-1", { value: ethers.parseEther("1") });
+      await escrow.connect(buyer).releaseEscrow((await orderManager.getOrder("order-1")).escrowId);
+
+      await orderManager.connect(seller).updateOrderStatus("order-1", ORDER_STATUS.Delivered, "");
+
+      expect((await orderManager.getOrder("order-1")).status).to.equal(ORDER_STATUS.Delivered);
+    });
+  });
+
+  describe("Delivery with the escrow still locked", function () {
+    it("releases the escrow when the buyer confirms", async function () {
+      const contracts = await loadFixture(deployMarketplace);
+      const escrowId = await shippedOrder(contracts);
+      const { orderManager, escrow, buyer } = contracts;
+
+      await expect(orderManager.connect(buyer).updateOrderStatus("order-1", ORDER_STATUS.Delivered, ""))
+        .to.emit(escrow, "EscrowReleased");
+
+      expect((await escrow.getEscrow(escrowId)).state).to.equal(ESCROW_STATE.Released);
+    });
+
+    it("does not let the seller mark it delivered", async function () {
+      const contracts = await loadFixture(deployMarketplace);
+      await shippedOrder(contracts);
+
+      await expect(contracts.orderManager.connect(contracts.seller).updateOrderStatus("order-1", ORDER_STATUS.Delivered, ""))
+        .to.be.revertedWith("Invalid status transition");
+    });
+  });
+
+  describe("Release of orders past their release time", function () {
+    it("releases the escrow and marks the order delivered in one call from anyone", async function () {
+      const contracts = await loadFixture(deployMarketplace);
+      const { orderManager, escrow, listingRegistry, keeper } = contracts;
+      const escrowId = await shippedOrder(contracts);
+      await time.increase(await escrow.ESCROW_PERIOD());
+
+      await expect(orderManager.connect(keeper).releaseDueOrder("order-1"))
+        .to.emit(orderManager, "OrderDelivered").withArgs("order-1")
+        .and.to.emit(escrow, "EscrowReleased");
+
+      expect((await orderManager.getOrder("order-1")).status).to.equal(ORDER_STATUS.Delivered);
+      expect((await escrow.getEscrow(escrowId)).state).to.equal(ESCROW_STATE.Released);
+      expect(await listingRegistry.openOrders("listing-1")).to.equal(0);
+    });
+
+    it("refuses an order whose escrow is not due yet", async function () {
+      const contracts = await loadFixture(deployMarketplace);
+      await shippedOrder(contracts);
+
+      await expect(contracts.orderManager.connect(contracts.keeper).releaseDueOrder("order-1"))
+        .to.be.revertedWith("Escrow is not due for release");
+    });
+
+    it("refuses an order that was already delivered", async function () {
+      const contracts = await loadFixture(deployMarketplace);
+      const { orderManager, escrow, buyer, keeper } = contracts;
+      await shippedOrder(contracts);
+      await orderManager.connect(buyer).confirmDeliveryAndRelease("order-1");
+      await time.increase(await escrow.ESCROW_PERIOD());
+
+      await expect(orderManager.connect(keeper).releaseDueOrder("order-1"))
+        .to.be.revertedWith("Order is not awaiting delivery");
+    });
+  });
+
+  describe("Stock of cancelled and expired orders", function () {
+    // Two of a 1 ETH lamp (5 in stock) and one red shirt (3 in stock) ordered, unpaid
+    async function orderedFixture() {
+      const contracts = await deployMarketplace();
+      const { listingRegistry, orderManager, seller, buyer } = contracts;
+      await listingRegistry.connect(seller).createListing("lamp", "Lamp", ethers.parseEther("1"), "ETH", 5, "QmLamp");
+      await listingRegistry.connect(seller).createListing("shirt", "Shirt", ethers.parseEther("0.5"), "ETH", 1, "QmShirt");
+      await listingRegistry.connect(seller).addVariant("shirt", "SHIRT-S-RED", "size=S;color=red", ethers.parseEther("0.5"), 3);
+      await orderManager.connect(buyer).createOrder("order-1", "lamp", 0, 2);
+      await orderManager.connect(buyer).createOrder("order-2", "shirt", 1, 1);
+      return contracts;
+    }
+
+    it("holds the ordered stock until the order is settled", async function () {
+      const { listingRegistry } = await loadFixture(orderedFixture);
+
+      expect((await listingRegistry.getListing("lamp")).stock).to.equal(3);
+      expect((await listingRegistry.getVariant("shirt", 1)).stock).to.equal(2);
+      expect(await listingRegistry.openOrders("lamp")).to.equal(1);
+    });
+
+    it("returns the stock of an unpaid order cancelled by the buyer", async function () {
+      const { listingRegistry, orderManager, buyer } = await loadFixture(orderedFixture);
+
+      await expect(orderManager.connect(buyer).cancelOrderAndRefund("order-1", "Changed my mind"))
+        .to.emit(listingRegistry, "StockIncremented").withArgs("lamp", 0, 2, 5);
+
+      expect((await orderManager.getOrder("order-1")).status).to.equal(ORDER_STATUS.Cancelled);
+      expect(await listingRegistry.openOrders("lamp")).to.equal(0);
+    });
+
+    it("returns the variant stock of a paid order cancelled by the seller and refunds it", async function () {
+      const { listingRegistry, orderManager, seller, buyer } = await loadFixture(orderedFixture);
+      await orderManager.connect(buyer).payOrder("order-2", { value: ethers.parseEther("0.5") });
+
+      await expect(orderManager.connect(seller).cancelOrderAndRefund("order-2", "Damaged"))
+        .to.changeEtherBalance(buyer, ethers.parseEther("0.5"));
+
+      expect((await orderManager.getOrder("order-2")).status).to.equal(ORDER_STATUS.Refunded);
+      expect((await listingRegistry.getVariant("shirt", 1)).stock).to.equal(3);
+    });
+
+    it("lets anyone expire an order left unpaid past its deadline and returns its stock", async function () {
+      const { listingRegistry, orderManager, keeper } = await loadFixture(orderedFixture);
+
+      await expect(orderManager.connect(keeper).expireOrder("order-1"))
+        .to.be.revertedWith("Payment deadline not reached");
+      await time.increase(await orderManager.paymentWindow());
+
+      await expect(orderManager.connect(keeper).expireOrder("order-1"))
+        .to.emit(orderManager, "OrderExpired");
+
+      expect((await orderManager.getOrder("order-1")).status).to.equal(ORDER_STATUS.Cancelled);
+      expect((await listingRegistry.getListing("lamp")).stock).to.equal(5);
+      await expect(orderManager.connect(keeper).expireOrder("order-1")).to.be.revertedWith("Order is not pending");
+    });
+
+    it("does not expire a paid order", async function () {
+      const { orderManager, buyer, keeper } = await loadFixture(orderedFixture);
+      await orderManager.connect(buyer).payOrder("order-1", { value: ethers.parseEther("2") });
+      await time.increase(await orderManager.paymentWindow());
+
+      await expect(orderManager.connect(keeper).expireOrder("order-1")).to.be.revertedWith("Order is not pending");
+    });
+
+    it("only takes stock back from OrderManager", async function () {
+      const { listingRegistry, seller } = await loadFixture(orderedFixture);
+
+      await expect(listingRegistry.connect(seller).incrementStock("lamp", 0, 2))
+        .to.be.revertedWith("Only OrderManager");
+    });
+  });
+
+  describe("Payment with a permit", function () {
+    const PRICE = ethers.parseUnits("5", 6);
+
+    // A 5 USDC sticker ordered by the buyer, who has approved nothing
+    async function tokenOrderFixture() {
+      const contracts = await deployMarketplace();
+      const { listingRegistry, orderManager, seller, buyer } = contracts;
+      await listingRegistry.connect(seller).createListing("sticker", "Sticker", PRICE, "USDC", 10, "QmSticker");
+      await orderManager.connect(buyer).createOrder("order-1", "sticker", 0, 1);
+      return contracts;
+    }
+
+    it("pays a token order without a prior approval", async function () {
+      const { orderManager, escrow, usdc, buyer } = await loadFixture(tokenOrderFixture);
+      const { deadline, v, r, s } = await signPermit(usdc, buyer, await orderManager.getAddress(), PRICE);
+
+      await expect(orderManager.connect(buyer).payOrderWithPermit("order-1", deadline, v, r, s))
+        .to.changeTokenBalances(usdc, [buyer, escrow], [-PRICE, PRICE]);
+
+      const order = await orderManager.getOrder("order-1");
+      expect(order.status).to.equal(ORDER_STATUS.Paid);
+      const held = await escrow.getEscrow(order.escrowId);
+      expect(held.state).to.equal(ESCROW_STATE.Locked);
+      expect(held.token).to.equal(await usdc.getAddress());
+      expect(held.amount).to.equal(PRICE);
+    });
+
+    it("still pays when the permit was front-run", async function () {
+      const { orderManager, usdc, buyer, keeper } = await loadFixture(tokenOrderFixture);
+      const spender = await orderManager.getAddress();
+      const { deadline, v, r, s } = await signPermit(usdc, buyer, spender, PRICE);
+      await usdc.connect(keeper).permit(buyer.address, spender, PRICE, deadline, v, r, s);
+
+      await orderManager.connect(buyer).payOrderWithPermit("order-1", deadline, v, r, s);
+
+      expect((await orderManager.getOrder("order-1")).status).to.equal(ORDER_STATUS.Paid);
+    });
+
+    it("fails without a valid permit or allowance", async function () {
+      const { orderManager, usdc, buyer, otherBuyer } = await loadFixture(tokenOrderFixture);
+      const { deadline, v, r, s } = await signPermit(usdc, otherBuyer, await orderManager.getAddress(), PRICE);
+
+      await expect(orderManager.connect(buyer).payOrderWithPermit("order-1", deadline, v, r, s))
+        .to.be.revertedWith("Permit failed");
+    });
+
+    it("refuses orders paid in ETH", async function () {
+      const { listingRegistry, orderManager, usdc, seller, buyer } = await loadFixture(tokenOrderFixture);
+      await listingRegistry.connect(seller).createListing("lamp", "Lamp", ethers.parseEther("1"), "ETH", 5, "QmLamp");
+      await orderManager.connect(buyer).createOrder("order-2", "lamp", 0, 1);
+      const { deadline, v, r, s } = await signPermit(usdc, buyer, await orderManager.getAddress(), PRICE);
+
+      await expect(orderManager.connect(buyer).payOrderWithPermit("order-2", deadline, v, r, s))
+        .to.be.revertedWith("Order is paid in ETH");
+    });
+  });
+
+  describe("checkout", function () {
+    // seller: a 1 ETH lamp and a shirt in two variants; otherSeller: a 0.2 ETH
+    // mug; both: a 5 USDC sticker
+    async function cartFixture() {
+      const contracts = await deployMarketplace();
+      const { listingRegistry, seller, otherSeller } = contracts;
+      await listingRegistry.connect(seller).createListing("lamp", "Lamp", ethers.parseEther("1"), "ETH", 5, "QmLamp");
+      await listingRegistry.connect(seller).createListing("shirt", "Shirt", ethers.parseEther("0.5"), "ETH", 1, "QmShirt");
+      await listingRegistry.connect(seller).addVariant("shirt", "SHIRT-S-RED", "size=S;color=red", ethers.parseEther("0.5"), 3);
+      await listingRegistry.connect(seller).addVariant("shirt", "SHIRT-M-BLUE", "size=M;color=blue", ethers.parseEther("0.6"), 2);
+      await listingRegistry.connect(otherSeller).createListing("mug", "Mug", ethers.parseEther("0.2"), "ETH", 10, "QmMug");
+      await listingRegistry.connect(seller).createListing("sticker", "Sticker", ethers.parseUnits("5", 6), "USDC", 10, "QmSticker");
+      await listingRegistry.connect(otherSeller).createListing("badge", "Badge", ethers.parseUnits("5", 6), "USDC", 10, "QmBadge");
+      return contracts;
+    }
+
+    const item = (listingId, quantity, variantId = 0) => ({ listingId, variantId, quantity });
+
+    it("creates one paid order and escrow per seller", async function () {
+      const { orderManager, escrow, seller, otherSeller, buyer } = await loadFixture(cartFixture);
+      const cart = [
+        { orderId: "order-a", items: [item("lamp", 1), item("shirt", 1, 2)] },
+        { orderId: "order-b", items: [item("mug", 3)] }
+      ];
+
+      await expect(orderManager.connect(buyer).checkout("cart-1", cart, { value: ethers.parseEther("2.2") }))
+        .to.emit(orderManager, "CartCheckedOut")
+        .withArgs("cart-1", buyer.address, ["order-a", "order-b"], ethers.ZeroAddress, ethers.parseEther("2.2"));
+
+      const orderA = await orderManager.getOrder("order-a");
+      expect(orderA.seller).to.equal(seller.address);
+      expect(orderA.quantity).to.equal(2);
+      expect(orderA.totalAmount).to.equal(ethers.parseEther("1.6"));
+      expect(orderA.status).to.equal(ORDER_STATUS.Paid);
+      expect((await escrow.getEscrow(orderA.escrowId)).amount).to.equal(ethers.parseEther("1.6"));
+      const lines = await orderManager.getOrderItems("order-a");
+      expect(lines.map(line => [line.listingId, line.variantId, line.quantity, line.unitPrice])).to.deep.equal([
+        ["lamp", 0n, 1n, ethers.parseEther("1")],
+        ["shirt", 2n, 1n, ethers.parseEther("0.6")]
+      ]);
+
+      const orderB = await orderManager.getOrder("order-b");
+      expect(orderB.seller).to.equal(otherSeller.address);
+      expect(orderB.totalAmount).to.equal(ethers.parseEther("0.6"));
+      expect((await escrow.getEscrow(orderB.escrowId)).amount).to.equal(ethers.parseEther("0.6"));
+      expect(orderB.escrowId).to.not.equal(orderA.escrowId);
+    });
+
+    it("pulls the grand total of a token cart once and splits it per seller", async function () {
+      const { orderManager, escrow, usdc, buyer } = await loadFixture(cartFixture);
+      const cart = [
+        { orderId: "order-a", items: [item("sticker", 2)] },
+        { orderId: "order-b", items: [item("badge", 1)] }
+      ];
+      await usdc.connect(buyer).approve(await orderManager.getAddress(), ethers.parseUnits("15", 6));
+
+      await expect(orderManager.connect(buyer).checkout("cart-1", cart))
+        .to.changeTokenBalances(usdc, [buyer, escrow], [-ethers.parseUnits("15", 6), ethers.parseUnits("15", 6)]);
+
+      expect((await escrow.getEscrowByOrderId("order-a")).amount).to.equal(ethers.parseUnits("10", 6));
+      expect((await escrow.getEscrowByOrderId("order-b")).amount).to.equal(ethers.parseUnits("5", 6));
+    });
+
+    it("rejects carts that mix payment tokens", async function () {
+      const { orderManager, listingRegistry, buyer } = await loadFixture(cartFixture);
+
+      await expect(orderManager.connect(buyer).checkout("cart-1", [
+        { orderId: "order-a", items: [item("lamp", 1)] },
+        { orderId: "order-b", items: [item("badge", 1)] }
+      ], { value: ethers.parseEther("1") })).to.be.revertedWith("Mixed payment currencies");
+
+      await expect(orderManager.connect(buyer).checkout("cart-1", [
+        { orderId: "order-a", items: [item("lamp", 1), item("sticker", 1)] }
+      ], { value: ethers.parseEther("1") })).to.be.revertedWith("Mixed payment currencies");
+
+      expect((await listingRegistry.getListing("lamp")).stock).to.equal(5);
+    });
+
+    it("rejects two orders for the same seller and a wrong payment", async function () {
+      const { orderManager, buyer } = await loadFixture(cartFixture);
+
+      await expect(orderManager.connect(buyer).checkout("cart-1", [
+        { orderId: "order-a", items: [item("lamp", 1)] },
+        { orderId: "order-b", items: [item("shirt", 1, 1)] }
+      ], { value: ethers.parseEther("1.5") })).to.be.revertedWith("One order per seller");
+
+      await expect(orderManager.connect(buyer).checkout("cart-1", [
+        { orderId: "order-a", items: [item("lamp", 1)] }
+      ], { value: ethers.parseEther("0.9") })).to.be.revertedWith("Incorrect payment amount");
+    });
+
+    it("takes stock from each variant ordered", async function () {
+      const { orderManager, listingRegistry, buyer } = await loadFixture(cartFixture);
+
+      await orderManager.connect(buyer).checkout("cart-1", [
+        { orderId: "order-a", items: [item("shirt", 2, 1), item("shirt", 1, 2), item("lamp", 2)] }
+      ], { value: ethers.parseEther("3.6") });
+
+      expect((await listingRegistry.getVariant("shirt", 1)).stock).to.equal(1);
+      expect((await listingRegistry.getVariant("shirt", 2)).stock).to.equal(1);
+      expect((await listingRegistry.getListing("lamp")).stock).to.equal(3);
+    });
+
+    it("reverts the whole cart when one variant is short or not given", async function () {
+      const { orderManager, listingRegistry, buyer } = await loadFixture(cartFixture);
+
+      await expect(orderManager.connect(buyer).checkout("cart-1", [
+        { orderId: "order-a", items: [item("shirt", 1, 1), item("shirt", 3, 2)] }
+      ], { value: ethers.parseEther("2.3") })).to.be.revertedWith("Insufficient stock");
+
+      await expect(orderManager.connect(buyer).checkout("cart-1", [
+        { orderId: "order-a", items: [item("shirt", 1)] }
+      ], { value: ethers.parseEther("0.5") })).to.be.revertedWith("Variant required");
+
+      expect((await listingRegistry.getVariant("shirt", 1)).stock).to.equal(3);
+    });
+  });
+
+  describe("Returns", function () {
+    const RETURN_STATUS = { None: 0, Requested: 1, Approved: 2, Rejected: 3, Shipped: 4, Received: 5, Refunded: 6 };
+    const HOLDBACK = ethers.parseEther("0.2");
+
+    // A delivered 1 ETH order; the escrow keeps 20% back for returns
+    async function deliveredFixture() {
+      const contracts = await deployMarketplace();
+      const escrowId = await shippedOrder(contracts);
+      await contracts.orderManager.connect(contracts.buyer).confirmDeliveryAndRelease("order-1");
+      return { ...contracts, escrowId };
+    }
+
+    async function requestedFixture() {
+      const contracts = await deliveredFixture();
+      await contracts.orderManager.connect(contracts.buyer).requestReturn("order-1", "Arrived broken", "QmPhotos");
+      return contracts;
+    }
+
+    async function shippedBackFixture() {
+      const contracts = await requestedFixture();
+      const { orderManager, seller, buyer } = contracts;
+      await orderManager.connect(seller).respondToReturn("order-1", true, "Send it back");
+      await orderManager.connect(buyer).markReturnShipped("order-1", "RETURN-1");
+      return contracts;
+    }
+
+    it("lets the buyer request a return of a delivered order once", async function () {
+      const { orderManager, escrow, seller, buyer, escrowId } = await loadFixture(deliveredFixture);
+
+      await expect(orderManager.connect(seller).requestReturn("order-1", "Arrived broken", "QmPhotos"))
+        .to.be.revertedWith("Only buyer can request a return");
+      await expect(orderManager.connect(buyer).requestReturn("order-1", "Arrived broken", "QmPhotos"))
+        .to.emit(orderManager, "ReturnRequested").withArgs("order-1", buyer.address, "Arrived broken", "QmPhotos");
+
+      const ret = await orderManager.getReturn("order-1");
+      expect(ret.status).to.equal(RETURN_STATUS.Requested);
+      expect(ret.evidenceCID).to.equal("QmPhotos");
+      expect((await escrow.getHoldback(escrowId)).returnOpen).to.equal(true);
+      await expect(orderManager.connect(buyer).requestReturn("order-1", "Again", ""))
+        .to.be.revertedWith("Return already requested");
+    });
+
+    it("closes a rejected return and leaves the holdback to the seller", async function () {
+      const { orderManager, escrow, seller, escrowId } = await loadFixture(requestedFixture);
+
+      await orderManager.connect(seller).respondToReturn("order-1", false, "Damage not covered");
+
+      const ret = await orderManager.getReturn("order-1");
+      expect(ret.status).to.equal(RETURN_STATUS.Rejected);
+      expect(ret.sellerNote).to.equal("Damage not covered");
+      expect((await escrow.getHoldback(escrowId)).returnOpen).to.equal(false);
+      expect((await orderManager.getOrder("order-1")).status).to.equal(ORDER_STATUS.Delivered);
+
+      await time.increase(await escrow.RETURN_WINDOW());
+      await expect(escrow.claimHoldback(escrowId)).to.changeEtherBalance(seller, HOLDBACK);
+    });
+
+    it("moves an approved return through shipped and received", async function () {
+      const { orderManager, seller, buyer } = await loadFixture(requestedFixture);
+
+      await expect(orderManager.connect(buyer).confirmReturnReceived("order-1"))
+        .to.be.revertedWith("Only seller can confirm a return");
+      await orderManager.connect(seller).respondToReturn("order-1", true, "Send it back");
+      expect((await orderManager.getReturn("order-1")).status).to.equal(RETURN_STATUS.Approved);
+
+      await expect(orderManager.connect(seller).confirmReturnReceived("order-1"))
+        .to.be.revertedWith("Return is not shipped");
+      await expect(orderManager.connect(seller).markReturnShipped("order-1", "RETURN-1"))
+        .to.be.revertedWith("Only buyer can ship a return");
+      await orderManager.connect(buyer).markReturnShipped("order-1", "RETURN-1");
+
+      const shipped = await orderManager.getReturn("order-1");
+      expect(shipped.status).to.equal(RETURN_STATUS.Shipped);
+      expect(shipped.trackingInfo).to.equal("RETURN-1");
+
+      await orderManager.connect(seller).confirmReturnReceived("order-1");
+
+      expect((await orderManager.getReturn("order-1")).status).to.equal(RETURN_STATUS.Refunded);
+      expect((await orderManager.getOrder("order-1")).status).to.equal(ORDER_STATUS.Refunded);
+    });
+
+    it("does not let the buyer ship a return that was not approved", async function () {
+      const { orderManager, buyer } = await loadFixture(requestedFixture);
+
+      await expect(orderManager.connect(buyer).markReturnShipped("order-1", "RETURN-1"))
+        .to.be.revertedWith("Return is not approved");
+    });
+
+    it("refunds only the holdback when the seller has no deposit", async function () {
+      const { orderManager, escrow, seller, buyer, escrowId } = await loadFixture(shippedBackFixture);
+
+      await expect(orderManager.connect(seller).confirmReturnReceived("order-1"))
+        .to.changeEtherBalances([buyer, escrow], [HOLDBACK, -HOLDBACK]);
+
+      expect((await orderManager.getReturn("order-1")).refundAmount).to.equal(HOLDBACK);
+      expect((await escrow.getHoldback(escrowId)).settled).to.equal(true);
+    });
+
+    it("tops the refund up from the seller's deposit", async function () {
+      const contracts = await loadFixture(deliveredFixture);
+      const { orderManager, escrow, seller, buyer } = contracts;
+      await escrow.connect(seller).depositReturnReserve(ethers.ZeroAddress, ethers.parseEther("1"), {
+        value: ethers.parseEther("1")
+      });
+      await orderManager.connect(buyer).requestReturn("order-1", "Arrived broken", "QmPhotos");
+      await orderManager.connect(seller).respondToReturn("order-1", true, "Send it back");
+      await orderManager.connect(buyer).markReturnShipped("order-1", "RETURN-1");
+
+      await expect(orderManager.connect(seller).confirmReturnReceived("order-1"))
+        .to.changeEtherBalance(buyer, ethers.parseEther("1"));
+
+      expect((await orderManager.getReturn("order-1")).refundAmount).to.equal(ethers.parseEther("1"));
+      expect(await escrow.sellerDeposits(seller.address, ethers.ZeroAddress)).to.equal(HOLDBACK);
+    });
+  });
+});
@@ -0,0 +1,100 @@
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { deployMarketplace, shippedOrder } = require("./fixtures");
+
+const RATING_TYPE = { BuyerToSeller: 0, SellerToBuyer: 1, AdminAdjustment: 2 };
+
+// createIdentity takes DIDs of exactly 50 characters
+function didOf(account) {
+  return `did:ethr:${account.address.toLowerCase()}`.slice(0, 50);
+}
+
+describe("Reputation", function () {
+  // Buyer, seller and another buyer registered, with order-1 shipped to the buyer
+  async function shippedFixture() {
+    const contracts = await deployMarketplace();
+    const { orderManager, buyer, seller, otherBuyer } = contracts;
+    const reputation = await ethers.deployContract("Reputation");
+    await reputation.setOrderManager(await orderManager.getAddress());
+    for (const account of [buyer, seller, otherBuyer]) {
+      await reputation.connect(account).createIdentity(didOf(account), "Name", "", "");
+    }
+    await shippedOrder(contracts);
+    return { ...contracts, reputation };
+  }
+
+  async function deliveredFixture() {
+    const contracts = await shippedFixture();
+    await contracts.orderManager.connect(contracts.buyer).confirmDeliveryAndRelease("order-1");
+    return contracts;
+  }
+
+  describe("Order state", function () {
+    it("refuses ratings until the order is delivered", async function () {
+      const { reputation, orderManager, buyer, seller } = await loadFixture(shippedFixture);
+
+      await expect(reputation.connect(buyer).submitRating(seller.address, "order-1", 5, "Great", RATING_TYPE.BuyerToSeller))
+        .to.be.revertedWith("Order not completed");
+
+      await orderManager.connect(buyer).confirmDeliveryAndRelease("order-1");
+      await expect(reputation.connect(buyer).submitRating(seller.address, "order-1", 5, "Great", RATING_TYPE.BuyerToSeller))
+        .to.emit(reputation, "RatingSubmitted");
+    });
+
+    it("takes ratings for a refunded order", async function () {
+      const { reputation, listingRegistry, orderManager, buyer, seller } = await loadFixture(shippedFixture);
+      await listingRegistry.connect(seller).createListing("listing-2", "Chair", ethers.parseEther("1"), "ETH", 1, "QmChair");
+      await orderManager.connect(buyer).createOrder("order-2", "listing-2", 0, 1);
+      await orderManager.connect(buyer).payOrder("order-2", { value: ethers.parseEther("1") });
+      await orderManager.connect(seller).cancelOrderAndRefund("order-2", "Out of stock");
+
+      await expect(reputation.connect(seller).submitRating(buyer.address, "order-2", 4, "Fine", RATING_TYPE.SellerToBuyer))
+        .to.emit(reputation, "RatingSubmitted");
+    });
+  });
+
+  describe("Parties", function () {
+    it("only takes ratings from the order's buyer and seller", async function () {
+      const { reputation, seller, otherBuyer } = await loadFixture(deliveredFixture);
+
+      await expect(reputation.connect(otherBuyer).submitRating(seller.address, "order-1", 1, "Bad", RATING_TYPE.BuyerToSeller))
+        .to.be.revertedWith("Only the buyer can rate the seller");
+    });
+
+    it("only rates the other party of the order", async function () {
+      const { reputation, buyer, seller, otherBuyer } = await loadFixture(deliveredFixture);
+
+      await expect(reputation.connect(buyer).submitRating(otherBuyer.address, "order-1", 1, "Bad", RATING_TYPE.BuyerToSeller))
+        .to.be.revertedWith("Recipient is not the order's seller");
+      await expect(reputation.connect(seller).submitRating(otherBuyer.address, "order-1", 1, "Bad", RATING_TYPE.SellerToBuyer))
+        .to.be.revertedWith("Recipient is not the order's buyer");
+    });
+
+    it("matches the direction to the rater's role", async function () {
+      const { reputation, buyer, seller } = await loadFixture(deliveredFixture);
+
+      await expect(reputation.connect(buyer).submitRating(seller.address, "order-1", 5, "Great", RATING_TYPE.SellerToBuyer))
+        .to.be.revertedWith("Only the seller can rate the buyer");
+      await expect(reputation.connect(seller).submitRating(buyer.address, "order-1", 5, "Great", RATING_TYPE.BuyerToSeller))
+        .to.be.revertedWith("Only the buyer can rate the seller");
+    });
+  });
+
+  describe("One rating per direction", function () {
+    it("takes one rating each way and refuses a second", async function () {
+      const { reputation, buyer, seller } = await loadFixture(deliveredFixture);
+
+      await reputation.connect(buyer).submitRating(seller.address, "order-1", 5, "Great", RATING_TYPE.BuyerToSeller);
+      expect(await reputation.orderRated("order-1", RATING_TYPE.BuyerToSeller)).to.equal(true);
+      expect(await reputation.orderRated("order-1", RATING_TYPE.SellerToBuyer)).to.equal(false);
+
+      await expect(reputation.connect(buyer).submitRating(seller.address, "order-1", 1, "Changed my mind", RATING_TYPE.BuyerToSeller))
+        .to.be.revertedWith("Order already rated in this direction");
+
+      await reputation.connect(seller).submitRating(buyer.address, "order-1", 4, "Paid fast", RATING_TYPE.SellerToBuyer);
+      expect(await reputation.orderRated("order-1", RATING_TYPE.SellerToBuyer)).to.equal(true);
+      expect((await reputation.getOrderRatings("order-1")).length).to.equal(2);
+    });
+  });
+});
@@ -0,0 +1,73 @@
+const { time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { ethers } = require("hardhat");
+
+const ORDER_STATUS = { Pending: 0, Paid: 1, Shipped: 2, Delivered: 3, Cancelled: 4, Disputed: 5, Refunded: 6 };
+const ESCROW_STATE = { Locked: 0, Released: 1, Refunded: 2, Disputed: 3, Resolved: 4 };
+
+/**
+ * The marketplace contracts wired together the way scripts/deploy.js does,
+ * with a mock USDC allow-listed and minted to the buyers
+ */
+async function deployMarketplace() {
+  const [owner, seller, buyer, otherSeller, otherBuyer, keeper] = await ethers.getSigners();
+
+  const listingRegistry = await ethers.deployContract("ListingRegistry");
+  const escrow = await ethers.deployContract("Escrow");
+  const orderManager = await ethers.deployContract("OrderManager", [
+    await listingRegistry.getAddress(),
+    await escrow.getAddress()
+  ]);
+  const auctionHouse = await ethers.deployContract("AuctionHouse", [
+    await listingRegistry.getAddress(),
+    await orderManager.getAddress()
+  ]);
+  const usdc = await ethers.deployContract("MockStablecoin");
+
+  await listingRegistry.setOrderManager(await orderManager.getAddress());
+  await listingRegistry.setSaleContract(await auctionHouse.getAddress());
+  await orderManager.setSaleContract(await auctionHouse.getAddress());
+  await listingRegistry.setPaymentToken("USDC", await usdc.getAddress());
+  for (const account of [buyer, otherBuyer]) {
+    await usdc.mint(account.address, ethers.parseUnits("10000", 6));
+  }
+
+  return { listingRegistry, escrow, orderManager, auctionHouse, usdc, owner, seller, buyer, otherSeller, otherBuyer, keeper };
+}
+
+/**
+ * A paid, shipped order for one unit of a 1 ETH listing
+ */
+async function shippedOrder(contracts, orderId = "order-1", listingId = "listing-1") {
+  const { listingRegistry, orderManager, seller, buyer } = contracts;
+  await listingRegistry.connect(seller).createListing(listingId, "Lamp", ethers.parseEther("1"), "ETH", 5, "QmLamp");
+  await orderManager.connect(buyer).createOrder(orderId, listingId, 0, 1);
+  await orderManager.connect(buyer).payOrder(orderId, { value: ethers.parseEther("1") });
+  await orderManager.connect(seller).shipOrder(orderId, ethers.id("shipment"), "TRACK-1");
+  return (await orderManager.getOrder(orderId)).escrowId;
+}
+
+/**
+ * An EIP-2612 permit from `owner` for `spender` to pull `value` of a
+ * MockStablecoin, valid for an hour
+ */
+async function signPermit(token, owner, spender, value) {
+  const deadline = (await time.latest()) + 3600;
+  const { chainId } = await ethers.provider.getNetwork();
+  const signature = await owner.signTypedData(
+    { name: "Mock USD Coin", version: "1", chainId, verifyingContract: await token.getAddress() },
+    {
+      Permit: [
+        { name: "owner", type: "address" },
+        { name: "spender", type: "address" },
+        { name: "value", type: "uint256" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint256" }
+      ]
+    },
+    { owner: owner.address, spender, value, nonce: await token.nonces(owner.address), deadline }
+  );
+  const { v, r, s } = ethers.Signature.from(signature);
+  return { deadline, v, r, s };
+}
+
+module.exports = { ORDER_STATUS, ESCROW_STATE, deployMarketplace, shippedOrder, signPermit };
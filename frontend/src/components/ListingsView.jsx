@@ -1,16 +1,35 @@
 import { useState, useEffect } from 'react'
-import { listingsAPI } from '@/lib/api'
+import { listingsAPI, ipfsAPI } from '@/lib/api'
 import { Card, CardContent, CardDescription, CardFooter, CardHeader, CardTitle } from '@/components/ui/card'
 import { Button } from '@/components/ui/button'
 import { Badge } from '@/components/ui/badge'
 import OrderDialog from './OrderDialog'
 import { Package, Loader2 } from 'lucide-react'
 
+// Card image from the listing's IPFS metadata: v2 documents carry thumbnail
+// CIDs for a responsive srcSet, v1 documents and external images a plain URL
+function cardImage(metadata) {
+  const image = metadata?.images?.[0]
+  if (!image) return null
+  if (typeof image === 'string') return { src: image }
+  if (image.uri) return { src: image.uri }
+
+  const thumbnails = [...(image.thumbnails || [])].sort((a, b) => a.width - b.width)
+  if (thumbnails.length === 0) return { src: ipfsAPI.url(image.cid) }
+
+  const fallback = thumbnails.find((t) => t.width >= 320) || thumbnails[thumbnails.length - 1]
+  return {
+    src: ipfsAPI.url(fallback.cid),
+    srcSet: thumbnails.map((t) => `${ipfsAPI.url(t.cid)} ${t.width}w`).join(', '),
+  }
+}
+
 export default function ListingsView() {
   const [listings, setListings] = useState([])
   const [loading, setLoading] = useState(true)
   const [selectedListing, setSelectedListing] = useState(null)
   const [orderDialogOpen, setOrderDialogOpen] = useState(false)
+  const [images, setImages] = useState({})
 
   useEffect(() => {
     fetchListings()
@@ -21,6 +40,7 @@ export default function ListingsView() {
       setLoading(true)
       const response = await listingsAPI.getAll()
       setListings(response.data.listings)
+      fetchImages(response.data.listings)
     } catch (error) {
       console.error('Failed to fetch listings:', error)
     } finally {
@@ -28,6 +48,21 @@ export default function ListingsView() {
     }
   }
 
+  // Metadata is fetched per card after the grid renders; cards without it keep the placeholder
+  const fetchImages = (items) => {
+    items.forEach(async (listing) => {
+      const cid = listing.ipfsMetadata?.cid
+      if (!cid) return
+      try {
+        const response = await ipfsAPI.getMetadata(cid)
+        const image = cardImage(response.data)
+        if (image) setImages((prev) => ({ ...prev, [listing.listingId]: image }))
+      } catch (error) {
+        console.error(`Failed to fetch metadata ${cid}:`, error)
+      }
+    })
+  }
+
   const handleBuyClick = (listing) => {
     setSelectedListing(listing)
     setOrderDialogOpen(true)
@@ -56,7 +91,21 @@ export default function ListingsView() {
     <>
       <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
         {listings.map((listing) => (
-          <Card key={listing.listingId} className="flex flex-col">
+          <Card key={listing.listingId} className="flex flex-col overflow-hidden">
+            <div className="aspect-square bg-gray-100 flex items-center justify-center">
+              {images[listing.listingId] ? (
+                <img
+                  src={images[listing.listingId].src}
+                  srcSet={images[listing.listingId].srcSet}
+                  sizes="(min-width: 1024px) 33vw, (min-width: 768px) 50vw, 100vw"
+                  alt={listing.name}
+                  loading="lazy"
+                  className="h-full w-full object-cover"
+                />
+              ) : (
+                <Package className="h-12 w-12 text-gray-300" />
+              )}
+            </div>
             <CardHeader>
               <CardTitle className="text-xl">{listing.name}</CardTitle>
               <CardDescription>
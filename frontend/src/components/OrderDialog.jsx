@@ -13,12 +13,18 @@ import { Input } from '@/components/ui/input'
 import { Loader2, CheckCircle, XCircle } from 'lucide-react'
 
 export default function OrderDialog({ listing, open, onOpenChange }) {
+  const variants = (listing.variants || []).filter((v) => v.active && v.stock > 0)
   const [quantity, setQuantity] = useState(1)
+  const [variantId, setVariantId] = useState(variants[0]?.variantId || 0)
   const [loading, setLoading] = useState(false)
   const [orderCreated, setOrderCreated] = useState(null)
   const [error, setError] = useState(null)
 
-  const totalPrice = (parseFloat(listing.price) * quantity).toFixed(4)
+  // Listings with variants are priced and stocked per variant
+  const variant = variants.find((v) => v.variantId === variantId)
+  const unitPrice = variant ? variant.price : listing.price
+  const stock = variant ? variant.stock : listing.stock
+  const totalPrice = (parseFloat(unitPrice) * quantity).toFixed(4)
 
   const handleCreateOrder = async () => {
     try {
@@ -28,6 +34,7 @@ export default function OrderDialog({ listing, open, onOpenChange }) {
       // Step 1: Create order
       const orderResponse = await ordersAPI.create({
         listingId: listing.listingId,
+        variantId,
         quantity,
         buyerAddress: DEFAULT_BUYER_ADDRESS,
       })
@@ -65,14 +72,35 @@ export default function OrderDialog({ listing, open, onOpenChange }) {
 
         {!orderCreated && !error && (
           <div className="space-y-4">
+            {variants.length > 0 && (
+              <div>
+                <label className="text-sm font-medium">Variant</label>
+                <div className="mt-1 flex flex-wrap gap-2">
+                  {variants.map((v) => (
+                    <Button
+                      key={v.variantId}
+                      size="sm"
+                      variant={v.variantId === variantId ? 'default' : 'outline'}
+                      onClick={() => {
+                        setVariantId(v.variantId)
+                        setQuantity((q) => Math.min(q, v.stock))
+                      }}
+                    >
+                      {Object.values(v.attributes).join(' / ') || v.sku}
+                    </Button>
+                  ))}
+                </div>
+              </div>
+            )}
+
             <div>
               <label className="text-sm font-medium">Quantity</label>
               <Input
                 type="number"
                 min="1"
-                max={listing.stock}
+                max={stock}
                 value={quantity}
-                onChange={(e) => setQuantity(Math.max(1, Math.min(listing.stock, parseInt(e.target.value) || 1)))}
+                onChange={(e) => setQuantity(Math.max(1, Math.min(stock, parseInt(e.target.value) || 1)))}
                 className="mt-1"
               />
             </div>
@@ -80,7 +108,7 @@ export default function OrderDialog({ listing, open, onOpenChange }) {
             <div className="bg-gray-50 p-4 rounded-lg space-y-2">
               <div className="flex justify-between text-sm">
                 <span>Price per item:</span>
-                <span className="font-medium">{listing.price} {listing.currency}</span>
+                <span className="font-medium">{unitPrice} {listing.currency}</span>
               </div>
               <div className="flex justify-between text-sm">
                 <span>Quantity:</span>
@@ -15,6 +15,15 @@ const STATUS_COLORS = {
   refunded: 'secondary',
 }
 
+const RETURN_LABELS = {
+  requested: 'Return requested',
+  approved: 'Return approved',
+  rejected: 'Return rejected',
+  shipped: 'Return shipped',
+  received: 'Return received',
+  refunded: 'Return refunded',
+}
+
 export default function OrdersView() {
   const [orders, setOrders] = useState([])
   const [loading, setLoading] = useState(true)
@@ -68,6 +77,43 @@ export default function OrdersView() {
     }
   }
 
+  const handleRequestReturn = async (orderId) => {
+    const reason = prompt('Why are you returning this order?')
+    if (!reason) {
+      return
+    }
+    const evidenceCID = prompt('IPFS CID of photos or other evidence (optional)') || undefined
+
+    try {
+      setActionLoading(orderId)
+      await ordersAPI.requestReturn(orderId, { reason, evidenceCID })
+      await fetchOrders()
+    } catch (error) {
+      console.error('Failed to request return:', error)
+      alert('Failed to request return: ' + (error.response?.data?.message || error.message))
+    } finally {
+      setActionLoading(null)
+    }
+  }
+
+  const handleShipReturn = async (orderId) => {
+    const trackingInfo = prompt('Tracking number of the return shipment')
+    if (!trackingInfo) {
+      return
+    }
+
+    try {
+      setActionLoading(orderId)
+      await ordersAPI.shipReturn(orderId, { trackingInfo })
+      await fetchOrders()
+    } catch (error) {
+      console.error('Failed to mark return shipped:', error)
+      alert('Failed to mark return shipped: ' + (error.response?.data?.message || error.message))
+    } finally {
+      setActionLoading(null)
+    }
+  }
+
   if (loading) {
     return (
       <div className="flex items-center justify-center h-64">
@@ -107,9 +153,16 @@ export default function OrdersView() {
                   {order.orderId}
                 </CardDescription>
               </div>
-              <Badge variant={STATUS_COLORS[order.status]}>
-                {order.status.toUpperCase()}
-              </Badge>
+              <div className="flex gap-2">
+                {order.returnStatus && (
+                  <Badge variant={order.returnStatus === 'rejected' ? 'destructive' : 'outline'}>
+                    {RETURN_LABELS[order.returnStatus]}
+                  </Badge>
+                )}
+                <Badge variant={STATUS_COLORS[order.status]}>
+                  {order.status.toUpperCase()}
+                </Badge>
+              </div>
             </div>
           </CardHeader>
           
@@ -163,6 +216,29 @@ export default function OrdersView() {
                 <Badge variant="default">Payment released to seller</Badge>
               )}
 
+              {order.status === 'delivered' && !order.returnStatus && (
+                <Button
+                  variant="outline"
+                  size="sm"
+                  onClick={() => handleRequestReturn(order.orderId)}
+                  disabled={actionLoading === order.orderId}
+                >
+                  {actionLoading === order.orderId && <Loader2 className="mr-2 h-3 w-3 animate-spin" />}
+                  Request Return
+                </Button>
+              )}
+
+              {order.returnStatus === 'approved' && (
+                <Button
+                  size="sm"
+                  onClick={() => handleShipReturn(order.orderId)}
+                  disabled={actionLoading === order.orderId}
+                >
+                  {actionLoading === order.orderId && <Loader2 className="mr-2 h-3 w-3 animate-spin" />}
+                  Mark Return Shipped
+                </Button>
+              )}
+
               {order.status === 'refunded' && (
                 <Badge variant="secondary">Payment refunded</Badge>
               )}
@@ -17,6 +17,14 @@ export const listingsAPI = {
   getById: (id) => api.get(`/listings/${id}`),
 };
 
+// Listing metadata and images, served by listing-service's IPFS gateway
+const IPFS_BASE_URL = '/ipfs';
+
+export const ipfsAPI = {
+  getMetadata: (cid) => axios.get(`${IPFS_BASE_URL}/${cid}`),
+  url: (cid) => `${IPFS_BASE_URL}/${cid}`,
+};
+
 export const ordersAPI = {
   create: (data) => api.post('/orders', data),
   getAll: (params) => api.get('/orders', { params }),
@@ -25,6 +33,9 @@ export const ordersAPI = {
   updateStatus: (id, data) => api.put(`/orders/${id}/status`, data),
   confirmDelivery: (id) => api.post(`/orders/${id}/confirm-delivery`),
   cancel: (id, data) => api.post(`/orders/${id}/cancel`, data),
+  getReturn: (id) => api.get(`/orders/${id}/returns`),
+  requestReturn: (id, data) => api.post(`/orders/${id}/returns`, data),
+  shipReturn: (id, data) => api.post(`/orders/${id}/returns/ship`, data),
 };
 
 export const escrowAPI = {
@@ -16,6 +16,11 @@ export default defineConfig({
         target: 'http://localhost:3003',
         changeOrigin: true,
       },
+      '/ipfs': {
+        target: 'http://localhost:3001',
+        changeOrigin: true,
+        rewrite: (path) => path.replace(/^\/ipfs/, '/api/v1/ipfs'),
+      },
     },
   },
 })
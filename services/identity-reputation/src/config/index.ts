@@ -36,11 +36,39 @@ export const config = {
   // Blockchain Configuration
   BLOCKCHAIN_RPC_URL: process.env.BLOCKCHAIN_RPC_URL || 'http://127.0.0.1:8545',
   REPUTATION_CONTRACT_ADDRESS: process.env.REPUTATION_CONTRACT_ADDRESS || String(deployments?.contracts?.Reputation?.address || ''),
+  // Ratings are checked against its orders
+  ORDER_MANAGER_ADDRESS: process.env.ORDER_MANAGER_ADDRESS || String(deployments?.contracts?.OrderManager?.address || ''),
   
   // Admin and Security
   WEBHOOK_SECRET: process.env.WEBHOOK_SECRET || 'your_webhook_secret_here',
-  ADMIN_API_KEY: process.env.ADMIN_API_KEY || 'your_admin_api_key',
-  
+  // Wallets that always hold the admin role, so the first admin can sign in
+  // and grant roles to others
+  RBAC_BOOTSTRAP_ADMINS: (process.env.RBAC_BOOTSTRAP_ADMINS || '').split(',').map(a => a.trim().toLowerCase()).filter(Boolean),
+
+  // Sign-In with Ethereum. AUTH_JWT_SECRET is shared with every service that
+  // checks the access tokens; without it sign-in and authenticated routes answer 503.
+  AUTH_JWT_SECRET: process.env.AUTH_JWT_SECRET || '',
+  AUTH_JWT_ISSUER: process.env.AUTH_JWT_ISSUER || 'nozama-identity',
+  AUTH_ACCESS_TOKEN_TTL_SECONDS: parseInt(process.env.AUTH_ACCESS_TOKEN_TTL_SECONDS || '900', 10),
+  AUTH_REFRESH_TOKEN_TTL_SECONDS: parseInt(process.env.AUTH_REFRESH_TOKEN_TTL_SECONDS || '604800', 10),
+  AUTH_NONCE_TTL_SECONDS: parseInt(process.env.AUTH_NONCE_TTL_SECONDS || '300', 10),
+  // Domains (host[:port]) and chains sign-in messages may name
+  SIWE_DOMAINS: (process.env.SIWE_DOMAINS || 'localhost:3000,localhost:5173').split(',').map(d => d.trim()).filter(Boolean),
+  SIWE_CHAIN_IDS: (process.env.SIWE_CHAIN_IDS || '31337').split(',').map(id => parseInt(id, 10)).filter(Number.isInteger),
+  SIWE_CLOCK_SKEW_SECONDS: parseInt(process.env.SIWE_CLOCK_SKEW_SECONDS || '60', 10),
+
+  // Audit log. Other services append with x-audit-secret: AUDIT_INGEST_SECRET.
+  // Every AUDIT_ANCHOR_INTERVAL_MS (0 = never) new entries get a Merkle root,
+  // sent on-chain when AUDIT_ANCHOR_PRIVATE_KEY is set.
+  AUDIT_INGEST_SECRET: process.env.AUDIT_INGEST_SECRET || '',
+  AUDIT_ANCHOR_INTERVAL_MS: parseInt(process.env.AUDIT_ANCHOR_INTERVAL_MS || '0', 10),
+  AUDIT_ANCHOR_PRIVATE_KEY: process.env.AUDIT_ANCHOR_PRIVATE_KEY || '',
+
+  // Reputation algorithm used when a request has no ?algo= (name or name-vN),
+  // and identities per page of a recompute job
+  REPUTATION_DEFAULT_ALGO: process.env.REPUTATION_DEFAULT_ALGO || 'bayesian',
+  REPUTATION_RECOMPUTE_PAGE_SIZE: parseInt(process.env.REPUTATION_RECOMPUTE_PAGE_SIZE || '200', 10),
+
   // API Configuration
   CORS_ORIGIN: process.env.CORS_ORIGIN?.split(',') || ['http://localhost:3000'],
   RATE_LIMIT_WINDOW_MS: parseInt(process.env.RATE_LIMIT_WINDOW_MS || '900000', 10),
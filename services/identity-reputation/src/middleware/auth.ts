@@ -0,0 +1,106 @@
+import { Request, Response, NextFunction } from 'express';
+import authService, { AuthError, AuthPrincipal } from '../services/authService';
+import roleService, { Permission, permissionsFor, IMPLICIT_ROLES } from '../services/roleService';
+import logger from '../utils/logger';
+
+declare global {
+  namespace Express {
+    interface Request {
+      auth?: AuthPrincipal;
+    }
+  }
+}
+
+function sendAuthError(res: Response, error: AuthError) {
+  return res.status(error.statusCode).json({
+    error: {
+      code: error.code,
+      message: error.message,
+      timestamp: new Date().toISOString()
+    }
+  });
+}
+
+/**
+ * Require a Sign-In with Ethereum access token (Authorization: Bearer ...)
+ * and expose its wallet as req.auth
+ */
+export const requireAuth = (req: Request, res: Response, next: NextFunction) => {
+  const header = req.headers['authorization'] || '';
+  const token = header.startsWith('Bearer ') ? header.slice('Bearer '.length).trim() : '';
+
+  if (!token) {
+    return sendAuthError(res, new AuthError(401, 'UNAUTHORIZED', 'Sign in with Ethereum and send the access token as a Bearer token'));
+  }
+
+  try {
+    req.auth = authService.verifyAccessToken(token);
+    next();
+  } catch (error) {
+    if (error instanceof AuthError) return sendAuthError(res, error);
+    next(error);
+  }
+};
+
+/**
+ * Whether the signed-in wallet is `addressOrDid` (an address or did:ethr DID)
+ */
+export function isCaller(req: Request, addressOrDid: string | undefined): boolean {
+  if (!req.auth || !addressOrDid) return false;
+
+  const value = addressOrDid.toLowerCase();
+  return value === req.auth.address.toLowerCase() || value === req.auth.did.toLowerCase();
+}
+
+/**
+ * Answer 403 unless the signed-in wallet is `addressOrDid`; returns whether it is
+ */
+export function requireCaller(req: Request, res: Response, addressOrDid: string | undefined, what: string): boolean {
+  if (isCaller(req, addressOrDid)) return true;
+
+  sendAuthError(res, new AuthError(403, 'FORBIDDEN', `Only ${what} can do this; signed in as ${req.auth?.address}`));
+  return false;
+}
+
+/**
+ * Answer 403 unless the signed-in wallet's roles grant every one of
+ * `permissions`. Goes after requireAuth; leaves the roles on req.auth.roles
+ * so handlers can record who acted and as what.
+ */
+export function requirePermission(...permissions: Permission[]) {
+  return async (req: Request, res: Response, next: NextFunction) => {
+    if (!req.auth) {
+      return sendAuthError(res, new AuthError(401, 'UNAUTHORIZED', 'Sign in with Ethereum first'));
+    }
+
+    // Marketplace permissions come with signing in; skip the lookup for them
+    const implicit = permissionsFor(IMPLICIT_ROLES);
+    if (permissions.every(permission => implicit.includes(permission))) {
+      req.auth.roles = [...IMPLICIT_ROLES];
+      return next();
+    }
+
+    let granted: Permission[];
+    try {
+      req.auth.roles = await roleService.rolesFor(req.auth.address);
+      granted = permissionsFor(req.auth.roles);
+    } catch (error) {
+      logger.error('Error loading roles:', error);
+      return res.status(500).json({
+        error: {
+          code: 'ROLE_LOOKUP_ERROR',
+          message: 'Failed to check permissions',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+
+    const missing = permissions.filter(permission => !granted.includes(permission));
+    if (missing.length > 0) {
+      logger.warn(`Denied ${req.method} ${req.originalUrl} to ${req.auth.address}: missing ${missing.join(', ')}`);
+      return sendAuthError(res, new AuthError(403, 'FORBIDDEN', `Missing permission ${missing.join(', ')}`));
+    }
+
+    next();
+  };
+}
@@ -0,0 +1,58 @@
+import mongoose, { Document, Model, Schema } from 'mongoose';
+
+/**
+ * Merkle root over the hashes of audit entries fromSeq..toSeq. With an
+ * anchor key configured the root is also written on-chain, which pins the
+ * log's history outside this database.
+ */
+export interface IAuditAnchor extends Document {
+  fromSeq: number;
+  toSeq: number;
+  root: string;
+  status: 'recorded' | 'anchored' | 'failed';
+  chainId?: number;
+  txHash?: string;
+  blockNumber?: number;
+  error?: string;
+  createdAt: Date;
+  updatedAt: Date;
+}
+
+export interface IAuditAnchorModel extends Model<IAuditAnchor> {
+  findLatest(): Promise<IAuditAnchor | null>;
+}
+
+const AuditAnchorSchema = new Schema<IAuditAnchor>({
+  fromSeq: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  toSeq: {
+    type: Number,
+    required: true
+  },
+  root: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['recorded', 'anchored', 'failed'],
+    default: 'recorded',
+    index: true
+  },
+  chainId: Number,
+  txHash: String,
+  blockNumber: Number,
+  error: String
+}, {
+  timestamps: true,
+  collection: 'audit_anchors'
+});
+
+AuditAnchorSchema.statics.findLatest = function() {
+  return this.findOne({}).sort({ toSeq: -1 });
+};
+
+export default mongoose.model<IAuditAnchor, IAuditAnchorModel>('AuditAnchor', AuditAnchorSchema) as IAuditAnchorModel;
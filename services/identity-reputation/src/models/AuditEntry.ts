@@ -0,0 +1,143 @@
+import mongoose, { Document, Model, Schema } from 'mongoose';
+
+export interface AuditActor {
+  type: 'user' | 'service' | 'system';
+  address?: string;
+  did?: string;
+  roles?: string[];
+  // Who acted when there is no wallet, e.g. 'release-keeper' or 'admin-api-key'
+  label?: string;
+}
+
+export interface AuditTarget {
+  type: string;
+  id: string;
+}
+
+export interface AuditRequestMeta {
+  method?: string;
+  path?: string;
+  ip?: string;
+  userAgent?: string;
+  sessionId?: string;
+}
+
+/**
+ * One audit log entry. Entries are hash-chained: `hash` covers every other
+ * field including `prevHash`, the hash of entry seq - 1, so editing or
+ * removing any entry breaks the chain from there on.
+ */
+export interface IAuditEntry extends Document {
+  seq: number;
+  source: string;
+  // Set by the recording service so a retried delivery is appended once
+  eventId?: string;
+  occurredAt: Date;
+  actor: AuditActor;
+  action: string;
+  target: AuditTarget;
+  before?: unknown;
+  after?: unknown;
+  request?: AuditRequestMeta;
+  prevHash: string;
+  hash: string;
+  createdAt: Date;
+}
+
+export interface IAuditEntryModel extends Model<IAuditEntry> {
+  findHead(): Promise<IAuditEntry | null>;
+}
+
+// Snapshots and metadata are stored exactly as hashed, so they are Mixed
+// rather than typed sub-documents that would gain defaults and _ids
+const AuditEntrySchema = new Schema<IAuditEntry>({
+  seq: {
+    type: Number,
+    required: true,
+    unique: true,
+    immutable: true
+  },
+  source: {
+    type: String,
+    required: true,
+    index: true,
+    immutable: true
+  },
+  eventId: {
+    type: String,
+    unique: true,
+    sparse: true,
+    immutable: true
+  },
+  occurredAt: {
+    type: Date,
+    required: true,
+    index: true,
+    immutable: true
+  },
+  actor: {
+    type: Schema.Types.Mixed,
+    required: true,
+    immutable: true
+  },
+  action: {
+    type: String,
+    required: true,
+    index: true,
+    immutable: true
+  },
+  target: {
+    type: Schema.Types.Mixed,
+    required: true,
+    immutable: true
+  },
+  before: {
+    type: Schema.Types.Mixed,
+    immutable: true
+  },
+  after: {
+    type: Schema.Types.Mixed,
+    immutable: true
+  },
+  request: {
+    type: Schema.Types.Mixed,
+    immutable: true
+  },
+  prevHash: {
+    type: String,
+    required: true,
+    unique: true,
+    immutable: true
+  },
+  hash: {
+    type: String,
+    required: true,
+    unique: true,
+    immutable: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  minimize: false,
+  collection: 'audit_entries'
+});
+
+AuditEntrySchema.index({ 'actor.address': 1, seq: -1 });
+AuditEntrySchema.index({ 'target.type': 1, 'target.id': 1, seq: -1 });
+
+// Append-only: the model refuses to change or remove entries
+const refuseMutation = function() {
+  throw new Error('Audit entries are append-only');
+};
+for (const op of ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'] as const) {
+  AuditEntrySchema.pre(op, refuseMutation);
+}
+AuditEntrySchema.pre('save', function(next) {
+  if (!this.isNew) return next(new Error('Audit entries are append-only'));
+  next();
+});
+
+AuditEntrySchema.statics.findHead = function() {
+  return this.findOne({}).sort({ seq: -1 });
+};
+
+export default mongoose.model<IAuditEntry, IAuditEntryModel>('AuditEntry', AuditEntrySchema) as IAuditEntryModel;
@@ -0,0 +1,56 @@
+import mongoose, { Document, Model, Schema } from 'mongoose';
+
+/**
+ * Nonces handed out for Sign-In with Ethereum. Each one can be redeemed by a
+ * single signed message before it expires; expired ones are removed by Mongo.
+ */
+export interface IAuthNonce extends Document {
+  nonce: string;
+  address?: string;
+  expiresAt: Date;
+  consumedAt?: Date;
+  createdAt: Date;
+  updatedAt: Date;
+}
+
+export interface IAuthNonceModel extends Model<IAuthNonce> {
+  consume(nonce: string): Promise<IAuthNonce | null>;
+}
+
+const AuthNonceSchema = new Schema<IAuthNonce>({
+  nonce: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  // Set when the nonce was requested for a specific wallet
+  address: {
+    type: String,
+    lowercase: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  consumedAt: Date
+}, {
+  timestamps: true,
+  collection: 'auth_nonces'
+});
+
+AuthNonceSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Mark an unexpired, unused nonce as used and return it; null if there is no
+ * such nonce. Atomic, so a nonce can't be redeemed twice concurrently.
+ */
+AuthNonceSchema.statics.consume = function(nonce: string) {
+  return this.findOneAndUpdate(
+    { nonce, consumedAt: null, expiresAt: { $gt: new Date() } },
+    { $set: { consumedAt: new Date() } },
+    { new: true }
+  );
+};
+
+export default mongoose.model<IAuthNonce, IAuthNonceModel>('AuthNonce', AuthNonceSchema) as IAuthNonceModel;
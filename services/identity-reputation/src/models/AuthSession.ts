@@ -0,0 +1,82 @@
+import mongoose, { Document, Model, Schema } from 'mongoose';
+
+/**
+ * A signed-in wallet. Access tokens are stateless and short-lived; the
+ * session holds the refresh token (hashed) that mints new ones. Refresh
+ * tokens rotate on every use, and presenting an already rotated one revokes
+ * the session, since it means the token was copied.
+ */
+export interface IAuthSession extends Document {
+  sessionId: string;
+  address: string;
+  did: string;
+  refreshTokenHash: string;
+  previousRefreshTokenHash?: string;
+  expiresAt: Date;
+  lastRefreshedAt?: Date;
+  revokedAt?: Date;
+  revokedReason?: string;
+  userAgent?: string;
+  ip?: string;
+  createdAt: Date;
+  updatedAt: Date;
+}
+
+export interface IAuthSessionModel extends Model<IAuthSession> {
+  findByRefreshTokenHash(hash: string): Promise<IAuthSession | null>;
+}
+
+const AuthSessionSchema = new Schema<IAuthSession>({
+  sessionId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  address: {
+    type: String,
+    required: true,
+    index: true
+  },
+  did: {
+    type: String,
+    required: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  previousRefreshTokenHash: {
+    type: String,
+    index: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  lastRefreshedAt: Date,
+  revokedAt: Date,
+  revokedReason: String,
+  userAgent: String,
+  ip: String
+}, {
+  timestamps: true,
+  collection: 'auth_sessions'
+});
+
+AuthSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Session whose current or previous refresh token has this hash
+ */
+AuthSessionSchema.statics.findByRefreshTokenHash = function(hash: string) {
+  return this.findOne({
+    $or: [
+      { refreshTokenHash: hash },
+      { previousRefreshTokenHash: hash }
+    ]
+  });
+};
+
+export default mongoose.model<IAuthSession, IAuthSessionModel>('AuthSession', AuthSessionSchema) as IAuthSessionModel;
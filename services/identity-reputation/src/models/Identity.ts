@@ -1,4 +1,5 @@
 import mongoose, { Document, Model, Schema } from 'mongoose';
+import reputationEngine from '../services/reputationEngine';
 
 // Interface for TypeScript
 export interface IIdentity extends Document {
@@ -21,6 +22,9 @@ export interface IIdentity extends Document {
     value: number;
     algo: string;
     confidence: number;
+    interval?: { low: number; high: number };
+    ratingCount?: number;
+    computedAt?: Date;
   };
   createdAt: Date;
   updatedAt: Date;
@@ -92,23 +96,33 @@ const IdentitySchema = new Schema<IIdentity>({
     blockNumber: Number,
     verifiedAt: Date
   },
+  // Until the first rating, what the default algorithm gives no ratings
   reputationScore: {
     value: {
       type: Number,
       min: 0,
       max: 100,
-      default: 50
+      default: () => reputationEngine.compute([]).value
     },
     algo: {
       type: String,
-      default: 'weighted-v1'
+      default: () => reputationEngine.compute([]).algo
     },
     confidence: {
       type: Number,
       min: 0,
       max: 1,
-      default: 0.5
-    }
+      default: 0
+    },
+    interval: {
+      low: Number,
+      high: Number
+    },
+    ratingCount: {
+      type: Number,
+      default: 0
+    },
+    computedAt: Date
   }
 }, {
   timestamps: true,
@@ -17,6 +17,11 @@ export interface IRating extends Document {
   comment?: string;
   type: 'buyer_to_seller' | 'seller_to_buyer' | 'admin_adjustment';
   evidence?: Record<string, any>;
+  // What the order was worth, for order-value weighted reputation
+  orderValue?: {
+    amount: string;
+    token: string;
+  };
   createdAt: Date;
   updatedAt: Date;
 }
@@ -106,6 +111,10 @@ const RatingSchema = new Schema<IRating>({
   evidence: {
     type: Schema.Types.Mixed,
     default: {}
+  },
+  orderValue: {
+    amount: String,
+    token: String
   }
 }, {
   timestamps: true,
@@ -122,6 +131,8 @@ RatingSchema.pre('save', function(next) {
 
 // Indexes
 RatingSchema.index({ orderId: 1 });
+// One rating per direction per order
+RatingSchema.index({ orderId: 1, type: 1 }, { unique: true });
 RatingSchema.index({ 'from.did': 1 });
 RatingSchema.index({ 'to.did': 1 });
 RatingSchema.index({ type: 1 });
@@ -0,0 +1,95 @@
+import mongoose, { Document, Model, Schema, Types } from 'mongoose';
+
+/**
+ * A background recompute of every identity's reputation score with one
+ * algorithm. Identities are processed in _id order a page at a time;
+ * `cursor` is the last _id done, so an interrupted job picks up where it
+ * stopped.
+ */
+export interface IRecomputeJob extends Document {
+  jobId: string;
+  algo: string;
+  status: 'running' | 'completed' | 'failed';
+  requestedBy: string;
+  total: number;
+  processed: number;
+  // Identities with at least one rating
+  rated: number;
+  pages: number;
+  cursor?: Types.ObjectId;
+  error?: string;
+  startedAt: Date;
+  finishedAt?: Date;
+  createdAt: Date;
+  updatedAt: Date;
+}
+
+export interface IRecomputeJobModel extends Model<IRecomputeJob> {
+  findRunning(): Promise<IRecomputeJob | null>;
+}
+
+const RecomputeJobSchema = new Schema<IRecomputeJob>({
+  jobId: {
+    type: String,
+    unique: true
+  },
+  algo: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['running', 'completed', 'failed'],
+    default: 'running'
+  },
+  requestedBy: {
+    type: String,
+    required: true
+  },
+  total: {
+    type: Number,
+    default: 0
+  },
+  processed: {
+    type: Number,
+    default: 0
+  },
+  rated: {
+    type: Number,
+    default: 0
+  },
+  pages: {
+    type: Number,
+    default: 0
+  },
+  cursor: Schema.Types.ObjectId,
+  error: String,
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  finishedAt: Date
+}, {
+  timestamps: true,
+  collection: 'recompute_jobs'
+});
+
+// One job runs at a time
+RecomputeJobSchema.index(
+  { status: 1 },
+  { unique: true, partialFilterExpression: { status: 'running' } }
+);
+RecomputeJobSchema.index({ createdAt: -1 });
+
+RecomputeJobSchema.pre('save', function(next) {
+  if (!this.jobId) {
+    this.jobId = `rj_${Math.random().toString(36).substring(2, 10)}${Date.now().toString(36)}`;
+  }
+  next();
+});
+
+RecomputeJobSchema.statics.findRunning = function() {
+  return this.findOne({ status: 'running' });
+};
+
+export default mongoose.model<IRecomputeJob, IRecomputeJobModel>('RecomputeJob', RecomputeJobSchema) as IRecomputeJobModel;
@@ -0,0 +1,84 @@
+import mongoose, { Document, Model, Schema } from 'mongoose';
+
+export const ROLES = ['admin', 'moderator', 'arbitrator', 'support', 'seller', 'buyer'] as const;
+export type Role = typeof ROLES[number];
+
+/**
+ * A role granted to a wallet. Revoking keeps the document (active: false)
+ * so who granted and who revoked a role stays on record.
+ */
+export interface IRoleAssignment extends Document {
+  address: string;
+  role: Role;
+  active: boolean;
+  grantedBy: string;
+  grantedAt: Date;
+  reason?: string;
+  revokedBy?: string;
+  revokedAt?: Date;
+  revokeReason?: string;
+  createdAt: Date;
+  updatedAt: Date;
+}
+
+export interface IRoleAssignmentModel extends Model<IRoleAssignment> {
+  findActiveByAddress(address: string): Promise<IRoleAssignment[]>;
+}
+
+const RoleAssignmentSchema = new Schema<IRoleAssignment>({
+  address: {
+    type: String,
+    required: true,
+    lowercase: true,
+    index: true,
+    validate: {
+      validator: function(v: string) {
+        return /^0x[a-f0-9]{40}$/.test(v);
+      },
+      message: 'Address must be a valid Ethereum address'
+    }
+  },
+  role: {
+    type: String,
+    enum: ROLES,
+    required: true,
+    index: true
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  grantedBy: {
+    type: String,
+    required: true
+  },
+  grantedAt: {
+    type: Date,
+    default: Date.now
+  },
+  reason: {
+    type: String,
+    maxlength: 500
+  },
+  revokedBy: String,
+  revokedAt: Date,
+  revokeReason: {
+    type: String,
+    maxlength: 500
+  }
+}, {
+  timestamps: true,
+  collection: 'role_assignments'
+});
+
+// At most one active grant of a role per wallet
+RoleAssignmentSchema.index(
+  { address: 1, role: 1 },
+  { unique: true, partialFilterExpression: { active: true } }
+);
+
+RoleAssignmentSchema.statics.findActiveByAddress = function(address: string) {
+  return this.find({ address: address.toLowerCase(), active: true });
+};
+
+export default mongoose.model<IRoleAssignment, IRoleAssignmentModel>('RoleAssignment', RoleAssignmentSchema) as IRoleAssignmentModel;
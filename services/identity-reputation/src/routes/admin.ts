@@ -2,34 +2,20 @@ import { Router, Request, Response } from 'express';
 import Identity from '../models/Identity';
 import Rating from '../models/Rating';
 import logger from '../utils/logger';
-import config from '../config';
+import { requireAuth, requirePermission } from '../middleware/auth';
+import { AuthError } from '../services/authService';
+import auditService from '../services/auditService';
+import roleService, { isRole, IMPLICIT_ROLES, ROLE_PERMISSIONS } from '../services/roleService';
+import { ROLES } from '../models/RoleAssignment';
+import { validateAddress } from '../utils/validation';
 
 const router = Router();
 
-/**
- * Middleware to check admin API key
- */
-const requireAdminAuth = (req: Request, res: Response, next: any) => {
-  const apiKey = req.headers['x-admin-api-key'] || req.headers['authorization']?.replace('Bearer ', '');
-  
-  if (!apiKey || apiKey !== config.ADMIN_API_KEY) {
-    return res.status(401).json({
-      error: {
-        code: 'UNAUTHORIZED',
-        message: 'Invalid or missing admin API key',
-        timestamp: new Date().toISOString()
-      }
-    });
-  }
-  
-  next();
-};
-
 /**
  * GET /admin/stats
  * Get system statistics
  */
-router.get('/stats', requireAdminAuth, async (req: Request, res: Response) => {
+router.get('/stats', requireAuth, requirePermission('stats:read'), async (req: Request, res: Response) => {
   try {
     const [
       totalIdentities,
@@ -81,12 +67,13 @@ router.get('/stats', requireAdminAuth, async (req: Request, res: Response) => {
 
 /**
  * POST /admin/identities/:did/verify
- * Admin verify identity
+ * Verify an identity; the verifier recorded is the signed-in staff member's DID
  */
-router.post('/identities/:did/verify', requireAdminAuth, async (req: Request, res: Response) => {
+router.post('/identities/:did/verify', requireAuth, requirePermission('identities:verify'), async (req: Request, res: Response) => {
   try {
     const { did } = req.params;
     const { method = 'admin', notes } = req.body;
+    const actor = req.auth!;
 
     const identity = await Identity.findByDID(did);
     if (!identity) {
@@ -99,11 +86,12 @@ router.post('/identities/:did/verify', requireAdminAuth, async (req: Request, re
       });
     }
 
+    const before = { verified: identity.verified, verification: identity.verification };
     identity.verified = true;
     identity.verification = {
       status: 'verified',
       method,
-      verifier: 'admin',
+      verifier: actor.did,
       verifiedAt: new Date()
     };
 
@@ -112,14 +100,20 @@ router.post('/identities/:did/verify', requireAdminAuth, async (req: Request, re
     }
 
     await identity.save();
+    await auditService.record(req, 'identity.verify', { type: 'identity', id: did }, before, {
+      verified: identity.verified,
+      verification: identity.verification,
+      notes
+    });
 
-    logger.info(`Admin verified identity: ${did}`);
+    logger.info(`Identity ${did} verified by ${actor.address} (${actor.roles?.join(', ')})`);
 
     res.json({
       did: identity.did,
       verified: true,
       verification: identity.verification,
-      message: 'Identity verified by admin'
+      verifiedBy: actor.address,
+      message: 'Identity verified by staff'
     });
 
   } catch (error) {
@@ -136,12 +130,13 @@ router.post('/identities/:did/verify', requireAdminAuth, async (req: Request, re
 
 /**
  * DELETE /admin/ratings/:ratingId
- * Admin delete rating
+ * Delete a rating
  */
-router.delete('/ratings/:ratingId', requireAdminAuth, async (req: Request, res: Response) => {
+router.delete('/ratings/:ratingId', requireAuth, requirePermission('ratings:delete'), async (req: Request, res: Response) => {
   try {
     const { ratingId } = req.params;
-    const { reason } = req.body;
+    const { reason } = req.body || {};
+    const actor = req.auth!;
 
     const rating = await Rating.findOne({ ratingId });
     if (!rating) {
@@ -155,12 +150,14 @@ router.delete('/ratings/:ratingId', requireAdminAuth, async (req: Request, res:
     }
 
     await Rating.deleteOne({ ratingId });
+    await auditService.record(req, 'rating.delete', { type: 'rating', id: ratingId }, rating, { deleted: true, reason });
 
-    logger.info(`Admin deleted rating: ${ratingId}, reason: ${reason}`);
+    logger.info(`Rating ${ratingId} deleted by ${actor.address} (${actor.roles?.join(', ')}), reason: ${reason}`);
 
     res.json({
       ratingId,
       deleted: true,
+      deletedBy: actor.address,
       reason: reason || 'No reason provided',
       timestamp: new Date().toISOString()
     });
@@ -177,4 +174,162 @@ router.delete('/ratings/:ratingId', requireAdminAuth, async (req: Request, res:
   }
 });
 
+function sendRoleError(res: Response, error: unknown, code: string, message: string) {
+  if (error instanceof AuthError) {
+    return res.status(error.statusCode).json({
+      error: {
+        code: error.code,
+        message: error.message,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+
+  logger.error(`${message}:`, error);
+  res.status(500).json({
+    error: {
+      code,
+      message,
+      timestamp: new Date().toISOString()
+    }
+  });
+}
+
+/**
+ * GET /admin/roles
+ * Roles and the permissions each grants
+ */
+router.get('/roles', requireAuth, requirePermission('roles:read'), (req: Request, res: Response) => {
+  res.json({
+    roles: ROLES.map(role => ({
+      role,
+      implicit: IMPLICIT_ROLES.includes(role),
+      permissions: ROLE_PERMISSIONS[role]
+    })),
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * GET /admin/role-assignments
+ * List role assignments
+ *
+ * Query: address, role, includeRevoked=true
+ */
+router.get('/role-assignments', requireAuth, requirePermission('roles:read'), async (req: Request, res: Response) => {
+  try {
+    const { address, role, includeRevoked } = req.query;
+
+    if (address !== undefined && !validateAddress(String(address))) {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_ADDRESS',
+          message: 'Invalid Ethereum address format',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+    if (role !== undefined && !isRole(role)) {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_ROLE',
+          message: `role must be one of ${ROLES.join(', ')}`,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+
+    const assignments = await roleService.list({
+      address: address as string | undefined,
+      role: role as any,
+      includeRevoked: includeRevoked === 'true'
+    });
+
+    res.json({
+      assignments,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    sendRoleError(res, error, 'ROLE_LIST_ERROR', 'Failed to list role assignments');
+  }
+});
+
+/**
+ * POST /admin/role-assignments
+ * Grant a role to a wallet
+ *
+ * Body: { address, role, reason? }
+ */
+router.post('/role-assignments', requireAuth, requirePermission('roles:manage'), async (req: Request, res: Response) => {
+  try {
+    const { address, role, reason } = req.body || {};
+
+    if (!validateAddress(address)) {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_ADDRESS',
+          message: 'Invalid Ethereum address format',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+    if (!isRole(role)) {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_ROLE',
+          message: `role must be one of ${ROLES.join(', ')}`,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+
+    const assignment = await roleService.grant(address, role, req.auth!.address, reason);
+    await auditService.record(req, 'role.grant', { type: 'wallet', id: assignment.address }, undefined, assignment);
+    res.status(201).json(assignment);
+
+  } catch (error) {
+    sendRoleError(res, error, 'ROLE_GRANT_ERROR', 'Failed to grant role');
+  }
+});
+
+/**
+ * DELETE /admin/role-assignments/:address/:role
+ * Revoke a role from a wallet
+ *
+ * Body: { reason? }
+ */
+router.delete('/role-assignments/:address/:role', requireAuth, requirePermission('roles:manage'), async (req: Request, res: Response) => {
+  try {
+    const { address, role } = req.params;
+    const { reason } = req.body || {};
+
+    if (!validateAddress(address)) {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_ADDRESS',
+          message: 'Invalid Ethereum address format',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+    if (!isRole(role)) {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_ROLE',
+          message: `role must be one of ${ROLES.join(', ')}`,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+
+    const assignment = await roleService.revoke(address, role, req.auth!.address, reason);
+    await auditService.record(req, 'role.revoke', { type: 'wallet', id: assignment.address }, { role, active: true }, assignment);
+    res.json(assignment);
+
+  } catch (error) {
+    sendRoleError(res, error, 'ROLE_REVOKE_ERROR', 'Failed to revoke role');
+  }
+});
+
 export default router;
\ No newline at end of file
@@ -0,0 +1,282 @@
+import crypto from 'crypto';
+import { Router, Request, Response } from 'express';
+import auditService, { AuditFilter } from '../services/auditService';
+import { requireAuth, requirePermission } from '../middleware/auth';
+import config from '../config';
+import logger from '../utils/logger';
+import { validateAddress } from '../utils/validation';
+
+const router = Router();
+
+const EXPORT_FORMATS = ['jsonl', 'csv'];
+const CSV_COLUMNS = ['seq', 'occurredAt', 'source', 'action', 'actor', 'target', 'before', 'after', 'request', 'prevHash', 'hash'];
+
+function sendError(res: Response, status: number, code: string, message: string) {
+  return res.status(status).json({
+    error: {
+      code,
+      message,
+      timestamp: new Date().toISOString()
+    }
+  });
+}
+
+/**
+ * Filter from the query string, or a message saying what is wrong with it
+ */
+function parseFilter(query: Request['query']): AuditFilter | string {
+  const { source, action, actor, targetType, targetId, from, to } = query;
+
+  if (actor !== undefined && !validateAddress(String(actor))) {
+    return 'actor must be an Ethereum address';
+  }
+  const fromDate = from !== undefined ? new Date(String(from)) : undefined;
+  const toDate = to !== undefined ? new Date(String(to)) : undefined;
+  if ((fromDate && isNaN(fromDate.getTime())) || (toDate && isNaN(toDate.getTime()))) {
+    return 'from and to must be ISO dates';
+  }
+
+  return {
+    source: source as string | undefined,
+    action: action as string | undefined,
+    actor: actor as string | undefined,
+    targetType: targetType as string | undefined,
+    targetId: targetId as string | undefined,
+    from: fromDate,
+    to: toDate
+  };
+}
+
+function csvCell(value: unknown): string {
+  if (value === undefined || value === null) return '';
+  const text = value instanceof Date ? value.toISOString() : typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Whether the request carries AUDIT_INGEST_SECRET
+ */
+function hasIngestSecret(req: Request): boolean {
+  const given = Buffer.from(String(req.headers['x-audit-secret'] || ''));
+  const expected = Buffer.from(config.AUDIT_INGEST_SECRET);
+  return expected.length > 0 && given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+/**
+ * POST /audit/entries
+ * Append an entry recorded by another service (x-audit-secret header)
+ *
+ * Body: { source, eventId, occurredAt, actor, action, target, before?, after?, request? }
+ */
+router.post('/entries', async (req: Request, res: Response) => {
+  try {
+    if (!config.AUDIT_INGEST_SECRET) {
+      return sendError(res, 503, 'AUDIT_INGEST_DISABLED', 'Audit ingest is unavailable: AUDIT_INGEST_SECRET is not set');
+    }
+    if (!hasIngestSecret(req)) {
+      return sendError(res, 401, 'UNAUTHORIZED', 'Invalid or missing x-audit-secret');
+    }
+
+    const { source, eventId, occurredAt, actor, action, target, before, after, request } = req.body || {};
+    if (typeof source !== 'string' || !source || typeof eventId !== 'string' || !eventId) {
+      return sendError(res, 400, 'MISSING_FIELDS', 'source and eventId are required');
+    }
+    if (typeof action !== 'string' || !action || !actor?.type || !target?.type || target.id === undefined) {
+      return sendError(res, 400, 'MISSING_FIELDS', 'action, actor.type, target.type and target.id are required');
+    }
+    if (occurredAt !== undefined && isNaN(new Date(occurredAt).getTime())) {
+      return sendError(res, 400, 'INVALID_DATE', 'occurredAt must be an ISO date');
+    }
+
+    const entry = await auditService.append({
+      source,
+      eventId,
+      occurredAt,
+      actor,
+      action,
+      target: { type: String(target.type), id: String(target.id) },
+      before,
+      after,
+      request
+    });
+    res.status(201).json({ seq: entry.seq, hash: entry.hash });
+
+  } catch (error) {
+    logger.error('Error appending audit entry:', error);
+    sendError(res, 500, 'AUDIT_APPEND_ERROR', 'Failed to append audit entry');
+  }
+});
+
+/**
+ * GET /audit/entries
+ * Query entries, newest first
+ *
+ * Query: source, action, actor (address), targetType, targetId, from, to, page, limit
+ */
+router.get('/entries', requireAuth, requirePermission('audit:read'), async (req: Request, res: Response) => {
+  try {
+    const filter = parseFilter(req.query);
+    if (typeof filter === 'string') return sendError(res, 400, 'INVALID_FILTER', filter);
+
+    const page = Math.max(1, parseInt(req.query.page as string, 10) || 1);
+    const limit = Math.min(200, Math.max(1, parseInt(req.query.limit as string, 10) || 50));
+    const { entries, total } = await auditService.list(filter, page, limit);
+
+    res.json({
+      entries,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalResults: total,
+        resultsPerPage: limit
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Error querying audit log:', error);
+    sendError(res, 500, 'AUDIT_QUERY_ERROR', 'Failed to query audit log');
+  }
+});
+
+/**
+ * GET /audit/entries/:seq
+ */
+router.get('/entries/:seq', requireAuth, requirePermission('audit:read'), async (req: Request, res: Response) => {
+  try {
+    const seq = parseInt(req.params.seq, 10);
+    if (!Number.isInteger(seq) || seq < 1) {
+      return sendError(res, 400, 'INVALID_SEQ', 'seq must be a positive integer');
+    }
+
+    const entry = await auditService.get(seq);
+    if (!entry) return sendError(res, 404, 'AUDIT_ENTRY_NOT_FOUND', 'Audit entry not found');
+    res.json(entry);
+
+  } catch (error) {
+    logger.error('Error fetching audit entry:', error);
+    sendError(res, 500, 'AUDIT_QUERY_ERROR', 'Failed to fetch audit entry');
+  }
+});
+
+/**
+ * GET /audit/export
+ * Stream matching entries in chain order
+ *
+ * Query: the /entries filters, format=jsonl (default) or csv. An unfiltered
+ * JSONL export can be checked offline with `npm run audit:verify -- --file`.
+ */
+router.get('/export', requireAuth, requirePermission('audit:read'), async (req: Request, res: Response) => {
+  const filter = parseFilter(req.query);
+  if (typeof filter === 'string') return sendError(res, 400, 'INVALID_FILTER', filter);
+
+  const format = String(req.query.format || 'jsonl');
+  if (!EXPORT_FORMATS.includes(format)) {
+    return sendError(res, 400, 'INVALID_FORMAT', `format must be one of ${EXPORT_FORMATS.join(', ')}`);
+  }
+
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  res.setHeader('Content-Type', format === 'csv' ? 'text/csv' : 'application/x-ndjson');
+  res.setHeader('Content-Disposition', `attachment; filename="audit-${stamp}.${format}"`);
+
+  try {
+    if (format === 'csv') res.write(`${CSV_COLUMNS.join(',')}\n`);
+
+    for await (const entry of auditService.cursor(filter)) {
+      const { _id, __v, ...fields } = entry as any;
+      const line = format === 'csv'
+        ? CSV_COLUMNS.map(column => csvCell(fields[column])).join(',')
+        : JSON.stringify(fields);
+      if (!res.write(`${line}\n`)) {
+        await new Promise(resolve => res.once('drain', resolve));
+      }
+    }
+    res.end();
+
+    logger.info(`Audit log exported as ${format} by ${req.auth!.address}`);
+
+  } catch (error) {
+    logger.error('Error exporting audit log:', error);
+    if (!res.headersSent) return sendError(res, 500, 'AUDIT_EXPORT_ERROR', 'Failed to export audit log');
+    res.destroy(error as Error);
+  }
+});
+
+/**
+ * GET /audit/verify
+ * Check the hash chain and anchored roots
+ *
+ * Query: onChain=true also compares anchor transactions on-chain
+ */
+router.get('/verify', requireAuth, requirePermission('audit:read'), async (req: Request, res: Response) => {
+  try {
+    const result = await auditService.verify({ onChain: req.query.onChain === 'true' });
+    if (!result.valid) {
+      logger.warn(`Audit log verification found ${result.problems.length} problem(s)`);
+    }
+
+    res.json({
+      ...result,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Error verifying audit log:', error);
+    sendError(res, 500, 'AUDIT_VERIFY_ERROR', 'Failed to verify audit log');
+  }
+});
+
+/**
+ * GET /audit/anchors
+ */
+router.get('/anchors', requireAuth, requirePermission('audit:read'), async (req: Request, res: Response) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page as string, 10) || 1);
+    const limit = Math.min(200, Math.max(1, parseInt(req.query.limit as string, 10) || 50));
+    const { anchors, total } = await auditService.listAnchors(page, limit);
+
+    res.json({
+      anchors,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalResults: total,
+        resultsPerPage: limit
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Error listing audit anchors:', error);
+    sendError(res, 500, 'AUDIT_QUERY_ERROR', 'Failed to list audit anchors');
+  }
+});
+
+/**
+ * POST /audit/anchors
+ * Anchor entries appended since the last anchor now
+ */
+router.post('/anchors', requireAuth, requirePermission('audit:anchor'), async (req: Request, res: Response) => {
+  try {
+    const anchor = await auditService.anchor();
+    if (!anchor) {
+      return res.json({
+        anchor: null,
+        message: 'No entries since the last anchor',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    await auditService.record(req, 'audit.anchor', { type: 'audit_anchor', id: `${anchor.fromSeq}-${anchor.toSeq}` }, undefined, anchor);
+    res.status(201).json({ anchor });
+
+  } catch (error: any) {
+    if (error?.code === 11000) {
+      return sendError(res, 409, 'ANCHOR_IN_PROGRESS', 'Another anchor covering these entries was just recorded');
+    }
+    logger.error('Error anchoring audit log:', error);
+    sendError(res, 500, 'AUDIT_ANCHOR_ERROR', 'Failed to anchor audit log');
+  }
+});
+
+export default router;
@@ -0,0 +1,161 @@
+import { Router, Request, Response } from 'express';
+import authService, { AuthError } from '../services/authService';
+import { requireAuth } from '../middleware/auth';
+import roleService, { permissionsFor } from '../services/roleService';
+import config from '../config';
+import logger from '../utils/logger';
+import { validateAddress } from '../utils/validation';
+
+const router = Router();
+
+function badRequest(res: Response, code: string, message: string) {
+  return res.status(400).json({
+    error: {
+      code,
+      message,
+      timestamp: new Date().toISOString()
+    }
+  });
+}
+
+function handleAuthError(res: Response, error: unknown, code: string, message: string) {
+  if (error instanceof AuthError) {
+    return res.status(error.statusCode).json({
+      error: {
+        code: error.code,
+        message: error.message,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+
+  logger.error(`${message}:`, error);
+  res.status(500).json({
+    error: {
+      code,
+      message,
+      timestamp: new Date().toISOString()
+    }
+  });
+}
+
+/**
+ * POST /auth/nonce
+ * Issue a single-use nonce for a Sign-In with Ethereum message
+ *
+ * Body (all optional): { address, domain, uri, chainId }. With an address the
+ * response also carries the EIP-4361 message to sign.
+ */
+router.post('/nonce', async (req: Request, res: Response) => {
+  try {
+    const { address, domain, uri, chainId } = req.body || {};
+
+    if (address !== undefined && !validateAddress(address)) {
+      return badRequest(res, 'INVALID_ADDRESS', 'Invalid Ethereum address format');
+    }
+    if (domain !== undefined && !config.SIWE_DOMAINS.includes(domain)) {
+      return badRequest(res, 'INVALID_DOMAIN', `domain must be one of ${config.SIWE_DOMAINS.join(', ')}`);
+    }
+    if (chainId !== undefined && !config.SIWE_CHAIN_IDS.includes(chainId)) {
+      return badRequest(res, 'INVALID_CHAIN', `chainId must be one of ${config.SIWE_CHAIN_IDS.join(', ')}`);
+    }
+
+    const nonce = await authService.issueNonce(address, { domain, uri, chainId });
+    res.status(201).json(nonce);
+
+  } catch (error) {
+    handleAuthError(res, error, 'NONCE_ERROR', 'Failed to issue nonce');
+  }
+});
+
+/**
+ * POST /auth/verify
+ * Exchange a signed EIP-4361 message for an access token and refresh token
+ *
+ * Body: { message, signature }
+ */
+router.post('/verify', async (req: Request, res: Response) => {
+  try {
+    const { message, signature } = req.body || {};
+
+    if (typeof message !== 'string' || typeof signature !== 'string') {
+      return badRequest(res, 'MISSING_FIELDS', 'message and signature are required');
+    }
+
+    const tokens = await authService.signIn(message, signature, {
+      userAgent: req.get('user-agent'),
+      ip: req.ip
+    });
+    res.json(tokens);
+
+  } catch (error) {
+    handleAuthError(res, error, 'SIGN_IN_ERROR', 'Failed to sign in');
+  }
+});
+
+/**
+ * POST /auth/refresh
+ * Rotate the refresh token and issue a new access token
+ *
+ * Body: { refreshToken }
+ */
+router.post('/refresh', async (req: Request, res: Response) => {
+  try {
+    const { refreshToken } = req.body || {};
+
+    if (typeof refreshToken !== 'string' || !refreshToken) {
+      return badRequest(res, 'MISSING_REFRESH_TOKEN', 'refreshToken is required');
+    }
+
+    res.json(await authService.refresh(refreshToken));
+
+  } catch (error) {
+    handleAuthError(res, error, 'REFRESH_ERROR', 'Failed to refresh session');
+  }
+});
+
+/**
+ * POST /auth/logout
+ * Revoke the session of a refresh token
+ *
+ * Body: { refreshToken }
+ */
+router.post('/logout', async (req: Request, res: Response) => {
+  try {
+    const { refreshToken } = req.body || {};
+
+    if (typeof refreshToken !== 'string' || !refreshToken) {
+      return badRequest(res, 'MISSING_REFRESH_TOKEN', 'refreshToken is required');
+    }
+
+    const revoked = await authService.signOut(refreshToken);
+    res.json({
+      revoked,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    handleAuthError(res, error, 'LOGOUT_ERROR', 'Failed to sign out');
+  }
+});
+
+/**
+ * GET /auth/session
+ * The wallet the access token was issued to, with its roles and permissions
+ */
+router.get('/session', requireAuth, async (req: Request, res: Response) => {
+  try {
+    const roles = await roleService.rolesFor(req.auth!.address);
+    res.json({
+      ...req.auth,
+      roles,
+      permissions: permissionsFor(roles),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    handleAuthError(res, error, 'SESSION_ERROR', 'Failed to load session');
+  }
+});
+
+export default router;
@@ -57,8 +57,8 @@ router.post('/sync/:address', async (req: Request, res: Response) => {
       if (blockchainData.reputationScore !== null && blockchainData.reputationScore.score > 0) {
         identity.reputationScore = {
           value: blockchainData.reputationScore.score,
-          algo: 'blockchain-v1',
-          confidence: blockchainData.reputationScore.confidence
+          algo: blockchainData.reputationScore.algorithm,
+          confidence: blockchainData.reputationScore.confidence / 100 // Convert percentage to decimal
         };
       }
 
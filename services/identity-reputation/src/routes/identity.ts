@@ -2,14 +2,16 @@ import { Router, Request, Response } from 'express';
 import Identity, { IIdentity } from '../models/Identity';
 import logger from '../utils/logger';
 import { validateDID, validateAddress } from '../utils/validation';
+import { requireAuth, requireCaller, requirePermission } from '../middleware/auth';
+import auditService from '../services/auditService';
 
 const router = Router();
 
 /**
  * POST /identities
- * Create a new identity (DID)
+ * Create a new identity (DID) for the signed-in wallet
  */
-router.post('/', async (req: Request, res: Response) => {
+router.post('/', requireAuth, requirePermission('identities:write'), async (req: Request, res: Response) => {
   try {
     const { address, name, bio, avatar, metadata } = req.body;
 
@@ -34,6 +36,8 @@ router.post('/', async (req: Request, res: Response) => {
       });
     }
 
+    if (!requireCaller(req, res, address, 'the owner of this address')) return;
+
     // Generate DID from address
     const did = `did:ethr:${address}`;
 
@@ -213,9 +217,9 @@ router.get('/', async (req: Request, res: Response) => {
 });
 
 /**
- * PUT /identities/:did (update identity)
+ * PUT /identities/:did (update identity; owner only)
  */
-router.put('/:did', async (req: Request, res: Response) => {
+router.put('/:did', requireAuth, requirePermission('identities:write'), async (req: Request, res: Response) => {
   try {
     const { did } = req.params;
     const { name, bio, avatar, metadata } = req.body;
@@ -230,6 +234,8 @@ router.put('/:did', async (req: Request, res: Response) => {
       });
     }
 
+    if (!requireCaller(req, res, did, 'the owner of this identity')) return;
+
     const identity = await Identity.findByDID(did);
     if (!identity) {
       return res.status(404).json({
@@ -276,12 +282,15 @@ router.put('/:did', async (req: Request, res: Response) => {
 });
 
 /**
- * POST /identities/:did/verify (verification)
+ * POST /identities/:did/verify (verification; needs identities:verify)
+ *
+ * The verifier recorded is the signed-in staff member's DID.
  */
-router.post('/:did/verify', async (req: Request, res: Response) => {
+router.post('/:did/verify', requireAuth, requirePermission('identities:verify'), async (req: Request, res: Response) => {
   try {
     const { did } = req.params;
-    const { method, verifier, txHash, blockNumber } = req.body;
+    const { method, txHash, blockNumber } = req.body;
+    const verifier = req.auth!.did;
 
     if (!validateDID(did)) {
       return res.status(400).json({
@@ -314,11 +323,13 @@ router.post('/:did/verify', async (req: Request, res: Response) => {
       });
     }
 
+    const before = { verified: identity.verified, verification: identity.verification };
+
     // Update verification status
     identity.verification = {
       status: 'verified',
       method: method || 'manual',
-      verifier: verifier || 'admin',
+      verifier,
       txHash,
       blockNumber,
       verifiedAt: new Date()
@@ -326,6 +337,10 @@ router.post('/:did/verify', async (req: Request, res: Response) => {
     identity.verified = true;
 
     await identity.save();
+    await auditService.record(req, 'identity.verify', { type: 'identity', id: did }, before, {
+      verified: identity.verified,
+      verification: identity.verification
+    });
 
     logger.info(`Verified identity: ${did} by ${verifier}`);
 
@@ -3,13 +3,59 @@ import Identity from '../models/Identity';
 import Rating from '../models/Rating';
 import logger from '../utils/logger';
 import { validateDID, validateRating } from '../utils/validation';
-import blockchainService from '../services/blockchainService';
+import blockchainService, { OrderStatus } from '../services/blockchainService';
+import { requireAuth, isCaller, requirePermission } from '../middleware/auth';
+import auditService from '../services/auditService';
+import reputationEngine, { ReputationStrategy, strategyId } from '../services/reputationEngine';
+import recomputeService, { toProgress } from '../services/recomputeService';
 
 const router = Router();
 
+// Orders that may be rated: delivered, or refunded (disputes end in one of the two)
+const RATEABLE_ORDER_STATUSES: OrderStatus[] = ['Delivered', 'Refunded'];
+
+/**
+ * Strategy named by ?algo=, the default one without it, or undefined after
+ * answering 400 for an unknown name
+ */
+function resolveAlgo(req: Request, res: Response): ReputationStrategy | undefined {
+  const algo = req.query.algo === undefined ? undefined : String(req.query.algo);
+  const strategy = reputationEngine.resolve(algo);
+  if (!strategy) {
+    res.status(400).json({
+      error: {
+        code: 'UNKNOWN_ALGORITHM',
+        message: `Unknown reputation algorithm ${algo}; available: ${reputationEngine.list().map(strategyId).join(', ')}`,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+  return strategy;
+}
+
+/**
+ * GET /reputation/algorithms
+ * Registered reputation algorithms and the default
+ */
+router.get('/algorithms', (req: Request, res: Response) => {
+  res.json({
+    default: strategyId(reputationEngine.resolve()!),
+    algorithms: reputationEngine.list().map(strategy => ({
+      id: strategyId(strategy),
+      name: strategy.name,
+      version: strategy.version,
+      description: strategy.description
+    })),
+    timestamp: new Date().toISOString()
+  });
+});
+
 /**
  * GET /reputation/:did
  * Get aggregated reputation for a DID
+ *
+ * Query: algo - compute the score with this algorithm instead of returning
+ * the stored one
  */
 router.get('/:did', async (req: Request, res: Response) => {
   try {
@@ -25,6 +71,12 @@ router.get('/:did', async (req: Request, res: Response) => {
       });
     }
 
+    let strategy: ReputationStrategy | undefined;
+    if (req.query.algo !== undefined) {
+      strategy = resolveAlgo(req, res);
+      if (!strategy) return;
+    }
+
     const identity = await Identity.findByDID(did);
     if (!identity) {
       return res.status(404).json({
@@ -36,6 +88,10 @@ router.get('/:did', async (req: Request, res: Response) => {
       });
     }
 
+    const score = strategy && strategyId(strategy) !== identity.reputationScore?.algo
+      ? await reputationEngine.computeForDID(did, strategyId(strategy))
+      : identity.reputationScore;
+
     // Get recent ratings
     const recentRatings = await Rating.find({ 'to.did': did })
       .sort({ createdAt: -1 })
@@ -60,7 +116,7 @@ router.get('/:did', async (req: Request, res: Response) => {
 
     res.json({
       did,
-      score: identity.reputationScore,
+      score,
       breakdown,
       recentRatings: recentRatings.map(rating => ({
         ratingId: rating.ratingId,
@@ -154,12 +210,18 @@ router.get('/:did/ratings', async (req: Request, res: Response) => {
 
 /**
  * POST /reputation/:did/ratings
- * Submit a rating for a DID
+ * Submit a rating for a DID, from the signed-in wallet
+ *
+ * The order must be Delivered or Refunded on OrderManager. Its buyer rates
+ * its seller (buyer_to_seller) and the other way round; each direction once.
+ *
+ * Query: algo - algorithm for the recipient's updated score
  */
-router.post('/:did/ratings', async (req: Request, res: Response) => {
+router.post('/:did/ratings', requireAuth, requirePermission('ratings:create'), async (req: Request, res: Response) => {
   try {
     const { did } = req.params;
-    const { orderId, from, score, comment, type, evidence } = req.body;
+    const { orderId, score, comment, type, evidence } = req.body;
+    const auth = req.auth!;
 
     if (!validateDID(did)) {
       return res.status(400).json({
@@ -181,18 +243,128 @@ router.post('/:did/ratings', async (req: Request, res: Response) => {
       });
     }
 
-    // Check if rating already exists for this order
-    const existingRating = await Rating.findOne({ 
-      orderId, 
-      'from.did': from.did,
-      'to.did': did 
-    });
+    const strategy = resolveAlgo(req, res);
+    if (!strategy) return;
+
+    // Ratings are always from the caller; a `from` naming anyone else is refused
+    const claimedFrom = req.body.from;
+    if (claimedFrom && ![claimedFrom.did, claimedFrom.address].filter(Boolean).every(id => isCaller(req, id))) {
+      return res.status(403).json({
+        error: {
+          code: 'FORBIDDEN',
+          message: `Ratings can only be submitted from the signed-in wallet ${auth.address}`,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+
+    if (isCaller(req, did)) {
+      return res.status(400).json({
+        error: {
+          code: 'SELF_RATING',
+          message: 'You cannot rate yourself',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+
+    if (typeof orderId !== 'string' || !orderId) {
+      return res.status(400).json({
+        error: {
+          code: 'MISSING_ORDER_ID',
+          message: 'orderId is required',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+
+    if (type !== undefined && type !== 'buyer_to_seller' && type !== 'seller_to_buyer') {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_RATING_TYPE',
+          message: 'type must be buyer_to_seller or seller_to_buyer',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
 
+    let order;
+    try {
+      order = await blockchainService.getOrder(orderId);
+    } catch (error) {
+      logger.error(`Error looking up order ${orderId}:`, error);
+      return res.status(503).json({
+        error: {
+          code: 'ORDER_LOOKUP_UNAVAILABLE',
+          message: 'Orders cannot be checked right now; try again later',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+
+    if (!order) {
+      return res.status(404).json({
+        error: {
+          code: 'ORDER_NOT_FOUND',
+          message: 'Order not found',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+
+    if (!RATEABLE_ORDER_STATUSES.includes(order.status)) {
+      return res.status(409).json({
+        error: {
+          code: 'ORDER_NOT_COMPLETED',
+          message: `Order is ${order.status}; ratings open once it is ${RATEABLE_ORDER_STATUSES.join(' or ')}`,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+
+    // The caller's side of the order decides the direction
+    const direction = isCaller(req, order.buyer) ? 'buyer_to_seller'
+      : isCaller(req, order.seller) ? 'seller_to_buyer'
+      : null;
+    if (!direction) {
+      return res.status(403).json({
+        error: {
+          code: 'NOT_ORDER_PARTY',
+          message: 'Only the buyer or seller of this order can rate it',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+
+    if (type && type !== direction) {
+      return res.status(400).json({
+        error: {
+          code: 'RATING_DIRECTION_MISMATCH',
+          message: `As the ${direction === 'buyer_to_seller' ? 'buyer' : 'seller'} of this order you can only submit ${direction} ratings`,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+
+    const counterparty = direction === 'buyer_to_seller' ? order.seller : order.buyer;
+    if (did.toLowerCase() !== `did:ethr:${counterparty}`.toLowerCase()) {
+      return res.status(400).json({
+        error: {
+          code: 'RATING_TARGET_MISMATCH',
+          message: `This order's ${direction === 'buyer_to_seller' ? 'seller' : 'buyer'} is did:ethr:${counterparty}`,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+
+    const from = { did: auth.did, address: auth.address, name: claimedFrom?.name };
+
+    const existingRating = await Rating.findOne({ orderId, type: direction });
     if (existingRating) {
       return res.status(409).json({
         error: {
           code: 'RATING_EXISTS',
-          message: 'Rating already exists for this order',
+          message: `This order already has a ${direction} rating`,
           timestamp: new Date().toISOString()
         }
       });
@@ -204,32 +376,37 @@ router.post('/:did/ratings', async (req: Request, res: Response) => {
       from,
       to: {
         did,
-        address: req.body.to?.address || did.replace('did:ethr:', ''),
+        address: counterparty,
         name: req.body.to?.name
       },
       score,
       comment,
-      type: type || 'buyer_to_seller',
-      evidence: evidence || {}
+      type: direction,
+      evidence: evidence || {},
+      orderValue: {
+        amount: order.totalAmount,
+        token: order.paymentToken
+      }
     });
 
-    await rating.save();
+    try {
+      await rating.save();
+    } catch (error: any) {
+      // Lost a race with another submission for the same order and direction
+      if (error?.code !== 11000) throw error;
+      return res.status(409).json({
+        error: {
+          code: 'RATING_EXISTS',
+          message: `This order already has a ${direction} rating`,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
 
     // Update identity reputation score
     const identity = await Identity.findByDID(did);
     if (identity) {
-      const allRatings = await Rating.find({ 'to.did': did }).lean();
-      const averageScore = allRatings.reduce((sum, r) => sum + r.score, 0) / allRatings.length;
-      
-      // Simple reputation calculation (can be made more sophisticated)
-      const reputationValue = Math.round((averageScore / 5) * 100);
-      
-      identity.reputationScore = {
-        value: reputationValue,
-        algo: 'weighted-v1',
-        confidence: Math.min(1, allRatings.length / 10) // Higher confidence with more ratings
-      };
-      
+      identity.reputationScore = await reputationEngine.computeForDID(did, strategyId(strategy));
       await identity.save();
     }
 
@@ -261,50 +438,112 @@ router.post('/:did/ratings', async (req: Request, res: Response) => {
 
 /**
  * POST /reputation/recompute
- * Recompute reputation scores for all identities
+ * Start a background job recomputing every identity's score
+ *
+ * Query: algo - algorithm to recompute with. Answers 202 with the job; follow
+ * it with GET /reputation/recompute/jobs/:jobId.
  */
-router.post('/recompute', async (req: Request, res: Response) => {
+router.post('/recompute', requireAuth, requirePermission('reputation:recompute'), async (req: Request, res: Response) => {
   try {
-    const identities = await Identity.find({}).lean();
-    let updated = 0;
+    const strategy = resolveAlgo(req, res);
+    if (!strategy) return;
+
+    let job;
+    try {
+      job = await recomputeService.start(strategyId(strategy), req.auth!.address);
+    } catch (error: any) {
+      if (error?.code !== 11000) throw error;
+      const running = await recomputeService.running();
+      return res.status(409).json({
+        error: {
+          code: 'RECOMPUTE_IN_PROGRESS',
+          message: running ? `Recompute job ${running.jobId} is still running` : 'A recompute job is still running',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
 
-    for (const identity of identities) {
-      const ratings = await Rating.find({ 'to.did': identity.did }).lean();
-      
-      if (ratings.length > 0) {
-        const averageScore = ratings.reduce((sum, r) => sum + r.score, 0) / ratings.length;
-        const reputationValue = Math.round((averageScore / 5) * 100);
-        
-        await Identity.updateOne(
-          { _id: identity._id },
-          {
-            $set: {
-              reputationScore: {
-                value: reputationValue,
-                algo: 'weighted-v1',
-                confidence: Math.min(1, ratings.length / 10)
-              }
-            }
-          }
-        );
-        updated++;
+    logger.info(`Started reputation recompute ${job.jobId} with ${job.algo}`);
+    await auditService.record(req, 'reputation.recompute', { type: 'recompute_job', id: job.jobId }, undefined, { algo: job.algo, total: job.total });
+
+    res.status(202).json({
+      job: toProgress(job),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Error starting reputation recompute:', error);
+    res.status(500).json({
+      error: {
+        code: 'RECOMPUTE_ERROR',
+        message: 'Failed to start reputation recompute',
+        timestamp: new Date().toISOString()
       }
-    }
+    });
+  }
+});
 
-    logger.info(`Recomputed reputation scores for ${updated} identities`);
+/**
+ * GET /reputation/recompute/jobs
+ * Recompute jobs, newest first
+ */
+router.get('/recompute/jobs', requireAuth, requirePermission('reputation:recompute'), async (req: Request, res: Response) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page as string, 10) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit as string, 10) || 20));
+    const { jobs, total } = await recomputeService.list(page, limit);
 
     res.json({
-      message: 'Reputation scores recomputed successfully',
-      identitiesUpdated: updated,
+      jobs: jobs.map(toProgress),
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalResults: total,
+        resultsPerPage: limit
+      },
       timestamp: new Date().toISOString()
     });
 
   } catch (error) {
-    logger.error('Error recomputing reputation scores:', error);
+    logger.error('Error listing recompute jobs:', error);
     res.status(500).json({
       error: {
-        code: 'RECOMPUTE_ERROR',
-        message: 'Failed to recompute reputation scores',
+        code: 'RECOMPUTE_JOBS_ERROR',
+        message: 'Failed to list recompute jobs',
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+});
+
+/**
+ * GET /reputation/recompute/jobs/:jobId
+ * Progress of a recompute job
+ */
+router.get('/recompute/jobs/:jobId', requireAuth, requirePermission('reputation:recompute'), async (req: Request, res: Response) => {
+  try {
+    const job = await recomputeService.get(req.params.jobId);
+    if (!job) {
+      return res.status(404).json({
+        error: {
+          code: 'RECOMPUTE_JOB_NOT_FOUND',
+          message: 'Recompute job not found',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+
+    res.json({
+      job: toProgress(job),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Error fetching recompute job:', error);
+    res.status(500).json({
+      error: {
+        code: 'RECOMPUTE_JOBS_ERROR',
+        message: 'Failed to fetch recompute job',
         timestamp: new Date().toISOString()
       }
     });
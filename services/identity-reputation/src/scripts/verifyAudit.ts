@@ -0,0 +1,61 @@
+#!/usr/bin/env node
+
+/**
+ * Verify the audit log hash chain.
+ *
+ *   npm run audit:verify                      # entries and anchors in MongoDB
+ *   npm run audit:verify -- --onchain         # also compare anchor transactions
+ *   npm run audit:verify -- --file audit.jsonl   # an export from GET /audit/export
+ *
+ * Exits 1 when anything was tampered with.
+ */
+
+import 'dotenv/config';
+import fs from 'fs';
+import readline from 'readline';
+import database from '../config/database';
+import auditService from '../services/auditService';
+
+async function* readExport(file: string) {
+  const lines = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+  for await (const line of lines) {
+    if (line.trim()) yield JSON.parse(line);
+  }
+}
+
+function report(result: { valid?: boolean; checked?: number; entriesChecked?: number; headSeq: number; headHash: string; problems: { seq: number; problem: string }[] }) {
+  const checked = result.entriesChecked ?? result.checked;
+  console.log(`Checked ${checked} entries; head #${result.headSeq} ${result.headHash}`);
+  for (const { seq, problem } of result.problems) {
+    console.log(`  #${seq}: ${problem}`);
+  }
+  console.log(result.problems.length === 0 ? 'Audit log is intact' : `Audit log has ${result.problems.length} problem(s)`);
+  return result.problems.length === 0;
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const fileIndex = args.indexOf('--file');
+
+  if (fileIndex >= 0) {
+    const file = args[fileIndex + 1];
+    if (!file) throw new Error('--file needs a path');
+    return report(await auditService.verifyEntries(readExport(file)));
+  }
+
+  await database.connect();
+  try {
+    const result = await auditService.verify({ onChain: args.includes('--onchain') });
+    console.log(`Checked ${result.anchorsChecked} anchors`);
+    return report(result);
+  } finally {
+    await database.disconnect();
+  }
+}
+
+main()
+  .then(valid => process.exit(valid ? 0 : 1))
+  .catch(error => {
+    console.error('Audit verification failed:', error.message);
+    process.exit(2);
+  });
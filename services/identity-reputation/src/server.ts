@@ -11,13 +11,17 @@ import database from './config/database';
 
 // Route imports
 import healthRoutes from './routes/health';
+import authRoutes from './routes/auth';
 import identityRoutes from './routes/identity';
 import reputationRoutes from './routes/reputation';
 import blockchainRoutes from './routes/blockchain';
 import adminRoutes from './routes/admin';
+import auditRoutes from './routes/audit';
 
 // Service imports
 import blockchainService from './services/blockchainService';
+import auditService from './services/auditService';
+import recomputeService from './services/recomputeService';
 
 class Server {
   public app: express.Application;
@@ -81,10 +85,12 @@ class Server {
     this.app.use('/health', healthRoutes);
 
     // API routes
+    this.app.use(`${apiPrefix}/auth`, authRoutes);
     this.app.use(`${apiPrefix}/identities`, identityRoutes);
     this.app.use(`${apiPrefix}/reputation`, reputationRoutes);
     this.app.use(`${apiPrefix}/blockchain`, blockchainRoutes);
     this.app.use(`${apiPrefix}/admin`, adminRoutes);
+    this.app.use(`${apiPrefix}/audit`, auditRoutes);
 
     // Root endpoint
     this.app.get('/', (req, res) => {
@@ -95,10 +101,12 @@ class Server {
         timestamp: new Date().toISOString(),
         endpoints: {
           health: '/health',
+          auth: `${apiPrefix}/auth`,
           identities: `${apiPrefix}/identities`,
           reputation: `${apiPrefix}/reputation`,
           blockchain: `${apiPrefix}/blockchain`,
           admin: `${apiPrefix}/admin`,
+          audit: `${apiPrefix}/audit`,
           documentation: `${apiPrefix}/docs`
         }
       });
@@ -128,6 +136,8 @@ class Server {
       try {
         await database.connect();
         logger.info(`📊 Database: Connected to ${config.MONGODB_DB_NAME}`);
+        auditService.startAnchoring();
+        await recomputeService.resumeInterrupted();
       } catch (dbError) {
         logger.warn('⚠️ Database connection failed - running in demo mode');
       }
@@ -161,6 +171,8 @@ class Server {
 
   public async stop(): Promise<void> {
     try {
+      auditService.stopAnchoring();
+      await recomputeService.stop();
       await database.disconnect();
       logger.info('✅ Server stopped gracefully');
     } catch (error) {
@@ -0,0 +1,342 @@
+import { Request } from 'express';
+import { ethers } from 'ethers';
+import config from '../config';
+import logger from '../utils/logger';
+import AuditEntry, { AuditActor, AuditRequestMeta, AuditTarget, IAuditEntry } from '../models/AuditEntry';
+import AuditAnchor, { IAuditAnchor } from '../models/AuditAnchor';
+import { canonicalJson, GENESIS_HASH, merkleRoot, sha256 } from '../utils/hashChain';
+
+export interface AuditInput {
+  source?: string;
+  eventId?: string;
+  occurredAt?: Date | string;
+  actor: AuditActor;
+  action: string;
+  target: AuditTarget;
+  before?: unknown;
+  after?: unknown;
+  request?: AuditRequestMeta;
+}
+
+export interface AuditFilter {
+  source?: string;
+  action?: string;
+  actor?: string;
+  targetType?: string;
+  targetId?: string;
+  from?: Date;
+  to?: Date;
+}
+
+export interface AuditProblem {
+  seq: number;
+  problem: string;
+}
+
+export interface AuditVerification {
+  valid: boolean;
+  entriesChecked: number;
+  headSeq: number;
+  headHash: string;
+  problems: AuditProblem[];
+  anchorsChecked: number;
+}
+
+// Prefixes the calldata of anchor transactions so they are easy to find
+const ANCHOR_TAG = ethers.hexlify(ethers.toUtf8Bytes('NOZAMA-AUDIT-v1'));
+const APPEND_ATTEMPTS = 5;
+const ANCHOR_BATCH_LIMIT = 10000;
+const SOURCE = 'identity-reputation';
+
+/**
+ * What an entry's hash covers, in the shape it is stored
+ */
+function hashedFields(entry: Pick<IAuditEntry, 'seq' | 'source' | 'eventId' | 'occurredAt' | 'actor' | 'action' | 'target' | 'before' | 'after' | 'request' | 'prevHash'>) {
+  return {
+    seq: entry.seq,
+    source: entry.source,
+    eventId: entry.eventId,
+    occurredAt: new Date(entry.occurredAt),
+    actor: entry.actor,
+    action: entry.action,
+    target: entry.target,
+    before: entry.before,
+    after: entry.after,
+    request: entry.request,
+    prevHash: entry.prevHash
+  };
+}
+
+export function hashEntry(entry: Parameters<typeof hashedFields>[0]): string {
+  return sha256(canonicalJson(hashedFields(entry)));
+}
+
+// Plain JSON, as Mongo will hand it back: no undefined, ObjectIds and Dates as strings
+function snapshot(value: unknown): unknown {
+  if (value === undefined) return undefined;
+  const plain = value && typeof (value as any).toObject === 'function' ? (value as any).toObject() : value;
+  return JSON.parse(JSON.stringify(plain));
+}
+
+function buildFilter(filter: AuditFilter) {
+  const query: Record<string, unknown> = {};
+  if (filter.source) query.source = filter.source;
+  if (filter.action) query.action = filter.action;
+  if (filter.actor) query['actor.address'] = new RegExp(`^${filter.actor}$`, 'i');
+  if (filter.targetType) query['target.type'] = filter.targetType;
+  if (filter.targetId) query['target.id'] = filter.targetId;
+  if (filter.from || filter.to) {
+    query.occurredAt = {
+      ...(filter.from && { $gte: filter.from }),
+      ...(filter.to && { $lte: filter.to })
+    };
+  }
+  return query;
+}
+
+/**
+ * Actor and request metadata for an entry recorded while serving `req`
+ */
+export function auditContext(req: Request): { actor: AuditActor; request: AuditRequestMeta } {
+  return {
+    actor: req.auth
+      ? { type: 'user', address: req.auth.address, did: req.auth.did, roles: req.auth.roles }
+      : { type: 'system', label: 'anonymous' },
+    request: {
+      method: req.method,
+      path: req.originalUrl,
+      ip: req.ip,
+      userAgent: req.get('user-agent'),
+      sessionId: req.auth?.sessionId
+    }
+  };
+}
+
+class AuditService {
+  // Appends run one at a time in this process; the unique seq and prevHash
+  // indexes catch a second instance appending concurrently
+  private appendQueue: Promise<unknown> = Promise.resolve();
+  private anchorTimer: NodeJS.Timeout | null = null;
+  private anchoring = false;
+
+  append(input: AuditInput): Promise<IAuditEntry> {
+    const result = this.appendQueue.then(() => this.appendNow(input));
+    this.appendQueue = result.catch(() => undefined);
+    return result;
+  }
+
+  /**
+   * Append an entry for an action taken while serving `req`. The action has
+   * already happened, so a failure is logged rather than thrown.
+   */
+  async record(req: Request, action: string, target: AuditTarget, before?: unknown, after?: unknown): Promise<void> {
+    try {
+      await this.append({ ...auditContext(req), action, target, before, after });
+    } catch (error) {
+      logger.error(`Failed to record audit entry ${action} ${target.type}:${target.id}:`, error);
+    }
+  }
+
+  private async appendNow(input: AuditInput): Promise<IAuditEntry> {
+    if (input.eventId) {
+      const existing = await AuditEntry.findOne({ eventId: input.eventId });
+      if (existing) return existing;
+    }
+
+    for (let attempt = 1; ; attempt++) {
+      const head = await AuditEntry.findHead();
+      const fields = {
+        seq: head ? head.seq + 1 : 1,
+        source: input.source || SOURCE,
+        eventId: input.eventId,
+        occurredAt: input.occurredAt ? new Date(input.occurredAt) : new Date(),
+        actor: snapshot(input.actor) as AuditActor,
+        action: input.action,
+        target: snapshot(input.target) as AuditTarget,
+        before: snapshot(input.before),
+        after: snapshot(input.after),
+        request: snapshot(input.request) as AuditRequestMeta | undefined,
+        prevHash: head ? head.hash : GENESIS_HASH
+      };
+
+      try {
+        return await AuditEntry.create({ ...fields, hash: hashEntry(fields) });
+      } catch (error: any) {
+        if (error?.code !== 11000 || attempt >= APPEND_ATTEMPTS) throw error;
+        if (input.eventId) {
+          const existing = await AuditEntry.findOne({ eventId: input.eventId });
+          if (existing) return existing;
+        }
+        // Another instance took this seq; chain onto its entry instead
+      }
+    }
+  }
+
+  async list(filter: AuditFilter, page = 1, limit = 50) {
+    const query = buildFilter(filter);
+    const [entries, total] = await Promise.all([
+      AuditEntry.find(query).sort({ seq: -1 }).skip((page - 1) * limit).limit(limit).lean(),
+      AuditEntry.countDocuments(query)
+    ]);
+    return { entries, total };
+  }
+
+  async get(seq: number) {
+    return AuditEntry.findOne({ seq }).lean();
+  }
+
+  /**
+   * Matching entries in chain order, for exports
+   */
+  cursor(filter: AuditFilter) {
+    return AuditEntry.find(buildFilter(filter)).sort({ seq: 1 }).lean().cursor();
+  }
+
+  /**
+   * Walk entries in seq order and check each hash and link. `entries` may
+   * come from the database or from an export file.
+   */
+  async verifyEntries(entries: AsyncIterable<any> | Iterable<any>, options: { fromSeq?: number; prevHash?: string } = {}) {
+    const problems: AuditProblem[] = [];
+    let expectedSeq = options.fromSeq ?? 1;
+    let prevHash = options.prevHash ?? GENESIS_HASH;
+    let checked = 0;
+
+    for await (const entry of entries) {
+      checked++;
+      if (entry.seq !== expectedSeq) {
+        problems.push({ seq: expectedSeq, problem: `missing entries ${expectedSeq}..${entry.seq - 1}` });
+      }
+      if (entry.prevHash !== prevHash) {
+        problems.push({ seq: entry.seq, problem: 'prevHash does not match the previous entry' });
+      }
+      if (hashEntry(entry) !== entry.hash) {
+        problems.push({ seq: entry.seq, problem: 'hash does not match the entry contents' });
+      }
+      expectedSeq = entry.seq + 1;
+      prevHash = entry.hash;
+    }
+
+    return { checked, problems, headSeq: expectedSeq - 1, headHash: prevHash };
+  }
+
+  /**
+   * Verify the stored chain, and every anchor's root against the entries it
+   * covers. With onChain, anchor transactions are fetched and compared too.
+   */
+  async verify(options: { onChain?: boolean } = {}): Promise<AuditVerification> {
+    const result = await this.verifyEntries(AuditEntry.find({}).sort({ seq: 1 }).lean().cursor());
+    const problems = [...result.problems];
+
+    const anchors = await AuditAnchor.find({}).sort({ fromSeq: 1 }).lean();
+    const provider = options.onChain ? new ethers.JsonRpcProvider(config.BLOCKCHAIN_RPC_URL) : null;
+    for (const anchor of anchors) {
+      const hashes = await AuditEntry.find({ seq: { $gte: anchor.fromSeq, $lte: anchor.toSeq } })
+        .sort({ seq: 1 }).select('hash').lean();
+      if (hashes.length !== anchor.toSeq - anchor.fromSeq + 1 || merkleRoot(hashes.map(h => h.hash)) !== anchor.root) {
+        problems.push({ seq: anchor.fromSeq, problem: `entries ${anchor.fromSeq}..${anchor.toSeq} no longer match their anchored root` });
+      }
+
+      if (provider && anchor.txHash) {
+        const tx = await provider.getTransaction(anchor.txHash);
+        if (!tx || tx.data !== this.anchorCalldata(anchor.fromSeq, anchor.toSeq, anchor.root)) {
+          problems.push({ seq: anchor.fromSeq, problem: `anchor transaction ${anchor.txHash} does not carry root ${anchor.root}` });
+        }
+      }
+    }
+
+    return {
+      valid: problems.length === 0,
+      entriesChecked: result.checked,
+      headSeq: result.headSeq,
+      headHash: result.headHash,
+      problems,
+      anchorsChecked: anchors.length
+    };
+  }
+
+  private anchorCalldata(fromSeq: number, toSeq: number, root: string): string {
+    return ethers.concat([
+      ANCHOR_TAG,
+      ethers.AbiCoder.defaultAbiCoder().encode(['uint256', 'uint256', 'bytes32'], [fromSeq, toSeq, `0x${root}`])
+    ]);
+  }
+
+  /**
+   * Record a Merkle root over entries appended since the last anchor, and
+   * send it on-chain when AUDIT_ANCHOR_PRIVATE_KEY is set. The transaction
+   * goes to the anchoring wallet itself with the root in its calldata.
+   */
+  async anchor(): Promise<IAuditAnchor | null> {
+    const latest = await AuditAnchor.findLatest();
+    const fromSeq = latest ? latest.toSeq + 1 : 1;
+    const entries = await AuditEntry.find({ seq: { $gte: fromSeq } })
+      .sort({ seq: 1 }).limit(ANCHOR_BATCH_LIMIT).select('seq hash').lean();
+    if (entries.length === 0) return null;
+
+    const toSeq = entries[entries.length - 1].seq;
+    const anchor = await AuditAnchor.create({
+      fromSeq,
+      toSeq,
+      root: merkleRoot(entries.map(e => e.hash))
+    });
+
+    if (!config.AUDIT_ANCHOR_PRIVATE_KEY) return anchor;
+
+    try {
+      const provider = new ethers.JsonRpcProvider(config.BLOCKCHAIN_RPC_URL);
+      const wallet = new ethers.Wallet(config.AUDIT_ANCHOR_PRIVATE_KEY, provider);
+      const tx = await wallet.sendTransaction({
+        to: wallet.address,
+        value: 0,
+        data: this.anchorCalldata(fromSeq, toSeq, anchor.root)
+      });
+      const receipt = await tx.wait();
+      const network = await provider.getNetwork();
+
+      anchor.status = 'anchored';
+      anchor.txHash = tx.hash;
+      anchor.blockNumber = receipt?.blockNumber;
+      anchor.chainId = Number(network.chainId);
+      logger.info(`Anchored audit entries ${fromSeq}..${toSeq} in ${tx.hash}`);
+    } catch (error: any) {
+      anchor.status = 'failed';
+      anchor.error = error?.shortMessage || error?.message;
+      logger.error(`Failed to anchor audit entries ${fromSeq}..${toSeq}:`, error);
+    }
+    await anchor.save();
+    return anchor;
+  }
+
+  async listAnchors(page = 1, limit = 50) {
+    const [anchors, total] = await Promise.all([
+      AuditAnchor.find({}).sort({ toSeq: -1 }).skip((page - 1) * limit).limit(limit).lean(),
+      AuditAnchor.countDocuments({})
+    ]);
+    return { anchors, total };
+  }
+
+  startAnchoring(): void {
+    if (config.AUDIT_ANCHOR_INTERVAL_MS <= 0 || this.anchorTimer) return;
+
+    this.anchorTimer = setInterval(async () => {
+      if (this.anchoring) return;
+      this.anchoring = true;
+      try {
+        await this.anchor();
+      } catch (error) {
+        logger.error('Audit anchoring failed:', error);
+      } finally {
+        this.anchoring = false;
+      }
+    }, config.AUDIT_ANCHOR_INTERVAL_MS);
+    logger.info(`Audit anchoring every ${config.AUDIT_ANCHOR_INTERVAL_MS}ms${config.AUDIT_ANCHOR_PRIVATE_KEY ? ' (on-chain)' : ''}`);
+  }
+
+  stopAnchoring(): void {
+    if (this.anchorTimer) clearInterval(this.anchorTimer);
+    this.anchorTimer = null;
+  }
+}
+
+export default new AuditService();
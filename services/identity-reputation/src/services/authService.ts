@@ -0,0 +1,259 @@
+import crypto from 'crypto';
+import { ethers } from 'ethers';
+import config from '../config';
+import logger from '../utils/logger';
+import AuthNonce from '../models/AuthNonce';
+import AuthSession, { IAuthSession } from '../models/AuthSession';
+import { signJwt, verifyJwt } from '../utils/jwt';
+import { buildSiweMessage, parseSiweMessage } from '../utils/siwe';
+import type { Role } from '../models/RoleAssignment';
+
+export interface AuthPrincipal {
+  address: string;
+  did: string;
+  sessionId: string;
+  // Loaded by requirePermission
+  roles?: Role[];
+}
+
+export interface AuthTokens {
+  tokenType: 'Bearer';
+  accessToken: string;
+  expiresIn: number;
+  refreshToken: string;
+  refreshTokenExpiresAt: Date;
+  address: string;
+  did: string;
+}
+
+interface ClientInfo {
+  userAgent?: string;
+  ip?: string;
+}
+
+/**
+ * Error with the status and code a route should answer with
+ */
+export class AuthError extends Error {
+  constructor(public statusCode: number, public code: string, message: string) {
+    super(message);
+    this.name = 'AuthError';
+  }
+}
+
+const SIGN_IN_STATEMENT = 'Sign in to Nozama.';
+
+function hashToken(token: string): string {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+export function didFor(address: string): string {
+  return `did:ethr:${address}`;
+}
+
+class AuthService {
+  isConfigured(): boolean {
+    return config.AUTH_JWT_SECRET.length > 0;
+  }
+
+  private requireConfigured(): void {
+    if (!this.isConfigured()) {
+      throw new AuthError(503, 'AUTH_NOT_CONFIGURED', 'Sign-in is unavailable: AUTH_JWT_SECRET is not set');
+    }
+  }
+
+  /**
+   * Nonce for the next sign-in message. Given the wallet address, the
+   * EIP-4361 message to sign is built too, so clients without a SIWE library
+   * only have to call personal_sign.
+   */
+  async issueNonce(address?: string, options: { domain?: string; uri?: string; chainId?: number } = {}) {
+    this.requireConfigured();
+
+    const nonce = crypto.randomBytes(16).toString('hex');
+    const issuedAt = new Date();
+    const expiresAt = new Date(issuedAt.getTime() + config.AUTH_NONCE_TTL_SECONDS * 1000);
+    const checksummed = address ? ethers.getAddress(address) : undefined;
+
+    await AuthNonce.create({ nonce, address: checksummed, expiresAt });
+
+    if (!checksummed) {
+      return { nonce, expiresAt };
+    }
+
+    const domain = options.domain || config.SIWE_DOMAINS[0];
+    const message = buildSiweMessage({
+      domain,
+      address: checksummed,
+      statement: SIGN_IN_STATEMENT,
+      uri: options.uri || `http://${domain}`,
+      version: '1',
+      chainId: options.chainId || config.SIWE_CHAIN_IDS[0],
+      nonce,
+      issuedAt: issuedAt.toISOString(),
+      expirationTime: expiresAt.toISOString()
+    });
+    return { nonce, expiresAt, message };
+  }
+
+  /**
+   * Check a signed EIP-4361 message and open a session for its signer
+   */
+  async signIn(text: string, signature: string, client: ClientInfo = {}): Promise<AuthTokens> {
+    this.requireConfigured();
+
+    let message;
+    try {
+      message = parseSiweMessage(text);
+    } catch (error: any) {
+      throw new AuthError(400, 'INVALID_SIWE_MESSAGE', error.message);
+    }
+
+    if (!config.SIWE_DOMAINS.includes(message.domain)) {
+      throw new AuthError(401, 'DOMAIN_MISMATCH', `Messages for ${message.domain} are not accepted here`);
+    }
+    if (!config.SIWE_CHAIN_IDS.includes(message.chainId)) {
+      throw new AuthError(401, 'CHAIN_MISMATCH', `Chain ${message.chainId} is not accepted`);
+    }
+
+    const now = Date.now();
+    const skew = config.SIWE_CLOCK_SKEW_SECONDS * 1000;
+    if (Date.parse(message.issuedAt) > now + skew) {
+      throw new AuthError(401, 'MESSAGE_NOT_YET_VALID', 'Issued At is in the future');
+    }
+    if (message.notBefore && Date.parse(message.notBefore) > now + skew) {
+      throw new AuthError(401, 'MESSAGE_NOT_YET_VALID', 'Message is not valid before its Not Before time');
+    }
+    if (message.expirationTime && Date.parse(message.expirationTime) <= now) {
+      throw new AuthError(401, 'MESSAGE_EXPIRED', 'Message has expired');
+    }
+
+    let signer: string;
+    try {
+      signer = ethers.verifyMessage(text, signature);
+    } catch {
+      throw new AuthError(400, 'INVALID_SIGNATURE', 'Signature is malformed');
+    }
+    if (signer.toLowerCase() !== message.address.toLowerCase()) {
+      throw new AuthError(401, 'INVALID_SIGNATURE', 'Message was not signed by the address it names');
+    }
+
+    const nonce = await AuthNonce.consume(message.nonce);
+    if (!nonce) {
+      throw new AuthError(401, 'INVALID_NONCE', 'Nonce is unknown, expired or already used');
+    }
+    if (nonce.address && nonce.address !== signer.toLowerCase()) {
+      throw new AuthError(401, 'INVALID_NONCE', 'Nonce was issued for another address');
+    }
+
+    const refreshToken = crypto.randomBytes(32).toString('base64url');
+    const session = await AuthSession.create({
+      sessionId: `sess_${crypto.randomUUID()}`,
+      address: signer,
+      did: didFor(signer),
+      refreshTokenHash: hashToken(refreshToken),
+      expiresAt: new Date(now + config.AUTH_REFRESH_TOKEN_TTL_SECONDS * 1000),
+      userAgent: client.userAgent,
+      ip: client.ip
+    });
+
+    logger.info(`Signed in ${signer} (${session.sessionId})`);
+    return this.tokensFor(session, refreshToken);
+  }
+
+  /**
+   * New access token and rotated refresh token for a live session
+   */
+  async refresh(refreshToken: string): Promise<AuthTokens> {
+    this.requireConfigured();
+
+    const hash = hashToken(refreshToken);
+    const session = await AuthSession.findByRefreshTokenHash(hash);
+    if (!session || session.revokedAt || session.expiresAt.getTime() <= Date.now()) {
+      throw new AuthError(401, 'INVALID_REFRESH_TOKEN', 'Refresh token is unknown, expired or revoked');
+    }
+
+    if (session.refreshTokenHash !== hash) {
+      await this.revoke(session, 'refresh_token_reuse');
+      logger.warn(`Refresh token reused for ${session.sessionId}; session revoked`);
+      throw new AuthError(401, 'INVALID_REFRESH_TOKEN', 'Refresh token was already used; sign in again');
+    }
+
+    const nextToken = crypto.randomBytes(32).toString('base64url');
+    const rotated = await AuthSession.findOneAndUpdate(
+      { _id: session._id, refreshTokenHash: hash, revokedAt: null },
+      {
+        $set: {
+          refreshTokenHash: hashToken(nextToken),
+          previousRefreshTokenHash: hash,
+          lastRefreshedAt: new Date()
+        }
+      },
+      { new: true }
+    );
+    if (!rotated) {
+      throw new AuthError(401, 'INVALID_REFRESH_TOKEN', 'Refresh token was already used; sign in again');
+    }
+
+    return this.tokensFor(rotated, nextToken);
+  }
+
+  /**
+   * End the session a refresh token belongs to. Access tokens already issued
+   * stay valid until they expire.
+   */
+  async signOut(refreshToken: string): Promise<boolean> {
+    const session = await AuthSession.findByRefreshTokenHash(hashToken(refreshToken));
+    if (!session || session.revokedAt) return false;
+
+    await this.revoke(session, 'signed_out');
+    return true;
+  }
+
+  verifyAccessToken(token: string): AuthPrincipal {
+    this.requireConfigured();
+
+    let payload;
+    try {
+      payload = verifyJwt(token, config.AUTH_JWT_SECRET, config.AUTH_JWT_ISSUER);
+    } catch (error: any) {
+      throw new AuthError(401, 'INVALID_TOKEN', error.message);
+    }
+    if (typeof payload.sub !== 'string' || typeof payload.did !== 'string') {
+      throw new AuthError(401, 'INVALID_TOKEN', 'Token is not an access token');
+    }
+
+    return { address: payload.sub, did: payload.did, sessionId: String(payload.sid) };
+  }
+
+  private async revoke(session: IAuthSession, reason: string): Promise<void> {
+    await AuthSession.updateOne(
+      { _id: session._id },
+      { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+  }
+
+  private tokensFor(session: IAuthSession, refreshToken: string): AuthTokens {
+    const iat = Math.floor(Date.now() / 1000);
+    const accessToken = signJwt({
+      iss: config.AUTH_JWT_ISSUER,
+      sub: session.address,
+      did: session.did,
+      sid: session.sessionId,
+      iat,
+      exp: iat + config.AUTH_ACCESS_TOKEN_TTL_SECONDS
+    }, config.AUTH_JWT_SECRET);
+
+    return {
+      tokenType: 'Bearer',
+      accessToken,
+      expiresIn: config.AUTH_ACCESS_TOKEN_TTL_SECONDS,
+      refreshToken,
+      refreshTokenExpiresAt: session.expiresAt,
+      address: session.address,
+      did: session.did
+    };
+  }
+}
+
+export default new AuthService();
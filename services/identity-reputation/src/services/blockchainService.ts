@@ -2,9 +2,24 @@ import { ethers } from 'ethers';
 import config from '../config';
 import logger from '../utils/logger';
 
+// OrderManager.OrderStatus, in enum order
+export const ORDER_STATUSES = ['Pending', 'Paid', 'Shipped', 'Delivered', 'Cancelled', 'Disputed', 'Refunded'] as const;
+export type OrderStatus = typeof ORDER_STATUSES[number];
+
+export interface ChainOrder {
+  orderId: string;
+  buyer: string;
+  seller: string;
+  status: OrderStatus;
+  // Smallest unit of paymentToken (the zero address for ETH)
+  totalAmount: string;
+  paymentToken: string;
+}
+
 class BlockchainService {
   private provider: ethers.Provider | null = null;
   private reputationContract: ethers.Contract | null = null;
+  private orderManagerContract: ethers.Contract | null = null;
 
   async initialize() {
     try {
@@ -17,6 +32,7 @@ class BlockchainService {
           "function updateIdentity(string, string, string) external", 
           "function setVerificationStatus(address, uint8, string, string) external",
           "function submitRating(address, string, uint8, string, uint8) external",
+          "function orderRated(string, uint8) view returns (bool)",
           "function getIdentity(address) view returns (string, string, string, string, bool, uint8, uint256, uint256)",
           "function getIdentityByDID(string) view returns (address, string, string, bool, uint256)",
           "function getReputationScore(address) view returns (uint256, string, uint256)",
@@ -42,6 +58,14 @@ class BlockchainService {
           this.provider
         );
       }
+
+      if (config.ORDER_MANAGER_ADDRESS) {
+        this.orderManagerContract = new ethers.Contract(
+          String(config.ORDER_MANAGER_ADDRESS),
+          ["function getOrder(string) view returns (tuple(string orderId, string listingId, address buyer, address seller, uint256 quantity, uint256 totalAmount, uint8 status, bytes32 escrowId, uint256 createdAt, uint256 updatedAt, address paymentToken, uint256 paymentDeadline))"],
+          this.provider
+        );
+      }
       
       logger.info('Blockchain service initialized');
     } catch (error) {
@@ -221,6 +245,31 @@ class BlockchainService {
     }
   }
 
+  /**
+   * Order as OrderManager has it, or null when it does not exist. Throws when
+   * the order contract is not configured or unreachable.
+   */
+  async getOrder(orderId: string): Promise<ChainOrder | null> {
+    if (!this.orderManagerContract) {
+      throw new Error('OrderManager contract not initialized');
+    }
+
+    try {
+      const order = await this.orderManagerContract.getOrder(orderId);
+      return {
+        orderId: order.orderId,
+        buyer: order.buyer,
+        seller: order.seller,
+        status: ORDER_STATUSES[Number(order.status)],
+        totalAmount: order.totalAmount.toString(),
+        paymentToken: order.paymentToken
+      };
+    } catch (error: any) {
+      if (error?.reason === 'Order does not exist') return null;
+      throw error;
+    }
+  }
+
   async isIdentityRegistered(address: string): Promise<boolean> {
     if (!this.reputationContract) {
       return false;
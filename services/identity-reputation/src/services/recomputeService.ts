@@ -0,0 +1,151 @@
+import Identity from '../models/Identity';
+import RecomputeJob, { IRecomputeJob } from '../models/RecomputeJob';
+import reputationEngine from './reputationEngine';
+import config from '../config';
+import logger from '../utils/logger';
+
+export interface RecomputeProgress {
+  jobId: string;
+  algo: string;
+  status: IRecomputeJob['status'];
+  requestedBy: string;
+  total: number;
+  processed: number;
+  rated: number;
+  pages: number;
+  percent: number;
+  error?: string;
+  startedAt: Date;
+  finishedAt?: Date;
+}
+
+export function toProgress(job: IRecomputeJob): RecomputeProgress {
+  return {
+    jobId: job.jobId,
+    algo: job.algo,
+    status: job.status,
+    requestedBy: job.requestedBy,
+    total: job.total,
+    processed: job.processed,
+    rated: job.rated,
+    pages: job.pages,
+    percent: job.status === 'completed' ? 100 : job.total > 0 ? Math.min(99, Math.floor((job.processed / job.total) * 100)) : 0,
+    error: job.error,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt
+  };
+}
+
+class RecomputeService {
+  private current: Promise<void> | null = null;
+  private stopping = false;
+
+  /**
+   * Create a job and start running it in the background. Throws with code
+   * 11000 when another job is already running.
+   */
+  async start(algo: string, requestedBy: string): Promise<IRecomputeJob> {
+    const job = new RecomputeJob({
+      algo,
+      requestedBy,
+      total: await Identity.estimatedDocumentCount()
+    });
+    await job.save();
+
+    this.launch(job);
+    return job;
+  }
+
+  async get(jobId: string): Promise<IRecomputeJob | null> {
+    return RecomputeJob.findOne({ jobId });
+  }
+
+  async running(): Promise<IRecomputeJob | null> {
+    return RecomputeJob.findRunning();
+  }
+
+  async list(page: number, limit: number): Promise<{ jobs: IRecomputeJob[]; total: number }> {
+    const [jobs, total] = await Promise.all([
+      RecomputeJob.find({}).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit),
+      RecomputeJob.countDocuments({})
+    ]);
+    return { jobs, total };
+  }
+
+  /**
+   * Carry on with a job a previous process left running
+   */
+  async resumeInterrupted(): Promise<void> {
+    const job = await RecomputeJob.findRunning();
+    if (!job || this.current) return;
+
+    logger.info(`Resuming reputation recompute ${job.jobId} after ${job.processed}/${job.total} identities`);
+    this.launch(job);
+  }
+
+  /**
+   * Stop after the page in progress. The job stays running and resumes on
+   * the next start.
+   */
+  async stop(): Promise<void> {
+    this.stopping = true;
+    await this.current;
+  }
+
+  private launch(job: IRecomputeJob) {
+    this.stopping = false;
+    this.current = this.run(job).finally(() => {
+      this.current = null;
+    });
+  }
+
+  private async run(job: IRecomputeJob): Promise<void> {
+    const { jobId } = job;
+    try {
+      while (!this.stopping) {
+        const identities = await Identity.find(job.cursor ? { _id: { $gt: job.cursor } } : {})
+          .sort({ _id: 1 })
+          .limit(config.REPUTATION_RECOMPUTE_PAGE_SIZE)
+          .select('did')
+          .lean();
+        if (identities.length === 0) break;
+
+        const scores = await reputationEngine.computeForDIDs(identities.map(identity => identity.did), job.algo);
+        await Identity.bulkWrite(identities.map(identity => ({
+          updateOne: {
+            filter: { _id: identity._id },
+            update: { $set: { reputationScore: scores.get(identity.did)! } }
+          }
+        })), { ordered: false });
+
+        job.cursor = identities[identities.length - 1]._id;
+        job.processed += identities.length;
+        job.rated += [...scores.values()].filter(score => score.ratingCount > 0).length;
+        job.pages += 1;
+        // Identities created since the job started count too
+        job.total = Math.max(job.total, job.processed);
+        await job.save();
+      }
+
+      if (this.stopping) {
+        logger.info(`Reputation recompute ${jobId} paused after ${job.processed} identities`);
+        return;
+      }
+
+      job.status = 'completed';
+      job.total = job.processed;
+      job.finishedAt = new Date();
+      await job.save();
+      logger.info(`Reputation recompute ${jobId} (${job.algo}) finished: ${job.processed} identities, ${job.rated} rated`);
+
+    } catch (error: any) {
+      logger.error(`Reputation recompute ${jobId} failed:`, error);
+      job.status = 'failed';
+      job.error = error?.message || String(error);
+      job.finishedAt = new Date();
+      await job.save().catch(saveError => logger.error(`Error recording failure of recompute ${jobId}:`, saveError));
+    }
+  }
+}
+
+export default new RecomputeService();
@@ -0,0 +1,230 @@
+import Rating from '../models/Rating';
+import config from '../config';
+
+/**
+ * What a strategy sees of a rating
+ */
+export interface ScoredRating {
+  score: number; // 1-5
+  createdAt: Date;
+  orderValue?: {
+    amount: string;
+    token: string;
+  };
+}
+
+export interface StrategyResult {
+  value: number; // 0-100
+  confidence: number; // 0-1
+  interval?: { low: number; high: number };
+}
+
+/**
+ * A reputation algorithm. Its id is `${name}-v${version}`; any change to how
+ * it scores, including its constants, is registered as a new version so
+ * stored scores keep saying what produced them.
+ */
+export interface ReputationStrategy {
+  name: string;
+  version: number;
+  description: string;
+  score(ratings: ScoredRating[], now: Date): StrategyResult;
+}
+
+export interface ComputedScore extends StrategyResult {
+  algo: string;
+  ratingCount: number;
+  computedAt: Date;
+}
+
+export function strategyId(strategy: ReputationStrategy): string {
+  return `${strategy.name}-v${strategy.version}`;
+}
+
+// Star ratings 1-5 map onto 0-100, so a 3 star average is 50
+function toPercent(stars: number): number {
+  return Math.round((stars - 1) * 25);
+}
+
+/**
+ * Weighted mean pulled towards a 3 star prior worth PRIOR_WEIGHT ratings,
+ * so a couple of ratings cannot put anyone at the top or bottom.
+ * Reputation.sol computes bayesian-v1 the same way on-chain.
+ */
+const PRIOR_MEAN = 3;
+const PRIOR_WEIGHT = 5;
+
+function shrunkMean(ratings: ScoredRating[], weights: number[]): StrategyResult {
+  let weightSum = 0;
+  let scoreSum = 0;
+  ratings.forEach((rating, i) => {
+    weightSum += weights[i];
+    scoreSum += weights[i] * rating.score;
+  });
+
+  return {
+    value: toPercent((PRIOR_MEAN * PRIOR_WEIGHT + scoreSum) / (PRIOR_WEIGHT + weightSum)),
+    confidence: weightSum / (weightSum + PRIOR_WEIGHT)
+  };
+}
+
+const bayesian: ReputationStrategy = {
+  name: 'bayesian',
+  version: 1,
+  description: `Average rating shrunk towards ${PRIOR_MEAN} stars with the weight of ${PRIOR_WEIGHT} ratings`,
+  score: ratings => shrunkMean(ratings, ratings.map(() => 1))
+};
+
+const DECAY_HALF_LIFE_DAYS = 90;
+
+const timeDecay: ReputationStrategy = {
+  name: 'time-decay',
+  version: 1,
+  description: `Bayesian average where a rating's weight halves every ${DECAY_HALF_LIFE_DAYS} days`,
+  score: (ratings, now) => shrunkMean(ratings, ratings.map(rating => {
+    const ageDays = Math.max(0, now.getTime() - new Date(rating.createdAt).getTime()) / 86_400_000;
+    return Math.pow(0.5, ageDays / DECAY_HALF_LIFE_DAYS);
+  }))
+};
+
+/**
+ * Amounts in different tokens cannot be compared, so each order is measured
+ * against the median order in the same token. Weight grows with the log of
+ * that ratio, so one large order does not drown out many ordinary ones.
+ * Ratings without a recorded value weigh as much as a median order.
+ */
+const orderValue: ReputationStrategy = {
+  name: 'order-value',
+  version: 1,
+  description: 'Bayesian average weighted by 1 + ln(1 + order value / median order value in the same token)',
+  score: ratings => {
+    const amountsByToken = new Map<string, number[]>();
+    for (const rating of ratings) {
+      if (!rating.orderValue?.amount) continue;
+      const token = (rating.orderValue.token || '').toLowerCase();
+      amountsByToken.set(token, [...(amountsByToken.get(token) || []), Number(rating.orderValue.amount)]);
+    }
+
+    const medians = new Map<string, number>();
+    for (const [token, amounts] of amountsByToken) {
+      const sorted = amounts.sort((a, b) => a - b);
+      const mid = Math.floor(sorted.length / 2);
+      medians.set(token, sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2);
+    }
+
+    const weights = ratings.map(rating => {
+      const median = rating.orderValue?.amount ? medians.get((rating.orderValue.token || '').toLowerCase()) : undefined;
+      const ratio = median ? Number(rating.orderValue!.amount) / median : 1;
+      return 1 + Math.log1p(ratio);
+    });
+
+    // Scale the weights to average 1 so confidence still counts ratings
+    const mean = weights.reduce((sum, w) => sum + w, 0) / (weights.length || 1);
+    return shrunkMean(ratings, weights.map(w => w / mean));
+  }
+};
+
+const WILSON_Z = 1.96;
+
+/**
+ * Lower bound of the 95% Wilson score interval for the share of 4 and 5 star
+ * ratings. Few ratings mean a wide interval and a low score; confidence is
+ * how narrow the interval is.
+ */
+const wilson: ReputationStrategy = {
+  name: 'wilson',
+  version: 1,
+  description: 'Lower bound of the 95% Wilson interval for the share of 4-5 star ratings',
+  score: ratings => {
+    const n = ratings.length;
+    if (n === 0) {
+      return { value: 0, confidence: 0, interval: { low: 0, high: 100 } };
+    }
+
+    const p = ratings.filter(rating => rating.score >= 4).length / n;
+    const z2 = WILSON_Z * WILSON_Z;
+    const centre = p + z2 / (2 * n);
+    const margin = WILSON_Z * Math.sqrt((p * (1 - p) + z2 / (4 * n)) / n);
+    const low = (centre - margin) / (1 + z2 / n);
+    const high = (centre + margin) / (1 + z2 / n);
+
+    return {
+      value: Math.round(low * 100),
+      confidence: 1 - (high - low),
+      interval: { low: Math.round(low * 100), high: Math.round(high * 100) }
+    };
+  }
+};
+
+class ReputationEngine {
+  private strategies = new Map<string, ReputationStrategy>();
+
+  constructor(strategies: ReputationStrategy[]) {
+    strategies.forEach(strategy => this.register(strategy));
+  }
+
+  register(strategy: ReputationStrategy) {
+    const id = strategyId(strategy);
+    if (this.strategies.has(id)) {
+      throw new Error(`Reputation algorithm ${id} is already registered`);
+    }
+    this.strategies.set(id, strategy);
+  }
+
+  list(): ReputationStrategy[] {
+    return [...this.strategies.values()];
+  }
+
+  /**
+   * Strategy for an exact id (`wilson-v1`), or the latest version of a name
+   * (`wilson`). Without an algo, REPUTATION_DEFAULT_ALGO.
+   */
+  resolve(algo: string = config.REPUTATION_DEFAULT_ALGO): ReputationStrategy | undefined {
+    const exact = this.strategies.get(algo);
+    if (exact) return exact;
+
+    return this.list()
+      .filter(strategy => strategy.name === algo)
+      .sort((a, b) => b.version - a.version)[0];
+  }
+
+  compute(ratings: ScoredRating[], algo?: string, now = new Date()): ComputedScore {
+    const strategy = this.resolve(algo);
+    if (!strategy) {
+      throw new Error(`Unknown reputation algorithm ${algo ?? config.REPUTATION_DEFAULT_ALGO}`);
+    }
+
+    const result = strategy.score(ratings, now);
+    return {
+      value: Math.min(100, Math.max(0, result.value)),
+      algo: strategyId(strategy),
+      confidence: Math.min(1, Math.max(0, result.confidence)),
+      ...(result.interval && { interval: result.interval }),
+      ratingCount: ratings.length,
+      computedAt: now
+    };
+  }
+
+  /**
+   * Scores for several DIDs from a single ratings query
+   */
+  async computeForDIDs(dids: string[], algo?: string): Promise<Map<string, ComputedScore>> {
+    const ratings = await Rating.find({ 'to.did': { $in: dids } })
+      .select('to.did score createdAt orderValue')
+      .lean();
+
+    const byDID = new Map<string, ScoredRating[]>(dids.map(did => [did, []]));
+    for (const rating of ratings) {
+      byDID.get(rating.to.did)?.push(rating);
+    }
+
+    const now = new Date();
+    return new Map(dids.map(did => [did, this.compute(byDID.get(did)!, algo, now)]));
+  }
+
+  async computeForDID(did: string, algo?: string): Promise<ComputedScore> {
+    return (await this.computeForDIDs([did], algo)).get(did)!;
+  }
+}
+
+export default new ReputationEngine([bayesian, timeDecay, orderValue, wilson]);
@@ -0,0 +1,127 @@
+import { ethers } from 'ethers';
+import config from '../config';
+import logger from '../utils/logger';
+import RoleAssignment, { IRoleAssignment, Role, ROLES } from '../models/RoleAssignment';
+import { AuthError } from './authService';
+
+export const PERMISSIONS = [
+  'stats:read',
+  'roles:read',
+  'roles:manage',
+  'identities:write',
+  'identities:verify',
+  'ratings:create',
+  'ratings:delete',
+  'reputation:recompute',
+  'disputes:resolve',
+  'audit:read',
+  'audit:anchor'
+] as const;
+export type Permission = typeof PERMISSIONS[number];
+
+export const ROLE_PERMISSIONS: Record<Role, readonly Permission[]> = {
+  admin: PERMISSIONS,
+  moderator: ['stats:read', 'roles:read', 'identities:verify', 'ratings:delete'],
+  arbitrator: ['disputes:resolve'],
+  support: ['stats:read', 'roles:read'],
+  seller: ['identities:write', 'ratings:create'],
+  buyer: ['identities:write', 'ratings:create']
+};
+
+// Anyone who signs in trades on the marketplace; only staff roles are granted
+export const IMPLICIT_ROLES: readonly Role[] = ['seller', 'buyer'];
+
+export function isRole(value: unknown): value is Role {
+  return typeof value === 'string' && (ROLES as readonly string[]).includes(value);
+}
+
+export function permissionsFor(roles: readonly Role[]): Permission[] {
+  return [...new Set(roles.flatMap(role => ROLE_PERMISSIONS[role]))];
+}
+
+class RoleService {
+  /**
+   * Roles a wallet holds: the implicit ones, the ones granted to it, and
+   * admin for RBAC_BOOTSTRAP_ADMINS
+   */
+  async rolesFor(address: string): Promise<Role[]> {
+    const roles = new Set<Role>(IMPLICIT_ROLES);
+    if (config.RBAC_BOOTSTRAP_ADMINS.includes(address.toLowerCase())) {
+      roles.add('admin');
+    }
+
+    const assignments = await RoleAssignment.findActiveByAddress(address);
+    for (const assignment of assignments) {
+      roles.add(assignment.role);
+    }
+    return ROLES.filter(role => roles.has(role));
+  }
+
+  async list(filter: { address?: string; role?: Role; includeRevoked?: boolean } = {}) {
+    const query: Record<string, unknown> = {};
+    if (filter.address) query.address = filter.address.toLowerCase();
+    if (filter.role) query.role = filter.role;
+    if (!filter.includeRevoked) query.active = true;
+
+    return RoleAssignment.find(query).sort({ grantedAt: -1 }).lean();
+  }
+
+  async grant(address: string, role: Role, actor: string, reason?: string): Promise<IRoleAssignment> {
+    if (IMPLICIT_ROLES.includes(role)) {
+      throw new AuthError(400, 'IMPLICIT_ROLE', `Every signed-in wallet already holds ${role}`);
+    }
+
+    const wallet = ethers.getAddress(address).toLowerCase();
+    const existing = await RoleAssignment.findOne({ address: wallet, role, active: true });
+    if (existing) {
+      throw new AuthError(409, 'ROLE_ALREADY_GRANTED', `${address} already holds ${role}`);
+    }
+
+    try {
+      const assignment = await RoleAssignment.create({
+        address: wallet,
+        role,
+        grantedBy: actor,
+        reason
+      });
+      logger.info(`Role ${role} granted to ${wallet} by ${actor}`);
+      return assignment;
+    } catch (error: any) {
+      if (error?.code === 11000) {
+        throw new AuthError(409, 'ROLE_ALREADY_GRANTED', `${address} already holds ${role}`);
+      }
+      throw error;
+    }
+  }
+
+  async revoke(address: string, role: Role, actor: string, reason?: string): Promise<IRoleAssignment> {
+    const wallet = address.toLowerCase();
+    if (role === 'admin' && wallet === actor.toLowerCase()) {
+      throw new AuthError(400, 'SELF_REVOKE', 'Admins cannot revoke their own admin role');
+    }
+
+    const assignment = await RoleAssignment.findOneAndUpdate(
+      { address: wallet, role, active: true },
+      {
+        $set: {
+          active: false,
+          revokedBy: actor,
+          revokedAt: new Date(),
+          revokeReason: reason
+        }
+      },
+      { new: true }
+    );
+    if (!assignment) {
+      const message = config.RBAC_BOOTSTRAP_ADMINS.includes(wallet) && role === 'admin'
+        ? `${address} is an admin through RBAC_BOOTSTRAP_ADMINS; remove it there`
+        : `${address} does not hold ${role}`;
+      throw new AuthError(404, 'ROLE_NOT_GRANTED', message);
+    }
+
+    logger.info(`Role ${role} revoked from ${wallet} by ${actor}`);
+    return assignment;
+  }
+}
+
+export default new RoleService();
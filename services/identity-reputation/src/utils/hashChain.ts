@@ -0,0 +1,44 @@
+import crypto from 'crypto';
+
+export const GENESIS_HASH = '0'.repeat(64);
+
+/**
+ * JSON with object keys sorted and undefined members dropped, so the same
+ * entry always hashes the same no matter how it was built or stored
+ */
+export function canonicalJson(value: unknown): string {
+  if (value === null || value === undefined) return 'null';
+  if (value instanceof Date) return JSON.stringify(value.toISOString());
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (typeof value === 'object') {
+    const members = Object.keys(value as Record<string, unknown>)
+      .filter(key => (value as Record<string, unknown>)[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalJson((value as Record<string, unknown>)[key])}`);
+    return `{${members.join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+export function sha256(data: string | Buffer): string {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+/**
+ * Root of a binary Merkle tree over hex leaf hashes. An odd node at the end
+ * of a level is paired with itself.
+ */
+export function merkleRoot(leaves: string[]): string {
+  if (leaves.length === 0) return GENESIS_HASH;
+
+  let level: Buffer[] = leaves.map(leaf => Buffer.from(leaf, 'hex'));
+  while (level.length > 1) {
+    const next: Buffer[] = [];
+    for (let i = 0; i < level.length; i += 2) {
+      const right = level[i + 1] || level[i];
+      next.push(crypto.createHash('sha256').update(Buffer.concat([level[i], right])).digest());
+    }
+    level = next;
+  }
+  return level[0].toString('hex');
+}
@@ -0,0 +1,69 @@
+import crypto from 'crypto';
+
+/**
+ * Minimal HS256 JSON Web Tokens, enough for the short-lived access tokens
+ * this service issues and the other services verify with the same secret.
+ */
+
+export interface JwtPayload {
+  iss?: string;
+  sub?: string;
+  iat?: number;
+  exp?: number;
+  [claim: string]: unknown;
+}
+
+function base64url(input: Buffer | string): string {
+  return Buffer.from(input).toString('base64url');
+}
+
+function hmac(data: string, secret: string): Buffer {
+  return crypto.createHmac('sha256', secret).update(data).digest();
+}
+
+export function signJwt(payload: JwtPayload, secret: string): string {
+  const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const body = base64url(JSON.stringify(payload));
+  return `${header}.${body}.${base64url(hmac(`${header}.${body}`, secret))}`;
+}
+
+/**
+ * Payload of a token signed with `secret`, or an Error saying why it isn't
+ * acceptable (malformed, wrong algorithm or signature, expired, wrong issuer)
+ */
+export function verifyJwt(token: string, secret: string, issuer?: string): JwtPayload {
+  const parts = token.split('.');
+  if (parts.length !== 3) {
+    throw new Error('Malformed token');
+  }
+
+  const [header, body, signature] = parts;
+  let decodedHeader: { alg?: string };
+  let payload: JwtPayload;
+  try {
+    decodedHeader = JSON.parse(Buffer.from(header, 'base64url').toString('utf8'));
+    payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+  } catch {
+    throw new Error('Malformed token');
+  }
+
+  // Only HS256; never let the token pick its own algorithm
+  if (decodedHeader.alg !== 'HS256') {
+    throw new Error('Unsupported token algorithm');
+  }
+
+  const expected = hmac(`${header}.${body}`, secret);
+  const actual = Buffer.from(signature, 'base64url');
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    throw new Error('Invalid token signature');
+  }
+
+  if (typeof payload.exp !== 'number' || payload.exp <= Math.floor(Date.now() / 1000)) {
+    throw new Error('Token expired');
+  }
+  if (issuer && payload.iss !== issuer) {
+    throw new Error('Token issued by someone else');
+  }
+
+  return payload;
+}
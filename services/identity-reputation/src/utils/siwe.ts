@@ -0,0 +1,146 @@
+/**
+ * Sign-In with Ethereum (EIP-4361) messages
+ *
+ * ${domain} wants you to sign in with your Ethereum account:
+ * ${address}
+ *
+ * ${statement}
+ *
+ * URI: ${uri}
+ * Version: 1
+ * Chain ID: ${chainId}
+ * Nonce: ${nonce}
+ * Issued At: ${issuedAt}
+ * Expiration Time: ${expirationTime}   (optional)
+ * Not Before: ${notBefore}             (optional)
+ * Request ID: ${requestId}             (optional)
+ * Resources:                           (optional)
+ * - ${resource}
+ */
+
+export interface SiweMessage {
+  scheme?: string;
+  domain: string;
+  address: string;
+  statement?: string;
+  uri: string;
+  version: string;
+  chainId: number;
+  nonce: string;
+  issuedAt: string;
+  expirationTime?: string;
+  notBefore?: string;
+  requestId?: string;
+  resources?: string[];
+}
+
+const HEADER_SUFFIX = ' wants you to sign in with your Ethereum account:';
+const HEADER_PATTERN = /^(?:([a-zA-Z][a-zA-Z0-9+\-.]*):\/\/)?(\S+) wants you to sign in with your Ethereum account:$/;
+
+// Optional fields, in the order EIP-4361 puts them after Issued At
+const OPTIONAL_FIELDS: Array<[string, 'expirationTime' | 'notBefore' | 'requestId']> = [
+  ['Expiration Time', 'expirationTime'],
+  ['Not Before', 'notBefore'],
+  ['Request ID', 'requestId']
+];
+
+export function buildSiweMessage(message: SiweMessage): string {
+  const header = `${message.scheme ? `${message.scheme}://` : ''}${message.domain}${HEADER_SUFFIX}`;
+  const lines = [header, message.address, ''];
+  if (message.statement) {
+    lines.push(message.statement, '');
+  }
+
+  lines.push(
+    `URI: ${message.uri}`,
+    `Version: ${message.version}`,
+    `Chain ID: ${message.chainId}`,
+    `Nonce: ${message.nonce}`,
+    `Issued At: ${message.issuedAt}`
+  );
+  for (const [label, key] of OPTIONAL_FIELDS) {
+    if (message[key]) lines.push(`${label}: ${message[key]}`);
+  }
+  if (message.resources && message.resources.length > 0) {
+    lines.push('Resources:', ...message.resources.map(resource => `- ${resource}`));
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Parse a message in the EIP-4361 format; throws with the first thing wrong
+ * with it. Says nothing about whether it should be accepted.
+ */
+export function parseSiweMessage(text: string): SiweMessage {
+  const lines = text.replace(/\r\n/g, '\n').split('\n');
+
+  const header = HEADER_PATTERN.exec(lines[0] || '');
+  if (!header) {
+    throw new Error('Message does not start with a Sign-In with Ethereum header');
+  }
+
+  const address = lines[1] || '';
+  if (!/^0x[a-fA-F0-9]{40}$/.test(address)) {
+    throw new Error('Second line must be the signing address');
+  }
+
+  const uriLine = lines.findIndex(line => line.startsWith('URI: '));
+  if (uriLine < 0) {
+    throw new Error('Missing URI');
+  }
+  const statement = lines.slice(2, uriLine).join('\n').trim();
+
+  let i = uriLine;
+  const field = (label: string, required: boolean): string | undefined => {
+    const prefix = `${label}: `;
+    if (lines[i] !== undefined && lines[i].startsWith(prefix)) {
+      return lines[i++].slice(prefix.length);
+    }
+    if (required) throw new Error(`Missing ${label}`);
+    return undefined;
+  };
+
+  const message: SiweMessage = {
+    scheme: header[1],
+    domain: header[2],
+    address,
+    statement: statement || undefined,
+    uri: field('URI', true) as string,
+    version: field('Version', true) as string,
+    chainId: Number(field('Chain ID', true)),
+    nonce: field('Nonce', true) as string,
+    issuedAt: field('Issued At', true) as string
+  };
+  for (const [label, key] of OPTIONAL_FIELDS) {
+    message[key] = field(label, false);
+  }
+
+  if (lines[i] === 'Resources:') {
+    i++;
+    message.resources = [];
+    while (lines[i] !== undefined && lines[i].startsWith('- ')) {
+      message.resources.push(lines[i++].slice(2));
+    }
+  }
+  if (lines.slice(i).some(line => line.trim() !== '')) {
+    throw new Error(`Unexpected line: ${lines[i]}`);
+  }
+
+  if (message.version !== '1') {
+    throw new Error('Version must be 1');
+  }
+  if (!Number.isInteger(message.chainId) || message.chainId <= 0) {
+    throw new Error('Chain ID must be a positive integer');
+  }
+  if (!/^[a-zA-Z0-9]{8,}$/.test(message.nonce)) {
+    throw new Error('Nonce must be at least 8 alphanumeric characters');
+  }
+  for (const key of ['issuedAt', 'expirationTime', 'notBefore'] as const) {
+    if (message[key] !== undefined && Number.isNaN(Date.parse(message[key] as string))) {
+      throw new Error(`${key} must be an ISO 8601 timestamp`);
+    }
+  }
+
+  return message;
+}
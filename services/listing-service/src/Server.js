@@ -5,6 +5,14 @@ const connectMongo = require('./config/database');
 require('dotenv').config();
 
 const listingRoutes = require('./routes/listings.routes');
+const transactionRoutes = require('./routes/transactions.routes');
+const ipfsRoutes = require('./routes/ipfs.routes');
+const auctionRoutes = require('./routes/auctions.routes');
+const offerRoutes = require('./routes/offers.routes');
+const refundRoutes = require('./routes/refunds.routes');
+const { SERVER_SIGNING_ENABLED } = require('./utils/serverSigning');
+const ipfsService = require('./services/ipfsService');
+const saleService = require('./services/saleService');
 
 class Server {
   constructor() {
@@ -30,6 +38,11 @@ class Server {
 
   initializeRoutes() {
     this.app.use('/api/v1/listings', listingRoutes);
+    this.app.use('/api/v1/transactions', transactionRoutes);
+    this.app.use('/api/v1/ipfs', ipfsRoutes);
+    this.app.use('/api/v1/auctions', auctionRoutes);
+    this.app.use('/api/v1/offers', offerRoutes);
+    this.app.use('/api/v1/refunds', refundRoutes);
     this.app.get('/health', (req, res) => res.json({ status: 'ok' }));
 
     this.app.use((err, req, res, next) => {
@@ -58,7 +71,11 @@ class Server {
       console.log('='.repeat(60));
       console.log(`Server running on: http://localhost:${this.port}`);
       console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
+      console.log(`Server-side signing: ${SERVER_SIGNING_ENABLED ? 'ENABLED (dev only)' : 'disabled'}`);
+      console.log(`IPFS pinning backend: ${ipfsService.backend.name}`);
     });
+
+    saleService.watch();
   }
 }
 
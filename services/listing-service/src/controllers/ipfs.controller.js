@@ -0,0 +1,44 @@
+const ipfsService = require('../services/ipfsService');
+const { parseCid } = require('../utils/cid');
+
+// Raw blocks carry no content type; images are recognised by their signature
+// and everything else this service pins is JSON metadata
+function contentType(bytes) {
+  if (bytes.subarray(0, 4).toString('latin1') === 'RIFF' && bytes.subarray(8, 12).toString('latin1') === 'WEBP') {
+    return 'image/webp';
+  }
+  if (bytes[0] === 0xff && bytes[1] === 0xd8) return 'image/jpeg';
+  if (bytes.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'image/png';
+  return 'application/json';
+}
+
+class IpfsController {
+  /**
+   * Minimal read-only gateway for blocks this service pinned, with the
+   * public gateways as fallback. Clients that can't reach the IPFS network
+   * (or a filesystem-pinned CID) resolve listing metadata here.
+   */
+  async getBlock(req, res, next) {
+    try {
+      const { cid } = req.params;
+      if (!parseCid(cid)) {
+        return res.status(400).json({ message: 'Expected a base32 CIDv1 using sha2-256' });
+      }
+
+      const bytes = await ipfsService.fetchBlock(cid);
+      if (!bytes) {
+        return res.status(404).json({ message: `${cid} is not available from any IPFS source` });
+      }
+
+      // Content-addressed, so it never changes
+      res.set('Cache-Control', 'public, max-age=31536000, immutable');
+      res.set('ETag', `"${cid}"`);
+      res.type(req.query.format === 'raw' ? 'application/vnd.ipld.raw' : contentType(bytes));
+      res.send(bytes);
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new IpfsController();
@@ -1,23 +1,134 @@
 const listingService = require('../services/listing.service');
 const blockchainService = require('../services/blockchainService');
 const ipfsService = require('../services/ipfsService');
+const transactionService = require('../services/transactionService');
+const imageService = require('../services/imageService');
+const { SERVER_SIGNING_ENABLED } = require('../utils/serverSigning');
+const { assertCaller } = require('../../../shared/auth');
+
+const MAX_IMAGES_PER_LISTING = Number(process.env.IMAGE_MAX_PER_LISTING || 10);
+
+// Editable with PATCH; the metadata fields are re-pinned to IPFS
+const UPDATABLE_FIELDS = ['price', 'stock', 'description', 'images', 'imageAssets'];
+const METADATA_FIELDS = ['description', 'images', 'imageAssets'];
+
+const MAX_VARIANTS_PER_LISTING = Number(process.env.MAX_VARIANTS_PER_LISTING || 50);
+const MAX_SKU_LENGTH = 64;
+const VARIANT_UPDATABLE_FIELDS = ['price', 'stock', 'active'];
+// addVariant transactions prepared together with createListing can't be
+// estimated until the listing exists
+const ADD_VARIANT_GAS_LIMIT = BigInt(process.env.ADD_VARIANT_GAS_LIMIT || 400000);
+
+function httpError(name, status, message) {
+  const err = new Error(message);
+  err.name = name;
+  err.status = status;
+  return err;
+}
+
+/**
+ * Seller of a new listing: the signed-in wallet, unless the body names one,
+ * which then has to be the signed-in wallet too
+ */
+function sellerFromBody(req) {
+  const seller = { ...req.body.seller };
+  seller.address = seller.address || req.auth.address;
+  assertCaller(req, seller.address, 'the wallet named in seller.address');
+  return seller;
+}
+
+/**
+ * Check a variant from a request body against the variants a listing already
+ * has and give it the next variant ID
+ */
+function validateVariant(body, existing) {
+  const { sku, attributes, price, stock } = body || {};
+
+  if (typeof sku !== 'string' || !sku.trim() || sku.length > MAX_SKU_LENGTH) {
+    throw httpError('BadRequest', 400, `sku must be a non-empty string of at most ${MAX_SKU_LENGTH} characters`);
+  }
+  if (existing.some(variant => variant.sku === sku)) {
+    throw httpError('Conflict', 409, `SKU ${sku} is already used by this listing`);
+  }
+
+  const entries = attributes && typeof attributes === 'object' && !Array.isArray(attributes)
+    ? Object.entries(attributes)
+    : [];
+  if (entries.length === 0 || entries.some(([, value]) => typeof value !== 'string' || !value.trim())) {
+    throw httpError('BadRequest', 400, 'attributes must map attribute names to non-empty strings, e.g. { "size": "M" }');
+  }
+  if (typeof price !== 'number' || !(price > 0)) {
+    throw httpError('BadRequest', 400, 'price must be a positive number');
+  }
+  if (!Number.isInteger(stock) || stock < 0) {
+    throw httpError('BadRequest', 400, 'stock must be a non-negative integer');
+  }
+
+  return { variantId: existing.length + 1, sku, attributes, price, stock, active: true };
+}
+
+function validateVariants(variants = []) {
+  if (!Array.isArray(variants) || variants.length > MAX_VARIANTS_PER_LISTING) {
+    throw httpError('BadRequest', 400, `variants must be an array of at most ${MAX_VARIANTS_PER_LISTING} variants`);
+  }
+  return variants.reduce((valid, variant) => [...valid, validateVariant(variant, valid)], []);
+}
+
+/**
+ * addVariant arguments: price in base units, attributes as JSON with sorted
+ * keys so equal attribute sets read the same on-chain
+ */
+async function toChainVariant(listing, variant) {
+  const attributes = Object.fromEntries(Object.entries(variant.attributes).sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0)));
+  return {
+    sku: variant.sku,
+    attributes: JSON.stringify(attributes),
+    price: await blockchainService.toBaseUnits(variant.price, listing.currency),
+    stock: variant.stock,
+  };
+}
+
+async function publishVariants(listing) {
+  for (const variant of listing.variants || []) {
+    await blockchainService.addVariant(listing.listingId, await toChainVariant(listing, variant));
+  }
+}
 
 class ListingController {
+  /**
+   * Route guard for changes to an existing listing: only its seller may make them
+   */
+  async requireOwner(req, res, next) {
+    try {
+      const listing = await listingService.getListingById(req.params.id);
+      if (!listing) {
+        return res.status(404).json({ message: 'Listing not found' });
+      }
+
+      assertCaller(req, listing.seller.address, 'the seller of this listing');
+      next();
+    } catch (error) {
+      next(error);
+    }
+  }
+
   async create(req, res, next) {
     try {
       // 1. Create listing in database
-      const listingData = { ...req.body, status: 'published' };
+      const listingData = {
+        ...req.body,
+        seller: sellerFromBody(req),
+        variants: validateVariants(req.body.variants),
+        status: 'published',
+      };
       const listing = await listingService.createListing(listingData);
 
-      // 2. Upload metadata to IPFS
-      const ipfsCID = await ipfsService.uploadMetadata({
-        name: listing.name,
-        description: listing.description,
-        images: listing.images,
-      });
+      // 2. Pin metadata to IPFS
+      const ipfsCID = await ipfsService.uploadListingMetadata(listing);
 
-      // 3. Publish to blockchain
+      // 3. Publish to blockchain, variants right after the listing
       const tx = await blockchainService.publishListing(listing, ipfsCID);
+      await publishVariants(listing);
 
       // 4. Update local listing with blockchain and IPFS data
       const updatedListing = await listingService.updateListing(listing.listingId, {
@@ -56,6 +167,79 @@ class ListingController {
     }
   }
 
+  /**
+   * The listing's pinned metadata document, resolved from its ipfsCID
+   */
+  async getMetadata(req, res, next) {
+    try {
+      const listing = await listingService.getListingById(req.params.id);
+      if (!listing) {
+        return res.status(404).json({ message: 'Listing not found' });
+      }
+
+      if (!listing.ipfsCID) {
+        return res.status(404).json({ message: 'Listing metadata has not been pinned yet' });
+      }
+
+      const metadata = await ipfsService.fetchMetadata(listing.ipfsCID);
+      if (!metadata) {
+        return res.status(502).json({ message: `Metadata ${listing.ipfsCID} is not available from any IPFS source` });
+      }
+
+      res.json({ cid: listing.ipfsCID, metadata });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Process and pin uploaded images for a draft listing. They become part of
+   * the metadata pinned when the listing is published.
+   */
+  async uploadImages(req, res, next) {
+    try {
+      const listing = await listingService.getListingById(req.params.id);
+      if (!listing) {
+        return res.status(404).json({ message: 'Listing not found' });
+      }
+
+      if (listing.status !== 'draft') {
+        return res.status(409).json({ message: 'Images can only be added while the listing is a draft' });
+      }
+
+      const files = req.files || [];
+      if (files.length === 0) {
+        return res.status(400).json({ message: 'Attach at least one file in the "images" field' });
+      }
+
+      if (listing.imageAssets.length + files.length > MAX_IMAGES_PER_LISTING) {
+        return res.status(400).json({ message: `A listing can have at most ${MAX_IMAGES_PER_LISTING} images` });
+      }
+
+      const added = [];
+      for (const file of files) {
+        const image = await imageService.processAndPin(file);
+        // Same pixels uploaded twice encode to the same CID
+        if (!listing.imageAssets.some(existing => existing.cid === image.cid) && !added.some(a => a.cid === image.cid)) {
+          added.push(image);
+        }
+      }
+
+      const updatedListing = await listingService.updateListing(listing.listingId, {
+        $push: { imageAssets: { $each: added } },
+      });
+
+      const baseUrl = process.env.PUBLIC_BASE_URL || `${req.protocol}://${req.get('host')}`;
+      res.status(201).json({
+        listingId: updatedListing.listingId,
+        added: added.map(image => imageService.toReference(image, baseUrl)),
+        images: updatedListing.imageAssets.map(image => imageService.toReference(image, baseUrl)),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
   async publish(req, res, next) {
     try {
       const listingId = req.params.id;
@@ -65,19 +249,22 @@ class ListingController {
         return res.status(404).json({ message: 'Listing not found' });
       }
 
-      if (listing.status === 'published') {
+      if (listing.status === 'published' || listing.status === 'sold_out') {
         return res.status(400).json({ message: 'Listing is already published' });
       }
 
-      // Upload metadata to IPFS
-      const ipfsCID = await ipfsService.uploadMetadata({
-        name: listing.name,
-        description: listing.description,
-        images: listing.images,
-      });
+      // Unpublished listings already exist on-chain and are reactivated
+      if (listing.status === 'inactive') {
+        await blockchainService.updateListing(listingId, await this.onChainState(listing, { active: true }));
+        return res.json(await listingService.syncFromChain(listingId));
+      }
+
+      // Pin metadata to IPFS
+      const ipfsCID = await ipfsService.uploadListingMetadata(listing);
 
       // Publish to blockchain
       const tx = await blockchainService.publishListing(listing, ipfsCID);
+      await publishVariants(listing);
 
       // Update listing status and blockchain data
       const updatedListing = await listingService.updateListing(listingId, {
@@ -96,6 +283,448 @@ class ListingController {
     }
   }
 
+  /**
+   * Save a draft listing and return the createListing transaction for the
+   * seller to sign. The listing is marked published once the signed
+   * transaction is relayed through /api/v1/transactions and mined.
+   */
+  async prepareCreate(req, res, next) {
+    try {
+      const listing = await listingService.createListing({
+        ...req.body,
+        seller: sellerFromBody(req),
+        variants: validateVariants(req.body.variants),
+        status: 'draft',
+      });
+
+      res.status(201).json(await this.preparePublishTransaction(listing));
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async preparePublish(req, res, next) {
+    try {
+      const listing = await listingService.getListingById(req.params.id);
+
+      if (!listing) {
+        return res.status(404).json({ message: 'Listing not found' });
+      }
+
+      if (listing.status === 'published' || listing.status === 'sold_out') {
+        return res.status(400).json({ message: 'Listing is already published' });
+      }
+
+      if (listing.status === 'inactive') {
+        const transaction = await transactionService.prepareUpdateListing(
+          listing,
+          await this.onChainState(listing, { active: true })
+        );
+        return res.json({ listing, transaction });
+      }
+
+      res.json(await this.preparePublishTransaction(listing));
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * createListing plus one addVariant per draft variant, to be signed in that
+   * order
+   */
+  async preparePublishTransaction(listing) {
+    const ipfsCID = await ipfsService.uploadListingMetadata(listing);
+
+    const transaction = await transactionService.prepareCreateListing(listing, ipfsCID);
+    const variantTransactions = [];
+    for (const variant of listing.variants || []) {
+      variantTransactions.push(await transactionService.prepareAddVariant(listing, await toChainVariant(listing, variant), {
+        nonceOffset: variantTransactions.length + 1,
+        gasLimit: ADD_VARIANT_GAS_LIMIT,
+      }));
+    }
+    const updatedListing = await listingService.updateListing(listing.listingId, { ipfsCID });
+
+    return { listing: updatedListing, transaction, variantTransactions };
+  }
+
+  /**
+   * PATCH /listings/:id, signed with the server wallet (dev only). Drafts
+   * are edited in place; published listings are updated on-chain first.
+   */
+  async update(req, res, next) {
+    try {
+      const { listing, changes, chainUpdate, metadata } = await this.planUpdate(req.params.id, req.body);
+
+      if (listing.status === 'draft') {
+        return res.json(await listingService.updateListing(listing.listingId, changes));
+      }
+
+      if (metadata) {
+        await blockchainService.updateListingMetadata(listing.listingId, metadata.ipfsCID);
+        await listingService.updateListing(listing.listingId, { ipfsCID: metadata.ipfsCID, ...metadata.fields });
+      }
+      if (chainUpdate) {
+        await blockchainService.updateListing(listing.listingId, chainUpdate);
+      }
+
+      res.json(await listingService.syncFromChain(listing.listingId));
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Same as update, but returns the transactions for the seller to sign in
+   * order and submit to /api/v1/transactions. Mongo follows once they are
+   * mined; until then new metadata is kept in pendingMetadata.
+   */
+  async prepareUpdate(req, res, next) {
+    try {
+      const { listing, changes, chainUpdate, metadata } = await this.planUpdate(req.params.id, req.body);
+
+      if (listing.status === 'draft') {
+        const updatedListing = await listingService.updateListing(listing.listingId, changes);
+        return res.json({ listing: updatedListing, transactions: [] });
+      }
+
+      const transactions = [];
+      let updatedListing = listing;
+
+      if (metadata) {
+        updatedListing = await listingService.updateListing(listing.listingId, {
+          pendingMetadata: { ipfsCID: metadata.ipfsCID, ...metadata.fields, preparedAt: new Date() },
+        });
+        transactions.push(await transactionService.prepareUpdateMetadata(listing, metadata.ipfsCID));
+      }
+      if (chainUpdate) {
+        transactions.push(await transactionService.prepareUpdateListing(listing, chainUpdate, {
+          nonceOffset: transactions.length,
+        }));
+      }
+
+      res.json({ listing: updatedListing, transactions });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Add a variant, signed with the server wallet (dev only) once the listing
+   * is on-chain. Drafts keep it until they are published.
+   */
+  async addVariant(req, res, next) {
+    try {
+      const { listing, variant } = await this.planAddVariant(req.params.id, req.body);
+
+      if (listing.status === 'draft') {
+        return res.status(201).json(await listingService.updateListing(listing.listingId, { $push: { variants: variant } }));
+      }
+
+      await blockchainService.addVariant(listing.listingId, await toChainVariant(listing, variant));
+      res.status(201).json(await listingService.syncFromChain(listing.listingId));
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async prepareAddVariant(req, res, next) {
+    try {
+      const { listing, variant } = await this.planAddVariant(req.params.id, req.body);
+
+      if (listing.status === 'draft') {
+        const updatedListing = await listingService.updateListing(listing.listingId, { $push: { variants: variant } });
+        return res.status(201).json({ listing: updatedListing, transaction: null });
+      }
+
+      const transaction = await transactionService.prepareAddVariant(listing, await toChainVariant(listing, variant));
+      res.json({ listing, variantId: variant.variantId, transaction });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Change a variant's price, stock or availability (`active`). SKU and
+   * attributes are fixed once set; add another variant instead.
+   */
+  async updateVariant(req, res, next) {
+    try {
+      const { listing, variantId, changes, chainUpdate } = await this.planVariantUpdate(req.params, req.body);
+
+      if (listing.status === 'draft') {
+        return res.json(await listingService.updateListing(listing.listingId, { $set: changes }));
+      }
+
+      await blockchainService.updateVariant(listing.listingId, variantId, chainUpdate);
+      res.json(await listingService.syncFromChain(listing.listingId));
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async prepareUpdateVariant(req, res, next) {
+    try {
+      const { listing, variantId, changes, chainUpdate } = await this.planVariantUpdate(req.params, req.body);
+
+      if (listing.status === 'draft') {
+        const updatedListing = await listingService.updateListing(listing.listingId, { $set: changes });
+        return res.json({ listing: updatedListing, transaction: null });
+      }
+
+      const transaction = await transactionService.prepareUpdateVariant(listing, variantId, chainUpdate);
+      res.json({ listing, transaction });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Take a listing off sale (ListingRegistry active = false) without deleting it
+   */
+  async unpublish(req, res, next) {
+    try {
+      const listing = await this.loadOnChainListing(req.params.id);
+      await blockchainService.updateListing(listing.listingId, await this.onChainState(listing, { active: false }));
+
+      res.json(await listingService.syncFromChain(listing.listingId));
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async prepareUnpublish(req, res, next) {
+    try {
+      const listing = await this.loadOnChainListing(req.params.id);
+      const transaction = await transactionService.prepareUpdateListing(
+        listing,
+        await this.onChainState(listing, { active: false })
+      );
+
+      res.json({ listing, transaction });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Soft delete. Listings on sale are unpublished on-chain first, which needs
+   * server signing; otherwise the seller unpublishes with their wallet and
+   * deletes afterwards. Refused while orders for the listing are open.
+   */
+  async remove(req, res, next) {
+    try {
+      const listing = await listingService.getListingById(req.params.id);
+      if (!listing) {
+        return res.status(404).json({ message: 'Listing not found' });
+      }
+
+      if (listing.status !== 'draft') {
+        const openOrders = await blockchainService.getOpenOrders(listing.listingId);
+        if (openOrders > 0) {
+          return res.status(409).json({ message: `Listing has ${openOrders} open order line(s); delete it once they are completed` });
+        }
+
+        const onChain = await blockchainService.getOnChainListing(listing.listingId);
+        if (onChain.active) {
+          if (!SERVER_SIGNING_ENABLED) {
+            return res.status(409).json({
+              message: 'Listing is still on sale; unpublish it with POST /api/v1/listings/:id/unpublish/prepare first',
+            });
+          }
+          await blockchainService.updateListing(listing.listingId, { price: onChain.price, stock: onChain.stock, active: false });
+        }
+      }
+
+      const deleted = await listingService.softDelete(listing.listingId);
+      res.json({ listingId: deleted.listingId, status: deleted.status, deletedAt: deleted.deletedAt });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Validate a PATCH body and work out what has to change where: Mongo only
+   * for drafts, otherwise updateListing for price/stock and a re-pinned
+   * metadata document for description and images
+   */
+  async planUpdate(listingId, body) {
+    const listing = await listingService.getListingById(listingId);
+    if (!listing) {
+      throw httpError('NotFound', 404, 'Listing not found');
+    }
+
+    const unknown = Object.keys(body).filter(key => !UPDATABLE_FIELDS.includes(key));
+    if (unknown.length > 0) {
+      throw httpError('BadRequest', 400, `Cannot update ${unknown.join(', ')}; updatable fields are ${UPDATABLE_FIELDS.join(', ')}`);
+    }
+
+    const changes = this.validateChanges(listing, body);
+    if (listing.status === 'draft') {
+      return { listing, changes };
+    }
+
+    let metadata = null;
+    const fields = Object.fromEntries(METADATA_FIELDS.filter(key => key in changes).map(key => [key, changes[key]]));
+    if (Object.keys(fields).length > 0) {
+      const openOrders = await blockchainService.getOpenOrders(listing.listingId);
+      if (openOrders > 0) {
+        throw httpError('Conflict', 409, `Description and images can't change while ${openOrders} order line(s) are open`);
+      }
+
+      const ipfsCID = await ipfsService.uploadListingMetadata({ ...listing.toObject(), ...fields });
+      if (ipfsCID !== listing.ipfsCID) {
+        metadata = { ipfsCID, fields };
+      }
+    }
+
+    let chainUpdate = null;
+    if ('price' in changes || 'stock' in changes) {
+      const onChain = await blockchainService.getOnChainListing(listing.listingId);
+      const price = 'price' in changes
+        ? await blockchainService.toBaseUnits(changes.price, listing.currency)
+        : onChain.price;
+      const stock = 'stock' in changes ? BigInt(changes.stock) : onChain.stock;
+
+      if (price !== onChain.price || stock !== onChain.stock) {
+        chainUpdate = { price, stock, active: onChain.active };
+      }
+    }
+
+    return { listing, changes, chainUpdate, metadata };
+  }
+
+  validateChanges(listing, body) {
+    const changes = {};
+
+    if ('price' in body) {
+      if (typeof body.price !== 'number' || !(body.price > 0)) {
+        throw httpError('BadRequest', 400, 'price must be a positive number');
+      }
+      changes.price = body.price;
+    }
+
+    if ('stock' in body) {
+      if (!Number.isInteger(body.stock) || body.stock < 0) {
+        throw httpError('BadRequest', 400, 'stock must be a non-negative integer');
+      }
+      changes.stock = body.stock;
+    }
+
+    if ('description' in body) {
+      if (typeof body.description !== 'string' || !body.description.trim()) {
+        throw httpError('BadRequest', 400, 'description must be a non-empty string');
+      }
+      changes.description = body.description;
+    }
+
+    if ('images' in body) {
+      if (!Array.isArray(body.images) || body.images.some(image => typeof image !== 'string')) {
+        throw httpError('BadRequest', 400, 'images must be an array of URLs');
+      }
+      changes.images = body.images;
+    }
+
+    // CIDs of already uploaded images to keep, in display order
+    if ('imageAssets' in body) {
+      if (!Array.isArray(body.imageAssets)) {
+        throw httpError('BadRequest', 400, 'imageAssets must be an array of uploaded image CIDs');
+      }
+      changes.imageAssets = body.imageAssets.map((cid) => {
+        const asset = listing.imageAssets.find(image => image.cid === cid);
+        if (!asset) {
+          throw httpError('BadRequest', 400, `${cid} is not an uploaded image of this listing`);
+        }
+        return asset;
+      });
+    }
+
+    return changes;
+  }
+
+  async planAddVariant(listingId, body) {
+    const listing = await listingService.getListingById(listingId);
+    if (!listing) {
+      throw httpError('NotFound', 404, 'Listing not found');
+    }
+    if (listing.variants.length >= MAX_VARIANTS_PER_LISTING) {
+      throw httpError('Conflict', 409, `A listing can have at most ${MAX_VARIANTS_PER_LISTING} variants`);
+    }
+
+    return { listing, variant: validateVariant(body, listing.variants) };
+  }
+
+  /**
+   * Validate a variant PATCH body. Drafts get a Mongo $set; on-chain listings
+   * the full updateVariant state, based on the variant as ListingRegistry has it.
+   */
+  async planVariantUpdate({ id, variantId: rawVariantId }, body) {
+    const listing = await listingService.getListingById(id);
+    if (!listing) {
+      throw httpError('NotFound', 404, 'Listing not found');
+    }
+
+    const variantId = Number(rawVariantId);
+    const index = listing.variants.findIndex(variant => variant.variantId === variantId);
+    if (index === -1) {
+      throw httpError('NotFound', 404, 'Variant not found');
+    }
+
+    const unknown = Object.keys(body).filter(key => !VARIANT_UPDATABLE_FIELDS.includes(key));
+    if (unknown.length > 0) {
+      throw httpError('BadRequest', 400, `Cannot update ${unknown.join(', ')}; updatable fields are ${VARIANT_UPDATABLE_FIELDS.join(', ')}`);
+    }
+
+    // Same price and stock rules as the listing itself
+    const changes = this.validateChanges(listing, body);
+    if ('active' in body) {
+      if (typeof body.active !== 'boolean') {
+        throw httpError('BadRequest', 400, 'active must be a boolean');
+      }
+      changes.active = body.active;
+    }
+    if (Object.keys(changes).length === 0) {
+      throw httpError('BadRequest', 400, `Nothing to update; send any of ${VARIANT_UPDATABLE_FIELDS.join(', ')}`);
+    }
+
+    const mongoChanges = Object.fromEntries(Object.entries(changes).map(([key, value]) => [`variants.${index}.${key}`, value]));
+    if (listing.status === 'draft') {
+      return { listing, variantId, changes: mongoChanges };
+    }
+
+    const onChain = (await blockchainService.getOnChainVariants(listing.listingId))[index];
+    if (!onChain) {
+      throw httpError('Conflict', 409, 'Variant has not been added on-chain yet');
+    }
+
+    const chainUpdate = {
+      price: 'price' in changes ? await blockchainService.toBaseUnits(changes.price, listing.currency) : onChain.price,
+      stock: 'stock' in changes ? BigInt(changes.stock) : onChain.stock,
+      active: 'active' in changes ? changes.active : onChain.active,
+    };
+    return { listing, variantId, changes: mongoChanges, chainUpdate };
+  }
+
+  async loadOnChainListing(listingId) {
+    const listing = await listingService.getListingById(listingId);
+    if (!listing) {
+      throw httpError('NotFound', 404, 'Listing not found');
+    }
+    if (listing.status === 'draft') {
+      throw httpError('Conflict', 409, 'Listing has not been published');
+    }
+    if (listing.status === 'inactive') {
+      throw httpError('Conflict', 409, 'Listing is already unpublished');
+    }
+    return listing;
+  }
+
+  // Current ListingRegistry price and stock with `overrides` applied, as updateListing arguments
+  async onChainState(listing, overrides) {
+    const onChain = await blockchainService.getOnChainListing(listing.listingId);
+    return { price: onChain.price, stock: onChain.stock, active: onChain.active, ...overrides };
+  }
 }
 
 module.exports = new ListingController();
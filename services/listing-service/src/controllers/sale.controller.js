@@ -0,0 +1,447 @@
+const { ethers } = require('ethers');
+const { v4: uuidv4 } = require('uuid');
+const listingService = require('../services/listing.service');
+const blockchainService = require('../services/blockchainService');
+const transactionService = require('../services/transactionService');
+const saleService = require('../services/saleService');
+const { assertCaller } = require('../../../shared/auth');
+
+// Same bounds as AuctionHouse
+const MIN_DURATION_SECONDS = 60 * 60;
+const MAX_DURATION_SECONDS = 30 * 24 * 60 * 60;
+const MAX_EXTENSION_WINDOW_SECONDS = 60 * 60;
+
+const DEFAULT_EXTENSION_WINDOW_SECONDS = Number(process.env.AUCTION_EXTENSION_WINDOW_SECONDS || 300);
+const DEFAULT_OFFER_DURATION_SECONDS = Number(process.env.OFFER_DURATION_SECONDS || 3 * 24 * 60 * 60);
+// Token bids and offers prepared together with their approval can't be estimated
+// yet; accepting a counter also creates the order and its escrow
+const SALE_GAS_LIMIT = BigInt(process.env.SALE_GAS_LIMIT || 1200000);
+
+function httpError(name, status, message) {
+  const err = new Error(message);
+  err.name = name;
+  err.status = status;
+  return err;
+}
+
+function requireAddress(value, field) {
+  if (typeof value !== 'string' || !ethers.isAddress(value)) {
+    throw httpError('BadRequest', 400, `${field} must be a valid Ethereum address`);
+  }
+  return value;
+}
+
+// Signer of a prepared transaction: the signed-in wallet, which a `from` in
+// the body has to match
+function callerFrom(req) {
+  const from = requireAddress(req.body.from || req.auth.address, 'from');
+  assertCaller(req, from, 'the wallet named in from');
+  return from;
+}
+
+function requireAmount(value, field) {
+  if (typeof value !== 'number' || !(value > 0)) {
+    throw httpError('BadRequest', 400, `${field} must be a positive number`);
+  }
+  return value;
+}
+
+function requireInteger(value, field, min, max = Number.MAX_SAFE_INTEGER) {
+  if (!Number.isInteger(value) || value < min || value > max) {
+    throw httpError('BadRequest', 400, `${field} must be an integer from ${min} to ${max}`);
+  }
+  return value;
+}
+
+// Same format as order-service, so sale orders look like any other
+function newOrderId() {
+  return `ord_${Date.now()}_${uuidv4().substring(0, 8)}`;
+}
+
+/**
+ * Auctions, best offers and bid refunds. Every write is a transaction for the
+ * participant's wallet to sign and relay through /api/v1/transactions, which
+ * syncs the listing once it is mined.
+ */
+class SaleController {
+  async getListingAuctions(req, res, next) {
+    try {
+      const listing = await this.loadListing(req.params.id);
+      const auctions = await saleService.getListingAuctions(listing.listingId);
+
+      res.json({
+        listingId: listing.listingId,
+        saleMode: listing.saleMode,
+        auctions: await Promise.all(auctions.reverse().map(auction => saleService.formatAuction(auction, listing.currency))),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Body: { variantId, quantity, startPrice, reservePrice, minIncrement,
+   * durationSeconds, extensionWindowSeconds }; prices per unit in the listing currency
+   */
+  async prepareCreateAuction(req, res, next) {
+    try {
+      const listing = await this.loadListing(req.params.id);
+      const body = req.body;
+
+      const variantId = requireInteger(body.variantId ?? 0, 'variantId', 0);
+      const quantity = requireInteger(body.quantity ?? 1, 'quantity', 1);
+      const startPrice = requireAmount(body.startPrice, 'startPrice');
+      const minIncrement = requireAmount(body.minIncrement, 'minIncrement');
+      const reservePrice = body.reservePrice === undefined ? 0 : body.reservePrice;
+      if (typeof reservePrice !== 'number' || reservePrice < 0) {
+        throw httpError('BadRequest', 400, 'reservePrice must be a non-negative number');
+      }
+      const duration = requireInteger(body.durationSeconds, 'durationSeconds', MIN_DURATION_SECONDS, MAX_DURATION_SECONDS);
+      const extensionWindow = requireInteger(
+        body.extensionWindowSeconds ?? DEFAULT_EXTENSION_WINDOW_SECONDS,
+        'extensionWindowSeconds',
+        0,
+        MAX_EXTENSION_WINDOW_SECONDS
+      );
+
+      const auctionId = `auc_${uuidv4()}`;
+      const transaction = await transactionService.prepareSale('createAuction', [
+        auctionId,
+        listing.listingId,
+        variantId,
+        quantity,
+        await blockchainService.toBaseUnits(startPrice, listing.currency),
+        await blockchainService.toBaseUnits(reservePrice, listing.currency),
+        await blockchainService.toBaseUnits(minIncrement, listing.currency),
+        duration,
+        extensionWindow,
+      ], listing.seller.address);
+
+      res.status(201).json({ auctionId, transaction });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * The auction with its bids, newest first
+   */
+  async getAuction(req, res, next) {
+    try {
+      const auction = await this.loadAuction(req.params.auctionId);
+      res.json({
+        ...(await saleService.formatAuction(auction)),
+        bids: await saleService.getBids(auction),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Body: { from?, amount } with amount per unit. Token auctions also get an
+   * approval transaction to sign first when the allowance is short.
+   */
+  async prepareBid(req, res, next) {
+    try {
+      const auction = await this.loadAuction(req.params.auctionId);
+      const from = callerFrom(req);
+      const amount = requireAmount(req.body.amount, 'amount');
+
+      const view = await saleService.formatAuction(auction);
+      if (view.status !== 'active' || view.endsAt <= new Date()) {
+        throw httpError('Conflict', 409, 'Auction is not taking bids');
+      }
+
+      const unitPrice = await blockchainService.toBaseUnits(amount, view.currency);
+      if (unitPrice < BigInt(view.minimumBidBaseUnits)) {
+        throw httpError('Conflict', 409, `Bid at least ${view.minimumBid} ${view.currency}`);
+      }
+
+      const payment = await this.preparePayment(auction.paymentToken, unitPrice * auction.quantity, from);
+      const transaction = await transactionService.prepareSale('bid', [auction.auctionId, unitPrice], from, payment.options);
+
+      res.json({ auctionId: auction.auctionId, approval: payment.approval, transaction });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Body: { from? }, the seller or the winner. A winning bid that meets the
+   * reserve becomes the returned orderId.
+   */
+  async prepareSettle(req, res, next) {
+    try {
+      const auction = await this.loadAuction(req.params.auctionId);
+      const from = callerFrom(req);
+
+      const orderId = newOrderId();
+      const transaction = await transactionService.prepareSale('settleAuction', [auction.auctionId, orderId], from);
+      res.json({ auctionId: auction.auctionId, orderId, transaction });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async prepareCancel(req, res, next) {
+    try {
+      const auction = await this.loadAuction(req.params.auctionId);
+      const from = callerFrom(req);
+
+      const transaction = await transactionService.prepareSale('cancelAuction', [auction.auctionId], from);
+      res.json({ auctionId: auction.auctionId, transaction });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Body: { enabled }. Switches a fixed-price listing to taking offers, or back.
+   */
+  async prepareBestOffer(req, res, next) {
+    try {
+      const listing = await this.loadListing(req.params.id);
+      if (typeof req.body.enabled !== 'boolean') {
+        throw httpError('BadRequest', 400, 'enabled must be a boolean');
+      }
+
+      const transaction = await transactionService.prepareSale(
+        'setBestOffer',
+        [listing.listingId, req.body.enabled],
+        listing.seller.address
+      );
+      res.json({ listingId: listing.listingId, transaction });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Offers on the listing, newest first; ?status=open|countered|... filters them
+   */
+  async getListingOffers(req, res, next) {
+    try {
+      const listing = await this.loadListing(req.params.id);
+      const offers = await saleService.getListingOffers(listing.listingId);
+
+      let formatted = await Promise.all(offers.reverse().map(offer => saleService.formatOffer(offer, listing.currency)));
+      if (req.query.status) {
+        formatted = formatted.filter(offer => offer.status === req.query.status);
+      }
+      res.json({ listingId: listing.listingId, saleMode: listing.saleMode, offers: formatted });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Body: { from?, variantId, quantity, amount, durationSeconds }; amount per unit
+   */
+  async prepareMakeOffer(req, res, next) {
+    try {
+      const listing = await this.loadListing(req.params.id);
+      const from = callerFrom(req);
+      const variantId = requireInteger(req.body.variantId ?? 0, 'variantId', 0);
+      const quantity = requireInteger(req.body.quantity ?? 1, 'quantity', 1);
+      const amount = requireAmount(req.body.amount, 'amount');
+      const duration = requireInteger(
+        req.body.durationSeconds ?? DEFAULT_OFFER_DURATION_SECONDS,
+        'durationSeconds',
+        MIN_DURATION_SECONDS,
+        MAX_DURATION_SECONDS
+      );
+
+      const onChain = await blockchainService.getOnChainListing(listing.listingId);
+      const unitPrice = await blockchainService.toBaseUnits(amount, listing.currency);
+      const payment = await this.preparePayment(onChain.paymentToken, unitPrice * BigInt(quantity), from);
+
+      const offerId = `ofr_${uuidv4()}`;
+      const transaction = await transactionService.prepareSale(
+        'makeOffer',
+        [offerId, listing.listingId, variantId, quantity, unitPrice, duration],
+        from,
+        payment.options
+      );
+      res.status(201).json({ offerId, approval: payment.approval, transaction });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async getOffer(req, res, next) {
+    try {
+      const offer = await this.loadOffer(req.params.offerId);
+      res.json(await saleService.formatOffer(offer));
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Seller accepts the offer; it becomes the returned orderId
+   */
+  async prepareAcceptOffer(req, res, next) {
+    try {
+      const offer = await this.loadOffer(req.params.offerId);
+      assertCaller(req, offer.seller, 'the seller');
+      const orderId = newOrderId();
+      const transaction = await transactionService.prepareSale('acceptOffer', [offer.offerId, orderId], offer.seller);
+      res.json({ offerId: offer.offerId, orderId, transaction });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Body: { amount }, the seller's counter per unit
+   */
+  async prepareCounterOffer(req, res, next) {
+    try {
+      const offer = await this.loadOffer(req.params.offerId);
+      assertCaller(req, offer.seller, 'the seller');
+      const amount = requireAmount(req.body.amount, 'amount');
+
+      const currency = await saleService.currencyOf(offer.listingId);
+      const counterPrice = await blockchainService.toBaseUnits(amount, currency);
+      const transaction = await transactionService.prepareSale('counterOffer', [offer.offerId, counterPrice], offer.seller);
+      res.json({ offerId: offer.offerId, transaction });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async prepareDeclineOffer(req, res, next) {
+    try {
+      const offer = await this.loadOffer(req.params.offerId);
+      assertCaller(req, offer.seller, 'the seller');
+      const transaction = await transactionService.prepareSale('declineOffer', [offer.offerId], offer.seller);
+      res.json({ offerId: offer.offerId, transaction });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Buyer accepts the seller's counter, paying the difference to their offer
+   */
+  async prepareAcceptCounter(req, res, next) {
+    try {
+      const offer = await this.loadOffer(req.params.offerId);
+      assertCaller(req, offer.buyer, 'the buyer');
+      if (offer.counterPrice === 0n) {
+        throw httpError('Conflict', 409, 'Offer was not countered');
+      }
+
+      const topUp = (offer.counterPrice - offer.unitPrice) * offer.quantity;
+      const payment = await this.preparePayment(offer.paymentToken, topUp, offer.buyer);
+      const orderId = newOrderId();
+      const transaction = await transactionService.prepareSale(
+        'acceptCounter',
+        [offer.offerId, orderId],
+        offer.buyer,
+        payment.options
+      );
+      res.json({ offerId: offer.offerId, orderId, approval: payment.approval, transaction });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async prepareWithdrawOffer(req, res, next) {
+    try {
+      const offer = await this.loadOffer(req.params.offerId);
+      assertCaller(req, offer.buyer, 'the buyer');
+      const transaction = await transactionService.prepareSale('withdrawOffer', [offer.offerId], offer.buyer);
+      res.json({ offerId: offer.offerId, transaction });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Outbid, declined and withdrawn funds waiting to be withdrawn
+   */
+  async getRefunds(req, res, next) {
+    try {
+      const address = requireAddress(req.params.address, 'address');
+      res.json({ address, refunds: await saleService.getRefunds(address) });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Body: { currency } (defaults to ETH)
+   */
+  async prepareWithdrawRefund(req, res, next) {
+    try {
+      const address = requireAddress(req.params.address, 'address');
+      assertCaller(req, address, 'the owner of these refunds');
+      const currency = req.body.currency || 'ETH';
+
+      const refund = (await saleService.getRefunds(address)).find(r => r.currency === currency);
+      if (!refund) {
+        throw httpError('BadRequest', 400, `Unsupported currency ${currency}`);
+      }
+      if (refund.amountBaseUnits === '0') {
+        throw httpError('Conflict', 409, `No ${currency} refund to withdraw`);
+      }
+
+      const transaction = await transactionService.prepareSale('withdrawRefund', [refund.token], address);
+      res.json({ ...refund, transaction });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async loadListing(listingId) {
+    const listing = await listingService.getListingById(listingId);
+    if (!listing) {
+      throw httpError('NotFound', 404, 'Listing not found');
+    }
+    if (listing.status === 'draft') {
+      throw httpError('Conflict', 409, 'Listing has not been published');
+    }
+    return listing;
+  }
+
+  async loadAuction(auctionId) {
+    const auction = await saleService.getAuction(auctionId);
+    if (!auction) {
+      throw httpError('NotFound', 404, 'Auction not found');
+    }
+    return auction;
+  }
+
+  async loadOffer(offerId) {
+    const offer = await saleService.getOffer(offerId);
+    if (!offer) {
+      throw httpError('NotFound', 404, 'Offer not found');
+    }
+    return offer;
+  }
+
+  /**
+   * How `from` pays `total` to AuctionHouse: as the transaction value for ETH,
+   * or from an allowance, with the approve transaction when it's short
+   */
+  async preparePayment(token, total, from) {
+    if (token === ethers.ZeroAddress) {
+      return { options: { value: total }, approval: null };
+    }
+
+    const spender = await saleService.contract.getAddress();
+    const erc20 = new ethers.Contract(token, ['function allowance(address owner, address spender) view returns (uint256)'], blockchainService.provider);
+    if ((await erc20.allowance(from, spender)) >= total) {
+      return { options: {}, approval: null };
+    }
+
+    return {
+      options: { nonceOffset: 1, gasLimit: SALE_GAS_LIMIT },
+      approval: await transactionService.prepareTokenApproval(token, spender, total, from),
+    };
+  }
+}
+
+module.exports = new SaleController();
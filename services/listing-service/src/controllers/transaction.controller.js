@@ -0,0 +1,77 @@
+const listingService = require('../services/listing.service');
+const transactionService = require('../services/transactionService');
+const saleService = require('../services/saleService');
+
+class TransactionController {
+  async submit(req, res, next) {
+    try {
+      const { signedTx } = req.body;
+      if (!signedTx) {
+        return res.status(400).json({ message: 'signedTx is required' });
+      }
+
+      const { response, call, ...relayed } = await transactionService.relay(signedTx);
+
+      if (call && call.name === 'createListing') {
+        syncPublishedListing(response, call.args[0]);
+      } else if (call && ['updateListing', 'addVariant', 'updateVariant'].includes(call.name)) {
+        syncListing(response, call.args[0], () => listingService.syncFromChain(call.args[0], response.from));
+      } else if (call && call.name === 'updateListingMetadata') {
+        syncListing(response, call.args[0], () => listingService.applyMetadataUpdate(call.args[0], response.from, call.args[1]));
+      } else if (call && relayed.contract === 'AuctionHouse') {
+        // Auction and offer IDs resolve to their listing once the call is mined
+        syncListing(response, call.args[0], () => saleService.syncCall(call));
+      }
+
+      res.status(202).json({
+        ...relayed,
+        status: 'pending',
+        statusUrl: `/api/v1/transactions/${relayed.hash}`,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async getStatus(req, res, next) {
+    try {
+      const status = await transactionService.getStatus(req.params.txHash);
+      if (!status) {
+        return res.status(404).json({ message: 'Transaction not found' });
+      }
+      res.json(status);
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+// Runs after the response is sent; the listing stays a draft if the tx fails
+function syncPublishedListing(response, listingId) {
+  response.wait()
+    .then((receipt) => listingService.markPublished(listingId, response.from, {
+      contractAddress: receipt.to,
+      transactionHash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+    }))
+    .then((listing) => {
+      if (listing) console.log(`Listing ${listingId} published on-chain`);
+    })
+    .catch((error) => {
+      console.error(`Failed to sync listing ${listingId} from ${response.hash}:`, error.message);
+    });
+}
+
+// Runs after the response is sent; Mongo keeps its previous state if the tx fails
+function syncListing(response, listingId, apply) {
+  response.wait()
+    .then(apply)
+    .then((listing) => {
+      if (listing) console.log(`Listing ${listing.listingId} synced from ${response.hash}`);
+    })
+    .catch((error) => {
+      console.error(`Failed to sync ${listingId} from ${response.hash}:`, error.message);
+    });
+}
+
+module.exports = new TransactionController();
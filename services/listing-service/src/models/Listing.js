@@ -1,6 +1,66 @@
 const mongoose = require('mongoose');
 const { v4: uuidv4 } = require('uuid');
 
+const ImageAssetSchema = new mongoose.Schema(
+  {
+    cid: { type: String, required: true },
+    mimeType: String,
+    width: Number,
+    height: Number,
+    bytes: Number,
+    originalName: String,
+    thumbnails: [
+      {
+        _id: false,
+        size: Number,
+        cid: String,
+        width: Number,
+        height: Number,
+        bytes: Number,
+      },
+    ],
+    uploadedAt: Date,
+  },
+  { _id: false }
+);
+
+// Size/colour/... option with its own SKU, price and stock. variantId is the
+// ListingRegistry variant ID: position + 1, as drafts add them in that order.
+const VariantSchema = new mongoose.Schema(
+  {
+    variantId: { type: Number, required: true },
+    sku: { type: String, required: true },
+    // Flat name -> value map, e.g. { size: 'M', colour: 'red' }
+    attributes: { type: mongoose.Schema.Types.Mixed, default: {} },
+    price: { type: Number, required: true },
+    stock: { type: Number, required: true },
+    active: { type: Boolean, default: true },
+  },
+  { _id: false }
+);
+
+// Latest AuctionHouse auction of the listing, mirrored for browsing and the
+// search service's "ending soon" sort. Amounts are per unit in the listing currency.
+const AuctionSummarySchema = new mongoose.Schema(
+  {
+    auctionId: String,
+    variantId: Number,
+    quantity: Number,
+    startPrice: Number,
+    reservePrice: Number,
+    minIncrement: Number,
+    highestBid: Number,
+    highestBidder: String,
+    bidCount: Number,
+    reserveMet: Boolean,
+    startsAt: Date,
+    endsAt: Date,
+    status: { type: String, enum: ['active', 'settled', 'ended', 'cancelled'] },
+    orderId: String,
+  },
+  { _id: false }
+);
+
 const ListingSchema = new mongoose.Schema(
   {
     listingId: {
@@ -16,22 +76,55 @@ const ListingSchema = new mongoose.Schema(
     currency: { type: String, required: true, default: 'ETH' },
     stock: { type: Number, required: true },
     images: [{ type: String }],
+    // Uploaded through POST /listings/:id/images, stored on IPFS by CID
+    imageAssets: [ImageAssetSchema],
+    attributes: [
+      {
+        _id: false,
+        trait_type: { type: String, required: true },
+        value: { type: mongoose.Schema.Types.Mixed, required: true },
+      },
+    ],
+    // Listings with variants are ordered by variant; price and stock above
+    // are then only the listing's headline values
+    variants: [VariantSchema],
     seller: {
       address: { type: String, required: true },
       name: { type: String, required: true },
+      did: String,
     },
     status: {
       type: String,
       enum: ['draft', 'published', 'sold_out', 'inactive'],
       default: 'draft',
     },
+    // ListingRegistry.saleModes; auction and best_offer listings are only sold through AuctionHouse
+    saleMode: {
+      type: String,
+      enum: ['fixed_price', 'auction', 'best_offer'],
+      default: 'fixed_price',
+    },
+    auction: { type: AuctionSummarySchema, default: undefined },
     blockchain: {
       network: String,
+      contractAddress: String,
       transactionHash: String,
+      blockNumber: Number,
     },
     ipfsCID: String,
+    // Re-pinned metadata waiting for the seller's updateListingMetadata transaction
+    pendingMetadata: {
+      ipfsCID: String,
+      description: String,
+      images: [{ type: String }],
+      imageAssets: { type: [ImageAssetSchema], default: undefined },
+      preparedAt: Date,
+    },
+    deletedAt: { type: Date, default: null },
   },
   { timestamps: true, collection: 'products' }
 );
 
+ListingSchema.index({ 'auction.status': 1, 'auction.endsAt': 1 });
+
 module.exports = mongoose.model('Product', ListingSchema);
@@ -0,0 +1,11 @@
+const express = require('express');
+const router = express.Router();
+const saleController = require('../controllers/sale.controller');
+const { requireAuth } = require('../../../shared/auth');
+
+router.get('/:auctionId', saleController.getAuction.bind(saleController));
+router.post('/:auctionId/bids/prepare', requireAuth, saleController.prepareBid.bind(saleController));
+router.post('/:auctionId/settle/prepare', requireAuth, saleController.prepareSettle.bind(saleController));
+router.post('/:auctionId/cancel/prepare', requireAuth, saleController.prepareCancel.bind(saleController));
+
+module.exports = router;
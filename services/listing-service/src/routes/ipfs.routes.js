@@ -0,0 +1,7 @@
+const express = require('express');
+const router = express.Router();
+const ipfsController = require('../controllers/ipfs.controller');
+
+router.get('/:cid', ipfsController.getBlock);
+
+module.exports = router;
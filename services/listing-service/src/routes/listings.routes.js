@@ -1,10 +1,35 @@
 const express = require('express');
 const router = express.Router();
 const listingController = require('../controllers/listing.controller');
+const saleController = require('../controllers/sale.controller');
+const { requireServerSigning } = require('../utils/serverSigning');
+const { requireAuth } = require('../../../shared/auth');
+const { uploadImages } = require('../utils/imageUpload');
 
-router.post('/', listingController.create);
+// Changes to a listing are made by its seller, signed in with Ethereum
+const requireOwner = [requireAuth, listingController.requireOwner.bind(listingController)];
+
+router.post('/', requireAuth, requireServerSigning, listingController.create);
+router.post('/prepare', requireAuth, listingController.prepareCreate.bind(listingController));
 router.get('/', listingController.get);
 router.get('/:id', listingController.getById);
-router.post('/:id/publish', listingController.publish);
+router.get('/:id/metadata', listingController.getMetadata);
+router.post('/:id/images', requireOwner, uploadImages, listingController.uploadImages);
+router.patch('/:id', requireOwner, requireServerSigning, listingController.update.bind(listingController));
+router.patch('/:id/prepare', requireOwner, listingController.prepareUpdate.bind(listingController));
+router.delete('/:id', requireOwner, listingController.remove.bind(listingController));
+router.post('/:id/publish', requireOwner, requireServerSigning, listingController.publish.bind(listingController));
+router.post('/:id/publish/prepare', requireOwner, listingController.preparePublish.bind(listingController));
+router.post('/:id/variants', requireOwner, requireServerSigning, listingController.addVariant.bind(listingController));
+router.post('/:id/variants/prepare', requireOwner, listingController.prepareAddVariant.bind(listingController));
+router.patch('/:id/variants/:variantId', requireOwner, requireServerSigning, listingController.updateVariant.bind(listingController));
+router.patch('/:id/variants/:variantId/prepare', requireOwner, listingController.prepareUpdateVariant.bind(listingController));
+router.post('/:id/unpublish', requireOwner, requireServerSigning, listingController.unpublish.bind(listingController));
+router.post('/:id/unpublish/prepare', requireOwner, listingController.prepareUnpublish.bind(listingController));
+router.get('/:id/auctions', saleController.getListingAuctions.bind(saleController));
+router.post('/:id/auctions/prepare', requireOwner, saleController.prepareCreateAuction.bind(saleController));
+router.post('/:id/best-offer/prepare', requireOwner, saleController.prepareBestOffer.bind(saleController));
+router.get('/:id/offers', saleController.getListingOffers.bind(saleController));
+router.post('/:id/offers/prepare', requireAuth, saleController.prepareMakeOffer.bind(saleController));
 
 module.exports = router;
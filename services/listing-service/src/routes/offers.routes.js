@@ -0,0 +1,13 @@
+const express = require('express');
+const router = express.Router();
+const saleController = require('../controllers/sale.controller');
+const { requireAuth } = require('../../../shared/auth');
+
+router.get('/:offerId', saleController.getOffer.bind(saleController));
+router.post('/:offerId/accept/prepare', requireAuth, saleController.prepareAcceptOffer.bind(saleController));
+router.post('/:offerId/counter/prepare', requireAuth, saleController.prepareCounterOffer.bind(saleController));
+router.post('/:offerId/decline/prepare', requireAuth, saleController.prepareDeclineOffer.bind(saleController));
+router.post('/:offerId/accept-counter/prepare', requireAuth, saleController.prepareAcceptCounter.bind(saleController));
+router.post('/:offerId/withdraw/prepare', requireAuth, saleController.prepareWithdrawOffer.bind(saleController));
+
+module.exports = router;
@@ -0,0 +1,9 @@
+const express = require('express');
+const router = express.Router();
+const saleController = require('../controllers/sale.controller');
+const { requireAuth } = require('../../../shared/auth');
+
+router.get('/:address', saleController.getRefunds.bind(saleController));
+router.post('/:address/withdraw/prepare', requireAuth, saleController.prepareWithdrawRefund.bind(saleController));
+
+module.exports = router;
@@ -0,0 +1,8 @@
+const express = require('express');
+const router = express.Router();
+const transactionController = require('../controllers/transaction.controller');
+
+router.post('/', transactionController.submit);
+router.get('/:txHash', transactionController.getStatus);
+
+module.exports = router;
@@ -6,8 +6,9 @@ class BlockchainService {
   constructor() {
     this.provider = null;
     this.listingRegistryContract = null;
+    this.auctionHouseContract = null;
     this.signer = null;
-    this.init();
+    this.ready = this.init();
   }
 
   async init() {
@@ -27,11 +28,22 @@ class BlockchainService {
         this.provider
       );
 
+      // Auctions and best offers; absent from deployments made before AuctionHouse existed
+      const auctionHouse = deployment.contracts.AuctionHouse;
+      if (auctionHouse) {
+        this.auctionHouseContract = new ethers.Contract(
+          auctionHouse.address || auctionHouse,
+          this.loadABI('AuctionHouse'),
+          this.provider
+        );
+      }
+
       // For simplicity in this example, we'll use the first signer from the node
       this.signer = await this.provider.getSigner(0);
 
       console.log('Blockchain service initialized.');
       console.log('ListingRegistry contract address:', listingRegistryAddress);
+      console.log('AuctionHouse contract address:', auctionHouse ? this.auctionHouseContract.target : 'not deployed');
     } catch (error) {
       console.error('Failed to initialize blockchain service:', error);
     }
@@ -46,8 +58,76 @@ class BlockchainService {
     return artifact.abi;
   }
 
+  /**
+   * Convert a listing price to the currency's smallest unit: wei for ETH, or
+   * the decimals of the ERC-20 that ListingRegistry allow-lists for the symbol
+   */
+  async toBaseUnits(price, currency) {
+    if (currency === 'ETH') {
+      return ethers.parseEther(price.toString());
+    }
+
+    const tokenAddress = await this.listingRegistryContract.paymentTokens(currency);
+    if (tokenAddress === ethers.ZeroAddress) {
+      const err = new Error(`Unsupported currency ${currency}; use ETH or an allow-listed token symbol`);
+      err.name = 'BadRequest';
+      err.status = 400;
+      throw err;
+    }
+
+    const token = new ethers.Contract(tokenAddress, ['function decimals() view returns (uint8)'], this.provider);
+    return ethers.parseUnits(price.toString(), await token.decimals());
+  }
+
+  /**
+   * Inverse of toBaseUnits, for amounts read back from ListingRegistry
+   */
+  async fromBaseUnits(amount, currency) {
+    if (currency === 'ETH') {
+      return Number(ethers.formatEther(amount));
+    }
+
+    const tokenAddress = await this.listingRegistryContract.paymentTokens(currency);
+    const token = new ethers.Contract(tokenAddress, ['function decimals() view returns (uint8)'], this.provider);
+    return Number(ethers.formatUnits(amount, await token.decimals()));
+  }
+
+  async getOnChainListing(listingId) {
+    if (!this.listingRegistryContract) {
+      throw new Error('Blockchain service not initialized');
+    }
+    return this.listingRegistryContract.getListing(listingId);
+  }
+
+  async getOnChainVariants(listingId) {
+    if (!this.listingRegistryContract) {
+      throw new Error('Blockchain service not initialized');
+    }
+    return this.listingRegistryContract.getVariants(listingId);
+  }
+
+  /**
+   * Order lines for the listing that are not yet delivered, refunded or cancelled
+   */
+  async getOpenOrders(listingId) {
+    if (!this.listingRegistryContract) {
+      throw new Error('Blockchain service not initialized');
+    }
+    return Number(await this.listingRegistryContract.openOrders(listingId));
+  }
+
+  /**
+   * ListingRegistry.SaleMode of the listing: 0 fixed price, 1 auction, 2 best offer
+   */
+  async getSaleMode(listingId) {
+    if (!this.listingRegistryContract) {
+      throw new Error('Blockchain service not initialized');
+    }
+    return Number(await this.listingRegistryContract.saleModes(listingId));
+  }
+
   getContractAddress() {
-    return this.listingRegistryContract.address;
+    return this.listingRegistryContract.target;
   }
 
   async publishListing(listing, ipfsCID) {
@@ -56,7 +136,7 @@ class BlockchainService {
     }
 
     const contractWithSigner = this.listingRegistryContract.connect(this.signer);
-    const priceWei = ethers.parseEther(listing.price.toString());
+    const priceWei = await this.toBaseUnits(listing.price, listing.currency);
 
     const tx = await contractWithSigner.createListing(
       listing.listingId,
@@ -70,6 +150,50 @@ class BlockchainService {
     await tx.wait();
     return tx;
   }
+
+  async updateListing(listingId, { price, stock, active }) {
+    if (!this.listingRegistryContract || !this.signer) {
+      throw new Error('Blockchain service not initialized');
+    }
+
+    const tx = await this.listingRegistryContract.connect(this.signer).updateListing(listingId, price, stock, active);
+    await tx.wait();
+    return tx;
+  }
+
+  /**
+   * Add a variant; price is already in base units and attributes in their
+   * on-chain JSON form
+   */
+  async addVariant(listingId, { sku, attributes, price, stock }) {
+    if (!this.listingRegistryContract || !this.signer) {
+      throw new Error('Blockchain service not initialized');
+    }
+
+    const tx = await this.listingRegistryContract.connect(this.signer).addVariant(listingId, sku, attributes, price, stock);
+    await tx.wait();
+    return tx;
+  }
+
+  async updateVariant(listingId, variantId, { price, stock, active }) {
+    if (!this.listingRegistryContract || !this.signer) {
+      throw new Error('Blockchain service not initialized');
+    }
+
+    const tx = await this.listingRegistryContract.connect(this.signer).updateVariant(listingId, variantId, price, stock, active);
+    await tx.wait();
+    return tx;
+  }
+
+  async updateListingMetadata(listingId, ipfsCID) {
+    if (!this.listingRegistryContract || !this.signer) {
+      throw new Error('Blockchain service not initialized');
+    }
+
+    const tx = await this.listingRegistryContract.connect(this.signer).updateListingMetadata(listingId, ipfsCID);
+    await tx.wait();
+    return tx;
+  }
 }
 
 module.exports = new BlockchainService();
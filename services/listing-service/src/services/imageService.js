@@ -0,0 +1,132 @@
+const sharp = require('sharp');
+const ipfsService = require('./ipfsService');
+
+const ALLOWED_FORMATS = {
+  'image/jpeg': 'jpeg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+};
+const MAX_DIMENSION = Number(process.env.IMAGE_MAX_DIMENSION || 2048);
+const MAX_INPUT_PIXELS = Number(process.env.IMAGE_MAX_INPUT_PIXELS || 40 * 1000 * 1000);
+const THUMBNAIL_SIZES = (process.env.IMAGE_THUMBNAIL_SIZES || '160,320,640')
+  .split(',')
+  .map(Number)
+  .filter(size => size > 0)
+  .sort((a, b) => a - b);
+// Full-size images are re-encoded at decreasing quality until they fit in one block
+const QUALITY_STEPS = [85, 75, 65, 55];
+
+function httpError(name, status, message) {
+  const err = new Error(message);
+  err.name = name;
+  err.status = status;
+  return err;
+}
+
+class ImageService {
+  get allowedMimeTypes() {
+    return Object.keys(ALLOWED_FORMATS);
+  }
+
+  get thumbnailSizes() {
+    return THUMBNAIL_SIZES;
+  }
+
+  /**
+   * Decode an upload and check its actual format agrees with the declared
+   * MIME type, so a renamed file can't slip through
+   */
+  async inspect(buffer, mimeType) {
+    let metadata;
+    try {
+      metadata = await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS }).metadata();
+    } catch (err) {
+      throw httpError('UnsupportedMediaType', 415, `Could not decode image: ${err.message}`);
+    }
+
+    if (ALLOWED_FORMATS[mimeType] !== metadata.format) {
+      throw httpError('UnsupportedMediaType', 415, `File declared as ${mimeType} is ${metadata.format || 'not an image'}`);
+    }
+    return metadata;
+  }
+
+  /**
+   * Normalise an upload to WebP and pin it with its square thumbnails.
+   * Re-encoding drops EXIF (GPS position, camera serial, ...) and every other
+   * metadata segment; orientation is applied to the pixels first.
+   */
+  async processAndPin(file) {
+    await this.inspect(file.buffer, file.mimetype);
+
+    const full = await this.encodeFullSize(file.buffer);
+    const cid = await ipfsService.pinBlock(full.data, `image ${file.originalname}`);
+
+    const thumbnails = [];
+    for (const size of THUMBNAIL_SIZES) {
+      const { data, info } = await sharp(file.buffer, { limitInputPixels: MAX_INPUT_PIXELS })
+        .rotate()
+        .resize({ width: size, height: size, fit: 'cover', withoutEnlargement: true })
+        .webp({ quality: 80 })
+        .toBuffer({ resolveWithObject: true });
+
+      thumbnails.push({
+        size,
+        cid: await ipfsService.pinBlock(data, `${size}px thumbnail of ${file.originalname}`),
+        width: info.width,
+        height: info.height,
+        bytes: info.size,
+      });
+    }
+
+    return {
+      cid,
+      mimeType: 'image/webp',
+      width: full.info.width,
+      height: full.info.height,
+      bytes: full.info.size,
+      originalName: file.originalname,
+      thumbnails,
+      uploadedAt: new Date(),
+    };
+  }
+
+  async encodeFullSize(buffer) {
+    for (const quality of QUALITY_STEPS) {
+      const result = await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS })
+        .rotate()
+        .resize({ width: MAX_DIMENSION, height: MAX_DIMENSION, fit: 'inside', withoutEnlargement: true })
+        .webp({ quality })
+        .toBuffer({ resolveWithObject: true });
+
+      if (result.data.length <= ipfsService.maxBlockBytes) return result;
+    }
+    throw httpError('PayloadTooLarge', 413, `Image does not fit in ${ipfsService.maxBlockBytes} bytes even at low quality; upload a smaller image`);
+  }
+
+  /**
+   * Image reference for API responses: the CIDs plus URLs to fetch them from
+   * this service's gateway and the first public gateway
+   */
+  toReference(image, baseUrl) {
+    const urls = cid => ({
+      url: `${baseUrl}/api/v1/ipfs/${cid}`,
+      ipfsUri: `ipfs://${cid}`,
+      gatewayUrl: `${ipfsService.gateways[0]}${cid}`,
+    });
+
+    return {
+      cid: image.cid,
+      mimeType: image.mimeType,
+      width: image.width,
+      height: image.height,
+      bytes: image.bytes,
+      ...urls(image.cid),
+      thumbnails: Object.fromEntries(image.thumbnails.map(t => [
+        t.size,
+        { cid: t.cid, width: t.width, height: t.height, ...urls(t.cid) },
+      ])),
+    };
+  }
+}
+
+module.exports = new ImageService();
@@ -1,15 +1,153 @@
-// This is a mock IPFS service. In a real application, you would use a library
-// like 'ipfs-http-client' to connect to an IPFS node or a pinning service
-// like Pinata.
+const { computeCid, verifyCid } = require('../utils/cid');
+const { createPinningBackend } = require('./pinning');
+
+// Bump when the shape of the metadata document changes; readers switch on
+// `version` rather than guessing from the fields present
+//   1: images as client-supplied strings
+//   2: images as { cid, mimeType, width, height, thumbnails } or { uri }
+const METADATA_SCHEMA = 'nozama/listing-metadata';
+const METADATA_VERSION = 2;
+
+// Everything is stored as a single raw block so its CID can be computed and
+// verified locally; Kubo refuses blocks above 1 MiB without allow-big-block
+const MAX_BLOCK_BYTES = 1024 * 1024;
+
+const GATEWAY_URLS = (process.env.IPFS_GATEWAY_URLS || process.env.IPFS_GATEWAY_URL || 'https://ipfs.io/ipfs/,https://dweb.link/ipfs/')
+  .split(',')
+  .map(url => url.trim())
+  .filter(Boolean)
+  .map(url => (url.endsWith('/') ? url : `${url}/`));
+const GATEWAY_TIMEOUT_MS = Number(process.env.IPFS_GATEWAY_TIMEOUT_MS || 5000);
+
+// Sorted keys at every level, so the same metadata always has the same CID
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
 
 class IpfsService {
+  constructor() {
+    this.backend = createPinningBackend();
+    this.gateways = GATEWAY_URLS;
+    this.maxBlockBytes = MAX_BLOCK_BYTES;
+  }
+
+  /**
+   * Versioned metadata document a listing's on-chain ipfsCID points to
+   */
+  buildListingMetadata(listing) {
+    return {
+      schema: METADATA_SCHEMA,
+      version: METADATA_VERSION,
+      listingId: listing.listingId,
+      name: listing.name,
+      description: listing.description,
+      category: listing.category,
+      images: [
+        ...(listing.imageAssets || []).map(image => ({
+          cid: image.cid,
+          mimeType: image.mimeType,
+          width: image.width,
+          height: image.height,
+          thumbnails: image.thumbnails.map(({ size, cid, width, height }) => ({ size, cid, width, height })),
+        })),
+        ...(listing.images || []).map(uri => ({ uri })),
+      ],
+      attributes: (listing.attributes || []).map(({ trait_type, value }) => ({ trait_type, value })),
+      seller: {
+        did: listing.seller.did || `did:ethr:${listing.seller.address}`,
+        address: listing.seller.address,
+        name: listing.seller.name,
+      },
+    };
+  }
+
+  encode(metadata) {
+    return Buffer.from(canonicalJson(metadata), 'utf8');
+  }
+
+  /**
+   * Pin `bytes` as a raw block and return its CIDv1
+   */
+  async pinBlock(bytes, label = 'block') {
+    if (bytes.length > MAX_BLOCK_BYTES) {
+      const error = new Error(`${label} is ${bytes.length} bytes; IPFS blocks are limited to ${MAX_BLOCK_BYTES}`);
+      error.name = 'PayloadTooLarge';
+      error.status = 413;
+      throw error;
+    }
+
+    const cid = computeCid(bytes);
+    try {
+      await this.backend.pin(cid, bytes);
+    } catch (err) {
+      const error = new Error(`Pinning ${label} failed: ${err.message}`);
+      error.name = 'IpfsUnavailable';
+      error.status = 502;
+      throw error;
+    }
+
+    console.log(`Pinned ${label} ${cid} (${bytes.length} bytes) via ${this.backend.name}`);
+    return cid;
+  }
+
+  /**
+   * Pin the metadata document and return its CIDv1
+   */
   async uploadMetadata(metadata) {
-    console.log('Uploading metadata to IPFS:', metadata);
-    // In a real implementation, this would return a real IPFS CID.
-    // For now, we'll return a placeholder.
-    const mockCid = 'Qm' + 'a'.repeat(44);
-    console.log('Mock IPFS CID:', mockCid);
-    return mockCid;
+    return this.pinBlock(this.encode(metadata), 'listing metadata');
+  }
+
+  async uploadListingMetadata(listing) {
+    return this.uploadMetadata(this.buildListingMetadata(listing));
+  }
+
+  /**
+   * Raw bytes of `cid`, from the pinning backend first and then each gateway
+   * in turn. Gateway responses are checked against the CID, so an untrusted
+   * gateway can't substitute content. Returns null when nobody has it.
+   */
+  async fetchBlock(cid) {
+    const local = await this.backend.get(cid);
+    if (local && verifyCid(cid, local)) return local;
+
+    for (const gateway of this.gateways) {
+      try {
+        const res = await fetch(`${gateway}${cid}?format=raw`, {
+          headers: { Accept: 'application/vnd.ipld.raw' },
+          signal: AbortSignal.timeout(GATEWAY_TIMEOUT_MS),
+        });
+        if (!res.ok) continue;
+
+        const bytes = Buffer.from(await res.arrayBuffer());
+        if (verifyCid(cid, bytes)) return bytes;
+        console.warn(`Gateway ${gateway} returned content not matching ${cid}`);
+      } catch (err) {
+        console.warn(`Gateway ${gateway} failed for ${cid}: ${err.message}`);
+      }
+    }
+    return null;
+  }
+
+  async fetchMetadata(cid) {
+    const bytes = await this.fetchBlock(cid);
+    if (!bytes) return null;
+
+    try {
+      return JSON.parse(bytes.toString('utf8'));
+    } catch (err) {
+      const error = new Error(`${cid} is not a JSON document`);
+      error.name = 'UnprocessableEntity';
+      error.status = 422;
+      throw error;
+    }
   }
 }
 
@@ -3,6 +3,15 @@ const Listing = require('../models/Listing');
 const ipfsService = require('./ipfsService');
 const blockchainService = require('./blockchainService');
 
+// Variant attributes are stored on-chain as a JSON object
+function parseVariantAttributes(json) {
+  try {
+    return JSON.parse(json);
+  } catch (error) {
+    return {};
+  }
+}
+
 class ListingService {
   async createListing(data) {
     const listingData = {
@@ -26,17 +35,118 @@ class ListingService {
     return listing;
   }
 
+  // Soft-deleted listings are invisible to everything but the on-chain sync
   async getListingById(listingId) {
-    return Listing.findOne({ listingId });
+    return Listing.findOne({ listingId, deletedAt: null });
   }
 
   async getAllListings(filter = {}) {
-    return Listing.find(filter);
+    return Listing.find({ ...filter, deletedAt: null });
   }
 
   async updateListing(listingId, updates) {
     return Listing.findOneAndUpdate({ listingId }, updates, { new: true });
   }
+
+  /**
+   * Mark a listing published once its seller-signed createListing is mined
+   */
+  async markPublished(listingId, seller, { contractAddress, transactionHash, blockNumber }) {
+    const listing = await Listing.findOne({ listingId });
+    if (!listing || listing.seller.address.toLowerCase() !== seller.toLowerCase()) {
+      return null;
+    }
+
+    return this.updateListing(listingId, {
+      status: 'published',
+      blockchain: {
+        network: listing.blockchain?.network || 'localhost',
+        contractAddress,
+        transactionHash,
+        blockNumber,
+      },
+    });
+  }
+
+  /**
+   * Mongo status for an on-chain listing. A listing with variants is sold out
+   * when none of its active variants has stock left.
+   */
+  statusFor({ active, stock }, variants = []) {
+    if (!active) return 'inactive';
+    const available = variants.length > 0
+      ? variants.filter(variant => variant.active).reduce((sum, variant) => sum + Number(variant.stock), 0)
+      : Number(stock);
+    return available === 0 ? 'sold_out' : 'published';
+  }
+
+  /**
+   * Copy price, stock and active of the listing and its variants from
+   * ListingRegistry after an update (or any stock movement) so Mongo matches
+   * the chain
+   */
+  async syncFromChain(listingId, seller) {
+    const listing = await Listing.findOne({ listingId });
+    if (!listing || (seller && listing.seller.address.toLowerCase() !== seller.toLowerCase())) {
+      return null;
+    }
+
+    const [onChain, onChainVariants] = await Promise.all([
+      blockchainService.getOnChainListing(listingId),
+      blockchainService.getOnChainVariants(listingId),
+    ]);
+
+    const variants = [];
+    for (const [index, variant] of onChainVariants.entries()) {
+      variants.push({
+        variantId: index + 1,
+        sku: variant.sku,
+        attributes: parseVariantAttributes(variant.attributes),
+        price: await blockchainService.fromBaseUnits(variant.price, listing.currency),
+        stock: Number(variant.stock),
+        active: variant.active,
+      });
+    }
+
+    // Variants staged in Mongo stay until their addVariant transactions are mined
+    const staged = listing.variants.filter(variant => variant.variantId > variants.length);
+
+    return this.updateListing(listingId, {
+      price: await blockchainService.fromBaseUnits(onChain.price, listing.currency),
+      stock: Number(onChain.stock),
+      variants: [...variants, ...staged],
+      status: this.statusFor(onChain, onChainVariants),
+    });
+  }
+
+  /**
+   * Apply the staged description and images once updateListingMetadata
+   * pointing at their CID is mined
+   */
+  async applyMetadataUpdate(listingId, seller, ipfsCID) {
+    const listing = await Listing.findOne({ listingId });
+    if (!listing || listing.seller.address.toLowerCase() !== seller.toLowerCase()) {
+      return null;
+    }
+
+    const pending = listing.pendingMetadata;
+    if (!pending || pending.ipfsCID !== ipfsCID) {
+      // Signed outside this service; the CID is all we know
+      return this.updateListing(listingId, { ipfsCID });
+    }
+
+    return this.updateListing(listingId, {
+      ipfsCID,
+      description: pending.description,
+      images: pending.images,
+      imageAssets: pending.imageAssets,
+      $unset: { pendingMetadata: 1 },
+    });
+  }
+
+  async softDelete(listingId) {
+    return this.updateListing(listingId, { status: 'inactive', deletedAt: new Date() });
+  }
 }
 
 module.exports = new ListingService();
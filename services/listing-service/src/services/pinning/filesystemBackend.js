@@ -0,0 +1,33 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Stand-in for an IPFS node in local development: blocks are files named by
+// their CID. Nothing is announced to the network, so public gateways can't
+// serve these CIDs; GET /api/v1/ipfs/:cid does.
+class FilesystemPinningBackend {
+  constructor(dir = process.env.IPFS_FS_DIR || path.join(__dirname, '../../../.ipfs-blocks')) {
+    this.name = 'filesystem';
+    this.dir = dir;
+  }
+
+  async pin(cid, bytes) {
+    await fs.mkdir(this.dir, { recursive: true });
+    const file = path.join(this.dir, cid);
+    // Write-then-rename so a concurrent reader never sees a partial block
+    const tmp = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(tmp, bytes);
+    await fs.rename(tmp, file);
+    return cid;
+  }
+
+  async get(cid) {
+    try {
+      return await fs.readFile(path.join(this.dir, cid));
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+  }
+}
+
+module.exports = FilesystemPinningBackend;
@@ -0,0 +1,28 @@
+const FilesystemPinningBackend = require('./filesystemBackend');
+const KuboPinningBackend = require('./kuboBackend');
+
+/**
+ * A pinning backend stores raw blocks under their CIDv1 and is an object with
+ *   name
+ *   pin(cid, bytes) -> Promise<cid>, keeps the block available
+ *   get(cid)        -> Promise<Buffer|null>, the block if this backend has it
+ * Pick one with IPFS_PINNING_BACKEND; more can be added with registerBackend.
+ */
+const factories = new Map([
+  ['filesystem', () => new FilesystemPinningBackend()],
+  ['kubo', () => new KuboPinningBackend()],
+]);
+
+function registerBackend(name, factory) {
+  factories.set(name, factory);
+}
+
+function createPinningBackend(name = process.env.IPFS_PINNING_BACKEND || 'filesystem') {
+  const factory = factories.get(name);
+  if (!factory) {
+    throw new Error(`Unknown IPFS pinning backend "${name}"; expected one of ${[...factories.keys()].join(', ')}`);
+  }
+  return factory();
+}
+
+module.exports = { createPinningBackend, registerBackend };
@@ -0,0 +1,55 @@
+// Pins through the RPC API of a Kubo (go-ipfs) node or anything compatible
+// with its /api/v0 block and pin endpoints.
+class KuboPinningBackend {
+  constructor({
+    apiUrl = process.env.IPFS_API_URL || 'http://127.0.0.1:5001',
+    authHeader = process.env.IPFS_API_AUTH,
+    timeoutMs = Number(process.env.IPFS_API_TIMEOUT_MS || 10000),
+  } = {}) {
+    this.name = 'kubo';
+    this.apiUrl = apiUrl.replace(/\/+$/, '');
+    this.authHeader = authHeader;
+    this.timeoutMs = timeoutMs;
+  }
+
+  async pin(cid, bytes) {
+    const form = new FormData();
+    form.append('file', new Blob([bytes]), cid);
+
+    const res = await this.call('block/put?cid-codec=raw&mhtype=sha2-256&pin=true', form);
+    const { Key } = await res.json();
+
+    if (Key !== cid) {
+      throw new Error(`IPFS node stored the block as ${Key}, expected ${cid}`);
+    }
+    return Key;
+  }
+
+  async get(cid) {
+    try {
+      const res = await this.call(`block/get?arg=${encodeURIComponent(cid)}`);
+      return Buffer.from(await res.arrayBuffer());
+    } catch (err) {
+      console.warn(`IPFS node could not return ${cid}: ${err.message}`);
+      return null;
+    }
+  }
+
+  // The Kubo RPC API only accepts POST
+  async call(endpoint, body) {
+    const res = await fetch(`${this.apiUrl}/api/v0/${endpoint}`, {
+      method: 'POST',
+      body,
+      headers: this.authHeader ? { Authorization: this.authHeader } : undefined,
+      signal: AbortSignal.timeout(this.timeoutMs),
+    });
+
+    if (!res.ok) {
+      const text = await res.text().catch(() => '');
+      throw new Error(`IPFS API ${endpoint.split('?')[0]} failed with ${res.status}: ${text.slice(0, 200)}`);
+    }
+    return res;
+  }
+}
+
+module.exports = KuboPinningBackend;
@@ -0,0 +1,286 @@
+const { ethers } = require('ethers');
+const Listing = require('../models/Listing');
+const blockchainService = require('./blockchainService');
+const listingService = require('./listing.service');
+
+// Enum values of ListingRegistry.SaleMode and the AuctionHouse statuses
+const SALE_MODES = ['fixed_price', 'auction', 'best_offer'];
+const AUCTION_STATUSES = [null, 'active', 'settled', 'ended', 'cancelled'];
+const OFFER_STATUSES = [null, 'open', 'countered', 'accepted', 'declined', 'withdrawn'];
+
+// What each AuctionHouse call acts on: [kind, index of the ID argument]
+const CALL_SUBJECTS = {
+  createAuction: ['listing', 1],
+  bid: ['auction', 0],
+  settleAuction: ['auction', 0],
+  cancelAuction: ['auction', 0],
+  setBestOffer: ['listing', 0],
+  makeOffer: ['listing', 1],
+  acceptOffer: ['offer', 0],
+  counterOffer: ['offer', 0],
+  acceptCounter: ['offer', 0],
+  declineOffer: ['offer', 0],
+  withdrawOffer: ['offer', 0],
+};
+
+const WATCHER_ENABLED = process.env.SALE_WATCHER_ENABLED !== 'false';
+
+function httpError(name, status, message) {
+  const err = new Error(message);
+  err.name = name;
+  err.status = status;
+  return err;
+}
+
+function toDate(seconds) {
+  return new Date(Number(seconds) * 1000);
+}
+
+class SaleService {
+  constructor() {
+    this.queue = Promise.resolve();
+  }
+
+  get contract() {
+    if (!blockchainService.auctionHouseContract) {
+      throw httpError('ServiceUnavailable', 503, 'AuctionHouse is not deployed');
+    }
+    return blockchainService.auctionHouseContract;
+  }
+
+  saleModeName(mode) {
+    return SALE_MODES[mode];
+  }
+
+  /**
+   * Raw AuctionHouse auction, or null when there is none with this ID
+   */
+  async getAuction(auctionId) {
+    try {
+      return await this.contract.getAuction(auctionId);
+    } catch (error) {
+      if ((error.reason || error.message).includes('Auction does not exist')) return null;
+      throw error;
+    }
+  }
+
+  async getOffer(offerId) {
+    try {
+      return await this.contract.getOffer(offerId);
+    } catch (error) {
+      if ((error.reason || error.message).includes('Offer does not exist')) return null;
+      throw error;
+    }
+  }
+
+  async getListingAuctions(listingId) {
+    const ids = await this.contract.getListingAuctions(listingId);
+    return Promise.all(ids.map(id => this.contract.getAuction(id)));
+  }
+
+  async getListingOffers(listingId) {
+    const ids = await this.contract.getListingOffers(listingId);
+    return Promise.all(ids.map(id => this.contract.getOffer(id)));
+  }
+
+  /**
+   * Bids of an auction from its BidPlaced events, newest first
+   */
+  async getBids(auction) {
+    const events = await this.contract.queryFilter(this.contract.filters.BidPlaced(auction.auctionId));
+    const currency = await this.currencyOf(auction.listingId);
+
+    const bids = [];
+    for (const event of events) {
+      bids.push({
+        bidder: event.args.bidder,
+        amount: await blockchainService.fromBaseUnits(event.args.unitPrice, currency),
+        amountBaseUnits: event.args.unitPrice.toString(),
+        blockNumber: event.blockNumber,
+        transactionHash: event.transactionHash,
+      });
+    }
+    return bids.reverse();
+  }
+
+  async currencyOf(listingId) {
+    return (await blockchainService.getOnChainListing(listingId)).currency;
+  }
+
+  /**
+   * API view of an auction; amounts are per unit in the listing currency,
+   * with their base-unit values alongside for building transactions
+   */
+  async formatAuction(auction, currency) {
+    currency = currency || await this.currencyOf(auction.listingId);
+    const amount = value => blockchainService.fromBaseUnits(value, currency);
+    const hasBids = auction.highestBidder !== ethers.ZeroAddress;
+    const minimumBid = hasBids ? auction.highestBid + auction.minIncrement : auction.startPrice;
+
+    return {
+      auctionId: auction.auctionId,
+      listingId: auction.listingId,
+      variantId: Number(auction.variantId),
+      quantity: Number(auction.quantity),
+      seller: auction.seller,
+      currency,
+      paymentToken: auction.paymentToken,
+      startPrice: await amount(auction.startPrice),
+      reservePrice: await amount(auction.reservePrice),
+      minIncrement: await amount(auction.minIncrement),
+      highestBid: hasBids ? await amount(auction.highestBid) : null,
+      highestBidder: hasBids ? auction.highestBidder : null,
+      bidCount: Number(auction.bidCount),
+      reserveMet: hasBids && auction.highestBid >= auction.reservePrice,
+      minimumBid: await amount(minimumBid),
+      minimumBidBaseUnits: minimumBid.toString(),
+      startsAt: toDate(auction.startTime),
+      endsAt: toDate(auction.endTime),
+      extensionWindowSeconds: Number(auction.extensionWindow),
+      status: AUCTION_STATUSES[Number(auction.status)],
+      orderId: auction.orderId || null,
+    };
+  }
+
+  async formatOffer(offer, currency) {
+    currency = currency || await this.currencyOf(offer.listingId);
+    const amount = value => blockchainService.fromBaseUnits(value, currency);
+
+    return {
+      offerId: offer.offerId,
+      listingId: offer.listingId,
+      variantId: Number(offer.variantId),
+      quantity: Number(offer.quantity),
+      buyer: offer.buyer,
+      seller: offer.seller,
+      currency,
+      paymentToken: offer.paymentToken,
+      amount: await amount(offer.unitPrice),
+      amountBaseUnits: offer.unitPrice.toString(),
+      counterAmount: offer.counterPrice > 0n ? await amount(offer.counterPrice) : null,
+      counterAmountBaseUnits: offer.counterPrice > 0n ? offer.counterPrice.toString() : null,
+      expiresAt: toDate(offer.expiresAt),
+      expired: Number(offer.expiresAt) * 1000 <= Date.now(),
+      status: OFFER_STATUSES[Number(offer.status)],
+      orderId: offer.orderId || null,
+    };
+  }
+
+  /**
+   * Refunds waiting in AuctionHouse for `address`, in ETH and every
+   * allow-listed token
+   */
+  async getRefunds(address) {
+    const [symbols, tokens] = await blockchainService.listingRegistryContract.getPaymentTokens();
+    const currencies = [['ETH', ethers.ZeroAddress], ...symbols.map((symbol, i) => [symbol, tokens[i]])];
+
+    const refunds = [];
+    for (const [currency, token] of currencies) {
+      const owed = await this.contract.refunds(address, token);
+      refunds.push({
+        currency,
+        token,
+        amount: await blockchainService.fromBaseUnits(owed, currency),
+        amountBaseUnits: owed.toString(),
+      });
+    }
+    return refunds;
+  }
+
+  /**
+   * Listing an AuctionHouse call acts on, or null if it names an unknown auction or offer
+   */
+  async listingIdOf(call) {
+    const subject = CALL_SUBJECTS[call.name];
+    if (!subject) return null;
+
+    const [kind, index] = subject;
+    const id = call.args[index];
+    if (kind === 'listing') return id;
+
+    const record = kind === 'auction' ? await this.getAuction(id) : await this.getOffer(id);
+    return record ? record.listingId : null;
+  }
+
+  /**
+   * Mirror the listing's sale mode, latest auction and stock into Mongo
+   */
+  async syncListing(listingId) {
+    const listing = await Listing.findOne({ listingId });
+    if (!listing || listing.status === 'draft') return null;
+
+    const [mode, auctionIds] = await Promise.all([
+      blockchainService.getSaleMode(listingId),
+      this.contract.getListingAuctions(listingId),
+    ]);
+    const update = { saleMode: SALE_MODES[mode] };
+
+    if (auctionIds.length > 0) {
+      const latest = await this.formatAuction(await this.contract.getAuction(auctionIds[auctionIds.length - 1]), listing.currency);
+      update.auction = {
+        auctionId: latest.auctionId,
+        variantId: latest.variantId,
+        quantity: latest.quantity,
+        startPrice: latest.startPrice,
+        reservePrice: latest.reservePrice,
+        minIncrement: latest.minIncrement,
+        highestBid: latest.highestBid,
+        highestBidder: latest.highestBidder,
+        bidCount: latest.bidCount,
+        reserveMet: latest.reserveMet,
+        startsAt: latest.startsAt,
+        endsAt: latest.endsAt,
+        status: latest.status,
+        orderId: latest.orderId,
+      };
+    }
+
+    // Settled auctions and accepted offers reserve stock through OrderManager
+    await listingService.syncFromChain(listingId);
+    return listingService.updateListing(listingId, update);
+  }
+
+  async syncCall(call) {
+    const listingId = await this.listingIdOf(call);
+    return listingId ? this.syncListing(listingId) : null;
+  }
+
+  /**
+   * Keep Mongo in step with AuctionHouse transactions that weren't relayed
+   * through this service (bids sent straight from a wallet, settlement by the
+   * winner, ...). Logs don't carry the IDs in clear (they're indexed strings),
+   * so the transaction that emitted them is decoded instead.
+   */
+  async watch() {
+    await blockchainService.ready;
+    if (!WATCHER_ENABLED || !blockchainService.auctionHouseContract) {
+      console.log('AuctionHouse watcher not started');
+      return;
+    }
+
+    const contract = this.contract;
+    let lastHash = null;
+    blockchainService.provider.on({ address: await contract.getAddress() }, (log) => {
+      if (log.transactionHash === lastHash) return;
+      lastHash = log.transactionHash;
+      this.enqueue(() => this.syncTransaction(log.transactionHash));
+    });
+
+    console.log('Watching AuctionHouse events');
+  }
+
+  async syncTransaction(hash) {
+    const tx = await blockchainService.provider.getTransaction(hash);
+    const call = tx && this.contract.interface.parseTransaction({ data: tx.data, value: tx.value });
+    if (call) await this.syncCall(call);
+  }
+
+  // One sync at a time, in log order
+  enqueue(task) {
+    this.queue = this.queue
+      .then(task)
+      .catch(error => console.error('AuctionHouse sync failed:', error.message));
+  }
+}
+
+module.exports = new SaleService();
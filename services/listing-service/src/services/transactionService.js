@@ -0,0 +1,238 @@
+const { ethers } = require('ethers');
+const blockchainService = require('./blockchainService');
+
+const ERC20_APPROVE_ABI = ['function approve(address spender, uint256 amount) returns (bool)'];
+
+function httpError(name, status, message) {
+  const err = new Error(message);
+  err.name = name;
+  err.status = status;
+  return err;
+}
+
+// BigInts and ethers Results are not JSON serializable
+function toPlain(value) {
+  if (typeof value === 'bigint') return value.toString();
+  if (Array.isArray(value)) return value.map(toPlain);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, toPlain(v)]));
+  }
+  return value;
+}
+
+class TransactionService {
+  get contract() {
+    if (!blockchainService.listingRegistryContract) {
+      throw httpError('ServiceUnavailable', 503, 'Blockchain service not initialized');
+    }
+    return blockchainService.listingRegistryContract;
+  }
+
+  get auctionHouse() {
+    if (!blockchainService.auctionHouseContract) {
+      throw httpError('ServiceUnavailable', 503, 'AuctionHouse is not deployed');
+    }
+    return blockchainService.auctionHouseContract;
+  }
+
+  get provider() {
+    return blockchainService.provider;
+  }
+
+  /**
+   * Build the unsigned ListingRegistry.createListing call for the seller's wallet
+   */
+  async prepareCreateListing(listing, ipfsCID) {
+    const priceWei = await blockchainService.toBaseUnits(listing.price, listing.currency);
+    return this.prepare('createListing', [
+      listing.listingId,
+      listing.name,
+      priceWei,
+      listing.currency,
+      listing.stock,
+      ipfsCID
+    ], listing.seller.address);
+  }
+
+  /**
+   * Build the unsigned ListingRegistry.updateListing call; price is already in base units
+   */
+  async prepareUpdateListing(listing, { price, stock, active }, options) {
+    return this.prepare('updateListing', [listing.listingId, price, stock, active], listing.seller.address, options);
+  }
+
+  async prepareUpdateMetadata(listing, ipfsCID, options) {
+    return this.prepare('updateListingMetadata', [listing.listingId, ipfsCID], listing.seller.address, options);
+  }
+
+  async prepareAddVariant(listing, { sku, attributes, price, stock }, options) {
+    return this.prepare('addVariant', [listing.listingId, sku, attributes, price, stock], listing.seller.address, options);
+  }
+
+  async prepareUpdateVariant(listing, variantId, { price, stock, active }, options) {
+    return this.prepare('updateVariant', [listing.listingId, variantId, price, stock, active], listing.seller.address, options);
+  }
+
+  /**
+   * Build an unsigned AuctionHouse call; `value` is the ETH (in wei) it pays
+   */
+  async prepareSale(method, args, from, options = {}) {
+    return this.prepare(method, args, from, { ...options, contract: this.auctionHouse });
+  }
+
+  /**
+   * Build an ERC-20 approve(spender, amount) for the token paying a bid or offer
+   */
+  async prepareTokenApproval(token, spender, amount, from) {
+    const erc20 = new ethers.Contract(token, ERC20_APPROVE_ABI, this.provider);
+    return this.prepare('approve', [spender, amount], from, { contract: erc20 });
+  }
+
+  // nonceOffset numbers transactions the wallet is asked to sign in sequence.
+  // A transaction that only succeeds after earlier ones in the sequence can't
+  // be estimated yet and passes its own gasLimit instead.
+  async prepare(method, args, from, { nonceOffset = 0, gasLimit: fixedGasLimit, contract = this.contract, value = 0n } = {}) {
+    const to = await contract.getAddress();
+    const data = contract.interface.encodeFunctionData(method, args);
+
+    let gasLimit = fixedGasLimit;
+    if (gasLimit === undefined) {
+      try {
+        gasLimit = await this.provider.estimateGas({ from, to, data, value });
+      } catch (error) {
+        throw httpError('TransactionWouldRevert', 422, error.reason || error.shortMessage || error.message);
+      }
+    }
+
+    const [network, nonce, feeData] = await Promise.all([
+      this.provider.getNetwork(),
+      this.provider.getTransactionCount(from, 'pending'),
+      this.provider.getFeeData()
+    ]);
+
+    return {
+      from,
+      to,
+      data,
+      value: value.toString(),
+      chainId: Number(network.chainId),
+      nonce: nonce + nonceOffset,
+      gasLimit: ((gasLimit * 120n) / 100n).toString(),
+      maxFeePerGas: feeData.maxFeePerGas ? feeData.maxFeePerGas.toString() : null,
+      maxPriorityFeePerGas: feeData.maxPriorityFeePerGas ? feeData.maxPriorityFeePerGas.toString() : null,
+      gasPrice: feeData.gasPrice ? feeData.gasPrice.toString() : null,
+      method
+    };
+  }
+
+  /**
+   * Check a wallet-signed ListingRegistry or AuctionHouse transaction (or an
+   * approval of AuctionHouse on an allow-listed token, for bids and offers)
+   * and broadcast it. Returns the decoded call alongside the ethers TransactionResponse.
+   */
+  async relay(signedTx) {
+    let tx;
+    try {
+      tx = ethers.Transaction.from(signedTx);
+    } catch (error) {
+      throw httpError('BadRequest', 400, 'signedTx is not a valid serialized transaction');
+    }
+
+    if (!tx.signature || !tx.from) {
+      throw httpError('BadRequest', 400, 'Transaction is not signed');
+    }
+
+    const network = await this.provider.getNetwork();
+    if (tx.chainId !== network.chainId) {
+      throw httpError('BadRequest', 400, `Transaction chainId ${tx.chainId} does not match network chainId ${network.chainId}`);
+    }
+
+    const contract = (await this.contractAt(tx.to)) || (await this.tokenApprovalAt(tx));
+    if (!contract) {
+      throw httpError('BadRequest', 400, 'Transaction target is not the ListingRegistry or AuctionHouse contract');
+    }
+
+    const call = contract.interface.parseTransaction({ data: tx.data, value: tx.value });
+    const response = await this.provider.broadcastTransaction(signedTx);
+    console.log(`Relayed ${call ? call.name : 'unknown'} from ${tx.from}: ${response.hash}`);
+
+    return {
+      response,
+      call,
+      hash: response.hash,
+      from: tx.from,
+      to: tx.to,
+      nonce: tx.nonce,
+      contract: this.contractName(contract),
+      method: call ? call.name : null,
+      args: call ? toPlain(call.args.toObject()) : null
+    };
+  }
+
+  // The contract of ours deployed at `address`, or null
+  async contractAt(address) {
+    if (!address) return null;
+    const contracts = [this.contract, blockchainService.auctionHouseContract].filter(Boolean);
+    for (const contract of contracts) {
+      if ((await contract.getAddress()).toLowerCase() === address.toLowerCase()) return contract;
+    }
+    return null;
+  }
+
+  /**
+   * An approve contract for `tx` if it approves AuctionHouse on an
+   * allow-listed payment token, otherwise null
+   */
+  async tokenApprovalAt(tx) {
+    const auctionHouse = blockchainService.auctionHouseContract;
+    if (!tx.to || !auctionHouse || !(await this.contract.allowedTokens(tx.to))) return null;
+
+    const erc20 = new ethers.Contract(tx.to, ERC20_APPROVE_ABI, this.provider);
+    const call = erc20.interface.parseTransaction({ data: tx.data });
+    if (!call || call.args.spender.toLowerCase() !== (await auctionHouse.getAddress()).toLowerCase()) return null;
+    return erc20;
+  }
+
+  contractName(contract) {
+    if (contract === this.contract) return 'ListingRegistry';
+    if (contract === blockchainService.auctionHouseContract) return 'AuctionHouse';
+    return 'PaymentToken';
+  }
+
+  async getStatus(hash) {
+    const [tx, receipt] = await Promise.all([
+      this.provider.getTransaction(hash),
+      this.provider.getTransactionReceipt(hash)
+    ]);
+
+    if (!tx) return null;
+    if (!receipt) {
+      return { hash, from: tx.from, to: tx.to, nonce: tx.nonce, status: 'pending' };
+    }
+
+    const events = [];
+    for (const log of receipt.logs) {
+      const contract = await this.contractAt(log.address);
+      try {
+        const parsed = contract && contract.interface.parseLog(log);
+        if (parsed) events.push({ name: parsed.name, args: toPlain(parsed.args.toObject()) });
+      } catch (error) {
+        // not an event of ours
+      }
+    }
+
+    return {
+      hash,
+      from: tx.from,
+      to: tx.to,
+      nonce: tx.nonce,
+      status: receipt.status === 1 ? 'confirmed' : 'failed',
+      blockNumber: receipt.blockNumber,
+      confirmations: await receipt.confirmations(),
+      gasUsed: receipt.gasUsed.toString(),
+      events
+    };
+  }
+}
+
+module.exports = new TransactionService();
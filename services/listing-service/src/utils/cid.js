@@ -0,0 +1,89 @@
+const crypto = require('crypto');
+
+// CIDv1 of a single raw block: <version 1><codec raw 0x55><sha2-256 multihash>,
+// multibase base32 ("b" prefix). Kubo produces the same CID for
+// `block put --cid-codec=raw`, so pinned and locally computed CIDs agree.
+const CID_VERSION = 0x01;
+const RAW_CODEC = 0x55;
+const SHA2_256 = 0x12;
+const SHA2_256_LENGTH = 32;
+
+const BASE32_ALPHABET = 'abcdefghijklmnopqrstuvwxyz234567';
+
+function base32Encode(bytes) {
+  let bits = 0;
+  let value = 0;
+  let out = '';
+
+  for (const byte of bytes) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    out += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return out;
+}
+
+function base32Decode(str) {
+  const bytes = [];
+  let bits = 0;
+  let value = 0;
+
+  for (const char of str) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error(`Invalid base32 character: ${char}`);
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 0xff);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * CIDv1 (raw codec, sha2-256, base32) of `bytes`
+ */
+function computeCid(bytes) {
+  const digest = crypto.createHash('sha256').update(bytes).digest();
+  const prefix = Buffer.from([CID_VERSION, RAW_CODEC, SHA2_256, SHA2_256_LENGTH]);
+  return 'b' + base32Encode(Buffer.concat([prefix, digest]));
+}
+
+/**
+ * Decode a base32 CIDv1 into its codec and sha2-256 digest. Returns null for
+ * anything else (CIDv0, other bases or hash functions).
+ */
+function parseCid(cid) {
+  if (typeof cid !== 'string' || !/^b[a-z2-7]+$/.test(cid)) return null;
+
+  let bytes;
+  try {
+    bytes = base32Decode(cid.slice(1));
+  } catch (err) {
+    return null;
+  }
+
+  // Single-byte varints cover every codec this service deals with
+  if (bytes.length !== 4 + SHA2_256_LENGTH || bytes[0] !== CID_VERSION) return null;
+  if (bytes[2] !== SHA2_256 || bytes[3] !== SHA2_256_LENGTH) return null;
+
+  return { version: 1, codec: bytes[1], digest: bytes.subarray(4) };
+}
+
+/**
+ * True when `bytes` is exactly the content addressed by a raw CIDv1
+ */
+function verifyCid(cid, bytes) {
+  const parsed = parseCid(cid);
+  if (!parsed || parsed.codec !== RAW_CODEC) return false;
+  return crypto.createHash('sha256').update(bytes).digest().equals(parsed.digest);
+}
+
+module.exports = { computeCid, parseCid, verifyCid, RAW_CODEC };
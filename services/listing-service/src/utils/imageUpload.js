@@ -0,0 +1,40 @@
+const multer = require('multer');
+const imageService = require('../services/imageService');
+
+const MAX_UPLOAD_BYTES = Number(process.env.IMAGE_MAX_UPLOAD_BYTES || 10 * 1024 * 1024);
+const MAX_FILES = Number(process.env.IMAGE_MAX_FILES_PER_UPLOAD || 8);
+
+// Files stay in memory: they are re-encoded and pinned, never written as uploaded
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_UPLOAD_BYTES, files: MAX_FILES },
+  fileFilter(req, file, cb) {
+    if (!imageService.allowedMimeTypes.includes(file.mimetype)) {
+      const err = new Error(`${file.originalname}: ${file.mimetype} is not allowed; use ${imageService.allowedMimeTypes.join(', ')}`);
+      err.name = 'UnsupportedMediaType';
+      err.status = 415;
+      return cb(err);
+    }
+    cb(null, true);
+  },
+}).array('images', MAX_FILES);
+
+const MULTER_ERRORS = {
+  LIMIT_FILE_SIZE: [413, 'PayloadTooLarge', `Images are limited to ${MAX_UPLOAD_BYTES} bytes each`],
+  LIMIT_FILE_COUNT: [400, 'BadRequest', `At most ${MAX_FILES} images per upload`],
+  LIMIT_UNEXPECTED_FILE: [400, 'BadRequest', 'Send images as multipart/form-data in the "images" field'],
+};
+
+/**
+ * multipart/form-data with one or more files in the "images" field
+ */
+function uploadImages(req, res, next) {
+  upload(req, res, (err) => {
+    if (!err) return next();
+
+    const [status, error, message] = MULTER_ERRORS[err.code] || [err.status || 400, err.name, err.message];
+    return res.status(status).json({ error, message, timestamp: new Date().toISOString() });
+  });
+}
+
+module.exports = { uploadImages };
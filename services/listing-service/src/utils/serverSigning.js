@@ -0,0 +1,15 @@
+// Listings are registered on-chain by the seller's own wallet. Signing with the
+// node's first account (BlockchainService.signer) is kept for local dev only.
+const SERVER_SIGNING_ENABLED = process.env.ENABLE_SERVER_SIGNING === 'true';
+
+function requireServerSigning(req, res, next) {
+  if (SERVER_SIGNING_ENABLED) return next();
+
+  return res.status(403).json({
+    error: 'ServerSigningDisabled',
+    message: 'Server-side signing is disabled. Use POST /api/v1/listings/prepare or /api/v1/listings/:id/publish/prepare and submit the wallet-signed transaction to /api/v1/transactions',
+    timestamp: new Date().toISOString()
+  });
+}
+
+module.exports = { SERVER_SIGNING_ENABLED, requireServerSigning };
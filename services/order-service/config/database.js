@@ -0,0 +1,9 @@
+const mongoose = require('mongoose');
+
+module.exports = async function connectMongo(uri) {
+  if (!uri) throw new Error('MongoDB URI not provided');
+  mongoose.set('strictQuery', false);
+  await mongoose.connect(uri);
+  console.log('✅ MongoDB connected');
+  return mongoose;
+};
@@ -2,7 +2,8 @@ const grpc = require("@grpc/grpc-js");
 const protoLoader = require("@grpc/proto-loader");
 const path = require("path");
 
-const PROTO_PATH = path.join(__dirname, "../../payment-service/grpc/escrow.proto");
+// The proto is owned by payment-service; override the path when it is mounted elsewhere (e.g. in a container)
+const PROTO_PATH = process.env.ESCROW_PROTO_PATH || path.join(__dirname, "../../payment-service/grpc/escrow.proto");
 
 const packageDefinition = protoLoader.loadSync(PROTO_PATH, {
   keepCase: true,
@@ -23,4 +24,16 @@ const client = new escrowProto.EscrowService(
 
 console.log("🔗 gRPC Client connected to Payment Service at:", ESCROW_GRPC_URL);
 
+/**
+ * Promise wrapper for unary calls: `await escrowClient.request('GetEscrow', { escrowId })`.
+ * Rejects with the gRPC error, whose `code` is one of grpc.status.
+ */
+client.request = (method, request, { deadlineMs = 10000 } = {}) =>
+  new Promise((resolve, reject) => {
+    client[method](request, { deadline: Date.now() + deadlineMs }, (err, response) => {
+      if (err) return reject(err);
+      resolve(response);
+    });
+  });
+
 module.exports = client;
@@ -10,13 +10,28 @@ const listingRoutes = require('./routes/listings');
 const escrowRoutes = require('./routes/escrow');
 const healthRoute = require('./routes/health');
 const webhookRoutes = require('./routes/webhooks');
+const transactionRoutes = require('./routes/transactions');
+const cartRoutes = require('./routes/carts');
+const returnRoutes = require('./routes/returns');
+const shipmentRoutes = require('./routes/shipments');
+const carrierRoutes = require('./routes/carriers');
+const { SERVER_SIGNING_ENABLED } = require('./utils/transactions');
+const connectMongo = require('./config/database');
+const { startOrderIndexer } = require('./services/orderIndexer');
+const { startOrderSweeper } = require('./services/orderSweeper');
+const { startShipmentTracker } = require('./services/shipmentTracker');
 
 const app = express();
 const PORT = process.env.PORT || 3003;
 
 // Middleware
 app.use(cors({ origin: '*' }));
-app.use(bodyParser.json());
+// Keep the raw body around for webhook signature checks
+app.use(bodyParser.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(bodyParser.urlencoded({ extended: true }));
 
 // Request logging
@@ -27,10 +42,15 @@ app.use((req, res, next) => {
 
 // Routes
 app.use('/api/v1/health', healthRoute);
+app.use('/api/v1/orders/:orderId/returns', returnRoutes);
+app.use('/api/v1/orders/:orderId/shipment', shipmentRoutes);
 app.use('/api/v1/orders', orderRoutes);
 app.use('/api/v1/listings', listingRoutes);
-// app.use('/api/v1/escrow', escrowRoutes);
+app.use('/api/v1/escrow', escrowRoutes);
 app.use('/api/v1/webhooks', webhookRoutes);
+app.use('/api/v1/transactions', transactionRoutes);
+app.use('/api/v1/carts', cartRoutes);
+app.use('/api/v1/carriers', carrierRoutes);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -55,29 +75,66 @@ app.use((req, res) => {
 app.use(express.static('public'));
 
 // Start server
-app.listen(PORT, () => {
-  console.log('='.repeat(60));
-  console.log('Order Service Started Successfully!');
-  console.log('='.repeat(60));
-  console.log(`Server running on: http://localhost:${PORT}`);
-  console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
-  console.log(`Blockchain RPC: ${process.env.BLOCKCHAIN_RPC_URL}`);
-  console.log(`Frontend: http://localhost:${PORT}/`);
-  console.log('\nAvailable endpoints:');
-  console.log(`   GET    /api/v1/health`);
-  console.log(`   GET    /api/v1/listings`);
-  console.log(`   GET    /api/v1/listings/:listingId`);
-  console.log(`   POST   /api/v1/orders`);
-  console.log(`   GET    /api/v1/orders`);
-  console.log(`   GET    /api/v1/orders/:orderId`);
-  console.log(`   POST   /api/v1/orders/:orderId/pay`);
-  console.log(`   PUT    /api/v1/orders/:orderId/status`);
-  console.log(`   POST   /api/v1/orders/:orderId/confirm-delivery`);
-  console.log(`   POST   /api/v1/orders/:orderId/cancel`);
-  console.log(`   GET    /api/v1/escrow/:escrowId`);
-  console.log('\nReady to accept requests!\n');
-  console.log("Blockchain RPC:", process.env.BLOCKCHAIN_RPC_URL);
+(async () => {
+  try {
+    await connectMongo(process.env.MONGODB_URI);
+  } catch (err) {
+    console.error('Failed to connect to MongoDB:', err);
+    process.exit(1);
+  }
 
-});
+  app.listen(PORT, () => {
+    console.log('='.repeat(60));
+    console.log('Order Service Started Successfully!');
+    console.log('='.repeat(60));
+    console.log(`Server running on: http://localhost:${PORT}`);
+    console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
+    console.log(`Blockchain RPC: ${process.env.BLOCKCHAIN_RPC_URL}`);
+    console.log(`Server-side signing: ${SERVER_SIGNING_ENABLED ? 'ENABLED (dev only)' : 'disabled'}`);
+    console.log(`Frontend: http://localhost:${PORT}/`);
+    console.log('\nAvailable endpoints:');
+    console.log(`   GET    /api/v1/health`);
+    console.log(`   GET    /api/v1/listings`);
+    console.log(`   GET    /api/v1/listings/:listingId`);
+    console.log(`   POST   /api/v1/orders`);
+    console.log(`   GET    /api/v1/orders`);
+    console.log(`   GET    /api/v1/orders/:orderId`);
+    console.log(`   POST   /api/v1/orders/:orderId/pay`);
+    console.log(`   PUT    /api/v1/orders/:orderId/status`);
+    console.log(`   POST   /api/v1/orders/:orderId/confirm-delivery`);
+    console.log(`   POST   /api/v1/orders/:orderId/cancel`);
+    console.log(`   POST   /api/v1/orders/prepare`);
+    console.log(`   POST   /api/v1/orders/:orderId/{pay,status,confirm-delivery,cancel}/prepare`);
+    console.log(`   GET    /api/v1/orders/:orderId/returns`);
+    console.log(`   POST   /api/v1/orders/:orderId/returns[/approve|/reject|/ship|/receive][/prepare]`);
+    console.log(`   GET    /api/v1/orders/:orderId/shipment`);
+    console.log(`   PUT    /api/v1/orders/:orderId/shipment`);
+    console.log(`   POST   /api/v1/orders/:orderId/shipment/ship[/prepare]`);
+    console.log(`   GET    /api/v1/carriers`);
+    console.log(`   POST   /api/v1/carriers/:carrier/webhook`);
+    console.log(`   POST   /api/v1/carts`);
+    console.log(`   GET    /api/v1/carts/:cartId`);
+    console.log(`   POST   /api/v1/carts/:cartId/items`);
+    console.log(`   PUT    /api/v1/carts/:cartId/items/:listingId`);
+    console.log(`   DELETE /api/v1/carts/:cartId/items/:listingId`);
+    console.log(`   POST   /api/v1/carts/:cartId/checkout[/prepare]`);
+    console.log(`   POST   /api/v1/transactions`);
+    console.log(`   GET    /api/v1/transactions/:txHash`);
+    console.log(`   GET    /api/v1/escrow`);
+    console.log(`   GET    /api/v1/escrow/:escrowId`);
+    console.log(`   GET    /api/v1/escrow/order/:orderId`);
+    console.log(`   POST   /api/v1/escrow/:escrowId/dispute`);
+    console.log('\nReady to accept requests!\n');
+    console.log("Blockchain RPC:", process.env.BLOCKCHAIN_RPC_URL);
+
+  });
+
+  // Project OrderManager events into the orders collection
+  startOrderIndexer();
+
+  // Expire orders left unpaid past their payment deadline (returns their stock)
+  startOrderSweeper();
+  startShipmentTracker();
+})();
 
 module.exports = app;
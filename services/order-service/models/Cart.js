@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+// Shopping cart, owned by this service until checkout. Prices and stock are
+// always read from ListingRegistry, so items only hold listing, variant and
+// quantity.
+// The order indexer marks the cart checked out when OrderManager emits
+// CartCheckedOut for it.
+const CartSchema = new mongoose.Schema({
+  cartId: { type: String, required: true, unique: true },
+  // CartCheckedOut indexes cartId as a string topic, so the event only carries its hash
+  cartIdHash: { type: String, required: true, unique: true },
+  buyer: { type: String, required: true, index: true },
+  items: [{
+    _id: false,
+    listingId: { type: String, required: true },
+    variantId: { type: Number, default: 0, min: 0 },   // 0 for listings without variants
+    quantity: { type: Number, required: true, min: 1 },
+    addedAt: { type: Date, default: Date.now }
+  }],
+  status: { type: String, enum: ['open', 'checked_out'], default: 'open', index: true },
+  checkout: {
+    orderIds: [String],
+    totalAmountWei: String,
+    transactionHash: String,
+    blockNumber: Number,
+    checkedOutAt: Date
+  }
+}, {
+  collection: 'carts',
+  timestamps: true
+});
+
+CartSchema.index({ buyer: 1, status: 1 });
+
+module.exports = mongoose.model('Cart', CartSchema);
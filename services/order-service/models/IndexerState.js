@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+// Checkpoint of services/orderIndexer.js: every OrderManager log up to
+// lastProcessedBlock has been applied. lastError is the log the last pass
+// stopped at, retried on the next pass.
+const IndexerStateSchema = new mongoose.Schema({
+  name: { type: String, required: true, unique: true },
+  lastProcessedBlock: { type: Number, required: true },
+  lastError: {
+    message: String,
+    blockNumber: Number,
+    logIndex: Number,
+    transactionHash: String,
+    at: Date
+  },
+  updatedAt: { type: Date, default: Date.now }
+}, {
+  collection: 'indexer_state'
+});
+
+module.exports = mongoose.model('IndexerState', IndexerStateSchema);
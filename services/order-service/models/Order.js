@@ -0,0 +1,131 @@
+const mongoose = require('mongoose');
+
+// Read model projected from OrderManager events by services/orderIndexer.js.
+// The chain stays the source of truth; this collection only serves queries.
+const OrderSchema = new mongoose.Schema({
+  orderId: { type: String, required: true, unique: true },
+  // OrderManager indexes orderId as a string topic, so events only carry its hash
+  orderIdHash: { type: String, required: true, unique: true },
+  listingId: { type: String, required: true, index: true },
+  listingName: String,
+  listingIpfsCID: String,
+  buyer: {
+    address: { type: String, required: true, index: true },
+    did: String
+  },
+  seller: {
+    address: { type: String, required: true, index: true },
+    did: String
+  },
+  // listingId/quantity above are the first item and the total quantity
+  items: [{
+    _id: false,
+    listingId: String,
+    listingName: String,
+    variantId: { type: Number, default: 0 },   // 0 for listings without variants
+    sku: String,
+    quantity: Number,
+    unitPriceWei: String
+  }],
+  quantity: { type: Number, required: true },
+  // totalAmountWei is in the currency's smallest unit (wei for ETH)
+  totalAmountWei: { type: String, required: true },
+  amount: { type: Number, required: true },
+  amountEth: Number,   // ETH orders only
+  currency: { type: String, default: 'ETH' },
+  token: {
+    address: { type: String, default: null },   // null for ETH
+    symbol: String,
+    decimals: Number
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'paid', 'shipped', 'delivered', 'cancelled', 'disputed', 'refunded'],
+    default: 'pending',
+    index: true
+  },
+  escrowId: { type: String, default: null },
+  // Set when the order was created by a cart checkout
+  cartId: { type: String, index: true },
+  // Last escrow outcome reported by payment-service's signed webhooks, kept
+  // apart from status, which only the order indexer writes. buyerShareBps is
+  // the buyer's share of a resolved dispute.
+  escrowState: {
+    state: { type: String, enum: ['locked', 'released', 'refunded', 'disputed', 'resolved'] },
+    buyerShareBps: Number,
+    eventId: String,
+    updatedAt: Date
+  },
+  trackingInfo: String,
+  // Hashes anchored by shipOrder / confirmDeliveryWithProof (see models/Shipment.js)
+  shipmentHash: String,
+  deliveryProofHash: String,
+  cancelReason: String,
+  // Unpaid orders past this are expired by services/orderSweeper.js
+  paymentDeadline: Date,
+  paidAt: Date,
+  shippedAt: Date,
+  deliveredAt: Date,
+  cancelledAt: Date,
+  expiredAt: Date,
+  // Return of a delivered order (OrderManager.requestReturn and onwards)
+  returnRequest: {
+    status: {
+      type: String,
+      enum: ['requested', 'approved', 'rejected', 'shipped', 'received', 'refunded']
+    },
+    reason: String,
+    evidenceCID: String,
+    sellerNote: String,
+    trackingInfo: String,
+    refundAmountWei: String,
+    requestedAt: Date,
+    updatedAt: Date,
+    history: [{
+      _id: false,
+      from: String,
+      to: String,
+      note: String,
+      transactionHash: String,
+      blockNumber: Number,
+      at: Date
+    }]
+  },
+  statusHistory: [{
+    _id: false,
+    from: String,
+    to: String,
+    transactionHash: String,
+    blockNumber: Number,
+    at: Date
+  }],
+  blockchain: {
+    network: { type: String, default: 'localhost' },
+    transactionHash: String,
+    blockNumber: Number
+  },
+  // Position of the last applied event, so replayed logs are skipped
+  lastEvent: {
+    blockNumber: { type: Number, default: 0 },
+    logIndex: { type: Number, default: -1 }
+  },
+  createdAt: { type: Date, required: true, index: true },
+  updatedAt: { type: Date, required: true }
+}, {
+  collection: 'orders'
+});
+
+OrderSchema.index({ 'buyer.address': 1, createdAt: -1 });
+OrderSchema.index({ 'seller.address': 1, createdAt: -1 });
+OrderSchema.index({ status: 1, paymentDeadline: 1 });
+OrderSchema.index({ 'returnRequest.status': 1 }, { sparse: true });
+
+OrderSchema.statics.list = function (filter = {}, { page = 1, limit = 20, sort = { createdAt: -1 } } = {}) {
+  const skip = (page - 1) * limit;
+  return Promise.all([
+    this.find(filter).sort({ ...sort, _id: 1 }).skip(skip).limit(limit).lean(),
+    this.countDocuments(filter)
+  ]).then(([items, total]) => ({ items, total }));
+};
+
+module.exports = mongoose.model('Order', OrderSchema);
@@ -0,0 +1,15 @@
+const mongoose = require('mongoose');
+
+// Event IDs of escrow webhooks already handled, so redeliveries are no-ops.
+// Kept for 30 days, well past payment-service's retry window.
+const ProcessedWebhookEventSchema = new mongoose.Schema({
+  eventId: { type: String, required: true, unique: true },
+  event: { type: String, required: true },
+  orderId: String,
+  escrowId: String,
+  receivedAt: { type: Date, default: Date.now, expires: 60 * 60 * 24 * 30 }
+}, {
+  collection: 'processed_webhook_events'
+});
+
+module.exports = mongoose.model('ProcessedWebhookEvent', ProcessedWebhookEventSchema);
@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+const SHIPMENT_STATUSES = ['pending', 'label_created', 'in_transit', 'out_for_delivery', 'delivered', 'exception'];
+
+// Shipment of an order: its parcels, the carrier scans received through the
+// carrier adapters (services/carriers) and the hashes anchored on OrderManager.
+// recordHash covers orderId, carrier and parcel tracking numbers only, so
+// status updates never change what was anchored.
+const ShipmentSchema = new mongoose.Schema({
+  shipmentId: { type: String, required: true, unique: true },
+  orderId: { type: String, required: true, unique: true },
+  seller: { type: String, required: true, index: true },
+  buyer: { type: String, required: true, index: true },
+  carrier: { type: String, required: true },
+  parcels: [{
+    _id: false,
+    parcelId: { type: String, required: true },
+    carrier: { type: String, required: true },
+    trackingNumber: { type: String, required: true },
+    status: { type: String, enum: SHIPMENT_STATUSES, default: 'pending' },
+    lastScanAt: Date,
+    deliveredAt: Date
+  }],
+  status: { type: String, enum: SHIPMENT_STATUSES, default: 'pending', index: true },
+  statusHistory: [{
+    _id: false,
+    parcelId: String,
+    status: { type: String, enum: SHIPMENT_STATUSES },
+    description: String,
+    location: String,
+    eventId: String,               // carrier's id for the scan, to drop duplicates
+    source: { type: String, enum: ['carrier', 'seller'] },
+    occurredAt: Date,
+    receivedAt: Date
+  }],
+  recordHash: { type: String, required: true },
+  // Set by the indexer from ShipmentAnchored
+  anchor: {
+    transactionHash: String,
+    blockNumber: Number,
+    anchoredAt: Date
+  },
+  // Delivery confirmation on the buyer's behalf once every parcel was delivered
+  delivery: {
+    deliveredAt: Date,
+    proofHash: String,
+    confirmAfter: Date,            // deliveredAt + grace period
+    attempts: { type: Number, default: 0 },
+    lastError: String,
+    transactionHash: String,
+    confirmedAt: Date
+  }
+}, {
+  collection: 'shipments',
+  timestamps: true
+});
+
+ShipmentSchema.index({ 'parcels.carrier': 1, 'parcels.trackingNumber': 1 });
+ShipmentSchema.index({ 'delivery.confirmAfter': 1, 'delivery.confirmedAt': 1 });
+
+ShipmentSchema.statics.STATUSES = SHIPMENT_STATUSES;
+
+module.exports = mongoose.model('Shipment', ShipmentSchema);
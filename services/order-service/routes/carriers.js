@@ -0,0 +1,48 @@
+const express = require('express');
+const router = express.Router();
+const { getCarrier, listCarriers } = require('../services/carriers');
+const { applyScans } = require('../services/shipmentService');
+
+/**
+ * GET /api/v1/carriers
+ * Registered carrier adapters
+ */
+router.get('/', (req, res) => {
+  res.json({ carriers: listCarriers() });
+});
+
+/**
+ * POST /api/v1/carriers/:carrier/webhook
+ * Tracking updates pushed by a carrier; the adapter authenticates and parses them
+ */
+router.post('/:carrier/webhook', async (req, res, next) => {
+  try {
+    const carrier = getCarrier(req.params.carrier);
+
+    if (!carrier) {
+      return res.status(404).json({
+        error: 'NotFound',
+        message: `Unknown carrier: ${req.params.carrier}`,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    if (!carrier.verifyWebhook(req)) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Carrier webhook could not be verified',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const scans = carrier.parseWebhook(req);
+    const result = await applyScans(carrier.code, scans);
+
+    console.log(`📦 [Carriers] ${carrier.code}: ${result.applied} applied, ${result.duplicates} duplicate, ${result.unknown} unknown`);
+    res.json({ received: scans.length, ...result });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,540 @@
+const express = require('express');
+const router = express.Router();
+const { ethers } = require('ethers');
+const { v4: uuidv4 } = require('uuid');
+const { orderManagerContract, listingRegistryContract, getFreshWallet } = require('../config/blockchain');
+const { requireServerSigning, prepareTransaction } = require('../utils/transactions');
+const { requireAuth, requireCaller } = require('../../shared/auth');
+const { getTokenInfo, getTokenContract } = require('../utils/tokens');
+const Cart = require('../models/Cart');
+
+// Keeps the checkout transaction (one order + escrow per seller) within gas limits
+const MAX_CART_ITEMS = Number(process.env.MAX_CART_ITEMS || 25);
+// ListingRegistry.SaleMode.FixedPrice; auction and best-offer listings are
+// only sold through AuctionHouse
+const SALE_MODE_FIXED_PRICE = 0n;
+
+/**
+ * POST /api/v1/carts
+ * Get the buyer's open cart, creating it if there is none
+ *
+ * Body: { "buyerAddress": "0x..." } (defaults to the signed-in wallet)
+ */
+router.post('/', requireAuth, async (req, res, next) => {
+  try {
+    const buyerAddress = req.body.buyerAddress || req.auth.address;
+
+    if (!buyerAddress || !ethers.isAddress(buyerAddress)) {
+      return res.status(400).json({
+        error: 'BadRequest',
+        message: 'buyerAddress must be a valid Ethereum address',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    if (!requireCaller(req, res, buyerAddress, 'the buyer')) return;
+
+    const buyer = ethers.getAddress(buyerAddress);
+    const existing = await Cart.findOne({ buyer, status: 'open' });
+    if (existing) {
+      return res.json(await formatCart(existing));
+    }
+
+    const cartId = `cart_${uuidv4()}`;
+    const cart = await Cart.create({ cartId, cartIdHash: ethers.id(cartId), buyer, items: [] });
+
+    res.status(201).json(await formatCart(cart));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/v1/carts/:cartId
+ * Cart with current prices, grouped into the per-seller orders checkout will create
+ */
+router.get('/:cartId', async (req, res, next) => {
+  try {
+    const cart = await loadCart(req, res);
+    if (!cart) return;
+
+    res.json(await formatCart(cart));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/v1/carts/:cartId/items
+ * Add a listing to the cart; adding a listing already in the cart increases its quantity.
+ * Listings with variants are added per variant.
+ *
+ * Body: { "listingId": "...", "variantId": 2, "quantity": 2 }
+ */
+router.post('/:cartId/items', requireAuth, async (req, res, next) => {
+  try {
+    const cart = await loadOpenCart(req, res);
+    if (!cart) return;
+
+    const { listingId } = req.body;
+    const variantId = parseVariantId(req.body.variantId);
+    const quantity = Number(req.body.quantity || 1);
+
+    if (!listingId || variantId === null || !Number.isInteger(quantity) || quantity <= 0) {
+      return res.status(400).json({
+        error: 'BadRequest',
+        message: 'listingId, a positive integer quantity and, if given, a non-negative integer variantId are required',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const item = findItem(cart, listingId, variantId);
+    if (!item && cart.items.length >= MAX_CART_ITEMS) {
+      return res.status(400).json({
+        error: 'BadRequest',
+        message: `A cart holds at most ${MAX_CART_ITEMS} items`,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const newQuantity = (item ? item.quantity : 0) + quantity;
+    if (!(await checkItem(cart, listingId, variantId, newQuantity, res))) return;
+
+    if (item) {
+      item.quantity = newQuantity;
+    } else {
+      cart.items.push({ listingId, variantId, quantity });
+    }
+    await cart.save();
+
+    res.status(item ? 200 : 201).json(await formatCart(cart));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/v1/carts/:cartId/items/:listingId
+ * Set the quantity of a cart item; ?variantId= picks the variant
+ *
+ * Body: { "quantity": 3 }
+ */
+router.put('/:cartId/items/:listingId', requireAuth, async (req, res, next) => {
+  try {
+    const cart = await loadOpenCart(req, res);
+    if (!cart) return;
+
+    const { listingId } = req.params;
+    const variantId = parseVariantId(req.query.variantId);
+    const quantity = Number(req.body.quantity);
+
+    if (!Number.isInteger(quantity) || quantity <= 0 || variantId === null) {
+      return res.status(400).json({
+        error: 'BadRequest',
+        message: 'quantity must be a positive integer (remove the item to drop it) and variantId a non-negative integer',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const item = findItem(cart, listingId, variantId);
+    if (!item) {
+      return res.status(404).json({
+        error: 'NotFound',
+        message: 'Listing is not in the cart',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    if (!(await checkItem(cart, listingId, variantId, quantity, res))) return;
+
+    item.quantity = quantity;
+    await cart.save();
+
+    res.json(await formatCart(cart));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/v1/carts/:cartId/items/:listingId
+ * Remove an item from the cart; ?variantId= picks the variant
+ */
+router.delete('/:cartId/items/:listingId', requireAuth, async (req, res, next) => {
+  try {
+    const cart = await loadOpenCart(req, res);
+    if (!cart) return;
+
+    const variantId = parseVariantId(req.query.variantId);
+    const item = variantId !== null && findItem(cart, req.params.listingId, variantId);
+
+    if (!item) {
+      return res.status(404).json({
+        error: 'NotFound',
+        message: 'Listing is not in the cart',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    cart.items = cart.items.filter(i => i !== item);
+    await cart.save();
+    res.json(await formatCart(cart));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/v1/carts/:cartId/checkout/prepare
+ * Build an unsigned OrderManager.checkout transaction for the buyer to sign
+ *
+ * Checkout creates one order per seller and funds one escrow each, all in one
+ * transaction. ETH carts carry the grand total as value. Token carts need
+ * OrderManager to be allowed to pull the grand total: without that allowance
+ * the response has no transaction but an `approval` to send first.
+ */
+router.post('/:cartId/checkout/prepare', requireAuth, async (req, res, next) => {
+  try {
+    const cart = await loadOpenCart(req, res);
+    if (!cart) return;
+
+    const plan = await planCheckout(cart, res);
+    if (!plan) return;
+
+    const { sellerOrders, payment, totalAmountWei } = plan;
+    const args = [cart.cartId, sellerOrders];
+    const orderIds = sellerOrders.map(o => o.orderId);
+
+    if (!payment.token.address) {
+      const transaction = await prepareTransaction(
+        orderManagerContract,
+        'checkout',
+        args,
+        { from: cart.buyer, value: totalAmountWei }
+      );
+      return res.json({ cartId: cart.cartId, orderIds, payment, transaction });
+    }
+
+    const spender = await orderManagerContract.getAddress();
+    const tokenContract = getTokenContract(payment.token.address);
+    const allowance = await tokenContract.allowance(cart.buyer, spender);
+
+    if (allowance >= totalAmountWei) {
+      const transaction = await prepareTransaction(orderManagerContract, 'checkout', args, { from: cart.buyer });
+      return res.json({ cartId: cart.cartId, orderIds, payment, transaction });
+    }
+
+    const approval = await prepareTransaction(tokenContract, 'approve', [spender, totalAmountWei], { from: cart.buyer });
+    res.json({ cartId: cart.cartId, orderIds, payment, transaction: null, approval });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/v1/carts/:cartId/checkout
+ * Check out with the server wallet as buyer (dev only); token carts are
+ * approved for OrderManager first
+ */
+router.post('/:cartId/checkout', requireAuth, requireServerSigning, async (req, res, next) => {
+  try {
+    const cart = await loadOpenCart(req, res);
+    if (!cart) return;
+
+    const plan = await planCheckout(cart, res);
+    if (!plan) return;
+
+    const { sellerOrders, payment, totalAmountWei } = plan;
+    const buyerWallet = getFreshWallet();
+
+    console.log("🛒 Checking out cart on-chain:", { cartId: cart.cartId, orders: sellerOrders.length });
+
+    let value = totalAmountWei;
+    if (payment.token.address) {
+      const approveTx = await getTokenContract(payment.token.address)
+        .connect(buyerWallet)
+        .approve(await orderManagerContract.getAddress(), totalAmountWei);
+      await approveTx.wait();
+      value = 0n;
+    }
+
+    const tx = await orderManagerContract
+      .connect(buyerWallet)
+      .checkout(cart.cartId, sellerOrders, { value });
+    const receipt = await tx.wait();
+
+    console.log(`[OK] Cart ${cart.cartId} checked out, tx: ${receipt.hash}`);
+
+    res.status(201).json({
+      cartId: cart.cartId,
+      orderIds: sellerOrders.map(o => o.orderId),
+      payment,
+      blockchain: {
+        network: 'localhost',
+        transactionHash: receipt.hash,
+        blockNumber: receipt.blockNumber
+      },
+      message: 'Cart checked out, one order and escrow per seller'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+async function loadCart(req, res) {
+  const cart = await Cart.findOne({ cartId: req.params.cartId });
+
+  if (!cart) {
+    res.status(404).json({
+      error: 'NotFound',
+      message: 'Cart not found',
+      timestamp: new Date().toISOString()
+    });
+    return null;
+  }
+  return cart;
+}
+
+/**
+ * Load a cart for changing or checking out, answering 404/403/409 itself when
+ * it doesn't exist, isn't the caller's or was already checked out
+ */
+async function loadOpenCart(req, res) {
+  const cart = await loadCart(req, res);
+  if (!cart) return null;
+  if (!requireCaller(req, res, cart.buyer, "the cart's buyer")) return null;
+
+  if (cart.status !== 'open') {
+    res.status(409).json({
+      error: 'Conflict',
+      message: 'Cart has already been checked out',
+      timestamp: new Date().toISOString()
+    });
+    return null;
+  }
+  return cart;
+}
+
+async function getListing(listingId) {
+  try {
+    return await listingRegistryContract.getListing(listingId);
+  } catch (error) {
+    if (error.message.includes('Listing does not exist')) return null;
+    throw error;
+  }
+}
+
+// variantId from a body or query value: 0 when absent, null when invalid
+function parseVariantId(value) {
+  if (value === undefined || value === null || value === '') return 0;
+  const variantId = Number(value);
+  return Number.isInteger(variantId) && variantId >= 0 ? variantId : null;
+}
+
+function findItem(cart, listingId, variantId) {
+  return cart.items.find(i => i.listingId === listingId && (i.variantId || 0) === variantId);
+}
+
+/**
+ * What `quantity` of a listing or one of its variants would cost, the way
+ * ListingRegistry.decrementStock sees it for a fixed-price order. `reason` (with an HTTP status) says
+ * why the chain would refuse the item.
+ */
+async function getOffer(listingId, variantId, quantity) {
+  const listing = await getListing(listingId);
+  if (!listing) return { status: 404, reason: 'Listing not found' };
+
+  const variants = await listingRegistryContract.getVariants(listingId);
+  let variant = null;
+  if (variantId) {
+    if (variantId > variants.length) return { listing, status: 404, reason: 'Variant not found' };
+    variant = variants[variantId - 1];
+  } else if (variants.length) {
+    return { listing, status: 409, reason: 'Listing is sold by variant; choose a variantId' };
+  }
+
+  const offer = {
+    listing,
+    sku: variant ? variant.sku : null,
+    price: variant ? variant.price : listing.price,
+    stock: variant ? variant.stock : listing.stock
+  };
+
+  let reason = null;
+  if (!listing.active) {
+    reason = 'Listing is not active';
+  } else if (await listingRegistryContract.saleModes(listingId) !== SALE_MODE_FIXED_PRICE) {
+    reason = 'Listing is sold by auction or best offer';
+  } else if (variant && !variant.active) {
+    reason = 'Variant is not active';
+  } else if (offer.stock < BigInt(quantity)) {
+    reason = `Only ${offer.stock} in stock`;
+  }
+  return reason ? { ...offer, status: 409, reason } : offer;
+}
+
+/**
+ * Reject an item the chain would reject at checkout: unknown or inactive
+ * listing or variant, not enough stock, or a currency other than the rest of
+ * the cart
+ */
+async function checkItem(cart, listingId, variantId, quantity, res) {
+  const offer = await getOffer(listingId, variantId, quantity);
+
+  let status = offer.status;
+  let message = offer.reason;
+  if (!message) {
+    const other = cart.items.find(i => i.listingId !== listingId);
+    const otherListing = other && await getListing(other.listingId);
+    if (otherListing && otherListing.paymentToken !== offer.listing.paymentToken) {
+      status = 409;
+      message = `Cart is paid in ${otherListing.currency}, listing is priced in ${offer.listing.currency}`;
+    }
+  }
+
+  if (message) {
+    res.status(status).json({
+      error: status === 404 ? 'NotFound' : 'Conflict',
+      message,
+      timestamp: new Date().toISOString()
+    });
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Price every item from ListingRegistry and group them by seller
+ */
+async function priceCart(cart) {
+  const groups = new Map();
+  const unavailable = [];
+  let paymentToken = null;
+  let totalAmountWei = 0n;
+
+  for (const item of cart.items) {
+    const variantId = item.variantId || 0;
+    const offer = await getOffer(item.listingId, variantId, item.quantity);
+
+    if (offer.reason) {
+      unavailable.push({ listingId: item.listingId, variantId, reason: offer.reason });
+      continue;
+    }
+
+    const { listing } = offer;
+    paymentToken = paymentToken || listing.paymentToken;
+    const subtotalWei = offer.price * BigInt(item.quantity);
+    totalAmountWei += subtotalWei;
+
+    if (!groups.has(listing.seller)) {
+      groups.set(listing.seller, { seller: listing.seller, items: [], subtotalWei: 0n });
+    }
+    const group = groups.get(listing.seller);
+    group.items.push({
+      listingId: item.listingId,
+      variantId,
+      sku: offer.sku,
+      name: listing.name,
+      quantity: item.quantity,
+      unitPriceWei: offer.price,
+      subtotalWei
+    });
+    group.subtotalWei += subtotalWei;
+  }
+
+  const token = await getTokenInfo(paymentToken);
+  return { sellers: [...groups.values()], unavailable, token, totalAmountWei };
+}
+
+/**
+ * Order IDs and checkout arguments for a cart, or a 400/409 response when the
+ * cart cannot be checked out as it stands
+ */
+async function planCheckout(cart, res) {
+  if (!orderManagerContract) {
+    res.status(503).json({
+      error: 'ServiceUnavailable',
+      message: 'OrderManager contract not initialized',
+      timestamp: new Date().toISOString()
+    });
+    return null;
+  }
+
+  if (!cart.items.length) {
+    res.status(400).json({
+      error: 'BadRequest',
+      message: 'Cart is empty',
+      timestamp: new Date().toISOString()
+    });
+    return null;
+  }
+
+  const priced = await priceCart(cart);
+  if (priced.unavailable.length) {
+    res.status(409).json({
+      error: 'Conflict',
+      message: 'Some items can no longer be ordered',
+      unavailable: priced.unavailable,
+      timestamp: new Date().toISOString()
+    });
+    return null;
+  }
+
+  const sellerOrders = priced.sellers.map(group => ({
+    orderId: `ord_${Date.now()}_${uuidv4().substring(0, 8)}`,
+    items: group.items.map(i => ({ listingId: i.listingId, variantId: i.variantId, quantity: i.quantity }))
+  }));
+
+  return {
+    sellerOrders,
+    totalAmountWei: priced.totalAmountWei,
+    payment: {
+      currency: priced.token.symbol,
+      token: priced.token,
+      totalAmount: ethers.formatUnits(priced.totalAmountWei, priced.token.decimals),
+      totalAmountWei: priced.totalAmountWei.toString()
+    }
+  };
+}
+
+async function formatCart(cart) {
+  const base = {
+    cartId: cart.cartId,
+    buyer: cart.buyer,
+    status: cart.status,
+    createdAt: cart.createdAt.toISOString(),
+    updatedAt: cart.updatedAt.toISOString()
+  };
+
+  if (cart.status !== 'open') {
+    return { ...base, items: cart.items, checkout: cart.checkout };
+  }
+
+  const priced = await priceCart(cart);
+  const format = (wei) => ethers.formatUnits(wei, priced.token.decimals);
+
+  return {
+    ...base,
+    currency: priced.token.symbol,
+    token: priced.token,
+    sellers: priced.sellers.map(group => ({
+      seller: group.seller,
+      items: group.items.map(i => ({
+        listingId: i.listingId,
+        variantId: i.variantId,
+        sku: i.sku,
+        name: i.name,
+        quantity: i.quantity,
+        unitPrice: format(i.unitPriceWei),
+        subtotal: format(i.subtotalWei)
+      })),
+      subtotal: format(group.subtotalWei)
+    })),
+    unavailable: priced.unavailable,
+    itemCount: cart.items.reduce((sum, i) => sum + i.quantity, 0),
+    totalAmount: format(priced.totalAmountWei),
+    totalAmountWei: priced.totalAmountWei.toString()
+  };
+}
+
+module.exports = router;
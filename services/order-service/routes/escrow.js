@@ -1,58 +1,55 @@
 const express = require('express');
 const router = express.Router();
-const { ethers } = require('ethers');
-const { escrowContract } = require('../config/blockchain');
+const grpc = require('@grpc/grpc-js');
+const escrowClient = require('../grpc/escrowClient');
+const { requireAuth, requireCaller } = require('../../shared/auth');
+
+// Escrow reads and disputes go through payment-service (gRPC), which owns the
+// Escrow contract and its indexed read model
 
 /**
- * GET /api/v1/escrow/order/:orderId
- * Get escrow details by order ID
+ * GET /api/v1/escrow
+ * List indexed escrows
+ *
+ * Query: buyer, seller, orderId, state, page, limit
  */
-router.get('/order/:orderId', async (req, res, next) => {
+router.get('/', async (req, res, next) => {
   try {
-    if (!escrowContract) {
-      return res.status(503).json({
-        error: 'ServiceUnavailable',
-        message: 'Escrow contract not initialized',
-        timestamp: new Date().toISOString()
-      });
-    }
+    const { buyer, seller, orderId, state } = req.query;
 
-    const { orderId } = req.params;
+    const result = await escrowClient.request('ListEscrows', {
+      buyer,
+      seller,
+      orderId,
+      state,
+      page: parseInt(req.query.page) || 1,
+      limit: parseInt(req.query.limit) || 20
+    });
 
-    try {
-      const escrow = await escrowContract.getEscrowByOrderId(orderId);
-
-      res.json({
-        escrowId: escrow.escrowId,
-        orderId: escrow.orderId,
-        buyer: {
-          address: escrow.buyer,
-          did: `did:ethr:${escrow.buyer}`
-        },
-        seller: {
-          address: escrow.seller,
-          did: `did:ethr:${escrow.seller}`
-        },
-        amount: ethers.formatEther(escrow.amount),
-        amountWei: escrow.amount.toString(),
-        state: getEscrowState(escrow.state),
-        disputed: escrow.disputed,
-        createdAt: new Date(Number(escrow.createdAt) * 1000).toISOString(),
-        releaseTime: new Date(Number(escrow.releaseTime) * 1000).toISOString(),
-        canAutoRelease: await escrowContract.canAutoRelease(escrow.escrowId)
-      });
-    } catch (error) {
-      if (error.message.includes('No escrow found')) {
-        return res.status(404).json({
-          error: 'NotFound',
-          message: 'No escrow found for this order',
-          timestamp: new Date().toISOString()
-        });
+    res.json({
+      escrows: result.escrows,
+      pagination: {
+        page: result.page,
+        limit: result.limit,
+        total: result.total,
+        pages: Math.ceil(result.total / result.limit)
       }
-      throw error;
-    }
+    });
+  } catch (error) {
+    handleGrpcError(error, res, next);
+  }
+});
+
+/**
+ * GET /api/v1/escrow/order/:orderId
+ * Get escrow details by order ID
+ */
+router.get('/order/:orderId', async (req, res, next) => {
+  try {
+    const escrow = await escrowClient.request('GetEscrowByOrderId', { orderId: req.params.orderId });
+    res.json(escrow);
   } catch (error) {
-    next(error);
+    handleGrpcError(error, res, next, 'No escrow found for this order');
   }
 });
 
@@ -62,58 +59,66 @@ router.get('/order/:orderId', async (req, res, next) => {
  */
 router.get('/:escrowId', async (req, res, next) => {
   try {
-    if (!escrowContract) {
-      return res.status(503).json({
-        error: 'ServiceUnavailable',
-        message: 'Escrow contract not initialized',
-        timestamp: new Date().toISOString()
-      });
-    }
+    const escrow = await escrowClient.request('GetEscrow', { escrowId: req.params.escrowId });
+    res.json(escrow);
+  } catch (error) {
+    handleGrpcError(error, res, next, 'Escrow not found');
+  }
+});
 
-    const { escrowId } = req.params;
+/**
+ * POST /api/v1/escrow/:escrowId/dispute
+ * Open a dispute on a locked escrow
+ *
+ * Body: { "signedTx": "0x..." } - initiateDispute signed by the buyer or seller,
+ * who must also be the signed-in wallet.
+ * Without signedTx payment-service signs only when ENABLE_SERVER_SIGNING is on.
+ */
+router.post('/:escrowId/dispute', requireAuth, async (req, res, next) => {
+  try {
+    const escrow = await escrowClient.request('GetEscrow', { escrowId: req.params.escrowId });
+    const parties = [escrow.buyer && escrow.buyer.address, escrow.seller && escrow.seller.address];
+    if (!requireCaller(req, res, parties, 'the buyer or seller')) return;
 
-    try {
-      const escrow = await escrowContract.getEscrow(escrowId);
+    const result = await escrowClient.request('InitiateDispute', {
+      escrowId: req.params.escrowId,
+      signedTx: req.body.signedTx
+    }, { deadlineMs: 60000 });
 
-      res.json({
-        escrowId: escrow.escrowId,
-        orderId: escrow.orderId,
-        buyer: {
-          address: escrow.buyer,
-          did: `did:ethr:${escrow.buyer}`
-        },
-        seller: {
-          address: escrow.seller,
-          did: `did:ethr:${escrow.seller}`
-        },
-        amount: ethers.formatEther(escrow.amount),
-        amountWei: escrow.amount.toString(),
-        state: getEscrowState(escrow.state),
-        disputed: escrow.disputed,
-        createdAt: new Date(Number(escrow.createdAt) * 1000).toISOString(),
-        releaseTime: new Date(Number(escrow.releaseTime) * 1000).toISOString(),
-        canAutoRelease: await escrowContract.canAutoRelease(escrowId)
-      });
-    } catch (error) {
-      if (error.message.includes('Escrow does not exist')) {
-        return res.status(404).json({
-          error: 'NotFound',
-          message: 'Escrow not found',
-          timestamp: new Date().toISOString()
-        });
-      }
-      throw error;
-    }
+    res.status(result.status === 'pending' ? 202 : 200).json({
+      success: true,
+      escrowId: result.escrowId,
+      status: result.status,
+      message: result.message,
+      transactionHash: result.transactionHash
+    });
   } catch (error) {
-    next(error);
+    handleGrpcError(error, res, next, 'Escrow not found');
   }
 });
 
-// Helper function
-function getEscrowState(stateEnum) {
-  const states = ['locked', 'released', 'refunded', 'disputed'];
-  return states[Number(stateEnum)] || 'unknown';
+// Map gRPC status codes to HTTP responses
+const GRPC_HTTP_ERRORS = {
+  [grpc.status.INVALID_ARGUMENT]: { status: 400, error: 'BadRequest' },
+  [grpc.status.NOT_FOUND]: { status: 404, error: 'NotFound' },
+  [grpc.status.FAILED_PRECONDITION]: { status: 409, error: 'Conflict' },
+  [grpc.status.UNAVAILABLE]: { status: 503, error: 'ServiceUnavailable' },
+  [grpc.status.DEADLINE_EXCEEDED]: { status: 504, error: 'GatewayTimeout' }
+};
+
+function handleGrpcError(error, res, next, notFoundMessage) {
+  const mapped = GRPC_HTTP_ERRORS[error.code];
+  if (!mapped) return next(error);
+
+  const message = error.code === grpc.status.NOT_FOUND && notFoundMessage
+    ? notFoundMessage
+    : error.details || error.message;
+
+  res.status(mapped.status).json({
+    error: mapped.error,
+    message,
+    timestamp: new Date().toISOString()
+  });
 }
 
 module.exports = router;
-
@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const { ethers } = require('ethers');
 const { listingRegistryContract } = require('../config/blockchain');
+const { getTokenInfo } = require('../utils/tokens');
 
 /**
  * GET /api/v1/listings
@@ -33,13 +34,17 @@ router.get('/', async (req, res, next) => {
       try {
         const listingId = await listingRegistryContract.listingIds(i);
         const listing = await listingRegistryContract.getListing(listingId);
+        const token = await getTokenInfo(listing.paymentToken);
+        const variants = await listingRegistryContract.getVariants(listingId);
         
         listings.push({
           listingId: listing.listingId,
           name: listing.name,
-          price: ethers.formatEther(listing.price),
+          price: ethers.formatUnits(listing.price, token.decimals),
           currency: listing.currency,
+          token,
           stock: Number(listing.stock),
+          variants: formatVariants(variants, token),
           seller: {
             address: listing.seller,
             did: `did:ethr:${listing.seller}`
@@ -88,14 +93,20 @@ router.get('/:listingId', async (req, res, next) => {
     
     try {
       const listing = await listingRegistryContract.getListing(listingId);
+      const token = await getTokenInfo(listing.paymentToken);
+      const variants = await listingRegistryContract.getVariants(listingId);
       
       res.json({
         listingId: listing.listingId,
         name: listing.name,
-        price: ethers.formatEther(listing.price),
+        price: ethers.formatUnits(listing.price, token.decimals),
+        // smallest unit of the currency (wei for ETH)
         priceWei: listing.price.toString(),
         currency: listing.currency,
+        token,
         stock: Number(listing.stock),
+        // Listings with variants are ordered by variantId; their own price and stock don't apply
+        variants: formatVariants(variants, token),
         seller: {
           address: listing.seller,
           did: `did:ethr:${listing.seller}`
@@ -122,5 +133,28 @@ router.get('/:listingId', async (req, res, next) => {
   }
 });
 
+// Helper functions
+
+function formatVariants(variants, token) {
+  return variants.map((variant, i) => ({
+    variantId: i + 1,
+    sku: variant.sku,
+    attributes: parseAttributes(variant.attributes),
+    price: ethers.formatUnits(variant.price, token.decimals),
+    priceWei: variant.price.toString(),
+    stock: Number(variant.stock),
+    active: variant.active
+  }));
+}
+
+// Variant attributes are stored on-chain as a JSON object string
+function parseAttributes(json) {
+  try {
+    return JSON.parse(json);
+  } catch (error) {
+    return {};
+  }
+}
+
 module.exports = router;
 
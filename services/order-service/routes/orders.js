@@ -3,14 +3,35 @@ const router = express.Router();
 const { ethers } = require('ethers');
 const { v4: uuidv4 } = require('uuid');
 const { orderManagerContract, listingRegistryContract, getFreshWallet } = require('../config/blockchain');
-
-const escrowClient = require('../grpc/escrowClient');
+const { requireServerSigning, prepareTransaction } = require('../utils/transactions');
+const { requireAuth, requireCaller } = require('../../shared/auth');
+const {
+  getTokenInfo,
+  getTokenContract,
+  buildPermitTypedData,
+  splitPermitSignature
+} = require('../utils/tokens');
+
+const Order = require('../models/Order');
+
+const ORDER_STATUSES = ['pending', 'paid', 'shipped', 'delivered', 'cancelled', 'disputed', 'refunded'];
+
+// Lifetime of the permit typed data returned by /pay/prepare
+const PERMIT_TTL_SECONDS = 30 * 60;
+
+// Query-string sort keys mapped to read model fields
+const SORT_FIELDS = {
+  createdAt: 'createdAt',
+  updatedAt: 'updatedAt',
+  totalAmount: 'amount',
+  quantity: 'quantity'
+};
 
 /**
  * POST /api/v1/orders
- * Create a new order (without payment)
+ * Create a new order (without payment), signed with the server wallet (dev only)
  */
-router.post('/', async (req, res, next) => {
+router.post('/', requireAuth, requireServerSigning, async (req, res, next) => {
   try {
     if (!orderManagerContract) {
       return res.status(503).json({
@@ -20,7 +41,7 @@ router.post('/', async (req, res, next) => {
       });
     }
 
-    const { listingId, quantity, buyerAddress } = req.body;
+    const { listingId, quantity, buyerAddress, variantId = 0 } = req.body;
 
     if (!listingId || !quantity || !buyerAddress) {
       return res.status(400).json({
@@ -30,6 +51,14 @@ router.post('/', async (req, res, next) => {
       });
     }
 
+    if (!Number.isInteger(variantId) || variantId < 0) {
+      return res.status(400).json({
+        error: 'BadRequest',
+        message: 'variantId must be a non-negative integer (0 for listings without variants)',
+        timestamp: new Date().toISOString()
+      });
+    }
+
     if (quantity <= 0) {
       return res.status(400).json({
         error: 'BadRequest',
@@ -38,15 +67,17 @@ router.post('/', async (req, res, next) => {
       });
     }
 
+    if (!requireCaller(req, res, buyerAddress, 'the buyer')) return;
+
     const orderId = `ord_${Date.now()}_${uuidv4().substring(0, 8)}`;
 
-    console.log("🧾 Creating order on-chain:", { orderId, listingId, quantity, buyerAddress });
+    console.log("🧾 Creating order on-chain:", { orderId, listingId, variantId, quantity, buyerAddress });
 
     const buyerWallet = getFreshWallet();
 
     const tx = await orderManagerContract
       .connect(buyerWallet)
-      .createOrder(orderId, listingId, quantity);
+      .createOrder(orderId, listingId, variantId, quantity);
 
     const receipt = await tx.wait();
     console.log(`[OK] Order created on-chain: ${orderId}, tx: ${receipt.hash}`);
@@ -62,6 +93,7 @@ router.post('/', async (req, res, next) => {
     // If getOrder worked, use full on-chain data
     if (orderOnChain) {
       const listing = await listingRegistryContract.getListing(listingId);
+      const token = await getTokenInfo(orderOnChain.paymentToken);
 
       return res.status(201).json({
         orderId: orderOnChain.orderId,
@@ -75,9 +107,10 @@ router.post('/', async (req, res, next) => {
           did: `did:ethr:${orderOnChain.seller}`
         },
         quantity: Number(orderOnChain.quantity),
-        totalAmount: ethers.formatEther(orderOnChain.totalAmount),
+        totalAmount: ethers.formatUnits(orderOnChain.totalAmount, token.decimals),
         totalAmountWei: orderOnChain.totalAmount.toString(),
         currency: listing.currency,
+        token,
         status: getOrderStatus(orderOnChain.status),
         blockchain: {
           network: 'localhost',
@@ -106,74 +139,67 @@ router.post('/', async (req, res, next) => {
 
 /**
  * GET /api/v1/orders
- * Get all orders (with optional filters)
+ * List orders from the indexed read model
+ *
+ * Query: buyer, seller, status, listingId, page, limit,
+ *        sortBy (createdAt|updatedAt|totalAmount|quantity), sortOrder (asc|desc)
  */
 router.get('/', async (req, res, next) => {
   try {
-    if (!orderManagerContract) {
-      return res.status(503).json({
-        error: 'ServiceUnavailable',
-        message: 'OrderManager contract not initialized',
-        timestamp: new Date().toISOString()
-      });
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const { buyer, seller, status, listingId } = req.query;
+    const sortBy = req.query.sortBy || 'createdAt';
+    const sortOrder = req.query.sortOrder === 'asc' ? 1 : -1;
+
+    const filter = {};
+
+    for (const [field, value] of [['buyer', buyer], ['seller', seller]]) {
+      if (!value) continue;
+      if (!ethers.isAddress(value)) {
+        return res.status(400).json({
+          error: 'BadRequest',
+          message: `Invalid ${field} address`,
+          timestamp: new Date().toISOString()
+        });
+      }
+      filter[`${field}.address`] = ethers.getAddress(value);
     }
 
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 20;
-    const { buyer, seller, status } = req.query;
-
-    // Get total count
-    const totalCount = await orderManagerContract.getOrdersCount();
-    const totalCountNum = Number(totalCount);
-
-    // Get orders (simplified - in production, implement proper pagination and filtering)
-    const orders = [];
-    const startIdx = (page - 1) * limit;
-    const endIdx = Math.min(startIdx + limit, totalCountNum);
-
-    for (let i = startIdx; i < endIdx; i++) {
-      try {
-        const orderId = await orderManagerContract.orderIds(i);
-        const order = await orderManagerContract.getOrder(orderId);
-
-        // Apply filters
-        if (buyer && order.buyer.toLowerCase() !== buyer.toLowerCase()) continue;
-        if (seller && order.seller.toLowerCase() !== seller.toLowerCase()) continue;
-        if (status && getOrderStatus(order.status) !== status) continue;
-
-        const listing = await listingRegistryContract.getListing(order.listingId);
-
-        orders.push({
-          orderId: order.orderId,
-          listingId: order.listingId,
-          listingName: listing.name,
-          buyer: {
-            address: order.buyer,
-            did: `did:ethr:${order.buyer}`
-          },
-          seller: {
-            address: order.seller,
-            did: `did:ethr:${order.seller}`
-          },
-          quantity: Number(order.quantity),
-          totalAmount: ethers.formatEther(order.totalAmount),
-          currency: listing.currency,
-          status: getOrderStatus(order.status),
-          escrowId: order.escrowId !== ethers.ZeroHash ? order.escrowId : null,
-          createdAt: new Date(Number(order.createdAt) * 1000).toISOString(),
-          updatedAt: new Date(Number(order.updatedAt) * 1000).toISOString()
+    if (status) {
+      const statuses = status.split(',').map(s => s.trim().toLowerCase());
+      if (statuses.some(s => getOrderStatusEnum(s) === null)) {
+        return res.status(400).json({
+          error: 'BadRequest',
+          message: `Invalid status. Valid statuses: ${ORDER_STATUSES.join(', ')}`,
+          timestamp: new Date().toISOString()
         });
-      } catch (error) {
-        console.error(`Error fetching order at index ${i}:`, error.message);
       }
+      filter.status = { $in: statuses };
     }
 
+    if (listingId) filter.listingId = listingId;
+
+    if (!SORT_FIELDS[sortBy]) {
+      return res.status(400).json({
+        error: 'BadRequest',
+        message: `Invalid sortBy. Valid fields: ${Object.keys(SORT_FIELDS).join(', ')}`,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const { items, total } = await Order.list(filter, {
+      page,
+      limit,
+      sort: { [SORT_FIELDS[sortBy]]: sortOrder }
+    });
+
     res.json({
-      orders,
+      orders: items.map(formatOrder),
       pagination: {
         currentPage: page,
-        totalPages: Math.ceil(totalCountNum / limit),
-        totalResults: totalCountNum,
+        totalPages: Math.ceil(total / limit),
+        totalResults: total,
         resultsPerPage: limit
       }
     });
@@ -184,9 +210,47 @@ router.get('/', async (req, res, next) => {
 
 /**
  * GET /api/v1/orders/:orderId
- * Get specific order details
+ * Get specific order details from the indexed read model
  */
 router.get('/:orderId', async (req, res, next) => {
+  try {
+    const order = await Order.findOne({ orderId: req.params.orderId }).lean();
+
+    if (!order) {
+      return res.status(404).json({
+        error: 'NotFound',
+        message: 'Order not found',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.json({
+      ...formatOrder(order),
+      listing: {
+        name: order.listingName,
+        ipfsCID: order.listingIpfsCID
+      },
+      totalAmountWei: order.totalAmountWei,
+      trackingInfo: order.trackingInfo || null,
+      shipmentHash: order.shipmentHash || null,
+      deliveryProofHash: order.deliveryProofHash || null,
+      cancelReason: order.cancelReason || null,
+      expiredAt: order.expiredAt ? order.expiredAt.toISOString() : null,
+      statusHistory: order.statusHistory,
+      blockchain: order.blockchain
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/v1/orders/:orderId/pay
+ * Pay for an order through OrderManager.payOrder, which locks totalAmount
+ * in escrow and links the escrowId to the order. Token orders are approved
+ * for OrderManager first.
+ */
+router.post('/:orderId/pay', requireAuth, requireServerSigning, async (req, res, next) => {
   try {
     if (!orderManagerContract) {
       return res.status(503).json({
@@ -198,34 +262,9 @@ router.get('/:orderId', async (req, res, next) => {
 
     const { orderId } = req.params;
 
+    let order;
     try {
-      const order = await orderManagerContract.getOrder(orderId);
-      const listing = await listingRegistryContract.getListing(order.listingId);
-
-      res.json({
-        orderId: order.orderId,
-        listingId: order.listingId,
-        listing: {
-          name: listing.name,
-          ipfsCID: listing.ipfsCID
-        },
-        buyer: {
-          address: order.buyer,
-          did: `did:ethr:${order.buyer}`
-        },
-        seller: {
-          address: order.seller,
-          did: `did:ethr:${order.seller}`
-        },
-        quantity: Number(order.quantity),
-        totalAmount: ethers.formatEther(order.totalAmount),
-        totalAmountWei: order.totalAmount.toString(),
-        currency: listing.currency,
-        status: getOrderStatus(order.status),
-        escrowId: order.escrowId !== ethers.ZeroHash ? order.escrowId : null,
-        createdAt: new Date(Number(order.createdAt) * 1000).toISOString(),
-        updatedAt: new Date(Number(order.updatedAt) * 1000).toISOString()
-      });
+      order = await orderManagerContract.getOrder(orderId);
     } catch (error) {
       if (error.message.includes('Order does not exist')) {
         return res.status(404).json({
@@ -236,83 +275,69 @@ router.get('/:orderId', async (req, res, next) => {
       }
       throw error;
     }
-  } catch (error) {
-    next(error);
-  }
-});
 
-/**
- * POST /api/v1/orders/:orderId/pay
- * Pay for an order and create escrow
- */
-// router.post('/:orderId/pay', async (req, res, next) => {
-//   try {
-//     const { orderId } = req.params;
+    if (!requireCaller(req, res, order.buyer, 'the buyer')) return;
 
-//     console.log("💳 PAY endpoint called for order:", orderId);
-
-//     // call to gRPC coming later
-//     res.json({
-//       orderId,
-//       status: "paid",
-//       message: "Payment method triggered successfully (mock response)"
-//     });
+    if (getOrderStatus(order.status) !== 'pending') {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: `Order is ${getOrderStatus(order.status)}, only pending orders can be paid`,
+        timestamp: new Date().toISOString()
+      });
+    }
 
-//   } catch (error) {
-//     console.error("❌ Error inside /pay route:", error);
-//     next(error);
-//   }
-// });
+    const token = await getTokenInfo(order.paymentToken);
 
+    console.log('💳 Paying order on-chain:', {
+      orderId,
+      buyer: order.buyer,
+      totalAmount: `${ethers.formatUnits(order.totalAmount, token.decimals)} ${token.symbol}`
+    });
 
-router.post("/:orderId/pay", async (req, res, next) => {
-  try {
-    console.log("🚀 /pay endpoint HIT!", req.params.orderId);
-    const { orderId } = req.params;
+    // payOrder requires msg.sender to be the order's buyer; orders are created
+    // with the same server wallet, so it pays here as well
+    const buyerWallet = getFreshWallet();
 
-    console.log("💳 PAY endpoint called for order:", orderId);
+    let tx;
+    if (token.address) {
+      const approval = await getTokenContract(token.address)
+        .connect(buyerWallet)
+        .approve(await orderManagerContract.getAddress(), order.totalAmount);
+      await approval.wait();
+
+      tx = await orderManagerContract.connect(buyerWallet).payOrder(orderId);
+    } else {
+      tx = await orderManagerContract
+        .connect(buyerWallet)
+        .payOrder(orderId, { value: order.totalAmount });
+    }
 
-    // TEMP MOCK order data (next we store in DB after Pay is done)
-    const order = {
-      orderId,
-      buyer: "0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266",      // hardhat account 0
-      seller: "0x70997970c51812dc3a010c7d01b50e0d17dc79c8",     // hardhat account 1
-      amount: "1.2"  // ETH value (NOT IN WEI - convert later)
-    };
+    const receipt = await tx.wait();
+    console.log(`[OK] Order paid on-chain: ${orderId}, tx: ${receipt.hash}`);
 
-    console.log("📨 Calling CreateEscrow gRPC with:", {
-      orderId: order.orderId,
-      buyer: order.buyer,
-      seller: order.seller,
-      amount: order.amount
-    });
+    const updatedOrder = await orderManagerContract.getOrder(orderId);
 
-    // gRPC call to Payment/Escrow service
-    escrowClient.CreateEscrow(
-      {
-        orderId: order.orderId,
-        buyer: order.buyer,
-        seller: order.seller,
-        amount: order.amount
+    res.json({
+      orderId: updatedOrder.orderId,
+      status: getOrderStatus(updatedOrder.status),
+      escrowId: updatedOrder.escrowId !== ethers.ZeroHash ? updatedOrder.escrowId : null,
+      totalAmount: ethers.formatUnits(updatedOrder.totalAmount, token.decimals),
+      totalAmountWei: updatedOrder.totalAmount.toString(),
+      currency: token.symbol,
+      blockchain: {
+        transactionHash: receipt.hash,
+        blockNumber: receipt.blockNumber
       },
-      (err, response) => {
-        if (err) {
-          console.error("❌ gRPC Error:", err);
-          return res.status(500).json({ error: "GRPC_ERROR", message: err.message });
-        }
-
-        console.log("📩 gRPC Response:", response);
-
-        return res.json({
-          orderId,
-          escrowId: response.escrowId,
-          status: "paid",
-          message: "Escrow created via payment-service gRPC"
-        });
-      }
-    );
+      updatedAt: new Date(Number(updatedOrder.updatedAt) * 1000).toISOString()
+    });
   } catch (error) {
-    console.error("❌ Router error:", error);
+    if (error.message && error.message.includes('Not the buyer')) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'Only the buyer can pay for this order',
+        timestamp: new Date().toISOString()
+      });
+    }
     next(error);
   }
 });
@@ -321,7 +346,7 @@ router.post("/:orderId/pay", async (req, res, next) => {
  * PUT /api/v1/orders/:orderId/status
  * Update order status (e.g., shipped, delivered)
  */
-router.put('/:orderId/status', async (req, res, next) => {
+router.put('/:orderId/status', requireAuth, requireServerSigning, async (req, res, next) => {
   try {
     if (!orderManagerContract) {
       return res.status(503).json({
@@ -351,7 +376,15 @@ router.put('/:orderId/status', async (req, res, next) => {
       });
     }
 
-    // Update status (in production, verify caller is authorized)
+    const order = await loadOrder(req, res);
+    if (!order) return;
+    if (!requireCaller(req, res, [order.buyer, order.seller], 'the buyer or seller')) return;
+
+    // The server wallet owns OrderManager and may make moves the caller's role
+    // can't (e.g. Shipped -> Delivered while the escrow is locked), so the
+    // transition is checked for the caller before the server signs it
+    if (!await checkTransition(order, statusEnum, req.auth.address, res)) return;
+
     const tx = await orderManagerContract.updateOrderStatus(
       orderId,
       statusEnum,
@@ -380,118 +413,113 @@ router.put('/:orderId/status', async (req, res, next) => {
 
 /**
  * POST /api/v1/orders/:orderId/confirm-delivery
- * Confirm delivery and release escrow to seller
+ * Confirm delivery through OrderManager.confirmDeliveryAndRelease, which marks
+ * the order delivered, closes its listing lines and releases the order's own
+ * escrow (unless it was released already)
  */
-// router.post('/:orderId/confirm-delivery', async (req, res, next) => {
-//   try {
-//     if (!orderManagerContract) {
-//       return res.status(503).json({
-//         error: 'ServiceUnavailable',
-//         message: 'OrderManager contract not initialized',
-//         timestamp: new Date().toISOString()
-//       });
-//     }
-
-//     const { orderId } = req.params;
-
-//     // Confirm delivery (in production, verify caller is the buyer)
-//     // NEW CODE via gRPC
-//     const escrowClient = require('../grpc/escrowClient');
-
-//     escrowClient.ReleaseEscrow({ escrowId: order.escrowId }, (err, response) => {
-//       if (err) return next(err);
-
-//       res.json({
-//         orderId,
-//         escrowId: response.escrowId,
-//         status: "released",
-//         message: "Escrow released — seller will receive payment"
-//       });
-//     });
-
-//     // Get updated order
-//     const updatedOrder = await orderManagerContract.getOrder(orderId);
-
-//     res.json({
-//       orderId: updatedOrder.orderId,
-//       status: getOrderStatus(updatedOrder.status),
-//       message: 'Delivery confirmed and payment released to seller',
-//       blockchain: {
-//         transactionHash: receipt.hash,
-//         blockNumber: receipt.blockNumber
-//       },
-//       updatedAt: new Date(Number(updatedOrder.updatedAt) * 1000).toISOString()
-//     });
-//   } catch (error) {
-//     if (error.message.includes('Order must be shipped')) {
-//       return res.status(400).json({
-//         error: 'BadRequest',
-//         message: 'Order must be in shipped status to confirm delivery',
-//         timestamp: new Date().toISOString()
-//       });
-//     }
-//     next(error);
-//   }
-// });
-/**
- * POST /api/v1/orders/:orderId/confirm-delivery
- * Confirm delivery and release escrow to seller via gRPC + listen via webhook
- *
- * Body: { "escrowId": "escrow_..." }
- */
-router.post('/:orderId/confirm-delivery', async (req, res, next) => {
+router.post('/:orderId/confirm-delivery', requireAuth, requireServerSigning, async (req, res, next) => {
   try {
     const { orderId } = req.params;
-    const { escrowId } = req.body;
 
-    console.log('🚀 /confirm-delivery HIT!', { orderId, escrowId });
+    const order = await loadOrder(req, res);
+    if (!order) return;
+    if (!requireCaller(req, res, order.buyer, 'the buyer')) return;
+
+    // confirmDeliveryAndRelease requires msg.sender to be the buyer; orders
+    // are created with the same server wallet, so it confirms here as well
+    const buyerWallet = getFreshWallet();
+
+    const tx = await orderManagerContract
+      .connect(buyerWallet)
+      .confirmDeliveryAndRelease(orderId);
+
+    const receipt = await tx.wait();
+    console.log(`[OK] Delivery confirmed on-chain: ${orderId}, tx: ${receipt.hash}`);
 
-    if (!escrowId) {
+    const updatedOrder = await orderManagerContract.getOrder(orderId);
+
+    res.json({
+      orderId: updatedOrder.orderId,
+      escrowId: updatedOrder.escrowId,
+      status: getOrderStatus(updatedOrder.status),
+      message: 'Delivery confirmed and payment released to seller',
+      blockchain: {
+        transactionHash: receipt.hash,
+        blockNumber: receipt.blockNumber
+      },
+      updatedAt: new Date(Number(updatedOrder.updatedAt) * 1000).toISOString()
+    });
+  } catch (error) {
+    if (error.message && error.message.includes('Order must be shipped')) {
       return res.status(400).json({
         error: 'BadRequest',
-        message: 'escrowId is required in request body',
+        message: 'Order must be in shipped status to confirm delivery',
         timestamp: new Date().toISOString()
       });
     }
+    if (error.message && error.message.includes('Only buyer can confirm delivery')) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'Only the buyer can confirm delivery',
+        timestamp: new Date().toISOString()
+      });
+    }
+    next(error);
+  }
+});
 
-    console.log('📨 Calling gRPC ReleaseEscrow with:', { escrowId });
+/**
+ * POST /api/v1/orders/:orderId/cancel
+ * Cancel order and refund if paid, through OrderManager.cancelOrderAndRefund
+ * so the listing stock comes back and the order status follows the escrow
+ */
+router.post('/:orderId/cancel', requireAuth, requireServerSigning, async (req, res, next) => {
+  try {
+    const { orderId } = req.params;
+    const { reason } = req.body;
 
-    // gRPC call to payment-service (escrow)
-    escrowClient.ReleaseEscrow({ escrowId }, (err, response) => {
-      if (err) {
-        console.error('❌ gRPC ReleaseEscrow Error:', err);
-        return res.status(500).json({
-          error: 'GRPC_ERROR',
-          message: err.message
-        });
-      }
+    const order = await loadOrder(req, res);
+    if (!order) return;
+    if (!requireCaller(req, res, [order.buyer, order.seller], 'the buyer or seller')) return;
 
-      console.log('📩 gRPC ReleaseEscrow Response:', response);
+    const tx = await orderManagerContract.cancelOrderAndRefund(orderId, reason || '');
 
-      // 🔔 At this point:
-      // - Escrow contract emits EscrowReleased
-      // - payment-service indexer picks it up
-      // - payment-service calls webhooks (one of them is order-service /api/v1/webhooks/escrow-events)
+    const receipt = await tx.wait();
+    console.log(`[OK] Order cancelled on-chain: ${orderId}, tx: ${receipt.hash}`);
 
-      return res.json({
-        orderId,
-        escrowId,
-        status: 'delivered',
-        escrowStatus: response.status,
-        message: 'Delivery confirmed – escrow release triggered via gRPC'
-      });
+    // Get updated order
+    const updatedOrder = await orderManagerContract.getOrder(orderId);
+
+    res.json({
+      orderId: updatedOrder.orderId,
+      escrowId: updatedOrder.escrowId !== ethers.ZeroHash ? updatedOrder.escrowId : null,
+      status: getOrderStatus(updatedOrder.status),
+      message: getOrderStatus(updatedOrder.status) === 'refunded'
+        ? 'Order cancelled and escrow refunded'
+        : 'Order cancelled successfully',
+      blockchain: {
+        transactionHash: receipt.hash,
+        blockNumber: receipt.blockNumber
+      },
+      updatedAt: new Date(Number(updatedOrder.updatedAt) * 1000).toISOString()
     });
   } catch (error) {
-    console.error('❌ /confirm-delivery router error:', error);
+    if (error.message && error.message.includes('Cannot cancel at this stage')) {
+      return res.status(400).json({
+        error: 'BadRequest',
+        message: 'Order cannot be cancelled at current stage',
+        timestamp: new Date().toISOString()
+      });
+    }
     next(error);
   }
 });
 
 /**
- * POST /api/v1/orders/:orderId/cancel
- * Cancel order and refund if paid
+ * POST /api/v1/orders/prepare
+ * Build an unsigned createOrder transaction for the buyer's wallet to sign
  */
-router.post('/:orderId/cancel', async (req, res, next) => {
+router.post('/prepare', requireAuth, async (req, res, next) => {
   try {
     if (!orderManagerContract) {
       return res.status(503).json({
@@ -501,53 +529,338 @@ router.post('/:orderId/cancel', async (req, res, next) => {
       });
     }
 
-    const { orderId } = req.params;
-    const { reason } = req.body;
+    const { listingId, quantity, buyerAddress, variantId = 0 } = req.body;
 
-    // NEW CODE via gRPC
-    const escrowClient = require('../grpc/escrowClient');
+    if (!listingId || !quantity || !buyerAddress) {
+      return res.status(400).json({
+        error: 'BadRequest',
+        message: 'listingId, quantity, and buyerAddress are required',
+        timestamp: new Date().toISOString()
+      });
+    }
 
-    escrowClient.RefundEscrow({ escrowId: order.escrowId }, (err, response) => {
-      if (err) return next(err);
+    if (!Number.isInteger(variantId) || variantId < 0) {
+      return res.status(400).json({
+        error: 'BadRequest',
+        message: 'variantId must be a non-negative integer (0 for listings without variants)',
+        timestamp: new Date().toISOString()
+      });
+    }
 
-      res.json({
-        orderId,
-        escrowId: response.escrowId,
-        status: "refunded",
-        message: "Order cancelled and escrow refunded"
+    if (!ethers.isAddress(buyerAddress)) {
+      return res.status(400).json({
+        error: 'BadRequest',
+        message: 'buyerAddress must be a valid Ethereum address',
+        timestamp: new Date().toISOString()
       });
-    });
+    }
+
+    if (quantity <= 0) {
+      return res.status(400).json({
+        error: 'BadRequest',
+        message: 'Quantity must be greater than 0',
+        timestamp: new Date().toISOString()
+      });
+    }
 
+    if (!requireCaller(req, res, buyerAddress, 'the buyer')) return;
 
-    // Get updated order
-    const updatedOrder = await orderManagerContract.getOrder(orderId);
+    const orderId = `ord_${Date.now()}_${uuidv4().substring(0, 8)}`;
+
+    const transaction = await prepareTransaction(
+      orderManagerContract,
+      'createOrder',
+      [orderId, listingId, variantId, quantity],
+      { from: buyerAddress }
+    );
+
+    res.json({ orderId, transaction });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/v1/orders/:orderId/pay/prepare
+ * Build an unsigned payOrder transaction for the buyer to sign
+ *
+ * ETH orders carry totalAmount as value. Token orders need OrderManager to be
+ * allowed to pull totalAmount: when the allowance is missing the response has
+ * no transaction, but an `approval` transaction and EIP-2612 `permit` typed
+ * data. Either send the approval and call this again, or sign the permit and
+ * call again with { "permit": { "deadline": ..., "signature": "0x..." } } to
+ * get a payOrderWithPermit transaction.
+ */
+router.post('/:orderId/pay/prepare', requireAuth, async (req, res, next) => {
+  try {
+    const order = await loadOrder(req, res);
+    if (!order) return;
+    if (!requireCaller(req, res, order.buyer, 'the buyer')) return;
+
+    if (getOrderStatus(order.status) !== 'pending') {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: `Order is ${getOrderStatus(order.status)}, only pending orders can be paid`,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const token = await getTokenInfo(order.paymentToken);
+    const payment = {
+      currency: token.symbol,
+      token,
+      totalAmount: ethers.formatUnits(order.totalAmount, token.decimals),
+      totalAmountWei: order.totalAmount.toString()
+    };
+
+    if (!token.address) {
+      const transaction = await prepareTransaction(
+        orderManagerContract,
+        'payOrder',
+        [order.orderId],
+        { from: order.buyer, value: order.totalAmount }
+      );
+      return res.json({ orderId: order.orderId, payment, transaction });
+    }
+
+    const spender = await orderManagerContract.getAddress();
+    const { permit } = req.body;
+
+    if (permit) {
+      if (!permit.deadline || !permit.signature) {
+        return res.status(400).json({
+          error: 'BadRequest',
+          message: 'permit.deadline and permit.signature are required',
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      const { v, r, s } = splitPermitSignature(permit.signature);
+      const transaction = await prepareTransaction(
+        orderManagerContract,
+        'payOrderWithPermit',
+        [order.orderId, permit.deadline, v, r, s],
+        { from: order.buyer }
+      );
+      return res.json({ orderId: order.orderId, payment, transaction });
+    }
+
+    const tokenContract = getTokenContract(token.address);
+    const allowance = await tokenContract.allowance(order.buyer, spender);
+
+    if (allowance >= order.totalAmount) {
+      const transaction = await prepareTransaction(
+        orderManagerContract,
+        'payOrder',
+        [order.orderId],
+        { from: order.buyer }
+      );
+      return res.json({ orderId: order.orderId, payment, transaction });
+    }
+
+    const deadline = Math.floor(Date.now() / 1000) + PERMIT_TTL_SECONDS;
+    const [approval, permitTypedData] = await Promise.all([
+      prepareTransaction(tokenContract, 'approve', [spender, order.totalAmount], { from: order.buyer }),
+      buildPermitTypedData(token.address, order.buyer, spender, order.totalAmount, deadline)
+    ]);
 
     res.json({
-      orderId: updatedOrder.orderId,
-      status: getOrderStatus(updatedOrder.status),
-      message: 'Order cancelled successfully',
-      blockchain: {
-        transactionHash: receipt.hash,
-        blockNumber: receipt.blockNumber
-      },
-      updatedAt: new Date(Number(updatedOrder.updatedAt) * 1000).toISOString()
+      orderId: order.orderId,
+      payment,
+      transaction: null,
+      approval,
+      permit: permitTypedData
     });
   } catch (error) {
-    if (error.message.includes('Cannot cancel at this stage')) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/v1/orders/:orderId/status/prepare
+ * Build an unsigned updateOrderStatus transaction
+ *
+ * Body: { "status": "shipped", "notes": "...", "from": "0x..." }
+ */
+router.post('/:orderId/status/prepare', requireAuth, async (req, res, next) => {
+  try {
+    const { status, notes, from } = req.body;
+
+    if (!status || !from) {
       return res.status(400).json({
         error: 'BadRequest',
-        message: 'Order cannot be cancelled at current stage',
+        message: 'status and from are required',
         timestamp: new Date().toISOString()
       });
     }
+
+    if (!ethers.isAddress(from)) {
+      return res.status(400).json({
+        error: 'BadRequest',
+        message: 'from must be a valid Ethereum address',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const statusEnum = getOrderStatusEnum(status);
+    if (statusEnum === null) {
+      return res.status(400).json({
+        error: 'BadRequest',
+        message: 'Invalid status value',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    if (!requireCaller(req, res, from, 'the wallet named in from')) return;
+
+    const order = await loadOrder(req, res);
+    if (!order) return;
+
+    if (!await checkTransition(order, statusEnum, from, res)) return;
+
+    const transaction = await prepareTransaction(
+      orderManagerContract,
+      'updateOrderStatus',
+      [order.orderId, statusEnum, notes || ''],
+      { from }
+    );
+
+    res.json({ orderId: order.orderId, transaction });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/v1/orders/:orderId/confirm-delivery/prepare
+ * Build an unsigned confirmDeliveryAndRelease transaction for the buyer to sign
+ */
+router.post('/:orderId/confirm-delivery/prepare', requireAuth, async (req, res, next) => {
+  try {
+    const order = await loadOrder(req, res);
+    if (!order) return;
+    if (!requireCaller(req, res, order.buyer, 'the buyer')) return;
+
+    const transaction = await prepareTransaction(
+      orderManagerContract,
+      'confirmDeliveryAndRelease',
+      [order.orderId],
+      { from: order.buyer }
+    );
+
+    res.json({ orderId: order.orderId, transaction });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/v1/orders/:orderId/cancel/prepare
+ * Build an unsigned cancelOrderAndRefund transaction
+ *
+ * Body: { "reason": "...", "from": "0x..." } (from defaults to the signed-in wallet)
+ */
+router.post('/:orderId/cancel/prepare', requireAuth, async (req, res, next) => {
+  try {
+    const order = await loadOrder(req, res);
+    if (!order) return;
+
+    const { reason } = req.body;
+    const from = req.body.from || req.auth.address;
+    if (!requireCaller(req, res, from, 'the wallet named in from')) return;
+
+    const transaction = await prepareTransaction(
+      orderManagerContract,
+      'cancelOrderAndRefund',
+      [order.orderId, reason || ''],
+      { from }
+    );
+
+    res.json({ orderId: order.orderId, transaction });
+  } catch (error) {
     next(error);
   }
 });
 
 // Helper functions
+
+/**
+ * Load an order from OrderManager, answering 503/404 itself when it can't
+ */
+async function loadOrder(req, res) {
+  if (!orderManagerContract) {
+    res.status(503).json({
+      error: 'ServiceUnavailable',
+      message: 'OrderManager contract not initialized',
+      timestamp: new Date().toISOString()
+    });
+    return null;
+  }
+
+  try {
+    return await orderManagerContract.getOrder(req.params.orderId);
+  } catch (error) {
+    if (error.message.includes('Order does not exist')) {
+      res.status(404).json({
+        error: 'NotFound',
+        message: 'Order not found',
+        timestamp: new Date().toISOString()
+      });
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Answer 409 with the allowed next statuses when `account` may not move the
+ * order to `statusEnum`, so invalid transitions are rejected before any gas is spent
+ */
+async function checkTransition(order, statusEnum, account, res) {
+  const allowed = (await orderManagerContract.getAllowedStatuses(order.orderId, account)).map(Number);
+  if (allowed.includes(statusEnum)) return true;
+
+  res.status(409).json({
+    error: 'InvalidStatusTransition',
+    message: `Cannot move order from ${getOrderStatus(order.status)} to ${getOrderStatus(statusEnum)} as ${account}`,
+    currentStatus: getOrderStatus(order.status),
+    allowedStatuses: allowed.map(getOrderStatus),
+    timestamp: new Date().toISOString()
+  });
+  return false;
+}
+
 function getOrderStatus(statusEnum) {
-  const statuses = ['pending', 'paid', 'shipped', 'delivered', 'cancelled', 'disputed', 'refunded'];
-  return statuses[Number(statusEnum)] || 'unknown';
+  return ORDER_STATUSES[Number(statusEnum)] || 'unknown';
+}
+
+function formatOrder(order) {
+  return {
+    orderId: order.orderId,
+    listingId: order.listingId,
+    listingName: order.listingName,
+    items: (order.items || []).map(item => ({
+      listingId: item.listingId,
+      listingName: item.listingName,
+      variantId: item.variantId || 0,
+      sku: item.sku || null,
+      quantity: item.quantity,
+      unitPrice: ethers.formatUnits(item.unitPriceWei, order.token?.decimals ?? 18)
+    })),
+    cartId: order.cartId || null,
+    buyer: order.buyer,
+    seller: order.seller,
+    quantity: order.quantity,
+    totalAmount: ethers.formatUnits(order.totalAmountWei, order.token?.decimals ?? 18),
+    currency: order.currency,
+    token: order.token,
+    status: order.status,
+    returnStatus: order.returnRequest?.status || null,
+    escrowId: order.escrowId,
+    paymentDeadline: order.paymentDeadline ? order.paymentDeadline.toISOString() : null,
+    createdAt: order.createdAt.toISOString(),
+    updatedAt: order.updatedAt.toISOString()
+  };
 }
 
 function getOrderStatusEnum(status) {
@@ -0,0 +1,239 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const { ethers } = require('ethers');
+const { orderManagerContract, getFreshWallet } = require('../config/blockchain');
+const { requireServerSigning, prepareTransaction } = require('../utils/transactions');
+const { requireAuth, requireCaller } = require('../../shared/auth');
+const Order = require('../models/Order');
+
+const CID_PATTERN = /^(Qm[1-9A-HJ-NP-Za-km-z]{44}|b[a-z2-7]{50,})$/;
+const MAX_TEXT_LENGTH = 500;
+const RETURN_STATUSES = ['none', 'requested', 'approved', 'rejected', 'shipped', 'received', 'refunded'];
+
+// Return transitions on OrderManager. `signer` is the party whose address a
+// prepared transaction defaults to; the contract enforces the same roles.
+const ACTIONS = [
+  {
+    path: '',
+    method: 'requestReturn',
+    signer: 'buyer',
+    validate: ({ reason, evidenceCID }) => {
+      if (!reason || typeof reason !== 'string') return 'reason is required';
+      if (reason.length > MAX_TEXT_LENGTH) return `reason must be at most ${MAX_TEXT_LENGTH} characters`;
+      if (evidenceCID && !CID_PATTERN.test(evidenceCID)) return 'evidenceCID must be an IPFS CID';
+      return null;
+    },
+    args: (orderId, { reason, evidenceCID }) => [orderId, reason, evidenceCID || '']
+  },
+  {
+    path: '/approve',
+    method: 'respondToReturn',
+    signer: 'seller',
+    validate: validateNote,
+    args: (orderId, { note }) => [orderId, true, note || '']
+  },
+  {
+    path: '/reject',
+    method: 'respondToReturn',
+    signer: 'seller',
+    validate: validateNote,
+    args: (orderId, { note }) => [orderId, false, note || '']
+  },
+  {
+    path: '/ship',
+    method: 'markReturnShipped',
+    signer: 'buyer',
+    validate: ({ trackingInfo }) => {
+      if (!trackingInfo || typeof trackingInfo !== 'string') return 'trackingInfo is required';
+      if (trackingInfo.length > MAX_TEXT_LENGTH) return `trackingInfo must be at most ${MAX_TEXT_LENGTH} characters`;
+      return null;
+    },
+    args: (orderId, { trackingInfo }) => [orderId, trackingInfo]
+  },
+  {
+    path: '/receive',
+    method: 'confirmReturnReceived',
+    signer: 'seller',
+    validate: () => null,
+    args: (orderId) => [orderId]
+  }
+];
+
+/**
+ * GET /api/v1/orders/:orderId/returns
+ * Return state of an order from the indexed read model
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const order = await Order.findOne({ orderId: req.params.orderId }).lean();
+
+    if (!order) {
+      return res.status(404).json({
+        error: 'NotFound',
+        message: 'Order not found',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.json({
+      orderId: order.orderId,
+      orderStatus: order.status,
+      escrowId: order.escrowId,
+      return: formatReturn(order)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/v1/orders/:orderId/returns[/approve|/reject|/ship|/receive]/prepare
+ * Build the unsigned transaction for a return transition
+ *
+ * Body: request { reason, evidenceCID? }, approve/reject { note? },
+ *       ship { trackingInfo }; "from" defaults to the acting party
+ */
+for (const action of ACTIONS) {
+  router.post(`${action.path}/prepare`, requireAuth, async (req, res, next) => {
+    try {
+      const order = await loadReturnOrder(req, res, action);
+      if (!order) return;
+
+      const from = req.body.from || order[action.signer];
+      if (!requireCaller(req, res, from, 'the wallet named in from')) return;
+
+      const transaction = await prepareTransaction(
+        orderManagerContract,
+        action.method,
+        action.args(order.orderId, req.body),
+        { from }
+      );
+
+      res.json({ orderId: order.orderId, transaction });
+    } catch (error) {
+      next(error);
+    }
+  });
+}
+
+/**
+ * POST /api/v1/orders/:orderId/returns[/approve|/reject|/ship|/receive]
+ * Same transitions signed with the server wallet (dev only)
+ */
+for (const action of ACTIONS) {
+  router.post(action.path || '/', requireAuth, requireServerSigning, async (req, res, next) => {
+    try {
+      const order = await loadReturnOrder(req, res, action);
+      if (!order) return;
+      if (!requireCaller(req, res, order[action.signer], `the ${action.signer}`)) return;
+
+      const tx = await orderManagerContract
+        .connect(getFreshWallet())[action.method](...action.args(order.orderId, req.body));
+      const receipt = await tx.wait();
+
+      console.log(`[OK] ${action.method} for ${order.orderId}, tx: ${receipt.hash}`);
+
+      const ret = await orderManagerContract.getReturn(order.orderId);
+      res.json({
+        orderId: order.orderId,
+        returnStatus: getReturnStatus(ret.status),
+        blockchain: {
+          transactionHash: receipt.hash,
+          blockNumber: receipt.blockNumber
+        }
+      });
+    } catch (error) {
+      if (error.code === 'CALL_EXCEPTION' && error.reason) {
+        return res.status(409).json({
+          error: 'Conflict',
+          message: error.reason,
+          timestamp: new Date().toISOString()
+        });
+      }
+      next(error);
+    }
+  });
+}
+
+// Helper functions
+
+function validateNote({ note }) {
+  if (note && (typeof note !== 'string' || note.length > MAX_TEXT_LENGTH)) {
+    return `note must be a string of at most ${MAX_TEXT_LENGTH} characters`;
+  }
+  return null;
+}
+
+/**
+ * Validate the body for `action` and load the order from OrderManager,
+ * answering 400/503/404 itself when it can't
+ */
+async function loadReturnOrder(req, res, action) {
+  const invalid = action.validate(req.body);
+  if (invalid) {
+    res.status(400).json({
+      error: 'BadRequest',
+      message: invalid,
+      timestamp: new Date().toISOString()
+    });
+    return null;
+  }
+
+  if (req.body.from && !ethers.isAddress(req.body.from)) {
+    res.status(400).json({
+      error: 'BadRequest',
+      message: 'from must be a valid Ethereum address',
+      timestamp: new Date().toISOString()
+    });
+    return null;
+  }
+
+  if (!orderManagerContract) {
+    res.status(503).json({
+      error: 'ServiceUnavailable',
+      message: 'OrderManager contract not initialized',
+      timestamp: new Date().toISOString()
+    });
+    return null;
+  }
+
+  try {
+    return await orderManagerContract.getOrder(req.params.orderId);
+  } catch (error) {
+    if (error.message.includes('Order does not exist')) {
+      res.status(404).json({
+        error: 'NotFound',
+        message: 'Order not found',
+        timestamp: new Date().toISOString()
+      });
+      return null;
+    }
+    throw error;
+  }
+}
+
+function getReturnStatus(statusEnum) {
+  return RETURN_STATUSES[Number(statusEnum)] || 'unknown';
+}
+
+function formatReturn(order) {
+  const ret = order.returnRequest;
+  if (!ret || !ret.status) return null;
+
+  return {
+    status: ret.status,
+    reason: ret.reason,
+    evidenceCID: ret.evidenceCID || null,
+    sellerNote: ret.sellerNote || null,
+    trackingInfo: ret.trackingInfo || null,
+    refundAmount: ret.refundAmountWei
+      ? ethers.formatUnits(ret.refundAmountWei, order.token?.decimals ?? 18)
+      : null,
+    currency: order.currency,
+    requestedAt: ret.requestedAt ? ret.requestedAt.toISOString() : null,
+    updatedAt: ret.updatedAt ? ret.updatedAt.toISOString() : null,
+    history: ret.history || []
+  };
+}
+
+module.exports = router;
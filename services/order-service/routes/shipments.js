@@ -0,0 +1,275 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const { ethers } = require('ethers');
+const { v4: uuidv4 } = require('uuid');
+const { orderManagerContract, getFreshWallet } = require('../config/blockchain');
+const { requireServerSigning, prepareTransaction } = require('../utils/transactions');
+const { requireAuth, requireCaller } = require('../../shared/auth');
+const { isSelectable } = require('../services/carriers');
+const { hashShipmentRecord } = require('../services/shipmentService');
+const Shipment = require('../models/Shipment');
+
+const MAX_PARCELS = Number(process.env.MAX_SHIPMENT_PARCELS || 20);
+const ORDER_STATUS_PAID = 1n;
+
+/**
+ * GET /api/v1/orders/:orderId/shipment
+ * Shipment, parcels and carrier scan history of an order
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const shipment = await Shipment.findOne({ orderId: req.params.orderId }).lean();
+
+    if (!shipment) {
+      return res.status(404).json({
+        error: 'NotFound',
+        message: 'No shipment for this order',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.json(formatShipment(shipment));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/v1/orders/:orderId/shipment
+ * Create or replace the shipment of a paid order before it is marked shipped.
+ * The returned recordHash is what shipOrder anchors on-chain.
+ *
+ * Body: { "carrier": "mock", "parcels": [{ "trackingNumber": "...", "carrier": "mock" }] }
+ */
+router.put('/', requireAuth, async (req, res, next) => {
+  try {
+    const { carrier, parcels } = req.body;
+
+    if (!carrier || !isSelectable(carrier)) {
+      return res.status(400).json({
+        error: 'BadRequest',
+        message: 'carrier must be one of the selectable carriers',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    if (!Array.isArray(parcels) || parcels.length === 0 || parcels.length > MAX_PARCELS) {
+      return res.status(400).json({
+        error: 'BadRequest',
+        message: `parcels must list 1-${MAX_PARCELS} parcels`,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const invalid = parcels.find(p => !p || typeof p.trackingNumber !== 'string' || !p.trackingNumber.trim()
+      || (p.carrier && !isSelectable(p.carrier)));
+    if (invalid) {
+      return res.status(400).json({
+        error: 'BadRequest',
+        message: 'Every parcel needs a trackingNumber and, if given, a selectable carrier',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const order = await loadOrder(req, res);
+    if (!order) return;
+    if (!requireCaller(req, res, order.seller, 'the seller')) return;
+
+    if (order.status !== ORDER_STATUS_PAID) {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: 'Shipments can only be created for paid orders',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const existing = await Shipment.findOne({ orderId: order.orderId });
+    if (existing && existing.anchor?.transactionHash) {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: 'Shipment is already anchored on-chain',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const record = {
+      orderId: order.orderId,
+      carrier,
+      parcels: parcels.map((p, i) => ({
+        parcelId: `parcel_${i + 1}`,
+        carrier: p.carrier || carrier,
+        trackingNumber: p.trackingNumber.trim()
+      }))
+    };
+
+    const shipment = await Shipment.findOneAndUpdate(
+      { orderId: order.orderId },
+      {
+        $set: {
+          ...record,
+          seller: order.seller,
+          buyer: order.buyer,
+          status: 'pending',
+          statusHistory: [],
+          recordHash: hashShipmentRecord(record)
+        },
+        $setOnInsert: { shipmentId: `shp_${uuidv4()}` }
+      },
+      { upsert: true, new: true, lean: true }
+    );
+
+    res.status(existing ? 200 : 201).json(formatShipment(shipment));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/v1/orders/:orderId/shipment/ship/prepare
+ * Build an unsigned shipOrder transaction anchoring the shipment record
+ *
+ * Body: { "from": "0x..." } (defaults to the seller)
+ */
+router.post('/ship/prepare', requireAuth, async (req, res, next) => {
+  try {
+    const ship = await loadShipment(req, res);
+    if (!ship) return;
+
+    const { order, shipment } = ship;
+    const from = req.body.from || order.seller;
+    if (!ethers.isAddress(from)) {
+      return res.status(400).json({
+        error: 'BadRequest',
+        message: 'from must be a valid Ethereum address',
+        timestamp: new Date().toISOString()
+      });
+    }
+    if (!requireCaller(req, res, from, 'the wallet named in from')) return;
+
+    const transaction = await prepareTransaction(
+      orderManagerContract,
+      'shipOrder',
+      [order.orderId, shipment.recordHash, trackingSummary(shipment)],
+      { from }
+    );
+
+    res.json({ orderId: order.orderId, recordHash: shipment.recordHash, transaction });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/v1/orders/:orderId/shipment/ship
+ * Mark the order shipped with the server wallet as seller (dev only)
+ */
+router.post('/ship', requireAuth, requireServerSigning, async (req, res, next) => {
+  try {
+    const ship = await loadShipment(req, res);
+    if (!ship) return;
+
+    const { order, shipment } = ship;
+    if (!requireCaller(req, res, order.seller, 'the seller')) return;
+
+    const tx = await orderManagerContract
+      .connect(getFreshWallet())
+      .shipOrder(order.orderId, shipment.recordHash, trackingSummary(shipment));
+    const receipt = await tx.wait();
+
+    console.log(`[OK] Order ${order.orderId} shipped, record ${shipment.recordHash}, tx: ${receipt.hash}`);
+
+    res.json({
+      orderId: order.orderId,
+      status: 'shipped',
+      recordHash: shipment.recordHash,
+      blockchain: {
+        transactionHash: receipt.hash,
+        blockNumber: receipt.blockNumber
+      }
+    });
+  } catch (error) {
+    if (error.code === 'CALL_EXCEPTION' && error.reason) {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: error.reason,
+        timestamp: new Date().toISOString()
+      });
+    }
+    next(error);
+  }
+});
+
+// Helper functions
+
+/**
+ * Load an order from OrderManager, answering 503/404 itself when it can't
+ */
+async function loadOrder(req, res) {
+  if (!orderManagerContract) {
+    res.status(503).json({
+      error: 'ServiceUnavailable',
+      message: 'OrderManager contract not initialized',
+      timestamp: new Date().toISOString()
+    });
+    return null;
+  }
+
+  try {
+    return await orderManagerContract.getOrder(req.params.orderId);
+  } catch (error) {
+    if (error.message.includes('Order does not exist')) {
+      res.status(404).json({
+        error: 'NotFound',
+        message: 'Order not found',
+        timestamp: new Date().toISOString()
+      });
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Load the order and its shipment, answering 404 when there is none
+ */
+async function loadShipment(req, res) {
+  const order = await loadOrder(req, res);
+  if (!order) return null;
+
+  const shipment = await Shipment.findOne({ orderId: order.orderId }).lean();
+  if (!shipment) {
+    res.status(404).json({
+      error: 'NotFound',
+      message: 'Create the shipment with PUT /api/v1/orders/:orderId/shipment first',
+      timestamp: new Date().toISOString()
+    });
+    return null;
+  }
+
+  return { order, shipment };
+}
+
+// Free-text trackingInfo of the OrderShipped event
+function trackingSummary(shipment) {
+  return shipment.parcels.map(p => `${p.carrier}:${p.trackingNumber}`).join(',');
+}
+
+function formatShipment(shipment) {
+  return {
+    shipmentId: shipment.shipmentId,
+    orderId: shipment.orderId,
+    seller: shipment.seller,
+    buyer: shipment.buyer,
+    carrier: shipment.carrier,
+    status: shipment.status,
+    parcels: shipment.parcels,
+    statusHistory: shipment.statusHistory,
+    recordHash: shipment.recordHash,
+    anchor: shipment.anchor?.transactionHash ? shipment.anchor : null,
+    delivery: shipment.delivery?.deliveredAt ? shipment.delivery : null,
+    createdAt: shipment.createdAt,
+    updatedAt: shipment.updatedAt
+  };
+}
+
+module.exports = router;
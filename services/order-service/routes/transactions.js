@@ -0,0 +1,76 @@
+const express = require('express');
+const router = express.Router();
+const { orderManagerContract, listingRegistryContract, escrowContract } = require('../config/blockchain');
+const { relaySignedTransaction, getTransactionStatus } = require('../utils/transactions');
+const { getPaymentTokenContracts } = require('../utils/tokens');
+
+/**
+ * POST /api/v1/transactions
+ * Relay a wallet-signed transaction produced from one of the /prepare endpoints
+ *
+ * Body: { "signedTx": "0x02f8..." }
+ */
+router.post('/', async (req, res, next) => {
+  try {
+    if (!orderManagerContract) {
+      return res.status(503).json({
+        error: 'ServiceUnavailable',
+        message: 'OrderManager contract not initialized',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const { signedTx } = req.body;
+
+    if (!signedTx) {
+      return res.status(400).json({
+        error: 'BadRequest',
+        message: 'signedTx is required',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    // Token approvals for OrderManager are relayed too
+    const relayed = await relaySignedTransaction(signedTx, [
+      orderManagerContract,
+      ...await getPaymentTokenContracts()
+    ]);
+
+    res.status(202).json({
+      ...relayed,
+      status: 'pending',
+      statusUrl: `/api/v1/transactions/${relayed.hash}`,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/v1/transactions/:txHash
+ * Track a relayed transaction (pending, confirmed or failed) with decoded events
+ */
+router.get('/:txHash', async (req, res, next) => {
+  try {
+    const status = await getTransactionStatus(req.params.txHash, [
+      orderManagerContract,
+      listingRegistryContract,
+      escrowContract
+    ]);
+
+    if (!status) {
+      return res.status(404).json({
+        error: 'NotFound',
+        message: 'Transaction not found',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.json(status);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -1,57 +1,107 @@
 const express = require('express');
+const crypto = require('crypto');
 const router = express.Router();
+const Order = require('../models/Order');
+const ProcessedWebhookEvent = require('../models/ProcessedWebhookEvent');
+
+// Secret returned by payment-service when this endpoint was registered
+// (POST /api/v1/webhooks or .../rotate-secret)
+const ESCROW_WEBHOOK_SECRET = process.env.ESCROW_WEBHOOK_SECRET;
+
+// Deliveries whose signed timestamp is further than this from now are rejected
+const TOLERANCE_SECONDS = Number(process.env.ESCROW_WEBHOOK_TOLERANCE_SECONDS || 300);
 
 /**
  * POST /api/v1/webhooks/escrow-events
- * Receives escrow lifecycle events from payment-service
+ * Receives escrow lifecycle events from payment-service and records the
+ * escrow outcome on the order. Order.status is left to the order indexer,
+ * which follows OrderManager on-chain.
  *
- * Example event payload (from indexer):
+ * The body is signed with HMAC-SHA256 (hex) in `x-escrow-signature`. It
+ * carries the event id and the delivery timestamp, so both are covered by the
+ * signature:
  * {
+ *   "id": "0x<transactionHash>:<logIndex>:escrow.released",
  *   "event": "escrow.released",
- *   "escrowId": "escrow_123",
+ *   "timestamp": "2025-12-01T00:10:00.000Z",
+ *   "escrowId": "0x...",
  *   "orderId": "ord_123",
- *   "amountEth": 1.2,
  *   "state": "released",
- *   "updatedAt": "2025-12-01T00:10:00Z"
+ *   ...
  * }
+ *
+ * escrow.reverted reports an event sent earlier that a reorg rolled back, with
+ * `revertedEventId` and the escrow `state` from before it.
  */
-router.post('/escrow-events', async (req, res) => {
+router.post('/escrow-events', verifyEscrowSignature, async (req, res, next) => {
+  const { id: eventId, event, escrowId, orderId } = req.body;
+
+  if (!eventId || !event) {
+    return res.status(400).json({
+      error: 'BadRequest',
+      message: 'id and event are required',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  if (event === 'webhook.ping') {
+    return res.json({ received: true });
+  }
+
+  // Claim the event id first; a duplicate key means it was already handled
+  try {
+    await ProcessedWebhookEvent.create({ eventId, event, orderId, escrowId });
+  } catch (err) {
+    if (err.code === 11000) {
+      console.log(`ℹ️ [Webhook] Duplicate delivery ${eventId} ignored`);
+      return res.json({ received: true, duplicate: true });
+    }
+    return next(err);
+  }
+
   try {
-    console.log("📩 [Webhook] Escrow Event Received:");
-    console.log(JSON.stringify(req.body, null, 2));   // Pretty print request
+    if (event === 'escrow.reverted') {
+      return res.json(await revertEscrowEvent(req.body));
+    }
 
-    const { event, escrowId, orderId, state } = req.body;
+    const state = ESCROW_EVENT_STATES[event];
 
-    console.log("🔍 Parsed event details:", {
-      event,
-      escrowId,
-      orderId,
-      state
-    });
+    if (!state) {
+      console.log('ℹ️ Unrecognized event:', event);
+      return res.json({ received: true, ignored: true });
+    }
+
+    const order = await Order.findOne(orderId ? { orderId } : { escrowId });
 
-    // Handle events
-    switch (event) {
-      case "escrow.released":
-        console.log(`💸 Payment released for order ${orderId} | escrow=${escrowId}`);
-        // TODO: update order status in DB -> delivered/paid
-        break;
-
-      case "escrow.refunded":
-        console.log(`↩️ Refund completed for order ${orderId}`);
-        // TODO: update order status in DB -> refunded
-        break;
-
-      case "escrow.disputed":
-        console.log(`⚠️ Dispute initiated for order ${orderId}`);
-        // TODO: mark dispute in DB
-        break;
-
-      default:
-        console.log("ℹ️ Unrecognized event:", event);
+    if (!order) {
+      // Let payment-service retry: the order indexer may not have caught up yet
+      await ProcessedWebhookEvent.deleteOne({ eventId });
+      return res.status(404).json({
+        error: 'NotFound',
+        message: `Order for ${orderId || escrowId} not found`,
+        timestamp: new Date().toISOString()
+      });
     }
 
-    return res.json({ received: true });
+    // A dispute reported late never replaces the outcome that settled it
+    const previous = order.escrowState && order.escrowState.state;
+    if (state === 'disputed' && SETTLED_ESCROW_STATES.includes(previous)) {
+      console.log(`ℹ️ [Webhook] ${event} for ${order.orderId} is older than its ${previous} escrow`);
+      return res.json({ received: true, orderId: order.orderId, escrowState: previous });
+    }
+
+    const escrowState = { state, eventId, updatedAt: new Date() };
+    if (state === 'resolved' && req.body.dispute) {
+      escrowState.buyerShareBps = req.body.dispute.buyerShareBps;
+    }
+
+    await Order.updateOne({ _id: order._id }, { $set: { escrowState } });
+
+    console.log(`✅ [Webhook] ${event} recorded on order ${order.orderId} (escrow ${previous || 'locked'} -> ${state})`);
+    return res.json({ received: true, orderId: order.orderId, escrowState: state });
   } catch (err) {
+    // Release the claim so the retry is processed
+    await ProcessedWebhookEvent.deleteOne({ eventId }).catch(() => {});
     console.error("❌ Webhook handler error:", err.message);
     return res.status(500).json({
       error: "WebhookHandlerError",
@@ -61,4 +111,72 @@ router.post('/escrow-events', async (req, res) => {
   }
 });
 
+// Escrow state recorded for each escrow outcome event
+const ESCROW_EVENT_STATES = {
+  'escrow.released': 'released',
+  'escrow.refunded': 'refunded',
+  'escrow.disputed': 'disputed',
+  'escrow.resolved': 'resolved'
+};
+
+const SETTLED_ESCROW_STATES = ['released', 'refunded', 'resolved'];
+
+/**
+ * Undo an event a reorg rolled back. Its id is forgotten, so the event is
+ * applied again if the transaction is mined again, and the escrow state goes
+ * back to the one before it if the order still shows that event's outcome.
+ */
+async function revertEscrowEvent({ revertedEventId, orderId, escrowId, state }) {
+  await ProcessedWebhookEvent.deleteOne({ eventId: revertedEventId });
+
+  const order = await Order.findOne(orderId ? { orderId } : { escrowId });
+  if (!order || !order.escrowState || order.escrowState.eventId !== revertedEventId) {
+    return { received: true, reverted: revertedEventId };
+  }
+
+  await Order.updateOne({ _id: order._id }, state
+    ? { $set: { escrowState: { state, eventId: revertedEventId, updatedAt: new Date() } } }
+    : { $unset: { escrowState: 1 } });
+
+  console.log(`↩️ [Webhook] ${revertedEventId} reverted on order ${order.orderId} (escrow back to ${state || 'unset'})`);
+  return { received: true, reverted: revertedEventId, orderId: order.orderId, escrowState: state || null };
+}
+
+/**
+ * Check x-escrow-signature against the raw body and reject stale timestamps
+ */
+function verifyEscrowSignature(req, res, next) {
+  const reject = (message) => res.status(401).json({
+    error: 'Unauthorized',
+    message,
+    timestamp: new Date().toISOString()
+  });
+
+  if (!ESCROW_WEBHOOK_SECRET) {
+    console.error('❌ ESCROW_WEBHOOK_SECRET is not set; rejecting escrow webhook');
+    return res.status(503).json({
+      error: 'ServiceUnavailable',
+      message: 'Webhook secret not configured',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const signature = req.get('x-escrow-signature');
+  if (!signature || !req.rawBody) return reject('Missing signature');
+
+  const expected = crypto.createHmac('sha256', ESCROW_WEBHOOK_SECRET).update(req.rawBody).digest('hex');
+  const a = Buffer.from(signature, 'utf8');
+  const b = Buffer.from(expected, 'utf8');
+  if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) {
+    return reject('Invalid signature');
+  }
+
+  const sentAt = Date.parse(req.body.timestamp);
+  if (Number.isNaN(sentAt) || Math.abs(Date.now() - sentAt) > TOLERANCE_SECONDS * 1000) {
+    return reject('Timestamp outside tolerance');
+  }
+
+  next();
+}
+
 module.exports = router;
@@ -0,0 +1,48 @@
+const mockCarrier = require('./mockCarrier');
+
+/**
+ * Carrier adapters turn a carrier's tracking updates into scans of the form
+ *   { trackingNumber, status, description, location, occurredAt, eventId }
+ * where status is one of Shipment.STATUSES. An adapter is an object with
+ *   code, name
+ *   production                -> false for test carriers, which sellers can't
+ *                                pick when NODE_ENV=production
+ *   verifyWebhook(req)        -> boolean, authenticates a pushed update
+ *   parseWebhook(req)         -> scan[] contained in a pushed update
+ *   fetchScans(trackingNumber) -> Promise<scan[]> (optional) for polling
+ * and is added with registerCarrier at startup.
+ */
+const adapters = new Map();
+
+function registerCarrier(adapter) {
+  for (const key of ['code', 'name', 'verifyWebhook', 'parseWebhook']) {
+    if (!adapter[key]) throw new Error(`Carrier adapter is missing ${key}`);
+  }
+  adapters.set(adapter.code, { ...adapter, production: adapter.production !== false });
+}
+
+function getCarrier(code) {
+  return adapters.get(code) || null;
+}
+
+// Whether sellers may put a carrier on a shipment. Scans from the chosen carrier
+// end in confirmDeliveryWithProof, so test carriers are kept out of production.
+function isSelectable(code) {
+  const adapter = adapters.get(code);
+  return !!adapter && (adapter.production || process.env.NODE_ENV !== 'production');
+}
+
+function listCarriers() {
+  return [...adapters.values()].map(a => ({
+    code: a.code,
+    name: a.name,
+    polling: typeof a.fetchScans === 'function',
+    selectable: isSelectable(a.code)
+  }));
+}
+
+if (process.env.MOCK_CARRIER_ENABLED === 'true') {
+  registerCarrier(mockCarrier);
+}
+
+module.exports = { registerCarrier, getCarrier, isSelectable, listCarriers };
@@ -0,0 +1,52 @@
+// Local stand-in for a real carrier, registered with MOCK_CARRIER_ENABLED=true.
+// Scans can be pushed to POST /api/v1/carriers/mock/webhook with the
+// MOCK_CARRIER_SECRET header (refused while it is unset), and with
+// MOCK_CARRIER_ADVANCE_MS set polling walks every parcel through
+// label_created -> delivered on its own.
+const SECRET = process.env.MOCK_CARRIER_SECRET || '';
+const ADVANCE_MS = Number(process.env.MOCK_CARRIER_ADVANCE_MS || 0);
+const PROGRESSION = ['label_created', 'in_transit', 'out_for_delivery', 'delivered'];
+
+// trackingNumber -> time the mock carrier first saw the parcel
+const firstSeen = new Map();
+
+function toScan(body) {
+  return {
+    trackingNumber: body.trackingNumber,
+    status: body.status,
+    description: body.description || `Mock carrier: ${body.status}`,
+    location: body.location || 'Mockville',
+    occurredAt: body.occurredAt ? new Date(body.occurredAt) : new Date(),
+    eventId: body.eventId || `mock-${body.trackingNumber}-${body.status}`
+  };
+}
+
+module.exports = {
+  code: 'mock',
+  name: 'Mock Carrier',
+  production: false,
+
+  verifyWebhook(req) {
+    return !!SECRET && req.get('x-mock-carrier-secret') === SECRET;
+  },
+
+  // { trackingNumber, status, ... } or { scans: [...] }
+  parseWebhook(req) {
+    const scans = Array.isArray(req.body.scans) ? req.body.scans : [req.body];
+    return scans.filter(s => s && s.trackingNumber && s.status).map(toScan);
+  },
+
+  async fetchScans(trackingNumber) {
+    if (!ADVANCE_MS) return [];
+
+    if (!firstSeen.has(trackingNumber)) firstSeen.set(trackingNumber, Date.now());
+    const started = firstSeen.get(trackingNumber);
+    const steps = Math.min(Math.floor((Date.now() - started) / ADVANCE_MS) + 1, PROGRESSION.length);
+
+    return PROGRESSION.slice(0, steps).map((status, i) => toScan({
+      trackingNumber,
+      status,
+      occurredAt: new Date(started + i * ADVANCE_MS)
+    }));
+  }
+};
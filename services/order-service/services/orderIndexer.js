@@ -0,0 +1,357 @@
+const { ethers } = require('ethers');
+const { orderManagerContract, listingRegistryContract, provider } = require('../config/blockchain');
+const Order = require('../models/Order');
+const Cart = require('../models/Cart');
+const Shipment = require('../models/Shipment');
+const IndexerState = require('../models/IndexerState');
+const { getTokenInfo } = require('../utils/tokens');
+
+const ORDER_EVENTS = [
+  'OrderCreated',
+  'OrderPaid',
+  'OrderStatusUpdated',
+  'OrderShipped',
+  'OrderDelivered',
+  'OrderCancelled',
+  'OrderExpired',
+  'CartCheckedOut',
+  'ReturnRequested',
+  'ReturnStatusUpdated',
+  'ShipmentAnchored',
+  'DeliveryProofAnchored'
+];
+
+const STATUSES = ['pending', 'paid', 'shipped', 'delivered', 'cancelled', 'disputed', 'refunded'];
+const RETURN_STATUSES = ['none', 'requested', 'approved', 'rejected', 'shipped', 'received', 'refunded'];
+
+const INDEXER_NAME = 'orders';
+const START_BLOCK = Number(process.env.ORDER_INDEXER_START_BLOCK || 0);
+const BATCH_SIZE = Number(process.env.ORDER_INDEXER_BATCH_SIZE || 2000);
+const POLL_INTERVAL_MS = Number(process.env.ORDER_INDEXER_POLL_INTERVAL_MS || 4000);
+
+let syncing = false;
+
+async function startOrderIndexer() {
+  if (!orderManagerContract) {
+    console.warn('[OrderIndexer] OrderManager contract not found, skipping indexer start.');
+    return;
+  }
+
+  await sync();
+  setInterval(sync, POLL_INTERVAL_MS);
+
+  console.log(`[OrderIndexer] Polling OrderManager events every ${POLL_INTERVAL_MS}ms`);
+}
+
+// Passes never overlap; a pass that stopped on an error resumes from the checkpoint on the next tick
+async function sync() {
+  if (syncing) return;
+  syncing = true;
+
+  try {
+    await syncToHead();
+  } catch (err) {
+    console.error('[OrderIndexer] Sync failed:', err.message);
+  } finally {
+    syncing = false;
+  }
+}
+
+function getState() {
+  return IndexerState.findOneAndUpdate(
+    { name: INDEXER_NAME },
+    { $setOnInsert: { lastProcessedBlock: START_BLOCK - 1 } },
+    { upsert: true, new: true }
+  );
+}
+
+/**
+ * Apply OrderManager logs from the checkpoint up to the head in BATCH_SIZE
+ * ranges, one at a time in chain order, so an OrderPaid never races ahead of
+ * the OrderCreated that inserts the document. The checkpoint only moves past
+ * blocks whose logs were all applied: a failing log stops the pass and its
+ * block is read again next time. Logs applied before are skipped on replay.
+ */
+async function syncToHead() {
+  const state = await getState();
+  const address = await orderManagerContract.getAddress();
+  const head = await provider.getBlockNumber();
+
+  let from = state.lastProcessedBlock + 1;
+  while (from <= head) {
+    const to = Math.min(from + BATCH_SIZE - 1, head);
+    const logs = await provider.getLogs({ address, fromBlock: from, toBlock: to });
+
+    for (const log of logs) {
+      try {
+        await applyLog(log);
+      } catch (err) {
+        state.lastProcessedBlock = log.blockNumber - 1;
+        state.lastError = {
+          message: err.message,
+          blockNumber: log.blockNumber,
+          logIndex: log.index,
+          transactionHash: log.transactionHash,
+          at: new Date()
+        };
+        state.updatedAt = new Date();
+        await state.save();
+        console.error(`[OrderIndexer] Stopped at log ${log.index} of block ${log.blockNumber}, retrying next pass:`, err.message);
+        return;
+      }
+    }
+
+    state.lastProcessedBlock = to;
+    state.lastError = undefined;
+    state.updatedAt = new Date();
+    await state.save();
+
+    if (logs.length) console.log(`[OrderIndexer] Processed blocks ${from}-${to} (${logs.length} logs)`);
+    from = to + 1;
+  }
+}
+
+async function applyLog(log) {
+  const parsed = orderManagerContract.interface.parseLog(log);
+  if (!parsed || !ORDER_EVENTS.includes(parsed.name)) return;
+
+  // topics[1] is keccak256(orderId) for every order event (keccak256(cartId) for CartCheckedOut)
+  const orderIdHash = log.topics[1];
+  const block = await provider.getBlock(log.blockNumber);
+  const at = new Date(block.timestamp * 1000);
+
+  if (parsed.name === 'CartCheckedOut') {
+    return indexCheckout(log, parsed, at);
+  }
+
+  if (parsed.name === 'OrderCreated') {
+    return indexCreated(log, parsed, orderIdHash, at);
+  }
+
+  const order = await Order.findOne({ orderIdHash });
+  if (!order) {
+    console.warn(`[OrderIndexer] ${parsed.name} for unknown order ${orderIdHash}, skipping`);
+    return;
+  }
+  if (isApplied(order, log)) return;
+
+  const set = {
+    updatedAt: at,
+    lastEvent: { blockNumber: log.blockNumber, logIndex: log.index }
+  };
+  const update = { $set: set };
+
+  switch (parsed.name) {
+    case 'OrderPaid':
+      set.escrowId = parsed.args.escrowId;
+      set.paidAt = at;
+      break;
+
+    case 'OrderStatusUpdated': {
+      const from = STATUSES[Number(parsed.args.oldStatus)];
+      const to = STATUSES[Number(parsed.args.newStatus)];
+      set.status = to;
+      update.$push = {
+        statusHistory: { from, to, transactionHash: log.transactionHash, blockNumber: log.blockNumber, at }
+      };
+      break;
+    }
+
+    case 'OrderShipped':
+      set.trackingInfo = parsed.args.trackingInfo;
+      set.shippedAt = at;
+      break;
+
+    case 'OrderDelivered':
+      set.deliveredAt = at;
+      break;
+
+    case 'OrderCancelled':
+      set.cancelReason = parsed.args.reason;
+      set.cancelledAt = at;
+      break;
+
+    case 'OrderExpired':
+      set.expiredAt = at;
+      break;
+
+    case 'ShipmentAnchored':
+      set.shipmentHash = parsed.args.shipmentHash;
+      await Shipment.updateOne(
+        { orderId: order.orderId, recordHash: parsed.args.shipmentHash },
+        { anchor: { transactionHash: log.transactionHash, blockNumber: log.blockNumber, anchoredAt: at } }
+      );
+      break;
+
+    case 'DeliveryProofAnchored':
+      set.deliveryProofHash = parsed.args.proofHash;
+      await Shipment.updateOne(
+        { orderId: order.orderId },
+        { 'delivery.confirmedAt': at, 'delivery.transactionHash': log.transactionHash }
+      );
+      break;
+
+    case 'ReturnRequested':
+      set['returnRequest.reason'] = parsed.args.reason;
+      set['returnRequest.evidenceCID'] = parsed.args.evidenceCID || undefined;
+      set['returnRequest.requestedAt'] = at;
+      break;
+
+    case 'ReturnStatusUpdated': {
+      const from = RETURN_STATUSES[Number(parsed.args.oldStatus)];
+      const to = RETURN_STATUSES[Number(parsed.args.newStatus)];
+      const note = parsed.args.note;
+
+      set['returnRequest.status'] = to;
+      set['returnRequest.updatedAt'] = at;
+      if (to === 'approved' || to === 'rejected') set['returnRequest.sellerNote'] = note;
+      if (to === 'shipped') set['returnRequest.trackingInfo'] = note;
+      if (to === 'refunded') {
+        const ret = await orderManagerContract.getReturn(order.orderId);
+        set['returnRequest.refundAmountWei'] = ret.refundAmount.toString();
+      }
+      update.$push = {
+        'returnRequest.history': { from, to, note, transactionHash: log.transactionHash, blockNumber: log.blockNumber, at }
+      };
+      break;
+    }
+  }
+
+  await Order.updateOne({ _id: order._id }, update);
+  console.log(`[OrderIndexer] ${parsed.name}: ${order.orderId}`);
+}
+
+async function indexCreated(log, parsed, orderIdHash, at) {
+  if (await Order.exists({ orderIdHash })) return;
+
+  const { orderId, cartId } = await resolveOrderId(log, orderIdHash);
+  if (!orderId) {
+    console.warn(`[OrderIndexer] Could not resolve orderId for ${orderIdHash} (tx ${log.transactionHash})`);
+    return;
+  }
+
+  const { buyer, seller, quantity, totalAmount } = parsed.args;
+  const onChain = await orderManagerContract.getOrder(orderId);
+  const token = await getTokenInfo(onChain.paymentToken);
+  const amount = parseFloat(ethers.formatUnits(totalAmount, token.decimals));
+
+  const lineItems = await orderManagerContract.getOrderItems(orderId);
+  const items = [];
+  let listing = null;
+  for (const item of lineItems) {
+    let itemListing = null;
+    try {
+      itemListing = await listingRegistryContract.getListing(item.listingId);
+    } catch (err) {
+      console.warn(`[OrderIndexer] Listing ${item.listingId} not readable:`, err.message);
+    }
+    if (!items.length) listing = itemListing;
+
+    let variant = null;
+    if (item.variantId > 0n) {
+      try {
+        variant = await listingRegistryContract.getVariant(item.listingId, item.variantId);
+      } catch (err) {
+        console.warn(`[OrderIndexer] Variant ${item.listingId}#${item.variantId} not readable:`, err.message);
+      }
+    }
+
+    items.push({
+      listingId: item.listingId,
+      listingName: itemListing ? itemListing.name : undefined,
+      variantId: Number(item.variantId),
+      sku: variant ? variant.sku : undefined,
+      quantity: Number(item.quantity),
+      unitPriceWei: item.unitPrice.toString()
+    });
+  }
+
+  await Order.create({
+    orderId,
+    orderIdHash,
+    listingId: onChain.listingId,
+    listingName: listing ? listing.name : undefined,
+    listingIpfsCID: listing ? listing.ipfsCID : undefined,
+    items,
+    cartId,
+    buyer: { address: buyer, did: `did:ethr:${buyer}` },
+    seller: { address: seller, did: `did:ethr:${seller}` },
+    quantity: Number(quantity),
+    totalAmountWei: totalAmount.toString(),
+    amount,
+    amountEth: token.address ? undefined : amount,
+    currency: listing ? listing.currency : token.symbol,
+    token,
+    status: 'pending',
+    paymentDeadline: new Date(Number(onChain.paymentDeadline) * 1000),
+    blockchain: {
+      network: 'localhost',
+      transactionHash: log.transactionHash,
+      blockNumber: log.blockNumber
+    },
+    lastEvent: { blockNumber: log.blockNumber, logIndex: log.index },
+    createdAt: at,
+    updatedAt: at
+  });
+
+  console.log(`[OrderIndexer] OrderCreated: ${orderId}`);
+}
+
+/**
+ * Mark the cart checked out with the orders its checkout created
+ */
+async function indexCheckout(log, parsed, at) {
+  const result = await Cart.updateOne(
+    { cartIdHash: log.topics[1], status: 'open' },
+    {
+      $set: {
+        status: 'checked_out',
+        checkout: {
+          orderIds: [...parsed.args.orderIds],
+          totalAmountWei: parsed.args.totalAmount.toString(),
+          transactionHash: log.transactionHash,
+          blockNumber: log.blockNumber,
+          checkedOutAt: at
+        }
+      }
+    }
+  );
+  if (result.modifiedCount) {
+    console.log(`[OrderIndexer] CartCheckedOut: ${parsed.args.orderIds.length} orders`);
+  }
+}
+
+/**
+ * The OrderCreated log only carries keccak256(orderId). Decode it from the
+ * createOrder or checkout calldata, falling back to a scan of orderIds() for
+ * orders that were created through another contract.
+ */
+async function resolveOrderId(log, orderIdHash) {
+  const tx = await provider.getTransaction(log.transactionHash);
+  try {
+    const call = orderManagerContract.interface.parseTransaction({ data: tx.data, value: tx.value });
+    if (call && call.name === 'createOrder' && ethers.id(call.args[0]) === orderIdHash) {
+      return { orderId: call.args[0] };
+    }
+    if (call && call.name === 'checkout') {
+      const match = call.args[1].find(o => ethers.id(o.orderId) === orderIdHash);
+      if (match) return { orderId: match.orderId, cartId: call.args[0] };
+    }
+  } catch (err) {
+    // not a direct OrderManager call
+  }
+
+  const count = Number(await orderManagerContract.getOrdersCount({ blockTag: log.blockNumber }));
+  for (let i = count - 1; i >= 0; i--) {
+    const orderId = await orderManagerContract.orderIds(i);
+    if (ethers.id(orderId) === orderIdHash) return { orderId };
+  }
+  return {};
+}
+
+function isApplied(order, log) {
+  const { blockNumber, logIndex } = order.lastEvent;
+  return log.blockNumber < blockNumber || (log.blockNumber === blockNumber && log.index <= logIndex);
+}
+
+module.exports = { startOrderIndexer, syncToHead };
@@ -0,0 +1,74 @@
+const { ethers } = require('ethers');
+const { orderManagerContract, provider, wallet } = require('../config/blockchain');
+const Order = require('../models/Order');
+
+// OrderManager.expireOrder is public once the payment deadline has passed, so
+// the sweeper only needs an account with gas (defaults to the deployer key)
+const SWEEPER_ENABLED = process.env.ORDER_SWEEPER_ENABLED !== 'false';
+const INTERVAL_MS = Number(process.env.ORDER_SWEEPER_INTERVAL_MS || 60 * 1000);
+const BATCH_SIZE = Number(process.env.ORDER_SWEEPER_BATCH_SIZE || 20);
+
+const sweeperWallet = process.env.ORDER_SWEEPER_PRIVATE_KEY
+  ? new ethers.Wallet(process.env.ORDER_SWEEPER_PRIVATE_KEY, provider)
+  : wallet;
+
+let sweeping = false;
+
+/**
+ * Expire pending orders whose payment deadline has passed, oldest first.
+ * The indexer turns the resulting events into cancelled orders.
+ */
+async function sweepExpiredOrders() {
+  if (sweeping) return;
+  sweeping = true;
+
+  try {
+    const stale = await Order.find({ status: 'pending', paymentDeadline: { $lt: new Date() } })
+      .sort({ paymentDeadline: 1 })
+      .limit(BATCH_SIZE)
+      .select('orderId')
+      .lean();
+
+    const contract = orderManagerContract.connect(sweeperWallet);
+    let expired = 0;
+
+    for (const { orderId } of stale) {
+      // Paid in the meantime, or the chain clock is behind ours: leave it for now
+      try {
+        await contract.expireOrder.staticCall(orderId);
+      } catch (err) {
+        console.log(`ℹ️ [Sweeper] ${orderId} not expirable yet: ${err.reason || err.shortMessage}`);
+        continue;
+      }
+
+      try {
+        const tx = await contract.expireOrder(orderId);
+        const receipt = await tx.wait();
+        expired++;
+        console.log(`⌛ [Sweeper] Expired ${orderId}, tx: ${receipt.hash}`);
+      } catch (err) {
+        console.error(`❌ [Sweeper] expireOrder ${orderId} failed:`, err.reason || err.shortMessage || err.message);
+      }
+    }
+
+    if (stale.length) {
+      console.log(`[Sweeper] ${expired}/${stale.length} overdue orders expired`);
+    }
+  } catch (err) {
+    console.error('[Sweeper] Error:', err);
+  } finally {
+    sweeping = false;
+  }
+}
+
+function startOrderSweeper() {
+  if (!SWEEPER_ENABLED || !orderManagerContract) {
+    console.log('[Sweeper] Unpaid order sweeper disabled');
+    return;
+  }
+
+  setInterval(sweepExpiredOrders, INTERVAL_MS);
+  console.log(`[Sweeper] Expiring unpaid orders every ${INTERVAL_MS}ms as ${sweeperWallet.address}`);
+}
+
+module.exports = { startOrderSweeper, sweepExpiredOrders };
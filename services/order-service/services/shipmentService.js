@@ -0,0 +1,120 @@
+const { ethers } = require('ethers');
+const Shipment = require('../models/Shipment');
+
+// Time the buyer has to raise a problem after the carrier reports delivery,
+// before services/shipmentTracker.js confirms delivery on their behalf
+const DELIVERY_GRACE_MS = Number(process.env.DELIVERY_CONFIRM_GRACE_MS || 48 * 60 * 60 * 1000);
+
+// Progress order of scan statuses; exception is handled separately
+const PROGRESS = ['pending', 'label_created', 'in_transit', 'out_for_delivery', 'delivered'];
+
+/**
+ * keccak256 of the shipment record anchored by OrderManager.shipOrder
+ */
+function hashShipmentRecord({ orderId, carrier, parcels }) {
+  return ethers.id(JSON.stringify({
+    orderId,
+    carrier,
+    parcels: parcels.map(p => ({ carrier: p.carrier, trackingNumber: p.trackingNumber }))
+  }));
+}
+
+/**
+ * keccak256 of every parcel's delivered scan, anchored with confirmDeliveryWithProof
+ */
+function hashDeliveryProof(shipment) {
+  const scans = shipment.parcels.map(parcel => {
+    const scan = shipment.statusHistory
+      .filter(h => h.parcelId === parcel.parcelId && h.status === 'delivered')
+      .sort((a, b) => a.occurredAt - b.occurredAt)[0];
+    return {
+      carrier: parcel.carrier,
+      trackingNumber: parcel.trackingNumber,
+      eventId: scan ? scan.eventId : null,
+      location: scan ? scan.location : null,
+      occurredAt: scan ? new Date(scan.occurredAt).toISOString() : null
+    };
+  });
+  return ethers.id(JSON.stringify({ orderId: shipment.orderId, scans }));
+}
+
+/**
+ * Overall status: exception if any parcel has one, otherwise the least
+ * advanced parcel's status
+ */
+function aggregateStatus(parcels) {
+  if (parcels.some(p => p.status === 'exception')) return 'exception';
+  return parcels.reduce(
+    (min, p) => (PROGRESS.indexOf(p.status) < PROGRESS.indexOf(min) ? p.status : min),
+    'delivered'
+  );
+}
+
+/**
+ * Apply scans reported by `carrierCode` to the parcels they belong to.
+ * Scans already recorded (same eventId) are ignored; once every parcel is
+ * delivered the shipment is scheduled for delivery confirmation.
+ */
+async function applyScans(carrierCode, scans) {
+  const result = { applied: 0, duplicates: 0, unknown: 0 };
+
+  for (const scan of scans) {
+    if (!Shipment.STATUSES.includes(scan.status)) {
+      result.unknown++;
+      continue;
+    }
+
+    const shipment = await Shipment.findOne({
+      parcels: { $elemMatch: { carrier: carrierCode, trackingNumber: scan.trackingNumber } }
+    });
+    if (!shipment) {
+      result.unknown++;
+      continue;
+    }
+
+    const parcel = shipment.parcels.find(p => p.carrier === carrierCode && p.trackingNumber === scan.trackingNumber);
+    if (shipment.statusHistory.some(h => h.parcelId === parcel.parcelId && h.eventId === scan.eventId)) {
+      result.duplicates++;
+      continue;
+    }
+
+    shipment.statusHistory.push({
+      parcelId: parcel.parcelId,
+      status: scan.status,
+      description: scan.description,
+      location: scan.location,
+      eventId: scan.eventId,
+      source: 'carrier',
+      occurredAt: scan.occurredAt,
+      receivedAt: new Date()
+    });
+
+    // Carriers deliver out of order; only a newer scan moves the parcel
+    if (!parcel.lastScanAt || scan.occurredAt >= parcel.lastScanAt) {
+      parcel.status = scan.status;
+      parcel.lastScanAt = scan.occurredAt;
+    }
+    if (scan.status === 'delivered' && !parcel.deliveredAt) {
+      parcel.deliveredAt = scan.occurredAt;
+    }
+
+    shipment.status = aggregateStatus(shipment.parcels);
+    if (shipment.status === 'delivered' && !shipment.delivery?.deliveredAt) {
+      const deliveredAt = new Date(Math.max(...shipment.parcels.map(p => p.deliveredAt.getTime())));
+      shipment.delivery = {
+        deliveredAt,
+        proofHash: hashDeliveryProof(shipment),
+        confirmAfter: new Date(deliveredAt.getTime() + DELIVERY_GRACE_MS),
+        attempts: 0
+      };
+      console.log(`📦 [Shipments] ${shipment.orderId} delivered, confirming after ${shipment.delivery.confirmAfter.toISOString()}`);
+    }
+
+    await shipment.save();
+    result.applied++;
+  }
+
+  return result;
+}
+
+module.exports = { hashShipmentRecord, hashDeliveryProof, applyScans, DELIVERY_GRACE_MS };
@@ -0,0 +1,117 @@
+const { ethers } = require('ethers');
+const { orderManagerContract, provider, wallet } = require('../config/blockchain');
+const Shipment = require('../models/Shipment');
+const { getCarrier } = require('./carriers');
+const { applyScans } = require('./shipmentService');
+
+// confirmDeliveryWithProof is onlyOwner, so the confirmer key must be the
+// OrderManager owner (the deployer by default)
+const TRACKER_ENABLED = process.env.SHIPMENT_TRACKER_ENABLED !== 'false';
+const INTERVAL_MS = Number(process.env.SHIPMENT_TRACKER_INTERVAL_MS || 60 * 1000);
+const BATCH_SIZE = Number(process.env.SHIPMENT_TRACKER_BATCH_SIZE || 20);
+const MAX_ATTEMPTS = Number(process.env.DELIVERY_CONFIRM_MAX_ATTEMPTS || 5);
+
+const confirmerWallet = process.env.SHIPMENT_CONFIRMER_PRIVATE_KEY
+  ? new ethers.Wallet(process.env.SHIPMENT_CONFIRMER_PRIVATE_KEY, provider)
+  : wallet;
+
+let tracking = false;
+
+/**
+ * Ask carriers that support polling for new scans of shipped, undelivered parcels
+ */
+async function pollCarriers() {
+  const shipments = await Shipment.find({
+    'anchor.transactionHash': { $exists: true },
+    status: { $nin: ['delivered'] }
+  })
+    .sort({ updatedAt: 1 })
+    .limit(BATCH_SIZE)
+    .lean();
+
+  for (const shipment of shipments) {
+    for (const parcel of shipment.parcels) {
+      const carrier = getCarrier(parcel.carrier);
+      if (!carrier || typeof carrier.fetchScans !== 'function' || parcel.status === 'delivered') continue;
+
+      try {
+        const scans = await carrier.fetchScans(parcel.trackingNumber);
+        if (scans.length) await applyScans(carrier.code, scans);
+      } catch (err) {
+        console.error(`❌ [Shipments] ${carrier.code} lookup of ${parcel.trackingNumber} failed:`, err.message);
+      }
+    }
+  }
+}
+
+/**
+ * Confirm delivery on the buyer's behalf for shipments whose grace period
+ * after the delivered scan is over. The indexer records the outcome from
+ * DeliveryProofAnchored.
+ */
+async function confirmDeliveries() {
+  const due = await Shipment.find({
+    'delivery.confirmAfter': { $lte: new Date() },
+    'delivery.confirmedAt': null,
+    'delivery.transactionHash': null,
+    'delivery.attempts': { $lt: MAX_ATTEMPTS }
+  })
+    .sort({ 'delivery.confirmAfter': 1 })
+    .limit(BATCH_SIZE);
+
+  const contract = orderManagerContract.connect(confirmerWallet);
+
+  for (const shipment of due) {
+    const { orderId, delivery } = shipment;
+    delivery.attempts += 1;
+
+    // Buyer confirmed or disputed in the meantime: nothing to do, and no gas spent
+    try {
+      await contract.confirmDeliveryWithProof.staticCall(orderId, delivery.proofHash);
+    } catch (err) {
+      delivery.lastError = err.reason || err.shortMessage || err.message;
+      if (delivery.lastError === 'Invalid status transition') delivery.attempts = MAX_ATTEMPTS;
+      await shipment.save();
+      console.log(`ℹ️ [Shipments] Not confirming ${orderId}: ${delivery.lastError}`);
+      continue;
+    }
+
+    try {
+      const tx = await contract.confirmDeliveryWithProof(orderId, delivery.proofHash);
+      const receipt = await tx.wait();
+      delivery.transactionHash = receipt.hash;
+      delivery.lastError = undefined;
+      console.log(`✅ [Shipments] Confirmed delivery of ${orderId} for the buyer, tx: ${receipt.hash}`);
+    } catch (err) {
+      delivery.lastError = err.reason || err.shortMessage || err.message;
+      console.error(`❌ [Shipments] confirmDeliveryWithProof ${orderId} failed:`, delivery.lastError);
+    }
+    await shipment.save();
+  }
+}
+
+async function runShipmentTracker() {
+  if (tracking) return;
+  tracking = true;
+
+  try {
+    await pollCarriers();
+    await confirmDeliveries();
+  } catch (err) {
+    console.error('[Shipments] Error:', err);
+  } finally {
+    tracking = false;
+  }
+}
+
+function startShipmentTracker() {
+  if (!TRACKER_ENABLED || !orderManagerContract) {
+    console.log('[Shipments] Shipment tracker disabled');
+    return;
+  }
+
+  setInterval(runShipmentTracker, INTERVAL_MS);
+  console.log(`[Shipments] Tracking shipments every ${INTERVAL_MS}ms, confirming deliveries as ${confirmerWallet.address}`);
+}
+
+module.exports = { startShipmentTracker, runShipmentTracker };
@@ -0,0 +1,80 @@
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../services/shipmentService', () => ({
+  applyScans: jest.fn(async (carrier, scans) => ({ applied: scans.length, duplicates: 0, unknown: 0 }))
+}));
+
+// Loads the carrier registry and routes afresh under the given environment,
+// since both read it when they are required
+function load(env) {
+  const saved = Object.fromEntries(Object.keys(env).map(key => [key, process.env[key]]));
+  Object.assign(process.env, env);
+  for (const [key, value] of Object.entries(env)) {
+    if (value === undefined) delete process.env[key];
+  }
+
+  let loaded;
+  jest.isolateModules(() => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/v1/carriers', require('../routes/carriers'));
+    loaded = { app, carriers: require('../services/carriers') };
+  });
+
+  for (const [key, value] of Object.entries(saved)) {
+    if (value === undefined) delete process.env[key];
+    else process.env[key] = value;
+  }
+  return loaded;
+}
+
+const scan = { trackingNumber: 'TRACK-1', status: 'delivered' };
+
+describe('mock carrier', () => {
+  it('is not registered unless enabled', async () => {
+    const { app, carriers } = load({ MOCK_CARRIER_ENABLED: undefined, MOCK_CARRIER_SECRET: 'mock-secret' });
+
+    expect(carriers.getCarrier('mock')).toBeNull();
+    const res = await request(app).post('/api/v1/carriers/mock/webhook').set('x-mock-carrier-secret', 'mock-secret').send(scan);
+    expect(res.status).toBe(404);
+  });
+
+  it('refuses every webhook while no secret is set', async () => {
+    const { app } = load({ MOCK_CARRIER_ENABLED: 'true', MOCK_CARRIER_SECRET: undefined });
+
+    const res = await request(app).post('/api/v1/carriers/mock/webhook').send(scan);
+
+    expect(res.status).toBe(401);
+  });
+
+  it('takes webhooks carrying the secret and refuses the rest', async () => {
+    const { app } = load({ MOCK_CARRIER_ENABLED: 'true', MOCK_CARRIER_SECRET: 'mock-secret' });
+
+    const wrong = await request(app).post('/api/v1/carriers/mock/webhook').set('x-mock-carrier-secret', 'guess').send(scan);
+    const right = await request(app).post('/api/v1/carriers/mock/webhook').set('x-mock-carrier-secret', 'mock-secret').send(scan);
+
+    expect(wrong.status).toBe(401);
+    expect(right.status).toBe(200);
+    expect(right.body).toMatchObject({ received: 1, applied: 1 });
+  });
+
+  it('cannot be picked by sellers in production', () => {
+    const { carriers } = load({ MOCK_CARRIER_ENABLED: 'true', MOCK_CARRIER_SECRET: 'mock-secret' });
+    const savedNodeEnv = process.env.NODE_ENV;
+
+    try {
+      process.env.NODE_ENV = 'production';
+      expect(carriers.isSelectable('mock')).toBe(false);
+      expect(carriers.listCarriers()).toEqual([{ code: 'mock', name: 'Mock Carrier', polling: true, selectable: false }]);
+
+      carriers.registerCarrier({ code: 'parcelco', name: 'ParcelCo', verifyWebhook: () => true, parseWebhook: () => [] });
+      expect(carriers.isSelectable('parcelco')).toBe(true);
+
+      process.env.NODE_ENV = 'development';
+      expect(carriers.isSelectable('mock')).toBe(true);
+    } finally {
+      process.env.NODE_ENV = savedNodeEnv;
+    }
+  });
+});
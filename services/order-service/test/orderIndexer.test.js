@@ -0,0 +1,93 @@
+// OrderManager logs and the indexer's collections as services/orderIndexer.js sees them
+const mockChain = { head: 0, logs: [] };
+const mockDb = { state: null, order: null, updates: [], failNextUpdate: false };
+
+jest.mock('../config/blockchain', () => ({
+  provider: {
+    getBlockNumber: async () => mockChain.head,
+    getLogs: async ({ fromBlock, toBlock }) => mockChain.logs.filter(l => l.blockNumber >= fromBlock && l.blockNumber <= toBlock),
+    getBlock: async number => ({ number, timestamp: 1700000000 + number })
+  },
+  orderManagerContract: {
+    getAddress: async () => '0x0000000000000000000000000000000000000001',
+    interface: { parseLog: log => log.parsed }
+  },
+  listingRegistryContract: {}
+}));
+
+jest.mock('../models/IndexerState', () => ({
+  findOneAndUpdate: async (filter, update) => {
+    if (!mockDb.state) {
+      mockDb.state = { ...filter, ...update.$setOnInsert, save: async () => {} };
+    }
+    return mockDb.state;
+  }
+}));
+
+jest.mock('../models/Order', () => ({
+  findOne: async () => mockDb.order,
+  updateOne: async (filter, update) => {
+    if (mockDb.failNextUpdate) {
+      mockDb.failNextUpdate = false;
+      throw new Error('connection reset');
+    }
+    mockDb.updates.push(update.$set);
+    Object.assign(mockDb.order, update.$set);
+  }
+}));
+
+jest.mock('../models/Cart', () => ({}));
+jest.mock('../models/Shipment', () => ({}));
+
+const { syncToHead } = require('../services/orderIndexer');
+
+const ORDER_HASH = `0x${'aa'.repeat(32)}`;
+
+function orderLog(blockNumber, name, args) {
+  return { blockNumber, index: 0, transactionHash: `0x${String(blockNumber).padStart(64, '0')}`, topics: ['0x', ORDER_HASH], parsed: { name, args } };
+}
+
+describe('order indexer', () => {
+  beforeEach(() => {
+    mockChain.head = 12;
+    mockChain.logs = [
+      orderLog(10, 'OrderPaid', { escrowId: `0x${'ee'.repeat(32)}` }),
+      orderLog(11, 'OrderStatusUpdated', { oldStatus: 1n, newStatus: 2n }),
+      orderLog(12, 'OrderDelivered', {})
+    ];
+    mockDb.state = null;
+    mockDb.order = { _id: 1, orderId: 'order-1', status: 'paid', lastEvent: { blockNumber: 9, logIndex: 0 } };
+    mockDb.updates = [];
+    mockDb.failNextUpdate = false;
+  });
+
+  it('applies logs from the checkpoint and saves it at the head', async () => {
+    await syncToHead();
+
+    expect(mockDb.updates.map(u => u.lastEvent.blockNumber)).toEqual([10, 11, 12]);
+    expect(mockDb.order.status).toBe('shipped');
+    expect(mockDb.state.lastProcessedBlock).toBe(12);
+    expect(mockDb.state.lastError).toBeUndefined();
+  });
+
+  it('stops at a failing log without skipping it and retries it on the next pass', async () => {
+    await syncToHead();
+    mockChain.logs.push(orderLog(13, 'OrderStatusUpdated', { oldStatus: 2n, newStatus: 3n }), orderLog(14, 'OrderShipped', { trackingInfo: 'late' }));
+    mockChain.head = 14;
+    mockDb.failNextUpdate = true;
+
+    await syncToHead();
+
+    expect(mockDb.order.status).toBe('shipped');
+    expect(mockDb.updates).toHaveLength(3);
+    expect(mockDb.state.lastProcessedBlock).toBe(12);
+    expect(mockDb.state.lastError).toMatchObject({ message: 'connection reset', blockNumber: 13 });
+
+    await syncToHead();
+
+    expect(mockDb.updates.map(u => u.lastEvent.blockNumber)).toEqual([10, 11, 12, 13, 14]);
+    expect(mockDb.order.status).toBe('delivered');
+    expect(mockDb.state.lastProcessedBlock).toBe(14);
+    expect(mockDb.state.lastError).toBeUndefined();
+  });
+});
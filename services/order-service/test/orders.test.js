@@ -0,0 +1,205 @@
+const crypto = require('crypto');
+const express = require('express');
+const request = require('supertest');
+const { ethers } = require('ethers');
+
+// OrderManager as the routes see it, answering from `mockChain.orders`
+const mockChain = {
+  orders: {},
+  allowedStatuses: {},
+  calls: []
+};
+
+jest.mock('../config/blockchain', () => {
+  const tx = hash => ({ wait: async () => ({ hash, blockNumber: 7 }) });
+  const getOrder = async orderId => {
+    if (!mockChain.orders[orderId]) throw new Error('execution reverted: "Order does not exist"');
+    return mockChain.orders[orderId];
+  };
+  const orderManagerContract = {
+    getOrder,
+    getAllowedStatuses: async (orderId, account) => {
+      mockChain.calls.push(['getAllowedStatuses', orderId, account]);
+      return mockChain.allowedStatuses[account.toLowerCase()] || [];
+    },
+    updateOrderStatus: async (orderId, status) => {
+      mockChain.calls.push(['updateOrderStatus', orderId, status]);
+      mockChain.orders[orderId] = { ...mockChain.orders[orderId], status: BigInt(status) };
+      return tx(`0x${'11'.repeat(32)}`);
+    },
+    cancelOrderAndRefund: async (orderId, reason) => {
+      mockChain.calls.push(['cancelOrderAndRefund', orderId, reason]);
+      const order = mockChain.orders[orderId];
+      if (order.status > 1n) throw new Error('execution reverted: "Cannot cancel at this stage"');
+      mockChain.orders[orderId] = { ...order, status: order.status === 1n ? 6n : 4n };
+      return tx(`0x${'22'.repeat(32)}`);
+    },
+    connect: signer => ({
+      confirmDeliveryAndRelease: async orderId => {
+        mockChain.calls.push(['confirmDeliveryAndRelease', orderId, signer]);
+        mockChain.orders[orderId] = { ...mockChain.orders[orderId], status: 3n };
+        return tx(`0x${'33'.repeat(32)}`);
+      }
+    })
+  };
+  return {
+    provider: {},
+    wallet: {},
+    getFreshWallet: () => 'server-wallet',
+    listingRegistryContract: {},
+    escrowContract: {},
+    orderManagerContract
+  };
+});
+
+const SECRET = 'order-service-test-secret';
+const TEST_ENV = { AUTH_JWT_SECRET: SECRET, ENABLE_SERVER_SIGNING: 'true' };
+
+const buyer = ethers.Wallet.createRandom().address;
+const seller = ethers.Wallet.createRandom().address;
+const stranger = ethers.Wallet.createRandom().address;
+
+// An access token as identity-reputation issues it
+function accessToken(address) {
+  const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const header = encode({ alg: 'HS256', typ: 'JWT' });
+  const body = encode({
+    iss: 'nozama-identity',
+    sub: address,
+    did: `did:ethr:${address.toLowerCase()}`,
+    exp: Math.floor(Date.now() / 1000) + 3600
+  });
+  const signature = crypto.createHmac('sha256', SECRET).update(`${header}.${body}`).digest('base64url');
+  return `${header}.${body}.${signature}`;
+}
+
+function chainOrder(status, escrowId = ethers.ZeroHash) {
+  return { orderId: 'order-1', buyer, seller, status: BigInt(status), escrowId, updatedAt: 1700000000n };
+}
+
+describe('orders routes', () => {
+  let app;
+  let savedEnv;
+
+  beforeAll(() => {
+    savedEnv = Object.fromEntries(Object.keys(TEST_ENV).map(key => [key, process.env[key]]));
+    Object.assign(process.env, TEST_ENV);
+
+    // utils/transactions reads ENABLE_SERVER_SIGNING when it is loaded
+    app = express();
+    app.use(express.json());
+    app.use('/api/v1/orders', require('../routes/orders'));
+  });
+
+  afterAll(() => {
+    for (const [key, value] of Object.entries(savedEnv)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+  });
+
+  beforeEach(() => {
+    mockChain.orders = {};
+    mockChain.allowedStatuses = {};
+    mockChain.calls = [];
+  });
+
+  const post = (path, address, body = {}) => request(app)
+    .post(`/api/v1/orders${path}`)
+    .set('Authorization', `Bearer ${accessToken(address)}`)
+    .send(body);
+
+  describe('POST /:orderId/confirm-delivery', () => {
+    it('confirms through confirmDeliveryAndRelease, ignoring an escrowId in the body', async () => {
+      const escrowId = ethers.id('escrow-1');
+      mockChain.orders['order-1'] = chainOrder(2, escrowId);
+
+      const res = await post('/order-1/confirm-delivery', buyer, { escrowId: ethers.id('someone-elses-escrow') });
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({ orderId: 'order-1', escrowId, status: 'delivered' });
+      expect(mockChain.calls).toEqual([['confirmDeliveryAndRelease', 'order-1', 'server-wallet']]);
+    });
+
+    it('refuses anyone but the buyer', async () => {
+      mockChain.orders['order-1'] = chainOrder(2, ethers.id('escrow-1'));
+
+      const res = await post('/order-1/confirm-delivery', seller);
+
+      expect(res.status).toBe(403);
+      expect(mockChain.calls).toEqual([]);
+    });
+  });
+
+  describe('POST /:orderId/cancel', () => {
+    it('cancels an unpaid order through cancelOrderAndRefund', async () => {
+      mockChain.orders['order-1'] = chainOrder(0);
+
+      const res = await post('/order-1/cancel', buyer, { reason: 'Changed my mind' });
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({ orderId: 'order-1', status: 'cancelled', escrowId: null });
+      expect(res.body.blockchain).toEqual({ transactionHash: `0x${'22'.repeat(32)}`, blockNumber: 7 });
+      expect(mockChain.calls).toEqual([['cancelOrderAndRefund', 'order-1', 'Changed my mind']]);
+    });
+
+    it('reports the refund of a paid order', async () => {
+      const escrowId = ethers.id('escrow-1');
+      mockChain.orders['order-1'] = chainOrder(1, escrowId);
+
+      const res = await post('/order-1/cancel', seller);
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({ status: 'refunded', escrowId, message: 'Order cancelled and escrow refunded' });
+    });
+
+    it('refuses anyone but the buyer or seller', async () => {
+      mockChain.orders['order-1'] = chainOrder(0);
+
+      const res = await post('/order-1/cancel', stranger);
+
+      expect(res.status).toBe(403);
+      expect(mockChain.calls).toEqual([]);
+    });
+
+    it('answers 400 once the order has shipped', async () => {
+      mockChain.orders['order-1'] = chainOrder(2, ethers.id('escrow-1'));
+
+      const res = await post('/order-1/cancel', buyer);
+
+      expect(res.status).toBe(400);
+    });
+  });
+
+  describe('PUT /:orderId/status', () => {
+    const put = (address, body) => request(app)
+      .put('/api/v1/orders/order-1/status')
+      .set('Authorization', `Bearer ${accessToken(address)}`)
+      .send(body);
+
+    it('refuses a move the seller could not make themselves', async () => {
+      mockChain.orders['order-1'] = chainOrder(2, ethers.id('escrow-1'));
+      mockChain.allowedStatuses[buyer.toLowerCase()] = [3n, 5n];
+
+      const res = await put(seller, { status: 'delivered' });
+
+      expect(res.status).toBe(409);
+      expect(res.body).toMatchObject({ error: 'InvalidStatusTransition', currentStatus: 'shipped', allowedStatuses: [] });
+      expect(mockChain.calls).toEqual([['getAllowedStatuses', 'order-1', seller]]);
+    });
+
+    it('makes a move allowed for the caller', async () => {
+      mockChain.orders['order-1'] = chainOrder(2, ethers.id('escrow-1'));
+      mockChain.allowedStatuses[buyer.toLowerCase()] = [3n, 5n];
+
+      const res = await put(buyer, { status: 'delivered' });
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({ orderId: 'order-1', status: 'delivered' });
+      expect(mockChain.calls).toEqual([
+        ['getAllowedStatuses', 'order-1', buyer],
+        ['updateOrderStatus', 'order-1', 3]
+      ]);
+    });
+  });
+});
@@ -0,0 +1,144 @@
+const crypto = require('crypto');
+const express = require('express');
+const request = require('supertest');
+
+// Orders and claimed event ids as the route sees them in MongoDB
+const mockDb = {
+  orders: [],
+  processed: new Set(),
+  updates: []
+};
+
+jest.mock('../models/Order', () => ({
+  findOne: async filter => mockDb.orders.find(o => Object.entries(filter).every(([key, value]) => o[key] === value)) || null,
+  updateOne: async (filter, update) => {
+    mockDb.updates.push(update);
+    const order = mockDb.orders.find(o => o._id === filter._id);
+    if (update.$set) Object.assign(order, update.$set);
+    if (update.$unset) for (const key of Object.keys(update.$unset)) delete order[key];
+  }
+}));
+
+jest.mock('../models/ProcessedWebhookEvent', () => ({
+  create: async ({ eventId }) => {
+    if (mockDb.processed.has(eventId)) throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+    mockDb.processed.add(eventId);
+  },
+  deleteOne: async ({ eventId }) => {
+    mockDb.processed.delete(eventId);
+  }
+}));
+
+const SECRET = 'whsec_test';
+const TEST_ENV = { ESCROW_WEBHOOK_SECRET: SECRET };
+
+const RELEASED_ID = `0x${'ab'.repeat(32)}:3:escrow.released`;
+
+// A delivery as payment-service's dispatcher sends it
+function delivery(payload, { secret = SECRET, timestamp = new Date().toISOString() } = {}) {
+  const body = JSON.stringify({ ...payload, timestamp });
+  return {
+    body,
+    signature: crypto.createHmac('sha256', secret).update(body).digest('hex')
+  };
+}
+
+describe('escrow webhooks', () => {
+  let app;
+  let savedEnv;
+
+  beforeAll(() => {
+    savedEnv = Object.fromEntries(Object.keys(TEST_ENV).map(key => [key, process.env[key]]));
+    Object.assign(process.env, TEST_ENV);
+
+    // routes/webhooks reads ESCROW_WEBHOOK_SECRET when it is loaded
+    app = express();
+    app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
+    app.use('/api/v1/webhooks', require('../routes/webhooks'));
+  });
+
+  afterAll(() => {
+    for (const [key, value] of Object.entries(savedEnv)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+  });
+
+  beforeEach(() => {
+    mockDb.orders = [{ _id: 1, orderId: 'order-1', escrowId: '0xescrow', status: 'shipped' }];
+    mockDb.processed = new Set();
+    mockDb.updates = [];
+  });
+
+  const send = ({ body, signature }) => request(app)
+    .post('/api/v1/webhooks/escrow-events')
+    .set('Content-Type', 'application/json')
+    .set('x-escrow-signature', signature)
+    .send(body);
+
+  const released = { id: RELEASED_ID, event: 'escrow.released', orderId: 'order-1', escrowId: '0xescrow', state: 'released' };
+
+  it('records the escrow outcome of a signed event and leaves the order status alone', async () => {
+    const res = await send(delivery(released));
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ received: true, orderId: 'order-1', escrowState: 'released' });
+    expect(mockDb.orders[0].status).toBe('shipped');
+    expect(mockDb.orders[0].escrowState).toMatchObject({ state: 'released', eventId: RELEASED_ID });
+  });
+
+  it('keeps the buyer share of a resolved dispute', async () => {
+    const resolved = { ...released, id: `0x${'cd'.repeat(32)}:0:escrow.resolved`, event: 'escrow.resolved', dispute: { buyerShareBps: 3000 } };
+
+    await send(delivery(resolved));
+
+    expect(mockDb.orders[0].status).toBe('shipped');
+    expect(mockDb.orders[0].escrowState).toMatchObject({ state: 'resolved', buyerShareBps: 3000 });
+  });
+
+  it('rejects a bad signature', async () => {
+    const res = await send(delivery(released, { secret: 'whsec_other' }));
+
+    expect(res.status).toBe(401);
+    expect(res.body.message).toBe('Invalid signature');
+    expect(mockDb.updates).toEqual([]);
+  });
+
+  it('rejects a stale timestamp', async () => {
+    const res = await send(delivery(released, { timestamp: new Date(Date.now() - 10 * 60 * 1000).toISOString() }));
+
+    expect(res.status).toBe(401);
+    expect(res.body.message).toBe('Timestamp outside tolerance');
+    expect(mockDb.updates).toEqual([]);
+  });
+
+  it('handles a redelivered event id once', async () => {
+    const first = await send(delivery(released));
+    const second = await send(delivery(released));
+
+    expect(first.body.escrowState).toBe('released');
+    expect(second.body).toEqual({ received: true, duplicate: true });
+    expect(mockDb.updates).toHaveLength(1);
+  });
+
+  it('steps the escrow state back when a reorg reverts the event', async () => {
+    await send(delivery(released));
+
+    const res = await send(delivery({
+      id: `${RELEASED_ID}:reverted:0xorphaned`,
+      event: 'escrow.reverted',
+      revertedEventId: RELEASED_ID,
+      revertedEvent: 'escrow.released',
+      orderId: 'order-1',
+      escrowId: '0xescrow',
+      state: 'locked'
+    }));
+
+    expect(res.status).toBe(200);
+    expect(mockDb.orders[0].escrowState).toMatchObject({ state: 'locked' });
+
+    // The re-mined event is applied again under its old id
+    const again = await send(delivery(released));
+    expect(again.body.escrowState).toBe('released');
+  });
+});
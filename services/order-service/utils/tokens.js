@@ -0,0 +1,113 @@
+const { ethers } = require('ethers');
+const { provider, listingRegistryContract } = require('../config/blockchain');
+
+const ERC20_ABI = [
+  'function name() view returns (string)',
+  'function symbol() view returns (string)',
+  'function decimals() view returns (uint8)',
+  'function allowance(address owner, address spender) view returns (uint256)',
+  'function approve(address spender, uint256 amount) returns (bool)',
+  'function nonces(address owner) view returns (uint256)'
+];
+
+const ETH = { address: null, symbol: 'ETH', decimals: 18 };
+
+// Token metadata never changes, so it is cached for the life of the process
+const tokenInfoCache = new Map();
+
+function isNativeToken(address) {
+  return !address || address === ethers.ZeroAddress;
+}
+
+function getTokenContract(address) {
+  return new ethers.Contract(address, ERC20_ABI, provider);
+}
+
+/**
+ * Symbol and decimals of a payment token (ETH for the zero address)
+ */
+async function getTokenInfo(address) {
+  if (isNativeToken(address)) return ETH;
+
+  const key = address.toLowerCase();
+  if (!tokenInfoCache.has(key)) {
+    const token = getTokenContract(address);
+    const [symbol, decimals] = await Promise.all([token.symbol(), token.decimals()]);
+    tokenInfoCache.set(key, { address: ethers.getAddress(address), symbol, decimals: Number(decimals) });
+  }
+  return tokenInfoCache.get(key);
+}
+
+/**
+ * Contracts of the ERC-20 tokens currently allow-listed in ListingRegistry
+ */
+async function getPaymentTokenContracts() {
+  if (!listingRegistryContract) return [];
+  const [, tokens] = await listingRegistryContract.getPaymentTokens();
+  return tokens.filter(t => !isNativeToken(t)).map(getTokenContract);
+}
+
+/**
+ * EIP-712 typed data for an EIP-2612 permit letting `spender` pull `value`
+ * from `owner`. The wallet signs it with eth_signTypedData_v4.
+ */
+async function buildPermitTypedData(tokenAddress, owner, spender, value, deadline) {
+  const token = getTokenContract(tokenAddress);
+  const [name, nonce, network] = await Promise.all([
+    token.name(),
+    token.nonces(owner),
+    provider.getNetwork()
+  ]);
+
+  return {
+    domain: {
+      name,
+      version: '1',
+      chainId: Number(network.chainId),
+      verifyingContract: ethers.getAddress(tokenAddress)
+    },
+    types: {
+      Permit: [
+        { name: 'owner', type: 'address' },
+        { name: 'spender', type: 'address' },
+        { name: 'value', type: 'uint256' },
+        { name: 'nonce', type: 'uint256' },
+        { name: 'deadline', type: 'uint256' }
+      ]
+    },
+    primaryType: 'Permit',
+    message: {
+      owner,
+      spender,
+      value: value.toString(),
+      nonce: nonce.toString(),
+      deadline: deadline.toString()
+    }
+  };
+}
+
+/**
+ * Split a 65-byte permit signature into the (v, r, s) contract arguments.
+ * Throws a 400 error if it is not a valid signature.
+ */
+function splitPermitSignature(signature) {
+  try {
+    const { v, r, s } = ethers.Signature.from(signature);
+    return { v, r, s };
+  } catch (error) {
+    const err = new Error('permit.signature is not a valid signature');
+    err.name = 'BadRequest';
+    err.status = 400;
+    throw err;
+  }
+}
+
+module.exports = {
+  ETH,
+  isNativeToken,
+  getTokenContract,
+  getTokenInfo,
+  getPaymentTokenContracts,
+  buildPermitTypedData,
+  splitPermitSignature
+};
@@ -0,0 +1,185 @@
+const { ethers } = require('ethers');
+const { provider } = require('../config/blockchain');
+
+// Server-side signing (deployer/buyer keys held by this service) is a local
+// development convenience only. Everywhere else clients sign with their own wallet.
+const SERVER_SIGNING_ENABLED = process.env.ENABLE_SERVER_SIGNING === 'true';
+
+/**
+ * Reject routes that sign transactions with a server-held key unless the
+ * dev flag is set
+ */
+const requireServerSigning = (req, res, next) => {
+  if (SERVER_SIGNING_ENABLED) return next();
+
+  return res.status(403).json({
+    error: 'ServerSigningDisabled',
+    message: 'Server-side signing is disabled. Use the matching /prepare endpoint, sign the transaction with your wallet and POST it to /api/v1/transactions',
+    timestamp: new Date().toISOString()
+  });
+};
+
+/**
+ * Build an unsigned transaction for a contract call, to be signed by `from`.
+ * The call is gas-estimated against the current chain state, so a call that
+ * would revert is rejected here instead of after the user signs it.
+ */
+async function prepareTransaction(contract, method, args, { from, value = 0n } = {}) {
+  const to = await contract.getAddress();
+  const data = contract.interface.encodeFunctionData(method, args);
+
+  let gasLimit;
+  try {
+    gasLimit = await provider.estimateGas({ from, to, data, value });
+  } catch (error) {
+    const err = new Error(error.reason || error.shortMessage || error.message);
+    err.name = 'TransactionWouldRevert';
+    err.status = 422;
+    throw err;
+  }
+
+  const [network, nonce, feeData] = await Promise.all([
+    provider.getNetwork(),
+    provider.getTransactionCount(from, 'pending'),
+    provider.getFeeData()
+  ]);
+
+  return {
+    from,
+    to,
+    data,
+    value: value.toString(),
+    chainId: Number(network.chainId),
+    nonce,
+    // headroom for state changes between estimation and inclusion
+    gasLimit: ((gasLimit * 120n) / 100n).toString(),
+    maxFeePerGas: feeData.maxFeePerGas ? feeData.maxFeePerGas.toString() : null,
+    maxPriorityFeePerGas: feeData.maxPriorityFeePerGas ? feeData.maxPriorityFeePerGas.toString() : null,
+    gasPrice: feeData.gasPrice ? feeData.gasPrice.toString() : null,
+    method
+  };
+}
+
+/**
+ * Validate a wallet-signed raw transaction and broadcast it. Only calls to the
+ * given contracts on the connected chain are relayed.
+ */
+async function relaySignedTransaction(signedTx, contracts) {
+  let tx;
+  try {
+    tx = ethers.Transaction.from(signedTx);
+  } catch (error) {
+    const err = new Error('signedTx is not a valid serialized transaction');
+    err.name = 'BadRequest';
+    err.status = 400;
+    throw err;
+  }
+
+  if (!tx.signature || !tx.from) {
+    const err = new Error('Transaction is not signed');
+    err.name = 'BadRequest';
+    err.status = 400;
+    throw err;
+  }
+
+  const network = await provider.getNetwork();
+  if (tx.chainId !== network.chainId) {
+    const err = new Error(`Transaction chainId ${tx.chainId} does not match network chainId ${network.chainId}`);
+    err.name = 'BadRequest';
+    err.status = 400;
+    throw err;
+  }
+
+  const target = await findContract(contracts, tx.to);
+  if (!target) {
+    const err = new Error('Transaction target is not a Nozama contract handled by this service');
+    err.name = 'BadRequest';
+    err.status = 400;
+    throw err;
+  }
+
+  const call = target.interface.parseTransaction({ data: tx.data, value: tx.value });
+
+  const response = await provider.broadcastTransaction(signedTx);
+  console.log(`[TX] Relayed ${call ? call.name : 'unknown'} from ${tx.from}: ${response.hash}`);
+
+  return {
+    hash: response.hash,
+    from: tx.from,
+    to: tx.to,
+    nonce: tx.nonce,
+    method: call ? call.name : null,
+    args: call ? toPlain(call.args.toObject()) : null
+  };
+}
+
+/**
+ * Current status of a relayed transaction, with decoded contract events
+ */
+async function getTransactionStatus(hash, contracts) {
+  const [tx, receipt] = await Promise.all([
+    provider.getTransaction(hash),
+    provider.getTransactionReceipt(hash)
+  ]);
+
+  if (!tx) return null;
+
+  if (!receipt) {
+    return { hash, from: tx.from, to: tx.to, nonce: tx.nonce, status: 'pending' };
+  }
+
+  const events = [];
+  for (const log of receipt.logs) {
+    for (const contract of contracts.filter(Boolean)) {
+      try {
+        const parsed = contract.interface.parseLog(log);
+        if (parsed) {
+          events.push({ name: parsed.name, args: toPlain(parsed.args.toObject()) });
+          break;
+        }
+      } catch (error) {
+        // log belongs to another contract
+      }
+    }
+  }
+
+  return {
+    hash,
+    from: tx.from,
+    to: tx.to,
+    nonce: tx.nonce,
+    status: receipt.status === 1 ? 'confirmed' : 'failed',
+    blockNumber: receipt.blockNumber,
+    confirmations: await receipt.confirmations(),
+    gasUsed: receipt.gasUsed.toString(),
+    events
+  };
+}
+
+async function findContract(contracts, address) {
+  if (!address) return null;
+  for (const contract of contracts.filter(Boolean)) {
+    if ((await contract.getAddress()).toLowerCase() === address.toLowerCase()) {
+      return contract;
+    }
+  }
+  return null;
+}
+
+// BigInts and ethers Results are not JSON serializable
+function toPlain(value) {
+  if (typeof value === 'bigint') return value.toString();
+  if (Array.isArray(value)) return value.map(toPlain);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, toPlain(v)]));
+  }
+  return value;
+}
+
+module.exports = {
+  SERVER_SIGNING_ENABLED,
+  requireServerSigning,
+  prepareTransaction,
+  relaySignedTransaction,
+  getTransactionStatus
+};
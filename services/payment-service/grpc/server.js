@@ -10,6 +10,22 @@ const {
     escrowContract,
     getFreshWallet
 } = require("../src/config/blockchain");
+const { SERVER_SIGNING_ENABLED, relaySignedTransaction } = require("../src/services/transactions");
+const EscrowModel = require("../src/models/Escrow");
+const { getTokenInfo } = require("../src/services/tokens");
+
+const ESCROW_STATES = ["locked", "released", "refunded", "disputed", "resolved"];
+
+const EVENT_TYPES = {
+    EscrowCreated: "created",
+    EscrowReleased: "released",
+    EscrowRefunded: "refunded",
+    DisputeInitiated: "disputed",
+    DisputeResolved: "resolved"
+};
+
+const STREAM_POLL_INTERVAL_MS = Number(process.env.GRPC_STREAM_POLL_INTERVAL_MS || 2000);
+const STREAM_BATCH_SIZE = 2000;
 
 // Load proto
 const PROTO_PATH = path.join(__dirname, "escrow.proto");
@@ -60,6 +76,14 @@ async function CreateEscrow(call, callback) {
 
     console.log("➡️ gRPC Request: CreateEscrow", call.request);
 
+    // Signs with BUYER_PRIVATE_KEY, so only available in local dev
+    if (!SERVER_SIGNING_ENABLED) {
+      return callback({
+        code: grpc.status.FAILED_PRECONDITION,
+        message: "Server-side signing is disabled; the buyer must sign createEscrow (POST /api/v1/escrows/prepare)"
+      });
+    }
+
     const { orderId, buyer, seller, amount } = call.request;
     const amountWei = ethers.parseEther(String(amount));
 
@@ -133,15 +157,245 @@ async function RefundEscrow(call, callback) {
     }
 }
 
+// Initiate Dispute
+async function InitiateDispute(call, callback) {
+    try {
+        const { escrowId, signedTx } = call.request;
+
+        if (signedTx) {
+            const relayed = await relaySignedTransaction(signedTx, [escrowContract]);
+            if (relayed.method !== "initiateDispute" || relayed.args._escrowId.toLowerCase() !== String(escrowId).toLowerCase()) {
+                return callback({
+                    code: grpc.status.INVALID_ARGUMENT,
+                    message: "signedTx must call initiateDispute for the requested escrowId"
+                });
+            }
+
+            return callback(null, {
+                status: "pending",
+                message: "Dispute transaction submitted",
+                escrowId,
+                transactionHash: relayed.hash
+            });
+        }
+
+        // Only the buyer or seller may dispute, so the server needs the buyer's key
+        if (!SERVER_SIGNING_ENABLED) {
+            return callback({
+                code: grpc.status.FAILED_PRECONDITION,
+                message: "Server-side signing is disabled; pass a wallet-signed initiateDispute transaction in signedTx"
+            });
+        }
+
+        const buyerWallet = new ethers.Wallet(process.env.BUYER_PRIVATE_KEY, escrowContract.runner.provider);
+        const tx = await escrowContract.connect(buyerWallet).initiateDispute(escrowId);
+        const receipt = await tx.wait();
+
+        callback(null, {
+            status: "success",
+            message: "Dispute initiated",
+            escrowId,
+            transactionHash: receipt.hash
+        });
+    } catch (err) {
+        callback(toGrpcError(err));
+    }
+}
+
+// Get Escrow (on-chain)
+async function GetEscrow(call, callback) {
+    try {
+        const escrow = await escrowContract.getEscrow(call.request.escrowId);
+        callback(null, await fromChain(escrow));
+    } catch (err) {
+        callback(toGrpcError(err));
+    }
+}
+
+// Get Escrow by order ID (on-chain)
+async function GetEscrowByOrderId(call, callback) {
+    try {
+        const escrow = await escrowContract.getEscrowByOrderId(call.request.orderId);
+        callback(null, await fromChain(escrow));
+    } catch (err) {
+        callback(toGrpcError(err));
+    }
+}
+
+// List Escrows (indexed read model)
+async function ListEscrows(call, callback) {
+    try {
+        const { buyer, seller, orderId, state } = call.request;
+        const page = Math.max(call.request.page || 1, 1);
+        const limit = Math.min(Math.max(call.request.limit || 20, 1), 100);
+
+        const filter = {};
+        for (const [field, value] of [["buyer", buyer], ["seller", seller]]) {
+            if (!value) continue;
+            if (!ethers.isAddress(value)) {
+                return callback({ code: grpc.status.INVALID_ARGUMENT, message: `Invalid ${field} address` });
+            }
+            filter[`${field}.address`] = ethers.getAddress(value);
+        }
+        if (orderId) filter.orderId = orderId;
+        if (state) {
+            if (!ESCROW_STATES.includes(state)) {
+                return callback({ code: grpc.status.INVALID_ARGUMENT, message: `state must be one of ${ESCROW_STATES.join(", ")}` });
+            }
+            filter.state = state;
+        }
+
+        const { items, total } = await EscrowModel.list(filter, page, limit);
+        callback(null, { escrows: items.map(fromDocument), total, page, limit });
+    } catch (err) {
+        callback(toGrpcError(err));
+    }
+}
+
 // Stream Escrow Events (Server PUSH)
+// Replays logs from fromBlock / cursor, then polls for new blocks. Each call
+// has its own timer, cleared when the client cancels or the stream ends.
 function StreamEscrowEvents(call) {
-    escrowContract.on("EscrowReleased", (escrowId) => {
-        call.write({ type: "released", escrowId, updatedAt: new Date().toISOString() });
-    });
+    const { fromBlock, cursor, types } = call.request;
+    const wanted = types && types.length ? new Set(types) : null;
+
+    let after = { blockNumber: -1, logIndex: -1 };
+    if (cursor) {
+        const [blockNumber, logIndex] = cursor.split(":").map(Number);
+        if (!Number.isInteger(blockNumber) || !Number.isInteger(logIndex)) {
+            return call.destroy({ code: grpc.status.INVALID_ARGUMENT, message: "cursor must be <blockNumber>:<logIndex>" });
+        }
+        after = { blockNumber, logIndex };
+    }
 
-    escrowContract.on("EscrowRefunded", (escrowId) => {
-        call.write({ type: "refunded", escrowId, updatedAt: new Date().toISOString() });
-    });
+    let nextBlock = cursor ? after.blockNumber : Number(fromBlock || 0);
+    let timer = null;
+    let closed = false;
+    const orderIds = new Map();
+
+    const cleanup = () => {
+        closed = true;
+        if (timer) clearTimeout(timer);
+    };
+    call.on("cancelled", cleanup);
+    call.on("close", cleanup);
+    call.on("error", cleanup);
+
+    const poll = async () => {
+        try {
+            const head = await escrowContract.runner.provider.getBlockNumber();
+
+            while (!closed && nextBlock <= head) {
+                const to = Math.min(nextBlock + STREAM_BATCH_SIZE - 1, head);
+                const logs = await escrowContract.queryFilter("*", nextBlock, to);
+
+                for (const log of logs) {
+                    if (closed) return;
+                    const type = EVENT_TYPES[log.eventName];
+                    if (!type || (wanted && !wanted.has(type))) continue;
+                    if (log.blockNumber < after.blockNumber ||
+                        (log.blockNumber === after.blockNumber && log.index <= after.logIndex)) continue;
+
+                    call.write(await toStreamEvent(log, type, orderIds));
+                }
+
+                nextBlock = to + 1;
+            }
+        } catch (err) {
+            console.error("❌ gRPC StreamEscrowEvents error:", err.message);
+            cleanup();
+            return call.destroy({ code: grpc.status.INTERNAL, message: err.message });
+        }
+
+        if (!closed) timer = setTimeout(poll, STREAM_POLL_INTERVAL_MS);
+    };
+
+    poll();
+}
+
+async function toStreamEvent(log, type, orderIds) {
+    const escrowId = log.args.escrowId;
+
+    if (!orderIds.has(escrowId)) {
+        const escrow = await escrowContract.getEscrow(escrowId);
+        orderIds.set(escrowId, escrow.orderId);
+    }
+
+    const block = await log.getBlock();
+    const account = {
+        created: log.args.buyer,
+        released: log.args.seller,
+        refunded: log.args.buyer,
+        disputed: log.args.initiator,
+        resolved: log.args.arbitrator
+    }[type];
+
+    return {
+        type,
+        escrowId,
+        updatedAt: new Date(block.timestamp * 1000).toISOString(),
+        orderId: orderIds.get(escrowId),
+        blockNumber: String(log.blockNumber),
+        transactionHash: log.transactionHash,
+        cursor: `${log.blockNumber}:${log.index}`,
+        account: account || "",
+        amountWei: log.args.amount !== undefined ? log.args.amount.toString() : ""
+    };
+}
+
+async function fromChain(escrow) {
+    const token = await getTokenInfo(escrow.token);
+    return {
+        escrowId: escrow.escrowId,
+        orderId: escrow.orderId,
+        buyer: { address: escrow.buyer, did: `did:ethr:${escrow.buyer}` },
+        seller: { address: escrow.seller, did: `did:ethr:${escrow.seller}` },
+        amount: ethers.formatUnits(escrow.amount, token.decimals),
+        amountWei: escrow.amount.toString(),
+        currency: token.symbol,
+        tokenAddress: token.address || "",
+        decimals: token.decimals,
+        state: ESCROW_STATES[Number(escrow.state)] || "unknown",
+        disputed: escrow.disputed,
+        createdAt: new Date(Number(escrow.createdAt) * 1000).toISOString(),
+        releaseTime: new Date(Number(escrow.releaseTime) * 1000).toISOString(),
+        canAutoRelease: await escrowContract.canAutoRelease(escrow.escrowId)
+    };
+}
+
+function fromDocument(doc) {
+    const releaseTime = doc.releaseTime ? new Date(doc.releaseTime) : null;
+    const decimals = doc.token && doc.token.decimals !== undefined ? doc.token.decimals : 18;
+    return {
+        escrowId: doc.escrowId,
+        orderId: doc.orderId,
+        buyer: { address: doc.buyer.address, did: doc.buyer.did || `did:ethr:${doc.buyer.address}` },
+        seller: { address: doc.seller.address, did: doc.seller.did || `did:ethr:${doc.seller.address}` },
+        amount: ethers.formatUnits(doc.amountWei, decimals),
+        amountWei: doc.amountWei,
+        currency: doc.currency || "ETH",
+        tokenAddress: (doc.token && doc.token.address) || "",
+        decimals,
+        state: doc.state,
+        disputed: !!doc.disputed,
+        createdAt: new Date(doc.createdAt).toISOString(),
+        releaseTime: releaseTime ? releaseTime.toISOString() : "",
+        canAutoRelease: doc.state === "locked" && !doc.disputed && !!releaseTime && releaseTime <= new Date()
+    };
+}
+
+function toGrpcError(err) {
+    const message = err.reason || err.shortMessage || err.message;
+    if (/does not exist|No escrow found/.test(message)) {
+        return { code: grpc.status.NOT_FOUND, message };
+    }
+    if (err.code === "INVALID_ARGUMENT" || err.status === 400) {
+        return { code: grpc.status.INVALID_ARGUMENT, message };
+    }
+    if (err.code === "CALL_EXCEPTION" || err.status === 422) {
+        return { code: grpc.status.FAILED_PRECONDITION, message };
+    }
+    return { code: grpc.status.INTERNAL, message };
 }
 
 // ============= SERVER START ==================
@@ -152,6 +406,10 @@ function startGrpcServer() {
         CreateEscrow,
         ReleaseEscrow,
         RefundEscrow,
+        InitiateDispute,
+        GetEscrow,
+        GetEscrowByOrderId,
+        ListEscrows,
         StreamEscrowEvents
     });
 
@@ -0,0 +1,165 @@
+// src/controllers/admin.controller.js
+const { ethers } = require('ethers');
+const { escrowContract } = require('../config/blockchain');
+const { reindexFrom, getIndexerStatus } = require('../services/indexer');
+const { runKeeper, getKeeperStatus } = require('../services/releaseKeeper');
+const AutoRelease = require('../models/AutoRelease');
+const { recordAudit } = require('../services/audit');
+
+/**
+ * Escrow indexer checkpoint, head and lag
+ */
+exports.getIndexer = async (req, res, next) => {
+  try {
+    res.json(await getIndexerStatus());
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Re-index escrow events from a block: projections from that block on are
+ * rolled back and replayed by the indexer
+ */
+exports.reindex = async (req, res, next) => {
+  try {
+    const fromBlock = Number(req.body.fromBlock);
+    if (!Number.isInteger(fromBlock) || fromBlock < 0) {
+      return res.status(400).json({ error: 'BadRequest', message: 'fromBlock must be a non-negative integer' });
+    }
+
+    const before = await getIndexerStatus();
+    const result = await reindexFrom(fromBlock);
+    await recordAudit({ req, action: 'indexer.reindex', target: { type: 'indexer', id: 'escrow' }, before, after: result });
+    res.status(202).json(result);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Auto-release keeper configuration, last run and outcome counts
+ */
+exports.getKeeper = async (req, res, next) => {
+  try {
+    res.json(await getKeeperStatus());
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Recorded keeper outcomes, newest first
+ *
+ * Query: status, orderId, page, limit
+ */
+exports.listAutoReleases = async (req, res, next) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const filter = {};
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.orderId) filter.orderId = req.query.orderId;
+
+    const { items, total } = await AutoRelease.list(filter, page, limit);
+    res.json({ releases: items, total, page, limit });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Run the keeper now. { "dryRun": true } only simulates this run; a keeper
+ * configured with KEEPER_DRY_RUN never sends transactions.
+ */
+exports.runKeeper = async (req, res, next) => {
+  try {
+    const dryRun = req.body.dryRun === true || undefined;
+    const summary = await runKeeper({ dryRun });
+    if (!summary) {
+      return res.status(409).json({ error: 'Conflict', message: 'A keeper run is already in progress' });
+    }
+    await recordAudit({ req, action: 'keeper.run', target: { type: 'keeper', id: 'auto-release' }, after: summary });
+    res.json(summary);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Whether an address is an appointed arbitrator
+ */
+exports.getArbitrator = async (req, res, next) => {
+  try {
+    if (!escrowContract) return res.status(503).json({ error: 'ServiceUnavailable' });
+    if (!ethers.isAddress(req.params.address)) {
+      return res.status(400).json({ error: 'BadRequest', message: 'Invalid address' });
+    }
+
+    const address = ethers.getAddress(req.params.address);
+    res.json({ address, active: await escrowContract.arbitrators(address) });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Appoint (active: true) or remove (active: false) an arbitrator
+ */
+exports.setArbitrator = async (req, res, next) => {
+  try {
+    if (!escrowContract) return res.status(503).json({ error: 'ServiceUnavailable' });
+    if (!ethers.isAddress(req.params.address)) {
+      return res.status(400).json({ error: 'BadRequest', message: 'Invalid address' });
+    }
+    if (typeof req.body.active !== 'boolean') {
+      return res.status(400).json({ error: 'BadRequest', message: 'active must be a boolean' });
+    }
+
+    const address = ethers.getAddress(req.params.address);
+    const wasActive = await escrowContract.arbitrators(address);
+    const tx = await escrowContract.setArbitrator(address, req.body.active);
+    const receipt = await tx.wait();
+    await recordAudit({
+      req,
+      action: 'arbitrator.set',
+      target: { type: 'arbitrator', id: address },
+      before: { active: wasActive },
+      after: { active: req.body.active, transactionHash: receipt.hash }
+    });
+    res.json({ address, active: req.body.active, transactionHash: receipt.hash });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Assign an appointed arbitrator to an open dispute
+ */
+exports.assignArbitrator = async (req, res, next) => {
+  try {
+    if (!escrowContract) return res.status(503).json({ error: 'ServiceUnavailable' });
+
+    const { escrowId } = req.params;
+    const { arbitrator } = req.body;
+    if (!arbitrator || !ethers.isAddress(arbitrator)) {
+      return res.status(400).json({ error: 'BadRequest', message: 'arbitrator must be a valid address' });
+    }
+
+    const tx = await escrowContract.assignArbitrator(escrowId, ethers.getAddress(arbitrator));
+    const receipt = await tx.wait();
+    await recordAudit({
+      req,
+      action: 'dispute.assign_arbitrator',
+      target: { type: 'escrow', id: escrowId },
+      after: { arbitrator: ethers.getAddress(arbitrator), transactionHash: receipt.hash }
+    });
+    res.json({ escrowId, arbitrator: ethers.getAddress(arbitrator), transactionHash: receipt.hash });
+  } catch (err) {
+    const reason = err.reason || err.shortMessage;
+    if (reason && /not disputed|Not an appointed arbitrator|cannot be a party/.test(reason)) {
+      return res.status(409).json({ error: 'Conflict', message: reason });
+    }
+    next(err);
+  }
+};
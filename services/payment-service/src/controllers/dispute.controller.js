@@ -0,0 +1,143 @@
+// src/controllers/dispute.controller.js
+const Dispute = require('../models/Dispute');
+const EscrowModel = require('../models/Escrow');
+const { escrowContract } = require('../config/blockchain');
+const { prepareTransaction } = require('../services/transactions');
+const { requireCaller } = require('../../../shared/auth');
+const { ethers } = require('ethers');
+
+const DISPUTE_STATUSES = ['open', 'resolved', 'closed'];
+
+// CIDv0 (base58 "Qm...") or base32 CIDv1 ("b...")
+const CID_PATTERN = /^(Qm[1-9A-HJ-NP-Za-km-z]{44}|b[a-z2-7]{50,})$/;
+
+function checkSigner(from) {
+  if (!from) return 'from is required';
+  if (!ethers.isAddress(from)) return 'from must be a valid address';
+  return null;
+}
+
+/**
+ * List disputes (filter by status/buyer/seller/arbitrator/orderId)
+ */
+exports.listDisputes = async (req, res, next) => {
+  try {
+    const { status, buyer, seller, arbitrator, orderId, page = 1, limit = 20 } = req.query;
+    const filter = {};
+
+    if (status) {
+      if (!DISPUTE_STATUSES.includes(status)) {
+        return res.status(400).json({ error: 'BadRequest', message: `status must be one of ${DISPUTE_STATUSES.join(', ')}` });
+      }
+      filter.status = status;
+    }
+    for (const [field, value] of Object.entries({ buyer, seller, arbitrator })) {
+      if (!value) continue;
+      if (!ethers.isAddress(value)) return res.status(400).json({ error: 'BadRequest', message: `Invalid ${field} address` });
+      filter[field] = ethers.getAddress(value);
+    }
+    if (orderId) filter.orderId = orderId;
+
+    const { items, total } = await Dispute.list(filter, Number(page), Number(limit));
+    res.json({
+      disputes: items,
+      pagination: { currentPage: Number(page), totalResults: total, resultsPerPage: Number(limit) }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Get the dispute of an escrow, with its evidence trail and outcome
+ */
+exports.getDispute = async (req, res, next) => {
+  try {
+    const dispute = await Dispute.findOne({ escrowId: req.params.escrowId }).lean();
+    if (!dispute) return res.status(404).json({ error: 'NotFound', message: 'Dispute not found' });
+
+    const evidenceOpen = dispute.status === 'open' && dispute.evidenceDeadline && new Date(dispute.evidenceDeadline) > new Date();
+    res.json({ ...dispute, evidenceOpen });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Prepare an unsigned initiateDispute transaction (signer defaults to the buyer)
+ */
+exports.prepareOpenDispute = async (req, res, next) => {
+  try {
+    if (!escrowContract) return res.status(503).json({ error: 'ServiceUnavailable' });
+
+    const { escrowId } = req.params;
+    const doc = await EscrowModel.findOne({ escrowId }).lean();
+    const from = req.body.from || doc?.buyer?.address;
+    const invalid = checkSigner(from);
+    if (invalid) return res.status(400).json({ error: 'BadRequest', message: invalid });
+    if (!requireCaller(req, res, from, 'the wallet named in from')) return;
+
+    const transaction = await prepareTransaction(escrowContract, 'initiateDispute', [escrowId], { from });
+    res.json({ escrowId, transaction });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Prepare an unsigned submitEvidence transaction for the buyer or seller.
+ * The evidence itself lives on IPFS; only its CID goes on-chain.
+ */
+exports.prepareSubmitEvidence = async (req, res, next) => {
+  try {
+    if (!escrowContract) return res.status(503).json({ error: 'ServiceUnavailable' });
+
+    const { escrowId } = req.params;
+    const { from, evidenceCID } = req.body;
+    const invalid = checkSigner(from);
+    if (invalid) return res.status(400).json({ error: 'BadRequest', message: invalid });
+    if (!requireCaller(req, res, from, 'the wallet named in from')) return;
+    if (!evidenceCID || !CID_PATTERN.test(evidenceCID)) {
+      return res.status(400).json({ error: 'BadRequest', message: 'evidenceCID must be an IPFS CID' });
+    }
+
+    const transaction = await prepareTransaction(escrowContract, 'submitEvidence', [escrowId, evidenceCID], { from });
+    res.json({ escrowId, evidenceCID, transaction });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Prepare an unsigned resolveDispute transaction for an appointed arbitrator.
+ * buyerShareBps is the buyer's share in basis points (0 = all to seller, 10000 = full refund).
+ */
+exports.prepareResolveDispute = async (req, res, next) => {
+  try {
+    if (!escrowContract) return res.status(503).json({ error: 'ServiceUnavailable' });
+
+    const { escrowId } = req.params;
+    const { from, rulingCID = '' } = req.body;
+    const buyerShareBps = Number(req.body.buyerShareBps);
+
+    const invalid = checkSigner(from);
+    if (invalid) return res.status(400).json({ error: 'BadRequest', message: invalid });
+    if (!requireCaller(req, res, from, 'the wallet named in from')) return;
+    if (!Number.isInteger(buyerShareBps) || buyerShareBps < 0 || buyerShareBps > 10000) {
+      return res.status(400).json({ error: 'BadRequest', message: 'buyerShareBps must be an integer between 0 and 10000' });
+    }
+    if (rulingCID && !CID_PATTERN.test(rulingCID)) {
+      return res.status(400).json({ error: 'BadRequest', message: 'rulingCID must be an IPFS CID' });
+    }
+
+    const transaction = await prepareTransaction(
+      escrowContract,
+      'resolveDispute',
+      [escrowId, buyerShareBps, rulingCID],
+      { from }
+    );
+    res.json({ escrowId, buyerShareBps, transaction });
+  } catch (err) {
+    next(err);
+  }
+};
@@ -1,6 +1,13 @@
 // src/controllers/escrow.controller.js
 const EscrowModel = require('../models/Escrow');
 const { escrowContract, getFreshWallet, deployment, provider } = require('../config/blockchain');
+const { prepareTransaction } = require('../services/transactions');
+const { requireCaller } = require('../../../shared/auth');
+const { recordAudit } = require('../services/audit');
+const { getTokenInfo, getTokenContract, buildPermitTypedData } = require('../services/tokens');
+
+// Lifetime of the permit typed data returned by prepareCreateEscrow
+const PERMIT_TTL_SECONDS = 30 * 60;
 const { ethers } = require('ethers');
 
 /**
@@ -40,7 +47,7 @@ exports.getEscrow = async (req, res, next) => {
 };
 
 /**
- * Create escrow (server-side signing for demo). NOTE: production should have buyer create transaction client-side.
+ * Create escrow (server-side signing, dev only). Wallets use prepareCreateEscrow + POST /transactions.
  */
 exports.createEscrow = async (req, res, next) => {
   try {
@@ -58,6 +65,7 @@ exports.createEscrow = async (req, res, next) => {
         message: "Invalid Ethereum address for buyer or seller"
       });
     }
+    if (!requireCaller(req, res, buyer.address, 'the buyer')) return;
 
     const amountWei = ethers.parseEther(String(amount));
     // For demo purposes: server creates a wallet and signs the tx (buyer impersonation).
@@ -108,9 +116,20 @@ exports.releaseEscrow = async (req, res, next) => {
     const { escrowId } = req.params;
     if (!escrowContract) return res.status(503).json({ error: 'ServiceUnavailable' });
 
+    const doc = await EscrowModel.findOne({ escrowId }).lean();
+    if (!doc) return res.status(404).json({ error: 'NotFound', message: 'Escrow not found' });
+    if (!requireCaller(req, res, doc.buyer?.address, 'the buyer')) return;
+
     // Release is performed by owner or buyer; server will call using deployer key (demo)
     const tx = await escrowContract.releaseEscrow(escrowId);
     const receipt = await tx.wait();
+    await recordAudit({
+      req,
+      action: 'escrow.release',
+      target: { type: 'escrow', id: escrowId },
+      before: doc,
+      after: { state: 'Released', transactionHash: receipt.hash, blockNumber: receipt.blockNumber }
+    });
     // indexer will update DB; return optimistic response
     res.json({ escrowId, transactionHash: receipt.transactionHash, status: 'released' });
   } catch (err) {
@@ -132,8 +151,19 @@ exports.refundEscrow = async (req, res, next) => {
     const { escrowId } = req.params;
     if (!escrowContract) return res.status(503).json({ error: 'ServiceUnavailable' });
 
+    const doc = await EscrowModel.findOne({ escrowId }).lean();
+    if (!doc) return res.status(404).json({ error: 'NotFound', message: 'Escrow not found' });
+    if (!requireCaller(req, res, doc.seller?.address, 'the seller')) return;
+
     const tx = await escrowContract.refundEscrow(escrowId);
     const receipt = await tx.wait();
+    await recordAudit({
+      req,
+      action: 'escrow.refund',
+      target: { type: 'escrow', id: escrowId },
+      before: doc,
+      after: { state: 'Refunded', transactionHash: receipt.hash, blockNumber: receipt.blockNumber }
+    });
     res.json({ escrowId, transactionHash: receipt.transactionHash, status: 'refunded' });
   } catch (err) {
     if (err.message && err.message.includes('Escrow does not exist')) {
@@ -144,16 +174,239 @@ exports.refundEscrow = async (req, res, next) => {
 };
 
 /**
- * Register webhook (simple in-memory)
+ * Prepare an unsigned createEscrow transaction for the buyer's wallet.
+ * The indexer records the escrow once the signed transaction is mined.
+ *
+ * With `token` (an ERC-20 address) `amount` is in token units and the escrow
+ * pulls it with transferFrom. Without an allowance the response carries an
+ * `approval` transaction and EIP-2612 `permit` typed data instead; send the
+ * approval, or sign the permit and pass { permit: { deadline, signature } }.
+ */
+exports.prepareCreateEscrow = async (req, res, next) => {
+  try {
+    if (!escrowContract) return res.status(503).json({ error: 'ServiceUnavailable', message: 'Escrow contract not available' });
+
+    const { orderId, buyer, seller, amount } = req.body;
+    if (!orderId || !buyer?.address || !seller?.address || !amount) {
+      return res.status(400).json({ error: 'BadRequest', message: 'orderId, buyer.address, seller.address, amount required' });
+    }
+
+    if (!ethers.isAddress(buyer.address) || !ethers.isAddress(seller.address)) {
+      return res.status(400).json({ error: 'BadRequest', message: 'Invalid Ethereum address for buyer or seller' });
+    }
+    if (!requireCaller(req, res, buyer.address, 'the buyer')) return;
+
+    const { token: tokenAddress, permit } = req.body;
+    if (!tokenAddress) {
+      const amountWei = ethers.parseEther(String(amount));
+      const transaction = await prepareTransaction(
+        escrowContract,
+        'createEscrow',
+        [orderId, seller.address],
+        { from: buyer.address, value: amountWei }
+      );
+      return res.json({ orderId, transaction });
+    }
+
+    if (!ethers.isAddress(tokenAddress)) {
+      return res.status(400).json({ error: 'BadRequest', message: 'Invalid token address' });
+    }
+
+    const token = await getTokenInfo(tokenAddress);
+    const amountUnits = ethers.parseUnits(String(amount), token.decimals);
+    const escrowAddress = await escrowContract.getAddress();
+
+    if (permit) {
+      if (!permit.deadline || !permit.signature) {
+        return res.status(400).json({ error: 'BadRequest', message: 'permit.deadline and permit.signature are required' });
+      }
+      let sig;
+      try {
+        sig = ethers.Signature.from(permit.signature);
+      } catch (e) {
+        return res.status(400).json({ error: 'BadRequest', message: 'permit.signature is not a valid signature' });
+      }
+
+      const transaction = await prepareTransaction(
+        escrowContract,
+        'createTokenEscrowWithPermit',
+        [orderId, token.address, seller.address, amountUnits, permit.deadline, sig.v, sig.r, sig.s],
+        { from: buyer.address }
+      );
+      return res.json({ orderId, token, transaction });
+    }
+
+    const tokenContract = getTokenContract(token.address);
+    const allowance = await tokenContract.allowance(buyer.address, escrowAddress);
+    if (allowance >= amountUnits) {
+      const transaction = await prepareTransaction(
+        escrowContract,
+        'createTokenEscrow',
+        [orderId, token.address, seller.address, amountUnits],
+        { from: buyer.address }
+      );
+      return res.json({ orderId, token, transaction });
+    }
+
+    const deadline = Math.floor(Date.now() / 1000) + PERMIT_TTL_SECONDS;
+    const [approval, permitTypedData] = await Promise.all([
+      prepareTransaction(tokenContract, 'approve', [escrowAddress, amountUnits], { from: buyer.address }),
+      buildPermitTypedData(token.address, buyer.address, escrowAddress, amountUnits, deadline)
+    ]);
+
+    res.json({ orderId, token, transaction: null, approval, permit: permitTypedData });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Prepare an unsigned releaseEscrow transaction (signer defaults to the buyer)
+ */
+exports.prepareReleaseEscrow = async (req, res, next) => {
+  try {
+    if (!escrowContract) return res.status(503).json({ error: 'ServiceUnavailable' });
+
+    const { escrowId } = req.params;
+    const doc = await EscrowModel.findOne({ escrowId }).lean();
+    const from = req.body.from || doc?.buyer?.address;
+    if (!from) return res.status(400).json({ error: 'BadRequest', message: 'from is required' });
+    if (!requireCaller(req, res, from, 'the wallet named in from')) return;
+
+    const transaction = await prepareTransaction(escrowContract, 'releaseEscrow', [escrowId], { from });
+    res.json({ escrowId, transaction });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Prepare an unsigned refundEscrow transaction (signer defaults to the seller)
  */
-const { registerWebhook } = require('../services/webhookService');
-exports.registerWebhook = async (req, res, next) => {
+exports.prepareRefundEscrow = async (req, res, next) => {
   try {
-    const { url, events, secret } = req.body;
-    if (!url || !events) return res.status(400).json({ error: 'BadRequest', message: 'url and events required' });
-    const id = `wh_${Date.now()}`;
-    const result = registerWebhook({ id, url, events, secret });
-    res.status(201).json(result);
+    if (!escrowContract) return res.status(503).json({ error: 'ServiceUnavailable' });
+
+    const { escrowId } = req.params;
+    const doc = await EscrowModel.findOne({ escrowId }).lean();
+    const from = req.body.from || doc?.seller?.address;
+    if (!from) return res.status(400).json({ error: 'BadRequest', message: 'from is required' });
+    if (!requireCaller(req, res, from, 'the wallet named in from')) return;
+
+    const transaction = await prepareTransaction(escrowContract, 'refundEscrow', [escrowId], { from });
+    res.json({ escrowId, transaction });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Prepare an unsigned claimHoldback transaction, paying the seller the part of
+ * a release kept back for returns once the return window is over
+ */
+exports.prepareClaimHoldback = async (req, res, next) => {
+  try {
+    if (!escrowContract) return res.status(503).json({ error: 'ServiceUnavailable' });
+
+    const { escrowId } = req.params;
+    const doc = await EscrowModel.findOne({ escrowId }).lean();
+    const from = req.body.from || doc?.seller?.address;
+    if (!from) return res.status(400).json({ error: 'BadRequest', message: 'from is required' });
+    if (!requireCaller(req, res, from, 'the wallet named in from')) return;
+
+    const transaction = await prepareTransaction(escrowContract, 'claimHoldback', [escrowId], { from });
+    res.json({ escrowId, holdback: doc?.holdback || null, transaction });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Seller's return deposit for a currency (?token=, ETH when omitted)
+ */
+exports.getReturnReserve = async (req, res, next) => {
+  try {
+    if (!escrowContract) return res.status(503).json({ error: 'ServiceUnavailable' });
+
+    const { seller } = req.params;
+    const tokenAddress = req.query.token || ethers.ZeroAddress;
+    if (!ethers.isAddress(seller) || !ethers.isAddress(tokenAddress)) {
+      return res.status(400).json({ error: 'BadRequest', message: 'Invalid seller or token address' });
+    }
+
+    const token = await getTokenInfo(tokenAddress);
+    const balance = await escrowContract.sellerDeposits(seller, tokenAddress);
+    res.json({
+      seller,
+      token,
+      balanceWei: balance.toString(),
+      balance: ethers.formatUnits(balance, token.decimals)
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Prepare an unsigned depositReturnReserve transaction. `amount` is in units
+ * of the currency; for a token without allowance an `approval` is returned instead.
+ */
+exports.prepareDepositReturnReserve = async (req, res, next) => {
+  try {
+    if (!escrowContract) return res.status(503).json({ error: 'ServiceUnavailable' });
+
+    const { from, amount } = req.body;
+    const tokenAddress = req.body.token || ethers.ZeroAddress;
+    if (!from || !amount) return res.status(400).json({ error: 'BadRequest', message: 'from and amount are required' });
+    if (!ethers.isAddress(from) || !ethers.isAddress(tokenAddress)) {
+      return res.status(400).json({ error: 'BadRequest', message: 'Invalid from or token address' });
+    }
+    if (!requireCaller(req, res, from, 'the wallet named in from')) return;
+
+    const token = await getTokenInfo(tokenAddress);
+    const amountUnits = ethers.parseUnits(String(amount), token.decimals);
+
+    if (!token.address) {
+      const transaction = await prepareTransaction(
+        escrowContract, 'depositReturnReserve', [tokenAddress, amountUnits], { from, value: amountUnits }
+      );
+      return res.json({ token, transaction });
+    }
+
+    const escrowAddress = await escrowContract.getAddress();
+    const tokenContract = getTokenContract(token.address);
+    const allowance = await tokenContract.allowance(from, escrowAddress);
+    if (allowance < amountUnits) {
+      const approval = await prepareTransaction(tokenContract, 'approve', [escrowAddress, amountUnits], { from });
+      return res.json({ token, transaction: null, approval });
+    }
+
+    const transaction = await prepareTransaction(escrowContract, 'depositReturnReserve', [token.address, amountUnits], { from });
+    res.json({ token, transaction });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Prepare an unsigned withdrawReturnReserve transaction (unreserved deposit only)
+ */
+exports.prepareWithdrawReturnReserve = async (req, res, next) => {
+  try {
+    if (!escrowContract) return res.status(503).json({ error: 'ServiceUnavailable' });
+
+    const { from, amount } = req.body;
+    const tokenAddress = req.body.token || ethers.ZeroAddress;
+    if (!from || !amount) return res.status(400).json({ error: 'BadRequest', message: 'from and amount are required' });
+    if (!ethers.isAddress(from) || !ethers.isAddress(tokenAddress)) {
+      return res.status(400).json({ error: 'BadRequest', message: 'Invalid from or token address' });
+    }
+    if (!requireCaller(req, res, from, 'the wallet named in from')) return;
+
+    const token = await getTokenInfo(tokenAddress);
+    const amountUnits = ethers.parseUnits(String(amount), token.decimals);
+    const transaction = await prepareTransaction(escrowContract, 'withdrawReturnReserve', [tokenAddress, amountUnits], { from });
+    res.json({ token, transaction });
   } catch (err) {
     next(err);
   }
@@ -0,0 +1,39 @@
+// src/controllers/transaction.controller.js
+const { escrowContract } = require('../config/blockchain');
+const { relaySignedTransaction, getTransactionStatus } = require('../services/transactions');
+const { getPaymentTokenContracts } = require('../services/tokens');
+
+/**
+ * Relay a wallet-signed Escrow transaction (from one of the /prepare endpoints),
+ * or an approval on an allow-listed payment token
+ */
+exports.submitTransaction = async (req, res, next) => {
+  try {
+    if (!escrowContract) return res.status(503).json({ error: 'ServiceUnavailable', message: 'Escrow contract not available' });
+
+    const { signedTx } = req.body;
+    if (!signedTx) return res.status(400).json({ error: 'BadRequest', message: 'signedTx required' });
+
+    const relayed = await relaySignedTransaction(signedTx, [escrowContract, ...await getPaymentTokenContracts()]);
+    res.status(202).json({
+      ...relayed,
+      status: 'pending',
+      statusUrl: `/api/v1/transactions/${relayed.hash}`
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Track a relayed transaction
+ */
+exports.getTransaction = async (req, res, next) => {
+  try {
+    const status = await getTransactionStatus(req.params.txHash, [escrowContract]);
+    if (!status) return res.status(404).json({ error: 'NotFound', message: 'Transaction not found' });
+    res.json(status);
+  } catch (err) {
+    next(err);
+  }
+};
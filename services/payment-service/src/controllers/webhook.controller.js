@@ -0,0 +1,189 @@
+// src/controllers/webhook.controller.js
+const WebhookSubscription = require('../models/WebhookSubscription');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const {
+  WEBHOOK_EVENTS,
+  registerWebhook,
+  rotateSecret,
+  replayDelivery,
+  sendTestPing
+} = require('../services/webhookService');
+
+const DELIVERY_STATUSES = ['pending', 'delivering', 'delivered', 'dead_letter', 'cancelled'];
+
+function validateSubscription({ url, events }, partial = false) {
+  if (!partial || url !== undefined) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (err) {
+      return 'url must be a valid http(s) URL';
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) return 'url must be a valid http(s) URL';
+  }
+
+  if (!partial || events !== undefined) {
+    if (!Array.isArray(events) || !events.length) return 'events must be a non-empty array';
+    const unknown = events.filter(e => e !== '*' && !WEBHOOK_EVENTS.includes(e));
+    if (unknown.length) {
+      return `Unknown events: ${unknown.join(', ')}. Valid events: ${WEBHOOK_EVENTS.join(', ')}, *`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Register webhook. The signing secret is only returned here and on rotate.
+ */
+exports.createWebhook = async (req, res, next) => {
+  try {
+    const { url, events, secret, description } = req.body;
+    const invalid = validateSubscription({ url, events });
+    if (invalid) return res.status(400).json({ error: 'BadRequest', message: invalid });
+
+    const result = await registerWebhook({ url, events, secret, description });
+    res.status(201).json(result);
+  } catch (err) {
+    next(err);
+  }
+};
+
+exports.listWebhooks = async (req, res, next) => {
+  try {
+    const subscriptions = await WebhookSubscription.find().sort({ createdAt: -1 });
+    res.json({ webhooks: subscriptions.map(s => s.toPublic()) });
+  } catch (err) {
+    next(err);
+  }
+};
+
+exports.getWebhook = async (req, res, next) => {
+  try {
+    const subscription = await WebhookSubscription.findOne({ webhookId: req.params.webhookId });
+    if (!subscription) return res.status(404).json({ error: 'NotFound', message: 'Webhook not found' });
+    res.json(subscription.toPublic());
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Update url, events, description or active flag
+ */
+exports.updateWebhook = async (req, res, next) => {
+  try {
+    const updates = {};
+    for (const field of ['url', 'events', 'description', 'active']) {
+      if (req.body[field] !== undefined) updates[field] = req.body[field];
+    }
+
+    const invalid = validateSubscription(updates, true);
+    if (invalid) return res.status(400).json({ error: 'BadRequest', message: invalid });
+    if (updates.active !== undefined && typeof updates.active !== 'boolean') {
+      return res.status(400).json({ error: 'BadRequest', message: 'active must be a boolean' });
+    }
+
+    const subscription = await WebhookSubscription.findOneAndUpdate(
+      { webhookId: req.params.webhookId },
+      updates,
+      { new: true }
+    );
+    if (!subscription) return res.status(404).json({ error: 'NotFound', message: 'Webhook not found' });
+    res.json(subscription.toPublic());
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Delete a subscription; its queued deliveries are cancelled, history is kept
+ */
+exports.deleteWebhook = async (req, res, next) => {
+  try {
+    const { webhookId } = req.params;
+    const deleted = await WebhookSubscription.findOneAndDelete({ webhookId });
+    if (!deleted) return res.status(404).json({ error: 'NotFound', message: 'Webhook not found' });
+
+    await WebhookDelivery.updateMany(
+      { webhookId, status: 'pending' },
+      { status: 'cancelled', lastError: 'Subscription deleted' }
+    );
+    res.status(204).end();
+  } catch (err) {
+    next(err);
+  }
+};
+
+exports.rotateWebhookSecret = async (req, res, next) => {
+  try {
+    const result = await rotateSecret(req.params.webhookId);
+    if (!result) return res.status(404).json({ error: 'NotFound', message: 'Webhook not found' });
+    res.json(result);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Send a webhook.ping right away and return the delivery with its attempt
+ */
+exports.testWebhook = async (req, res, next) => {
+  try {
+    const subscription = await WebhookSubscription.findOne({ webhookId: req.params.webhookId }).lean();
+    if (!subscription) return res.status(404).json({ error: 'NotFound', message: 'Webhook not found' });
+
+    const delivery = await sendTestPing(subscription);
+    res.json({ delivered: delivery.status === 'delivered', delivery });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Delivery log for a subscription (filter by status, e.g. dead_letter)
+ */
+exports.listDeliveries = async (req, res, next) => {
+  try {
+    const { status, page = 1, limit = 20 } = req.query;
+    if (status && !DELIVERY_STATUSES.includes(status)) {
+      return res.status(400).json({ error: 'BadRequest', message: `status must be one of ${DELIVERY_STATUSES.join(', ')}` });
+    }
+
+    const filter = { webhookId: req.params.webhookId };
+    if (status) filter.status = status;
+
+    const { items, total } = await WebhookDelivery.list(filter, Number(page), Number(limit));
+    res.json({
+      deliveries: items,
+      pagination: { currentPage: Number(page), totalResults: total, resultsPerPage: Number(limit) }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+exports.getDelivery = async (req, res, next) => {
+  try {
+    const delivery = await WebhookDelivery.findOne({ deliveryId: req.params.deliveryId }).lean();
+    if (!delivery) return res.status(404).json({ error: 'NotFound', message: 'Delivery not found' });
+    res.json(delivery);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Re-queue a dead-lettered delivery
+ */
+exports.replayDelivery = async (req, res, next) => {
+  try {
+    const delivery = await replayDelivery(req.params.deliveryId);
+    if (!delivery) {
+      return res.status(409).json({ error: 'Conflict', message: 'Only dead-lettered or cancelled deliveries can be replayed' });
+    }
+    res.status(202).json(delivery);
+  } catch (err) {
+    next(err);
+  }
+};
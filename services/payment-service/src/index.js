@@ -1,13 +1,19 @@
 // src/index.js
 require("dotenv").config();
-console.log("🔑 ENV LOADED - BUYER_PRIVATE_KEY =", process.env.BUYER_PRIVATE_KEY);
 const express = require('express');
 const bodyParser = require('body-parser');
 const cors = require('cors');
 const connectMongo = require('./config/database');
 
 const escrowRoutes = require('./routes/escrow.routes');
+const adminRoutes = require('./routes/admin.routes');
+const webhookRoutes = require('./routes/webhook.routes');
+const disputeRoutes = require('./routes/dispute.routes');
 const { startIndexer } = require('./services/indexer');
+const { SERVER_SIGNING_ENABLED } = require('./services/transactions');
+const { startWebhookDispatcher } = require('./services/webhookService');
+const { startAuditDispatcher } = require('./services/audit');
+const { startReleaseKeeper, renderMetrics } = require('./services/releaseKeeper');
 const startGrpcServer = require('../grpc/server');  // <-- ADD THIS
 
 const app = express();
@@ -25,10 +31,18 @@ app.use((req, res, next) => {
 
 // Routes
 app.use('/api/v1', escrowRoutes);
+app.use('/api/v1/admin', adminRoutes);
+app.use('/api/v1/webhooks', webhookRoutes);
+app.use('/api/v1/disputes', disputeRoutes);
 
 // Health
 app.get('/health', (req, res) => res.json({ status: 'ok' }));
 
+// Prometheus scrape endpoint
+app.get('/metrics', (req, res) => {
+  res.type('text/plain; version=0.0.4').send(renderMetrics());
+});
+
 // Error handler
 app.use((err, req, res, next) => {
   console.error('Error:', err);
@@ -47,10 +61,20 @@ app.use((err, req, res, next) => {
 
     app.listen(PORT, () => {
       console.log(`Escrow Service listening on ${PORT}`);
+      console.log(`Server-side signing: ${SERVER_SIGNING_ENABLED ? 'ENABLED (dev only)' : 'disabled'}`);
     });
 
-    // Start indexer (listen to on-chain events)
-    startIndexer();
+    // Deliver queued webhooks (retries with backoff, dead-letter after max attempts)
+    startWebhookDispatcher();
+
+    // Forward audit entries to the audit log in identity-reputation
+    startAuditDispatcher();
+
+    // Start indexer (backfill from checkpoint, then follow confirmed blocks)
+    await startIndexer();
+
+    // Release locked escrows whose timeout has passed
+    startReleaseKeeper();
 
     // 🚀 Start gRPC server
     startGrpcServer();     // <-- CALL HERE
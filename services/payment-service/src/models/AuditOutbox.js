@@ -0,0 +1,30 @@
+// src/models/AuditOutbox.js
+const mongoose = require('mongoose');
+
+// Audit entries waiting to be appended to the audit log in identity-reputation.
+// services/audit.js sends them in the order they were recorded.
+const AuditOutboxSchema = new mongoose.Schema({
+  eventId: { type: String, required: true, unique: true },
+  entry: { type: mongoose.Schema.Types.Mixed, required: true },
+  status: {
+    type: String,
+    enum: ['pending', 'delivered'],
+    default: 'pending',
+    index: true
+  },
+  attempts: { type: Number, default: 0 },
+  nextAttemptAt: { type: Date, default: Date.now },
+  lastError: { type: String },
+  // Position and hash the audit log gave the entry
+  seq: { type: Number },
+  hash: { type: String },
+  deliveredAt: { type: Date }
+}, {
+  collection: 'audit_outbox',
+  timestamps: true,
+  minimize: false
+});
+
+AuditOutboxSchema.index({ status: 1, createdAt: 1 });
+
+module.exports = mongoose.model('AuditOutbox', AuditOutboxSchema);
@@ -0,0 +1,40 @@
+// src/models/AutoRelease.js
+const mongoose = require('mongoose');
+
+// Outcome of the release keeper (services/releaseKeeper.js) for one escrow.
+// The row is reused across runs, so `attempts` counts every submission and
+// failed escrows are retried from nextAttemptAt until maxAttempts.
+const AutoReleaseSchema = new mongoose.Schema({
+  escrowId: { type: String, required: true, unique: true },
+  orderId: { type: String, index: true },
+  status: {
+    type: String,
+    enum: ['submitted', 'released', 'failed', 'skipped', 'dry_run'],
+    required: true,
+    index: true
+  },
+  runId: { type: String },
+  keeper: { type: String },
+  attempts: { type: Number, default: 0 },
+  nonce: { type: Number },
+  transactionHash: { type: String },
+  blockNumber: { type: Number },
+  gasUsed: { type: String },
+  reason: { type: String },                      // why it was skipped or failed
+  submittedAt: { type: Date },
+  completedAt: { type: Date },
+  nextAttemptAt: { type: Date }
+}, {
+  collection: 'auto_releases',
+  timestamps: true
+});
+
+AutoReleaseSchema.statics.list = function (filter = {}, page = 1, limit = 20) {
+  const skip = (page - 1) * limit;
+  return Promise.all([
+    this.find(filter).sort({ updatedAt: -1 }).skip(skip).limit(limit).lean(),
+    this.countDocuments(filter)
+  ]).then(([items, total]) => ({ items, total }));
+};
+
+module.exports = mongoose.model('AutoRelease', AutoReleaseSchema);
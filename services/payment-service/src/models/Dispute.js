@@ -0,0 +1,49 @@
+// src/models/Dispute.js
+const mongoose = require('mongoose');
+
+// Projection of an escrow dispute, built by the indexer from DisputeInitiated,
+// ArbitratorAssigned, EvidenceSubmitted and DisputeResolved (and closed by a
+// release / refund that settles the escrow outside arbitration).
+const DisputeSchema = new mongoose.Schema({
+  escrowId: { type: String, required: true, unique: true },
+  orderId: { type: String, index: true },
+  buyer: { type: String, index: true },
+  seller: { type: String, index: true },
+  initiator: { type: String, required: true },
+  arbitrator: { type: String, index: true },
+  status: { type: String, enum: ['open', 'resolved', 'closed'], default: 'open', index: true },
+  openedAt: { type: Date, required: true },
+  evidenceDeadline: { type: Date },
+  evidence: [{
+    _id: false,
+    party: String,
+    role: { type: String, enum: ['buyer', 'seller'] },
+    cid: String,
+    transactionHash: String,
+    blockNumber: Number,
+    submittedAt: Date
+  }],
+  outcome: {
+    settledBy: { type: String, enum: ['arbitration', 'release', 'refund'] },
+    buyerShareBps: Number,
+    buyerAmountWei: String,
+    sellerAmountWei: String,
+    rulingCID: String,
+    transactionHash: String,
+    settledAt: Date
+  },
+  transactionHash: { type: String },
+  updatedAt: { type: Date, required: true }
+}, {
+  collection: 'disputes'
+});
+
+DisputeSchema.statics.list = function (filter = {}, page = 1, limit = 20) {
+  const skip = (page - 1) * limit;
+  return Promise.all([
+    this.find(filter).sort({ openedAt: -1 }).skip(skip).limit(limit).lean(),
+    this.countDocuments(filter)
+  ]).then(([items, total]) => ({ items, total }));
+};
+
+module.exports = mongoose.model('Dispute', DisputeSchema);
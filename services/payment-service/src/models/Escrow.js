@@ -15,10 +15,16 @@ const EscrowSchema = new mongoose.Schema({
     did: String,
     name: String
   },
-  amountWei: { type: String, required: true },
-  amountEth: { type: Number, required: true },
+  amountWei: { type: String, required: true },   // smallest unit of the currency
+  amount: { type: String },                      // amountWei formatted with the token's decimals
+  amountEth: { type: Number },                   // ETH escrows only
   currency: { type: String, default: 'ETH' },
-  state: { type: String, enum: ['locked','released','refunded','disputed','failed'], default: 'locked', index: true },
+  token: {
+    address: { type: String, default: null },    // null for ETH
+    symbol: String,
+    decimals: Number
+  },
+  state: { type: String, enum: ['locked','released','refunded','disputed','resolved','failed'], default: 'locked', index: true },
   escrowAddress: { type: String }, // contract address (if multiple)
   transactionHash: { type: String },
   network: { type: String, default: 'localhost' },
@@ -26,6 +32,15 @@ const EscrowSchema = new mongoose.Schema({
   updatedAt: { type: Date, required: true },
   releaseTime: { type: Date },
   disputed: { type: Boolean, default: false },
+  // Part of the release kept back for returns (operator escrows only)
+  holdback: {
+    amountWei: String,
+    status: { type: String, enum: ['held', 'return_open', 'released', 'refunded'] },
+    releasableAt: Date,
+    coveredAmountWei: String,                    // holdback + seller deposit reserved for an open return
+    refundAmountWei: String,
+    updatedAt: Date
+  },
   notes: { type: String }
 }, {
   collection: 'escrows'
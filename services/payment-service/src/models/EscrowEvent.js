@@ -0,0 +1,26 @@
+// src/models/EscrowEvent.js
+const mongoose = require('mongoose');
+
+// One row per applied Escrow contract log. `before` / `disputeBefore` are the
+// escrow and dispute documents as they were before the log was applied, so the
+// projection can be rolled back if the block is orphaned. `webhook` is the
+// { eventId, event, orderId } sent for the log, reverted if a reorg orphans it.
+const EscrowEventSchema = new mongoose.Schema({
+  escrowId: { type: String, required: true, index: true },
+  event: { type: String, required: true },
+  blockNumber: { type: Number, required: true },
+  blockHash: { type: String, required: true },
+  transactionHash: { type: String, required: true },
+  logIndex: { type: Number, required: true },
+  before: { type: mongoose.Schema.Types.Mixed, default: null },
+  disputeBefore: { type: mongoose.Schema.Types.Mixed, default: null },
+  webhook: { type: mongoose.Schema.Types.Mixed, default: null },
+  appliedAt: { type: Date, default: Date.now }
+}, {
+  collection: 'escrow_events'
+});
+
+EscrowEventSchema.index({ transactionHash: 1, logIndex: 1 }, { unique: true });
+EscrowEventSchema.index({ blockNumber: -1, logIndex: -1 });
+
+module.exports = mongoose.model('EscrowEvent', EscrowEventSchema);
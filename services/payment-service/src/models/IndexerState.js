@@ -0,0 +1,23 @@
+// src/models/IndexerState.js
+const mongoose = require('mongoose');
+
+const IndexerStateSchema = new mongoose.Schema({
+  name: { type: String, required: true, unique: true },
+  lastProcessedBlock: { type: Number, required: true },
+  // Hashes of recently processed blocks, newest last; used to find the fork point on a reorg
+  recentBlocks: [{
+    _id: false,
+    number: Number,
+    hash: String
+  }],
+  lastReorg: {
+    detectedAt: Date,
+    fromBlock: Number,
+    rolledBackEvents: Number
+  },
+  updatedAt: { type: Date, default: Date.now }
+}, {
+  collection: 'indexer_state'
+});
+
+module.exports = mongoose.model('IndexerState', IndexerStateSchema);
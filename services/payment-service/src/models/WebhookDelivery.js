@@ -0,0 +1,47 @@
+// src/models/WebhookDelivery.js
+const mongoose = require('mongoose');
+
+// Outbox row: one per (event, subscription). The dispatcher in
+// services/webhookService.js picks up due rows and records every attempt.
+const WebhookDeliverySchema = new mongoose.Schema({
+  deliveryId: { type: String, required: true, unique: true },
+  eventId: { type: String, required: true, index: true },
+  webhookId: { type: String, required: true, index: true },
+  event: { type: String, required: true },
+  payload: { type: mongoose.Schema.Types.Mixed, required: true },
+  status: {
+    type: String,
+    enum: ['pending', 'delivering', 'delivered', 'dead_letter', 'cancelled'],
+    default: 'pending',
+    index: true
+  },
+  attempts: { type: Number, default: 0 },
+  maxAttempts: { type: Number, required: true },
+  nextAttemptAt: { type: Date, default: Date.now, index: true },
+  lockedAt: { type: Date },
+  lastError: { type: String },
+  attemptHistory: [{
+    _id: false,
+    attempt: Number,
+    at: Date,
+    statusCode: Number,
+    durationMs: Number,
+    error: String
+  }],
+  deliveredAt: { type: Date }
+}, {
+  collection: 'webhook_deliveries',
+  timestamps: true
+});
+
+WebhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+
+WebhookDeliverySchema.statics.list = function (filter = {}, page = 1, limit = 20) {
+  const skip = (page - 1) * limit;
+  return Promise.all([
+    this.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
+    this.countDocuments(filter)
+  ]).then(([items, total]) => ({ items, total }));
+};
+
+module.exports = mongoose.model('WebhookDelivery', WebhookDeliverySchema);
@@ -0,0 +1,23 @@
+// src/models/WebhookSubscription.js
+const mongoose = require('mongoose');
+
+const WebhookSubscriptionSchema = new mongoose.Schema({
+  webhookId: { type: String, required: true, unique: true },
+  url: { type: String, required: true },
+  events: { type: [String], required: true },
+  secret: { type: String, required: true },
+  description: { type: String },
+  active: { type: Boolean, default: true, index: true },
+  secretRotatedAt: { type: Date }
+}, {
+  collection: 'webhook_subscriptions',
+  timestamps: true
+});
+
+// Never expose the signing secret except on create / rotate
+WebhookSubscriptionSchema.methods.toPublic = function () {
+  const { webhookId, url, events, description, active, secretRotatedAt, createdAt, updatedAt } = this;
+  return { webhookId, url, events, description, active, secretRotatedAt, createdAt, updatedAt };
+};
+
+module.exports = mongoose.model('WebhookSubscription', WebhookSubscriptionSchema);
@@ -0,0 +1,34 @@
+// src/routes/admin.routes.js
+const express = require('express');
+const router = express.Router();
+const ctrl = require('../controllers/admin.controller');
+
+/**
+ * Admin API key check (x-admin-api-key or Bearer token)
+ */
+const requireAdminAuth = (req, res, next) => {
+  const apiKey = req.headers['x-admin-api-key'] || req.headers['authorization']?.replace('Bearer ', '');
+
+  if (!process.env.ADMIN_API_KEY || apiKey !== process.env.ADMIN_API_KEY) {
+    return res.status(401).json({ error: 'Unauthorized', message: 'Invalid or missing admin API key' });
+  }
+
+  next();
+};
+
+router.use(requireAdminAuth);
+
+router.get('/indexer', ctrl.getIndexer);
+router.post('/indexer/reindex', ctrl.reindex);
+
+// Auto-release keeper
+router.get('/keeper', ctrl.getKeeper);
+router.get('/keeper/releases', ctrl.listAutoReleases);
+router.post('/keeper/run', ctrl.runKeeper);
+
+// Arbitration (signed by the contract owner)
+router.get('/arbitrators/:address', ctrl.getArbitrator);
+router.put('/arbitrators/:address', ctrl.setArbitrator);
+router.post('/disputes/:escrowId/arbitrator', ctrl.assignArbitrator);
+
+module.exports = router;
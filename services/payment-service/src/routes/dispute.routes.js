@@ -0,0 +1,16 @@
+// src/routes/dispute.routes.js
+const express = require('express');
+const router = express.Router();
+const ctrl = require('../controllers/dispute.controller');
+const { requireAuth } = require('../../../shared/auth');
+
+// Disputes are keyed by escrowId. Writes return unsigned transactions; sign
+// them with the party's (or arbitrator's) wallet and POST to /api/v1/transactions.
+// `from` must be the wallet signed in with Sign-In with Ethereum.
+router.get('/', ctrl.listDisputes);
+router.get('/:escrowId', ctrl.getDispute);
+router.post('/:escrowId/prepare', requireAuth, ctrl.prepareOpenDispute);
+router.post('/:escrowId/evidence/prepare', requireAuth, ctrl.prepareSubmitEvidence);
+router.post('/:escrowId/resolve/prepare', requireAuth, ctrl.prepareResolveDispute);
+
+module.exports = router;
@@ -2,14 +2,27 @@
 const express = require('express');
 const router = express.Router();
 const ctrl = require('../controllers/escrow.controller');
+const txCtrl = require('../controllers/transaction.controller');
+const { requireServerSigning } = require('../services/transactions');
+const { requireAuth } = require('../../../shared/auth');
 
 router.get('/escrows', ctrl.listEscrows);
-router.post('/escrows', ctrl.createEscrow);
+router.post('/escrows', requireAuth, requireServerSigning, ctrl.createEscrow);
+router.post('/escrows/prepare', requireAuth, ctrl.prepareCreateEscrow);
 router.get('/escrows/:escrowId', ctrl.getEscrow);
-router.post('/escrows/:escrowId/release', ctrl.releaseEscrow);
-router.post('/escrows/:escrowId/refund', ctrl.refundEscrow);
+router.post('/escrows/:escrowId/release', requireAuth, requireServerSigning, ctrl.releaseEscrow);
+router.post('/escrows/:escrowId/release/prepare', requireAuth, ctrl.prepareReleaseEscrow);
+router.post('/escrows/:escrowId/refund', requireAuth, requireServerSigning, ctrl.refundEscrow);
+router.post('/escrows/:escrowId/refund/prepare', requireAuth, ctrl.prepareRefundEscrow);
+router.post('/escrows/:escrowId/holdback/claim/prepare', requireAuth, ctrl.prepareClaimHoldback);
 
-// Webhooks
-router.post('/webhooks', ctrl.registerWebhook);
+// Seller deposits backing returns
+router.get('/return-reserves/:seller', ctrl.getReturnReserve);
+router.post('/return-reserves/deposit/prepare', requireAuth, ctrl.prepareDepositReturnReserve);
+router.post('/return-reserves/withdraw/prepare', requireAuth, ctrl.prepareWithdrawReturnReserve);
+
+// Wallet-signed transactions (the signature identifies the sender; no sign-in needed)
+router.post('/transactions', txCtrl.submitTransaction);
+router.get('/transactions/:txHash', txCtrl.getTransaction);
 
 module.exports = router;
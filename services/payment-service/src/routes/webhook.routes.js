@@ -0,0 +1,20 @@
+// src/routes/webhook.routes.js
+const express = require('express');
+const router = express.Router();
+const ctrl = require('../controllers/webhook.controller');
+
+router.get('/', ctrl.listWebhooks);
+router.post('/', ctrl.createWebhook);
+
+// Deliveries (outbox / dead-letter queue)
+router.get('/deliveries/:deliveryId', ctrl.getDelivery);
+router.post('/deliveries/:deliveryId/replay', ctrl.replayDelivery);
+
+router.get('/:webhookId', ctrl.getWebhook);
+router.patch('/:webhookId', ctrl.updateWebhook);
+router.delete('/:webhookId', ctrl.deleteWebhook);
+router.post('/:webhookId/rotate-secret', ctrl.rotateWebhookSecret);
+router.post('/:webhookId/test', ctrl.testWebhook);
+router.get('/:webhookId/deliveries', ctrl.listDeliveries);
+
+module.exports = router;
@@ -0,0 +1,120 @@
+// src/services/audit.js
+const axios = require('axios');
+const { v4: uuidv4 } = require('uuid');
+const AuditOutbox = require('../models/AuditOutbox');
+
+// The audit log lives in identity-reputation (POST /api/v1/audit/entries).
+// Entries are written to the outbox first, so none are lost while it is down.
+const AUDIT_SERVICE_URL = (process.env.AUDIT_SERVICE_URL || '').replace(/\/$/, '');
+const AUDIT_INGEST_SECRET = process.env.AUDIT_INGEST_SECRET || '';
+const POLL_INTERVAL_MS = Number(process.env.AUDIT_POLL_INTERVAL_MS || 5000);
+const RETRY_BASE_MS = Number(process.env.AUDIT_RETRY_BASE_MS || 5000);
+const RETRY_MAX_MS = 15 * 60 * 1000;
+const DELIVERY_TIMEOUT_MS = 5000;
+const BATCH_SIZE = 50;
+const SOURCE = 'payment-service';
+
+let dispatching = false;
+
+function isConfigured() {
+  return Boolean(AUDIT_SERVICE_URL && AUDIT_INGEST_SECRET);
+}
+
+/**
+ * The signed-in wallet, or the shared admin key on /admin routes
+ */
+function actorFor(req) {
+  if (req.auth) return { type: 'user', address: req.auth.address, did: req.auth.did };
+  return { type: 'service', label: 'admin-api-key' };
+}
+
+function requestMeta(req) {
+  return {
+    method: req.method,
+    path: req.originalUrl,
+    ip: req.ip,
+    userAgent: req.get('user-agent'),
+    sessionId: req.auth?.sessionId
+  };
+}
+
+/**
+ * Queue an audit entry. Pass `req` for actions taken over HTTP, or `actor`
+ * for background jobs. The action has already happened, so failing to queue
+ * is logged rather than thrown.
+ */
+async function recordAudit({ req, actor, action, target, before, after }) {
+  const eventId = `aud_${uuidv4()}`;
+  try {
+    const entry = JSON.parse(JSON.stringify({
+      source: SOURCE,
+      eventId,
+      occurredAt: new Date(),
+      actor: actor || actorFor(req),
+      action,
+      target,
+      before,
+      after,
+      request: req ? requestMeta(req) : undefined
+    }));
+    await AuditOutbox.create({ eventId, entry });
+    if (isConfigured()) setImmediate(dispatchAudit);
+  } catch (err) {
+    console.error(`[Audit] Failed to record ${action} ${target.type}:${target.id}:`, err);
+  }
+}
+
+function backoffMs(attempts) {
+  return Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), RETRY_MAX_MS);
+}
+
+/**
+ * Send pending entries oldest first. A failure stops the pass so the log
+ * keeps them in the order they happened; entries are never dropped.
+ */
+async function dispatchAudit() {
+  if (dispatching || !isConfigured()) return;
+  dispatching = true;
+
+  try {
+    const pending = await AuditOutbox.find({ status: 'pending' }).sort({ createdAt: 1 }).limit(BATCH_SIZE);
+    for (const row of pending) {
+      if (row.nextAttemptAt > new Date()) break;
+
+      try {
+        const { data } = await axios.post(`${AUDIT_SERVICE_URL}/api/v1/audit/entries`, row.entry, {
+          headers: { 'x-audit-secret': AUDIT_INGEST_SECRET },
+          timeout: DELIVERY_TIMEOUT_MS
+        });
+        row.status = 'delivered';
+        row.seq = data.seq;
+        row.hash = data.hash;
+        row.deliveredAt = new Date();
+        row.lastError = undefined;
+        await row.save();
+      } catch (err) {
+        row.attempts += 1;
+        row.lastError = err.response ? `HTTP ${err.response.status}` : err.message;
+        row.nextAttemptAt = new Date(Date.now() + backoffMs(row.attempts));
+        await row.save();
+        console.warn(`[Audit] Delivery of ${row.eventId} failed (${row.lastError}); retrying`);
+        break;
+      }
+    }
+  } catch (err) {
+    console.error('[Audit] Dispatcher error:', err);
+  } finally {
+    dispatching = false;
+  }
+}
+
+function startAuditDispatcher() {
+  if (!isConfigured()) {
+    console.warn('[Audit] AUDIT_SERVICE_URL or AUDIT_INGEST_SECRET not set; audit entries stay in the outbox');
+    return;
+  }
+  setInterval(dispatchAudit, POLL_INTERVAL_MS);
+  console.log('[Audit] Dispatcher started');
+}
+
+module.exports = { recordAudit, startAuditDispatcher, dispatchAudit };
@@ -1,9 +1,34 @@
 // src/services/indexer.js
-const { escrowContract, deployment, provider } = require('../config/blockchain');
+const { escrowContract, provider } = require('../config/blockchain');
 const EscrowModel = require('../models/Escrow');
-const { deliverWebhook } = require('./webhookService');
+const EscrowEvent = require('../models/EscrowEvent');
+const Dispute = require('../models/Dispute');
+const IndexerState = require('../models/IndexerState');
+const { chainEventId, deliverWebhook, revertWebhook } = require('./webhookService');
+const { getTokenInfo } = require('./tokens');
 const { ethers } = require('ethers');
 
+const INDEXER_NAME = 'escrow';
+
+// A log is applied once its block has this many confirmations (1 = mined).
+// Use 12+ on public networks.
+const CONFIRMATIONS = Math.max(Number(process.env.INDEXER_CONFIRMATIONS || 1), 1);
+const BATCH_SIZE = Number(process.env.INDEXER_BATCH_SIZE || 2000);
+const POLL_INTERVAL_MS = Number(process.env.INDEXER_POLL_INTERVAL_MS || 4000);
+const START_BLOCK = Number(process.env.INDEXER_START_BLOCK || 0);
+const RECENT_BLOCKS_KEPT = 128;
+
+// Sync passes, rollbacks and admin re-indexes never overlap
+let queue = Promise.resolve();
+let lastError = null;
+let started = false;
+
+function runExclusive(task) {
+  const run = queue.then(task);
+  queue = run.catch(() => {});
+  return run;
+}
+
 function normalizeIndexed(value) {
   if (!value) return null;
   if (typeof value === "string") return value;
@@ -17,129 +42,471 @@ async function startIndexer() {
     return;
   }
 
+  const state = await getState();
+  started = true;
+
+  const tick = () => runExclusive(syncToHead)
+    .then(() => { lastError = null; })
+    .catch((err) => {
+      lastError = { message: err.message, at: new Date() };
+      console.error('[Indexer] Sync error:', err);
+    })
+    .finally(() => setTimeout(tick, POLL_INTERVAL_MS));
+
+  tick();
+
+  console.log(`[Indexer] Indexing escrow events from block ${state.lastProcessedBlock + 1} (${CONFIRMATIONS} confirmations)`);
+}
+
+function getState() {
+  return IndexerState.findOneAndUpdate(
+    { name: INDEXER_NAME },
+    { $setOnInsert: { lastProcessedBlock: START_BLOCK - 1, recentBlocks: [] } },
+    { upsert: true, new: true }
+  );
+}
+
+/**
+ * Roll back anything from orphaned blocks, then apply confirmed logs from the
+ * checkpoint up to head - CONFIRMATIONS + 1 in BATCH_SIZE ranges
+ */
+async function syncToHead() {
+  const state = await getState();
+
+  const forkBlock = await findForkBlock(state);
+  if (forkBlock !== null) {
+    const rolledBack = await rollback(state, forkBlock, { reorg: true });
+    state.lastReorg = { detectedAt: new Date(), fromBlock: forkBlock, rolledBackEvents: rolledBack };
+    await state.save();
+    console.warn(`[Indexer] Reorg detected, rolled back ${rolledBack} events from block ${forkBlock}`);
+  }
+
+  const head = await provider.getBlockNumber();
+  const safeBlock = head - CONFIRMATIONS + 1;
+
+  let from = state.lastProcessedBlock + 1;
+  while (from <= safeBlock) {
+    const to = Math.min(from + BATCH_SIZE - 1, safeBlock);
+    const logs = await escrowContract.queryFilter('*', from, to);
+    const blockCache = new Map();
+
+    for (const log of logs) {
+      await applyLog(log, blockCache);
+    }
+
+    const toBlock = await provider.getBlock(to);
+    rememberBlocks(state, [
+      ...logs.map(log => ({ number: log.blockNumber, hash: log.blockHash })),
+      { number: to, hash: toBlock.hash }
+    ]);
+    state.lastProcessedBlock = to;
+    state.updatedAt = new Date();
+    await state.save();
+
+    if (logs.length) console.log(`[Indexer] Processed blocks ${from}-${to} (${logs.length} events)`);
+    from = to + 1;
+  }
+}
+
+/**
+ * Compare the stored hashes of recently processed blocks with the chain.
+ * Returns the first block after the newest one that still matches, or null
+ * when nothing was orphaned.
+ */
+async function findForkBlock(state) {
+  const recent = [...state.recentBlocks].sort((a, b) => b.number - a.number);
+
+  let orphaned = false;
+  for (const entry of recent) {
+    const block = await provider.getBlock(entry.number);
+    if (block && block.hash === entry.hash) {
+      return orphaned ? entry.number + 1 : null;
+    }
+    orphaned = true;
+  }
+
+  return orphaned ? recent[recent.length - 1].number : null;
+}
+
+function rememberBlocks(state, blocks) {
+  const byNumber = new Map(state.recentBlocks.map(b => [b.number, b.hash]));
+  for (const b of blocks) byNumber.set(b.number, b.hash);
+
+  state.recentBlocks = [...byNumber.entries()]
+    .sort((a, b) => a[0] - b[0])
+    .slice(-RECENT_BLOCKS_KEPT)
+    .map(([number, hash]) => ({ number, hash }));
+}
+
+/**
+ * Undo every applied event at or after `fromBlock`, newest first, and move
+ * the checkpoint back so those blocks are processed again. On a reorg the
+ * webhooks of the orphaned events are reverted.
+ */
+async function rollback(state, fromBlock, { reorg = false } = {}) {
+  const events = await EscrowEvent.find({ blockNumber: { $gte: fromBlock } })
+    .sort({ blockNumber: -1, logIndex: -1 })
+    .lean();
+
+  for (const ev of events) {
+    if (ev.before) {
+      await EscrowModel.replaceOne({ escrowId: ev.escrowId }, ev.before, { upsert: true });
+    } else {
+      await EscrowModel.deleteOne({ escrowId: ev.escrowId });
+    }
+
+    if (ev.disputeBefore) {
+      await Dispute.replaceOne({ escrowId: ev.escrowId }, ev.disputeBefore, { upsert: true });
+    } else {
+      await Dispute.deleteOne({ escrowId: ev.escrowId });
+    }
+
+    if (reorg && ev.webhook) {
+      await revertWebhook(ev.webhook.eventId, ev.webhook.event, {
+        escrowId: ev.escrowId,
+        orderId: ev.webhook.orderId,
+        state: ev.before ? ev.before.state : null,
+        blockNumber: ev.blockNumber,
+        blockHash: ev.blockHash,
+        transactionHash: ev.transactionHash
+      });
+    }
+  }
+
+  await EscrowEvent.deleteMany({ blockNumber: { $gte: fromBlock } });
+
+  state.lastProcessedBlock = Math.min(state.lastProcessedBlock, fromBlock - 1);
+  state.recentBlocks = state.recentBlocks.filter(b => b.number < fromBlock);
+  state.updatedAt = new Date();
+  await state.save();
+
+  return events.length;
+}
+
+async function applyLog(log, blockCache) {
+  const handler = handlers[log.eventName];
+  if (!handler) return;
+
+  // Already applied (e.g. a batch replayed after a crash before the checkpoint was saved)
+  if (await EscrowEvent.exists({ transactionHash: log.transactionHash, logIndex: log.index })) return;
+
+  if (!blockCache.has(log.blockNumber)) {
+    blockCache.set(log.blockNumber, await provider.getBlock(log.blockNumber));
+  }
+  const ts = new Date(blockCache.get(log.blockNumber).timestamp * 1000);
+
+  const escrowId = normalizeIndexed(log.args.escrowId);
+  const before = await EscrowModel.findOne({ escrowId }).lean();
+  const disputeBefore = await Dispute.findOne({ escrowId }).lean();
+
+  const webhook = await handler(escrowId, log, ts);
+  const eventId = webhook ? chainEventId(log, webhook.event) : null;
+
+  await EscrowEvent.create({
+    escrowId,
+    event: log.eventName,
+    blockNumber: log.blockNumber,
+    blockHash: log.blockHash,
+    transactionHash: log.transactionHash,
+    logIndex: log.index,
+    before,
+    disputeBefore,
+    webhook: webhook ? { eventId, event: webhook.event, orderId: webhook.payload.orderId } : null
+  });
+
+  if (webhook) await deliverWebhook(webhook.event, webhook.payload, eventId);
+}
+
+const handlers = {
   // -----------------------------
   // EscrowCreated Event
   // -----------------------------
-  escrowContract.on('EscrowCreated', async (escrowIdBytes, orderIdBytes, buyer, seller, amount, event) => {
-    console.log("[DEBUG EVENT] EscrowCreated triggered");
-    try {
-      const escrowId = normalizeIndexed(escrowIdBytes);
-      const orderId = normalizeIndexed(orderIdBytes);
-      const amountWei = amount.toString();
-      const amountEth = parseFloat(ethers.formatEther(amount));
-
-      const block = await provider.getBlock(event.blockNumber);
-      const createdAtTs = new Date(block.timestamp * 1000);
+  async EscrowCreated(escrowId, log, ts) {
+    const { buyer, seller, amount } = log.args;
 
-      const doc = {
-        escrowId,
-        orderId,
-        buyer: { address: buyer, did: `did:ethr:${buyer}` },
-        seller: { address: seller, did: `did:ethr:${seller}` },
-        amountWei,
-        amountEth,
-        currency: 'ETH',
-        state: 'locked',
-        escrowAddress: deployment?.contracts?.Escrow?.address || null,
-        transactionHash: event.transactionHash,
-        network: 'localhost',
-        createdAt: createdAtTs,
-        updatedAt: createdAtTs,
-        releaseTime: null,
-        disputed: false
-      };
-
-      await EscrowModel.findOneAndUpdate({ escrowId }, doc, { upsert: true });
-      await deliverWebhook('escrow.created', doc);
-
-      console.log('[Indexer] EscrowCreated indexed:', escrowId);
+    // orderId is an indexed string, so the log only has its hash; read the plain id from the contract
+    let orderId = normalizeIndexed(log.args.orderId);
+    let releaseTime = null;
+    let tokenAddress = null;
+    try {
+      const details = await escrowContract.getEscrow(escrowId);
+      orderId = details.orderId;
+      releaseTime = new Date(Number(details.releaseTime) * 1000);
+      tokenAddress = details.token;
     } catch (err) {
-      console.error('[Indexer] EscrowCreated handler error:', err);
+      console.warn(`[Indexer] getEscrow(${escrowId}) failed:`, err.message);
     }
-  });
+    const token = await getTokenInfo(tokenAddress);
+    const formatted = ethers.formatUnits(amount, token.decimals);
+
+    const doc = {
+      escrowId,
+      orderId,
+      buyer: { address: buyer, did: `did:ethr:${buyer}` },
+      seller: { address: seller, did: `did:ethr:${seller}` },
+      amountWei: amount.toString(),
+      amount: formatted,
+      amountEth: token.address ? undefined : parseFloat(formatted),
+      currency: token.symbol,
+      token,
+      state: 'locked',
+      escrowAddress: escrowContract.target,
+      transactionHash: log.transactionHash,
+      network: 'localhost',
+      createdAt: ts,
+      updatedAt: ts,
+      releaseTime,
+      disputed: false
+    };
+
+    await EscrowModel.findOneAndUpdate({ escrowId }, { $set: doc }, { upsert: true });
+    console.log('[Indexer] EscrowCreated indexed:', escrowId);
+
+    return { event: 'escrow.created', payload: doc };
+  },
 
   // -----------------------------
   // EscrowReleased Event
   // -----------------------------
-  escrowContract.on('EscrowReleased', async (escrowIdBytes, orderIdBytes, sellerAddr, amount, event) => {
-    try {
-      const escrowId = normalizeIndexed(escrowIdBytes);
+  async EscrowReleased(escrowId, log, ts) {
+    const doc = await EscrowModel.findOneAndUpdate(
+      { escrowId },
+      { state: 'released', transactionHash: log.transactionHash, updatedAt: ts },
+      { new: true }
+    ).lean();
 
-      const block = await provider.getBlock(event.blockNumber);
-      const ts = new Date(block.timestamp * 1000);
+    await closeDispute(escrowId, 'release', log, ts);
 
-      const update = {
-        state: 'released',
-        transactionHash: event.transactionHash,
-        updatedAt: ts
-      };
+    console.log('[Indexer] EscrowReleased:', escrowId);
+    return { event: 'escrow.released', payload: { ...doc, transactionHash: log.transactionHash } };
+  },
 
-      await EscrowModel.findOneAndUpdate({ escrowId }, update);
-      const doc = await EscrowModel.findOne({ escrowId }).lean();
+  // -----------------------------
+  // EscrowRefunded Event
+  // -----------------------------
+  async EscrowRefunded(escrowId, log, ts) {
+    const doc = await EscrowModel.findOneAndUpdate(
+      { escrowId },
+      { state: 'refunded', transactionHash: log.transactionHash, updatedAt: ts },
+      { new: true }
+    ).lean();
 
-      await deliverWebhook('escrow.released', { ...doc, transactionHash: event.transactionHash });
+    await closeDispute(escrowId, 'refund', log, ts);
 
-      console.log('[Indexer] EscrowReleased:', escrowId);
-    } catch (err) {
-      console.error('[Indexer] EscrowReleased handler error:', err);
-    }
-  });
+    console.log('[Indexer] EscrowRefunded:', escrowId);
+    return { event: 'escrow.refunded', payload: { ...doc, transactionHash: log.transactionHash } };
+  },
 
   // -----------------------------
-  // EscrowRefunded Event
+  // DisputeInitiated Event
   // -----------------------------
-  escrowContract.on('EscrowRefunded', async (escrowIdBytes, orderIdBytes, buyerAddr, amount, event) => {
-    try {
-      const escrowId = normalizeIndexed(escrowIdBytes);
+  async DisputeInitiated(escrowId, log, ts) {
+    const doc = await EscrowModel.findOneAndUpdate(
+      { escrowId },
+      { state: 'disputed', disputed: true, updatedAt: ts },
+      { new: true }
+    ).lean();
 
-      const block = await provider.getBlock(event.blockNumber);
-      const ts = new Date(block.timestamp * 1000);
+    let evidenceDeadline = null;
+    try {
+      const dispute = await escrowContract.getDispute(escrowId);
+      evidenceDeadline = new Date(Number(dispute.evidenceDeadline) * 1000);
+    } catch (err) {
+      console.warn(`[Indexer] getDispute(${escrowId}) failed:`, err.message);
+    }
 
-      const update = {
-        state: 'refunded',
-        transactionHash: event.transactionHash,
+    await Dispute.findOneAndUpdate({ escrowId }, {
+      $set: {
+        escrowId,
+        orderId: doc ? doc.orderId : undefined,
+        buyer: doc ? doc.buyer.address : undefined,
+        seller: doc ? doc.seller.address : undefined,
+        initiator: log.args.initiator,
+        status: 'open',
+        openedAt: ts,
+        evidenceDeadline,
+        evidence: [],
+        transactionHash: log.transactionHash,
         updatedAt: ts
-      };
+      }
+    }, { upsert: true });
+
+    console.log('[Indexer] DisputeInitiated:', escrowId);
+    return {
+      event: 'escrow.disputed',
+      payload: { ...doc, initiator: log.args.initiator, transactionHash: log.transactionHash }
+    };
+  },
 
-      await EscrowModel.findOneAndUpdate({ escrowId }, update);
-      const doc = await EscrowModel.findOne({ escrowId }).lean();
+  // -----------------------------
+  // ArbitratorAssigned Event
+  // -----------------------------
+  async ArbitratorAssigned(escrowId, log, ts) {
+    await Dispute.updateOne({ escrowId }, { arbitrator: log.args.arbitrator, updatedAt: ts });
+    console.log('[Indexer] ArbitratorAssigned:', escrowId, log.args.arbitrator);
+  },
 
-      await deliverWebhook('escrow.refunded', { ...doc, transactionHash: event.transactionHash });
+  // -----------------------------
+  // EvidenceSubmitted Event
+  // -----------------------------
+  async EvidenceSubmitted(escrowId, log, ts) {
+    const dispute = await Dispute.findOne({ escrowId }).lean();
+    const party = log.args.party;
+    const role = dispute && dispute.seller && dispute.seller.toLowerCase() === party.toLowerCase() ? 'seller' : 'buyer';
 
-      console.log('[Indexer] EscrowRefunded:', escrowId);
-    } catch (err) {
-      console.error('[Indexer] EscrowRefunded handler error:', err);
-    }
-  });
+    await Dispute.updateOne({ escrowId }, {
+      $set: { updatedAt: ts },
+      $push: {
+        evidence: {
+          party,
+          role,
+          cid: log.args.evidenceCID,
+          transactionHash: log.transactionHash,
+          blockNumber: log.blockNumber,
+          submittedAt: ts
+        }
+      }
+    });
+
+    console.log('[Indexer] EvidenceSubmitted:', escrowId, log.args.evidenceCID);
+  },
 
   // -----------------------------
-  // DisputeInitiated Event
+  // DisputeResolved Event
   // -----------------------------
-  escrowContract.on('DisputeInitiated', async (escrowIdBytes, orderIdBytes, initiator, event) => {
-    try {
-      const escrowId = normalizeIndexed(escrowIdBytes);
+  async DisputeResolved(escrowId, log, ts) {
+    const { arbitrator, buyerShareBps, buyerAmount, sellerAmount, rulingCID } = log.args;
+
+    const doc = await EscrowModel.findOneAndUpdate(
+      { escrowId },
+      { state: 'resolved', transactionHash: log.transactionHash, updatedAt: ts },
+      { new: true }
+    ).lean();
+
+    const outcome = {
+      settledBy: 'arbitration',
+      buyerShareBps: Number(buyerShareBps),
+      buyerAmountWei: buyerAmount.toString(),
+      sellerAmountWei: sellerAmount.toString(),
+      rulingCID,
+      transactionHash: log.transactionHash,
+      settledAt: ts
+    };
+
+    await Dispute.updateOne({ escrowId }, { status: 'resolved', arbitrator, outcome, updatedAt: ts });
 
-      const block = await provider.getBlock(event.blockNumber);
-      const ts = new Date(block.timestamp * 1000);
+    console.log('[Indexer] DisputeResolved:', escrowId, `${outcome.buyerShareBps} bps to buyer`);
+    return {
+      event: 'escrow.resolved',
+      payload: { ...doc, arbitrator, dispute: outcome, transactionHash: log.transactionHash }
+    };
+  },
 
-      const update = {
-        state: 'disputed',
-        disputed: true,
+  // -----------------------------
+  // Return holdback events
+  // -----------------------------
+  async HoldbackRetained(escrowId, log, ts) {
+    await EscrowModel.updateOne({ escrowId }, {
+      holdback: {
+        amountWei: log.args.amount.toString(),
+        status: 'held',
+        releasableAt: new Date(Number(log.args.releasableAt) * 1000),
         updatedAt: ts
-      };
+      }
+    });
+    console.log('[Indexer] HoldbackRetained:', escrowId, log.args.amount.toString());
+  },
 
-      await EscrowModel.findOneAndUpdate({ escrowId }, update);
-      const doc = await EscrowModel.findOne({ escrowId }).lean();
+  async ReturnOpened(escrowId, log, ts) {
+    await EscrowModel.updateOne({ escrowId }, {
+      'holdback.status': 'return_open',
+      'holdback.coveredAmountWei': log.args.coveredAmount.toString(),
+      'holdback.updatedAt': ts
+    });
+    console.log('[Indexer] ReturnOpened:', escrowId);
+  },
 
-      await deliverWebhook('escrow.disputed', { ...doc, initiator, transactionHash: event.transactionHash });
+  async ReturnClosed(escrowId, log, ts) {
+    await EscrowModel.updateOne({ escrowId }, {
+      'holdback.status': 'held',
+      'holdback.coveredAmountWei': null,
+      'holdback.updatedAt': ts
+    });
+    console.log('[Indexer] ReturnClosed:', escrowId);
+  },
 
-      console.log('[Indexer] DisputeInitiated:', escrowId);
-    } catch (err) {
-      console.error('[Indexer] DisputeInitiated handler error:', err);
-    }
+  async ReturnRefunded(escrowId, log, ts) {
+    const doc = await EscrowModel.findOneAndUpdate({ escrowId }, {
+      'holdback.status': 'refunded',
+      'holdback.refundAmountWei': log.args.amount.toString(),
+      'holdback.updatedAt': ts,
+      updatedAt: ts
+    }, { new: true }).lean();
+
+    console.log('[Indexer] ReturnRefunded:', escrowId, log.args.amount.toString());
+    return {
+      event: 'escrow.return_refunded',
+      payload: { ...doc, refundAmountWei: log.args.amount.toString(), transactionHash: log.transactionHash }
+    };
+  },
+
+  async HoldbackReleased(escrowId, log, ts) {
+    await EscrowModel.updateOne({ escrowId }, {
+      'holdback.status': 'released',
+      'holdback.updatedAt': ts,
+      updatedAt: ts
+    });
+    console.log('[Indexer] HoldbackReleased:', escrowId);
+  }
+};
+
+/**
+ * A release or refund of a disputed escrow (concession, owner override or the
+ * no-ruling timeout) settles the dispute without an arbitration ruling
+ */
+async function closeDispute(escrowId, settledBy, log, ts) {
+  const amount = log.args.amount.toString();
+  await Dispute.updateOne({ escrowId, status: 'open' }, {
+    status: 'closed',
+    outcome: {
+      settledBy,
+      buyerShareBps: settledBy === 'refund' ? 10000 : 0,
+      buyerAmountWei: settledBy === 'refund' ? amount : '0',
+      sellerAmountWei: settledBy === 'release' ? amount : '0',
+      transactionHash: log.transactionHash,
+      settledAt: ts
+    },
+    updatedAt: ts
+  });
+}
+
+/**
+ * Roll the projection back to just before `fromBlock`; the sync loop then
+ * replays everything from there. Webhooks for replayed events are sent again
+ * under their original ids.
+ */
+function reindexFrom(fromBlock) {
+  return runExclusive(async () => {
+    const state = await getState();
+    const rolledBackEvents = await rollback(state, fromBlock);
+
+    console.log(`[Indexer] Re-index requested from block ${fromBlock} (${rolledBackEvents} events rolled back)`);
+    return { fromBlock, rolledBackEvents, lastProcessedBlock: state.lastProcessedBlock };
   });
+}
 
-  console.log('[Indexer] Listening to escrow contract events');
+async function getIndexerStatus() {
+  const [state, head] = await Promise.all([getState(), provider.getBlockNumber()]);
+  return {
+    running: started,
+    confirmations: CONFIRMATIONS,
+    lastProcessedBlock: state.lastProcessedBlock,
+    headBlock: head,
+    lag: Math.max(head - CONFIRMATIONS + 1 - state.lastProcessedBlock, 0),
+    lastReorg: state.lastReorg && state.lastReorg.detectedAt ? state.lastReorg : null,
+    lastError,
+    updatedAt: state.updatedAt
+  };
 }
 
-module.exports = { startIndexer };
+module.exports = { startIndexer, reindexFrom, getIndexerStatus };
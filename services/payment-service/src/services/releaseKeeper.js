@@ -0,0 +1,331 @@
+// src/services/releaseKeeper.js
+const { ethers } = require('ethers');
+const { v4: uuidv4 } = require('uuid');
+const { provider, wallet, escrowContract, orderManagerContract } = require('../config/blockchain');
+const Escrow = require('../models/Escrow');
+const AutoRelease = require('../models/AutoRelease');
+const { recordAudit } = require('./audit');
+
+// Escrow.releaseEscrow and OrderManager.releaseDueOrder are open to anyone once
+// releaseTime has passed, so the keeper only needs a funded account for gas
+// (defaults to the deployer).
+const KEEPER_ENABLED = process.env.KEEPER_ENABLED !== 'false';
+const DRY_RUN = process.env.KEEPER_DRY_RUN === 'true';
+const INTERVAL_MS = Number(process.env.KEEPER_INTERVAL_MS || 60 * 1000);
+const BATCH_SIZE = Number(process.env.KEEPER_BATCH_SIZE || 20);
+const MAX_ATTEMPTS = Number(process.env.KEEPER_MAX_ATTEMPTS || 5);
+const RETRY_BASE_MS = Number(process.env.KEEPER_RETRY_BASE_MS || 5 * 60 * 1000);
+const RECEIPT_TIMEOUT_MS = Number(process.env.KEEPER_RECEIPT_TIMEOUT_MS || 2 * 60 * 1000);
+// An escrow that is due by the indexer's clock but not yet on-chain (block time
+// lags) or no longer locked there is looked at again after this delay
+const SKIP_DELAY_MS = INTERVAL_MS * 5;
+
+const keeperWallet = process.env.KEEPER_PRIVATE_KEY
+  ? new ethers.Wallet(process.env.KEEPER_PRIVATE_KEY, provider)
+  : wallet;
+
+const metrics = {
+  runs: 0,
+  runErrors: 0,
+  outcomes: { submitted: 0, released: 0, failed: 0, skipped: 0, dry_run: 0 },
+  lastRunAt: null,
+  lastRunDurationMs: 0,
+  lastRunCandidates: 0
+};
+
+let running = false;
+let lastRun = null;
+let lastError = null;
+
+function dueFilter(now) {
+  return { state: 'locked', disputed: false, releaseTime: { $lte: now } };
+}
+
+/**
+ * Locked, undisputed escrows past releaseTime that are not already in flight,
+ * backing off after a failure or out of attempts. Oldest first.
+ */
+function findCandidates(now, limit) {
+  return Escrow.aggregate([
+    { $match: dueFilter(now) },
+    { $sort: { releaseTime: 1 } },
+    { $lookup: { from: 'auto_releases', localField: 'escrowId', foreignField: 'escrowId', as: 'keeper' } },
+    {
+      $match: {
+        $nor: [
+          { 'keeper.status': { $in: ['submitted', 'released'] } },
+          { 'keeper.nextAttemptAt': { $gt: now } },
+          { 'keeper.attempts': { $gte: MAX_ATTEMPTS } }
+        ]
+      }
+    },
+    { $limit: limit },
+    { $project: { escrowId: 1, orderId: 1, releaseTime: 1, keeper: { $arrayElemAt: ['$keeper', 0] } } }
+  ]);
+}
+
+/**
+ * The call that releases an escrow: escrows OrderManager opened go through
+ * releaseDueOrder so their order is marked delivered in the same transaction
+ */
+async function releaseCall(escrowId) {
+  const contract = escrowContract.connect(keeperWallet);
+  if (orderManagerContract) {
+    const { operator, orderId } = await contract.getEscrow(escrowId);
+    if (operator.toLowerCase() === (await orderManagerContract.getAddress()).toLowerCase()) {
+      return { method: orderManagerContract.connect(keeperWallet).releaseDueOrder, args: [orderId] };
+    }
+  }
+  return { method: contract.releaseEscrow, args: [escrowId] };
+}
+
+function backoffMs(attempts) {
+  return RETRY_BASE_MS * 2 ** (attempts - 1);
+}
+
+async function record(escrowId, set) {
+  metrics.outcomes[set.status] += 1;
+  await AutoRelease.updateOne({ escrowId }, { $set: set }, { upsert: true });
+}
+
+async function recordFailure(escrowId, attempts, reason, extra = {}) {
+  const exhausted = attempts >= MAX_ATTEMPTS;
+  if (exhausted) {
+    console.error(`[Keeper] Giving up on ${escrowId} after ${attempts} attempts: ${reason}`);
+  } else {
+    console.warn(`[Keeper] Release of ${escrowId} failed (attempt ${attempts}): ${reason}`);
+  }
+
+  await record(escrowId, {
+    ...extra,
+    status: 'failed',
+    attempts,
+    reason,
+    completedAt: new Date(),
+    nextAttemptAt: exhausted ? null : new Date(Date.now() + backoffMs(attempts))
+  });
+}
+
+async function applyReceipt(entry, receipt) {
+  if (receipt.status === 1) {
+    await record(entry.escrowId, {
+      status: 'released',
+      blockNumber: receipt.blockNumber,
+      gasUsed: receipt.gasUsed.toString(),
+      reason: null,
+      completedAt: new Date(),
+      nextAttemptAt: null
+    });
+    console.log(`[Keeper] Released ${entry.escrowId} in block ${receipt.blockNumber}`);
+    await recordAudit({
+      actor: { type: 'system', label: 'release-keeper', address: entry.keeper },
+      action: 'escrow.auto_release',
+      target: { type: 'escrow', id: entry.escrowId },
+      after: { state: 'Released', orderId: entry.orderId, transactionHash: entry.transactionHash, blockNumber: receipt.blockNumber }
+    });
+    return 'released';
+  }
+  await recordFailure(entry.escrowId, entry.attempts, 'Transaction reverted', { blockNumber: receipt.blockNumber });
+  return 'failed';
+}
+
+/**
+ * Settle releases left 'submitted' by an earlier run (receipt timeout or
+ * restart): mined ones get their outcome, ones whose nonce was taken by
+ * another transaction were dropped and are retried.
+ */
+async function reconcileSubmitted() {
+  const submitted = await AutoRelease.find({ status: 'submitted' }).lean();
+  if (!submitted.length) return;
+
+  const minedNonce = await provider.getTransactionCount(keeperWallet.address, 'latest');
+  for (const entry of submitted) {
+    const receipt = await provider.getTransactionReceipt(entry.transactionHash);
+    if (receipt) {
+      await applyReceipt(entry, receipt);
+    } else if (entry.keeper === keeperWallet.address && entry.nonce < minedNonce) {
+      await recordFailure(entry.escrowId, entry.attempts, 'Transaction dropped or replaced');
+    }
+  }
+}
+
+async function waitForOutcome(entry) {
+  try {
+    const receipt = await provider.waitForTransaction(entry.transactionHash, 1, RECEIPT_TIMEOUT_MS);
+    return await applyReceipt(entry, receipt);
+  } catch (err) {
+    // Still pending: the next run picks it up in reconcileSubmitted
+    console.warn(`[Keeper] No receipt yet for ${entry.transactionHash}: ${err.shortMessage || err.message}`);
+    return 'submitted';
+  }
+}
+
+/**
+ * One keeper pass over at most BATCH_SIZE due escrows. Each is re-checked
+ * with canAutoRelease; releases are sent back to back with locally assigned
+ * nonces and their receipts awaited together.
+ */
+async function runKeeper({ dryRun = DRY_RUN } = {}) {
+  if (!escrowContract) {
+    const err = new Error('Escrow contract not initialized');
+    err.status = 503;
+    throw err;
+  }
+  if (running) return null;
+  running = true;
+
+  const startedAt = new Date();
+  const runId = `run_${uuidv4()}`;
+  const summary = { runId, dryRun, startedAt, candidates: 0, submitted: 0, released: 0, failed: 0, skipped: 0 };
+  const contract = escrowContract.connect(keeperWallet);
+
+  try {
+    await reconcileSubmitted();
+
+    const candidates = await findCandidates(startedAt, BATCH_SIZE);
+    summary.candidates = candidates.length;
+
+    let nonce = await provider.getTransactionCount(keeperWallet.address, 'pending');
+    const inFlight = [];
+
+    for (const escrow of candidates) {
+      const { escrowId } = escrow;
+      const attempts = (escrow.keeper ? escrow.keeper.attempts || 0 : 0) + 1;
+      const base = { orderId: escrow.orderId, runId, keeper: keeperWallet.address };
+
+      if (!(await contract.canAutoRelease(escrowId))) {
+        summary.skipped++;
+        await record(escrowId, {
+          ...base,
+          status: 'skipped',
+          reason: 'Not releasable on-chain (disputed, settled or not yet due)',
+          nextAttemptAt: new Date(Date.now() + SKIP_DELAY_MS)
+        });
+        continue;
+      }
+
+      const { method, args } = await releaseCall(escrowId);
+
+      if (dryRun) {
+        let reason = null;
+        try {
+          await method.staticCall(...args);
+        } catch (err) {
+          reason = err.reason || err.shortMessage || err.message;
+        }
+        await record(escrowId, { ...base, status: 'dry_run', reason, completedAt: new Date() });
+        console.log(`[Keeper] (dry run) would release ${escrowId}${reason ? ` - would revert: ${reason}` : ''}`);
+        continue;
+      }
+
+      try {
+        const tx = await method(...args, { nonce });
+        const entry = { ...base, escrowId, attempts, transactionHash: tx.hash };
+        await record(escrowId, {
+          ...base,
+          status: 'submitted',
+          attempts,
+          nonce,
+          transactionHash: tx.hash,
+          reason: null,
+          submittedAt: new Date()
+        });
+        summary.submitted++;
+        nonce++;
+        inFlight.push(entry);
+      } catch (err) {
+        summary.failed++;
+        await recordFailure(escrowId, attempts, err.reason || err.shortMessage || err.message, base);
+        // The send may or may not have reached the mempool; take the nonce from the node
+        nonce = await provider.getTransactionCount(keeperWallet.address, 'pending');
+      }
+    }
+
+    const outcomes = await Promise.all(inFlight.map(waitForOutcome));
+    for (const outcome of outcomes) {
+      if (outcome !== 'submitted') summary[outcome]++;
+    }
+
+    lastError = null;
+  } catch (err) {
+    metrics.runErrors++;
+    lastError = { message: err.message, at: new Date() };
+    console.error('[Keeper] Run failed:', err);
+  } finally {
+    summary.finishedAt = new Date();
+    metrics.runs++;
+    metrics.lastRunAt = summary.finishedAt;
+    metrics.lastRunDurationMs = summary.finishedAt - startedAt;
+    metrics.lastRunCandidates = summary.candidates;
+    lastRun = summary;
+    running = false;
+  }
+
+  if (summary.candidates) {
+    console.log(`[Keeper] ${runId}: ${summary.candidates} due, ${summary.submitted} submitted, ${summary.released} released, ${summary.failed} failed, ${summary.skipped} skipped${dryRun ? ' (dry run)' : ''}`);
+  }
+  return summary;
+}
+
+function startReleaseKeeper() {
+  if (!KEEPER_ENABLED || !escrowContract) {
+    console.log('[Keeper] Auto-release keeper disabled');
+    return;
+  }
+  setInterval(() => runKeeper().catch(() => {}), INTERVAL_MS);
+  console.log(`[Keeper] Auto-release keeper started (${keeperWallet.address}, every ${INTERVAL_MS}ms${DRY_RUN ? ', dry run' : ''})`);
+}
+
+async function getKeeperStatus() {
+  const now = new Date();
+  const [due, byStatus] = await Promise.all([
+    Escrow.countDocuments(dueFilter(now)),
+    AutoRelease.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }])
+  ]);
+
+  return {
+    enabled: KEEPER_ENABLED,
+    dryRun: DRY_RUN,
+    running,
+    keeper: keeperWallet.address,
+    intervalMs: INTERVAL_MS,
+    batchSize: BATCH_SIZE,
+    maxAttempts: MAX_ATTEMPTS,
+    dueEscrows: due,
+    outcomes: Object.fromEntries(byStatus.map(s => [s._id, s.count])),
+    lastRun,
+    lastError
+  };
+}
+
+/**
+ * Keeper metrics in the Prometheus text exposition format
+ */
+function renderMetrics() {
+  const lines = [
+    '# HELP escrow_keeper_runs_total Completed keeper runs',
+    '# TYPE escrow_keeper_runs_total counter',
+    `escrow_keeper_runs_total ${metrics.runs}`,
+    '# HELP escrow_keeper_run_errors_total Keeper runs aborted by an error',
+    '# TYPE escrow_keeper_run_errors_total counter',
+    `escrow_keeper_run_errors_total ${metrics.runErrors}`,
+    '# HELP escrow_keeper_releases_total Auto-release outcomes recorded by the keeper',
+    '# TYPE escrow_keeper_releases_total counter',
+    ...Object.entries(metrics.outcomes).map(([outcome, n]) => `escrow_keeper_releases_total{outcome="${outcome}"} ${n}`),
+    '# HELP escrow_keeper_last_run_timestamp_seconds End of the last keeper run',
+    '# TYPE escrow_keeper_last_run_timestamp_seconds gauge',
+    `escrow_keeper_last_run_timestamp_seconds ${metrics.lastRunAt ? Math.floor(metrics.lastRunAt / 1000) : 0}`,
+    '# HELP escrow_keeper_last_run_duration_seconds Duration of the last keeper run',
+    '# TYPE escrow_keeper_last_run_duration_seconds gauge',
+    `escrow_keeper_last_run_duration_seconds ${metrics.lastRunDurationMs / 1000}`,
+    '# HELP escrow_keeper_last_run_candidates Due escrows picked up by the last run',
+    '# TYPE escrow_keeper_last_run_candidates gauge',
+    `escrow_keeper_last_run_candidates ${metrics.lastRunCandidates}`,
+    '# HELP escrow_keeper_dry_run 1 when the keeper only simulates releases',
+    '# TYPE escrow_keeper_dry_run gauge',
+    `escrow_keeper_dry_run ${DRY_RUN ? 1 : 0}`
+  ];
+  return lines.join('\n') + '\n';
+}
+
+module.exports = { startReleaseKeeper, runKeeper, getKeeperStatus, renderMetrics };
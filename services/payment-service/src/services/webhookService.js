@@ -1,34 +1,267 @@
 // src/services/webhookService.js
 const axios = require('axios');
 const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const WebhookSubscription = require('../models/WebhookSubscription');
+const WebhookDelivery = require('../models/WebhookDelivery');
 
-const webhooks = new Map(); // in-memory for now; replace with DB for persistence
+const WEBHOOK_EVENTS = ['escrow.created', 'escrow.released', 'escrow.refunded', 'escrow.disputed', 'escrow.resolved', 'escrow.return_refunded'];
 
-function registerWebhook({ id, url, events, secret }) {
-  webhooks.set(id, { id, url, events, secret });
-  return { id, url, events };
+const MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS || 8);
+const RETRY_BASE_MS = Number(process.env.WEBHOOK_RETRY_BASE_MS || 5000);
+const RETRY_MAX_MS = Number(process.env.WEBHOOK_RETRY_MAX_MS || 60 * 60 * 1000);
+const POLL_INTERVAL_MS = Number(process.env.WEBHOOK_POLL_INTERVAL_MS || 2000);
+const DELIVERY_TIMEOUT_MS = 5000;
+// A 'delivering' row older than this belongs to a crashed dispatcher and is retried
+const LOCK_TIMEOUT_MS = 60 * 1000;
+const BATCH_SIZE = 20;
+
+function generateSecret() {
+  return `whsec_${crypto.randomBytes(32).toString('hex')}`;
+}
+
+function sign(secret, body) {
+  return crypto.createHmac('sha256', secret).update(body).digest('hex');
 }
 
-function listWebhooks() {
-  return Array.from(webhooks.values());
+async function registerWebhook({ url, events, secret, description }) {
+  const subscription = await WebhookSubscription.create({
+    webhookId: `wh_${uuidv4()}`,
+    url,
+    events,
+    secret: secret || generateSecret(),
+    description
+  });
+  return { ...subscription.toPublic(), secret: subscription.secret };
 }
 
-async function deliverWebhook(eventName, payload) {
-  const subscribers = Array.from(webhooks.values()).filter(w => w.events.includes(eventName) || w.events.includes('*'));
-  await Promise.all(subscribers.map(async (s) => {
-    try {
-      const body = JSON.stringify(payload);
-      const headers = { 'Content-Type': 'application/json' };
-      if (s.secret) {
-        const sig = crypto.createHmac('sha256', s.secret).update(body).digest('hex');
-        headers['x-escrow-signature'] = sig;
-      }
-      await axios.post(s.url, body, { headers, timeout: 5000 });
-    } catch (err) {
-      console.error(`[Webhook] Delivery failed for ${s.url}:`, err.message);
-      // optional: queue retries
+async function rotateSecret(webhookId) {
+  const secret = generateSecret();
+  const subscription = await WebhookSubscription.findOneAndUpdate(
+    { webhookId },
+    { secret, secretRotatedAt: new Date() },
+    { new: true }
+  );
+  return subscription ? { ...subscription.toPublic(), secret } : null;
+}
+
+/**
+ * Id of the webhook for a chain event. It is the same each time the log is
+ * indexed (backfill, reindexFrom), so receivers can drop redeliveries by id.
+ */
+function chainEventId(log, eventName) {
+  return `${log.transactionHash}:${log.index}:${eventName}`;
+}
+
+/**
+ * Queue an event for every active subscriber. Delivery happens in the
+ * dispatcher loop, so a failing endpoint never blocks the caller.
+ */
+async function deliverWebhook(eventName, payload, eventId = `evt_${uuidv4()}`) {
+  const subscribers = await WebhookSubscription.find({
+    active: true,
+    events: { $in: [eventName, '*'] }
+  }).lean();
+
+  return queueDeliveries(subscribers, eventId, eventName, payload);
+}
+
+/**
+ * Tell subscribers that a chain event was rolled back by a reorg. Copies not
+ * sent yet are cancelled; endpoints that may have it get escrow.reverted with
+ * the rolled-back event id and the escrow state from before it. If the
+ * transaction is mined again the event is sent again under its old id, so
+ * receivers should forget that id when they apply the revert.
+ */
+async function revertWebhook(eventId, eventName, payload) {
+  await WebhookDelivery.updateMany(
+    { eventId, status: 'pending' },
+    { status: 'cancelled', lastError: 'Event rolled back by a chain reorg' }
+  );
+
+  const webhookIds = await WebhookDelivery.distinct('webhookId', { eventId, status: { $ne: 'cancelled' } });
+  if (!webhookIds.length) return [];
+
+  const subscribers = await WebhookSubscription.find({ webhookId: { $in: webhookIds }, active: true }).lean();
+  // One revert per orphaned block, as the same log can be mined and orphaned again
+  return queueDeliveries(subscribers, `${eventId}:reverted:${payload.blockHash}`, 'escrow.reverted', {
+    ...payload,
+    revertedEventId: eventId,
+    revertedEvent: eventName
+  });
+}
+
+async function queueDeliveries(subscribers, eventId, eventName, payload) {
+  if (!subscribers.length) return [];
+
+  const deliveries = await WebhookDelivery.insertMany(subscribers.map(s => ({
+    deliveryId: `dlv_${uuidv4()}`,
+    eventId,
+    webhookId: s.webhookId,
+    event: eventName,
+    payload,
+    maxAttempts: MAX_ATTEMPTS,
+    nextAttemptAt: new Date()
+  })));
+
+  setImmediate(dispatchDue);
+  return deliveries;
+}
+
+/**
+ * POST one delivery. The body carries the event id and a per-attempt
+ * timestamp, both covered by the HMAC in x-escrow-signature.
+ */
+async function attemptDelivery(delivery, subscription) {
+  const timestamp = new Date().toISOString();
+  const body = JSON.stringify({
+    ...delivery.payload,
+    id: delivery.eventId,
+    event: delivery.event,
+    timestamp
+  });
+
+  const headers = {
+    'Content-Type': 'application/json',
+    'x-escrow-event': delivery.event,
+    'x-escrow-event-id': delivery.eventId,
+    'x-escrow-timestamp': timestamp,
+    'x-escrow-signature': sign(subscription.secret, body)
+  };
+
+  const startedAt = Date.now();
+  try {
+    const res = await axios.post(subscription.url, body, { headers, timeout: DELIVERY_TIMEOUT_MS });
+    return { ok: true, statusCode: res.status, durationMs: Date.now() - startedAt };
+  } catch (err) {
+    return {
+      ok: false,
+      statusCode: err.response ? err.response.status : undefined,
+      durationMs: Date.now() - startedAt,
+      error: err.message
+    };
+  }
+}
+
+function backoffMs(attempts) {
+  return Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), RETRY_MAX_MS);
+}
+
+async function processDelivery(delivery, { allowInactive = false } = {}) {
+  const subscription = await WebhookSubscription.findOne({ webhookId: delivery.webhookId }).lean();
+  if (!subscription || (!subscription.active && !allowInactive)) {
+    await WebhookDelivery.updateOne(
+      { _id: delivery._id },
+      { status: 'cancelled', lastError: 'Subscription removed or inactive' }
+    );
+    return;
+  }
+
+  const result = await attemptDelivery(delivery, subscription);
+  const attempts = delivery.attempts + 1;
+  const historyEntry = {
+    attempt: attempts,
+    at: new Date(),
+    statusCode: result.statusCode,
+    durationMs: result.durationMs,
+    error: result.error
+  };
+
+  const set = { attempts, lockedAt: null };
+  if (result.ok) {
+    set.status = 'delivered';
+    set.deliveredAt = new Date();
+    set.lastError = null;
+  } else if (attempts >= delivery.maxAttempts) {
+    set.status = 'dead_letter';
+    set.lastError = result.error;
+    console.error(`[Webhook] ${delivery.deliveryId} to ${subscription.url} dead-lettered after ${attempts} attempts`);
+  } else {
+    set.status = 'pending';
+    set.lastError = result.error;
+    set.nextAttemptAt = new Date(Date.now() + backoffMs(attempts));
+    console.warn(`[Webhook] Delivery ${delivery.deliveryId} to ${subscription.url} failed (attempt ${attempts}): ${result.error}`);
+  }
+
+  await WebhookDelivery.updateOne({ _id: delivery._id }, { $set: set, $push: { attemptHistory: historyEntry } });
+}
+
+let dispatching = false;
+
+async function dispatchDue() {
+  if (dispatching) return;
+  dispatching = true;
+
+  try {
+    await WebhookDelivery.updateMany(
+      { status: 'delivering', lockedAt: { $lt: new Date(Date.now() - LOCK_TIMEOUT_MS) } },
+      { status: 'pending' }
+    );
+
+    for (let i = 0; i < BATCH_SIZE; i++) {
+      const delivery = await WebhookDelivery.findOneAndUpdate(
+        { status: 'pending', nextAttemptAt: { $lte: new Date() } },
+        { status: 'delivering', lockedAt: new Date() },
+        { sort: { nextAttemptAt: 1 }, new: true }
+      ).lean();
+
+      if (!delivery) break;
+      await processDelivery(delivery);
     }
-  }));
+  } catch (err) {
+    console.error('[Webhook] Dispatcher error:', err);
+  } finally {
+    dispatching = false;
+  }
+}
+
+function startWebhookDispatcher() {
+  setInterval(dispatchDue, POLL_INTERVAL_MS);
+  console.log('[Webhook] Dispatcher started');
+}
+
+/**
+ * Put a dead-lettered (or any undelivered) delivery back in the queue with a
+ * fresh attempt budget; earlier attempts stay in the history
+ */
+async function replayDelivery(deliveryId) {
+  const delivery = await WebhookDelivery.findOneAndUpdate(
+    { deliveryId, status: { $in: ['dead_letter', 'cancelled'] } },
+    { status: 'pending', attempts: 0, nextAttemptAt: new Date(), lastError: null },
+    { new: true }
+  ).lean();
+
+  if (delivery) setImmediate(dispatchDue);
+  return delivery;
+}
+
+/**
+ * Send a one-off webhook.ping to a subscription (active or not) and report the outcome
+ */
+async function sendTestPing(subscription) {
+  const delivery = await WebhookDelivery.create({
+    deliveryId: `dlv_${uuidv4()}`,
+    eventId: `evt_${uuidv4()}`,
+    webhookId: subscription.webhookId,
+    event: 'webhook.ping',
+    payload: { webhookId: subscription.webhookId },
+    maxAttempts: 1,
+    status: 'delivering',
+    lockedAt: new Date()
+  });
+
+  await processDelivery(delivery.toObject(), { allowInactive: true });
+  return WebhookDelivery.findById(delivery._id).lean();
 }
 
-module.exports = { registerWebhook, listWebhooks, deliverWebhook };
+module.exports = {
+  WEBHOOK_EVENTS,
+  registerWebhook,
+  rotateSecret,
+  chainEventId,
+  deliverWebhook,
+  revertWebhook,
+  startWebhookDispatcher,
+  replayDelivery,
+  sendTestPing
+};
@@ -24,6 +24,16 @@ export const config = {
   LOG_LEVEL: process.env.LOG_LEVEL || 'info',
   LOG_FILE: process.env.LOG_FILE || 'logs/search-api.log',
 
+  // IPFS Configuration: gateways tried in order when resolving listing metadata
+  IPFS_GATEWAY_URLS: (process.env.IPFS_GATEWAY_URLS || process.env.IPFS_GATEWAY_URL || 'http://localhost:3001/api/v1/ipfs/,https://ipfs.io/ipfs/')
+    .split(',')
+    .map(url => url.trim())
+    .filter(Boolean)
+    .map(url => (url.endsWith('/') ? url : `${url}/`)),
+  IPFS_GATEWAY_TIMEOUT_MS: parseInt(process.env.IPFS_GATEWAY_TIMEOUT_MS || '3000', 10),
+  IPFS_MAX_METADATA_BYTES: parseInt(process.env.IPFS_MAX_METADATA_BYTES || '262144', 10),
+  IPFS_CACHE_SIZE: parseInt(process.env.IPFS_CACHE_SIZE || '1000', 10),
+
   // Search Configuration
   DEFAULT_PAGE_SIZE: parseInt(process.env.DEFAULT_PAGE_SIZE || '20', 10),
   MAX_PAGE_SIZE: parseInt(process.env.MAX_PAGE_SIZE || '100', 10),
@@ -1,9 +1,10 @@
 import { GraphQLError } from 'graphql';
 import { GraphQLScalarType, Kind } from 'graphql';
-import Product from '../models/Product';
+import Product, { variantAttributeFilter, endingSoonFilter, ENDING_SOON_SORT } from '../models/Product';
 import Category from '../models/Category';
 import config from '../config';
 import logger from '../utils/logger';
+import { resolveListingMetadata } from '../services/ipfs';
 
 // Custom scalar for DateTime
 const DateTimeScalar = new GraphQLScalarType({
@@ -50,6 +51,7 @@ const buildSortObject = (sortBy: string) => {
     NEWEST: { createdAt: -1 },
     RATING: { rating: -1, totalRatings: -1 },
     RELEVANCE: { score: { $meta: 'textScore' } },
+    ENDING_SOON: ENDING_SOON_SORT,
   };
   return sortMap[sortBy] || sortMap.POPULARITY;
 };
@@ -112,18 +114,33 @@ export const resolvers = {
         if (filters.verified) {
           query['seller.verified'] = true;
         }
+        if (filters.variantAttributes && filters.variantAttributes.length > 0) {
+          const variantFilter = variantAttributeFilter(Object.fromEntries(
+            filters.variantAttributes.map((a: { name: string; value: string }) => [a.name, a.value])
+          ));
+          if (variantFilter === null) {
+            throw new GraphQLError('Attribute names may only contain letters, digits, spaces, "_" and "-"', {
+              extensions: { code: 'BAD_USER_INPUT' },
+            });
+          }
+          Object.assign(query, variantFilter);
+        }
+        if (sortBy === 'ENDING_SOON') {
+          Object.assign(query, endingSoonFilter());
+        }
 
         // Execute query with pagination
         const sort = buildSortObject(sortBy);
         const skip = (pageNum - 1) * limitNum;
 
-        const [products, totalCount] = await Promise.all([
+        const [products, totalCount, facets] = await Promise.all([
           Product.find(query)
             .sort(sort)
             .skip(skip)
             .limit(limitNum)
             .lean(),
           Product.countDocuments(query),
+          Product.variantFacets(query),
         ]);
 
         const totalPages = Math.ceil(totalCount / limitNum);
@@ -142,9 +159,11 @@ export const resolvers = {
             ...filters,
             sortBy,
           },
+          facets,
           timestamp: new Date(),
         };
       } catch (error) {
+        if (error instanceof GraphQLError) throw error;
         logger.error('GraphQL searchProducts error:', error);
         throw new GraphQLError('Failed to search products', {
           extensions: { code: 'SEARCH_ERROR' },
@@ -353,7 +372,11 @@ export const resolvers = {
           });
         }
 
-        const query = { category: category.name, isActive: true };
+        const query = {
+          category: category.name,
+          isActive: true,
+          ...(sortBy === 'ENDING_SOON' && endingSoonFilter()),
+        };
         const sort = buildSortObject(sortBy);
         const skip = (pageNum - 1) * limitNum;
 
@@ -391,6 +414,14 @@ export const resolvers = {
     },
   },
 
+  Product: {
+    // Resolved only when a query selects it, so search results don't hit IPFS
+    metadata: (product: any) =>
+      product.ipfsCID ? resolveListingMetadata(product.ipfsCID) : null,
+    variants: (product: any) => product.variants || [],
+    saleMode: (product: any) => (product.saleMode || 'fixed_price').toUpperCase(),
+  },
+
   Mutation: {
     // Increment product views
     incrementProductViews: async (_: any, { productId }: { productId: string }) => {
@@ -12,6 +12,13 @@ export const typeDefs = `
     maxPrice: Float
     minReputation: Int
     verified: Boolean
+    "Products with one active variant having all of these attribute values"
+    variantAttributes: [VariantAttributeInput!]
+  }
+
+  input VariantAttributeInput {
+    name: String!
+    value: String!
   }
 
   input PaginationInput {
@@ -26,6 +33,8 @@ export const typeDefs = `
     NEWEST
     RATING
     RELEVANCE
+    "Auctions still taking bids, soonest end first"
+    ENDING_SOON
   }
 
   enum Timeframe {
@@ -51,6 +60,39 @@ export const typeDefs = `
     network: String!
   }
 
+  type Variant {
+    variantId: Int!
+    sku: String!
+    attributes: JSON!
+    price: Float
+    stock: Int
+    active: Boolean!
+  }
+
+  enum SaleMode {
+    FIXED_PRICE
+    AUCTION
+    BEST_OFFER
+  }
+
+  "Latest on-chain auction of a listing; amounts per unit in the listing currency"
+  type Auction {
+    auctionId: String!
+    variantId: Int!
+    quantity: Int!
+    startPrice: Float!
+    reservePrice: Float!
+    minIncrement: Float!
+    highestBid: Float
+    highestBidder: String
+    bidCount: Int!
+    reserveMet: Boolean!
+    startsAt: DateTime!
+    endsAt: DateTime!
+    status: String!
+    orderId: String
+  }
+
   type Product {
     id: ID!
     listingId: String!
@@ -62,6 +104,13 @@ export const typeDefs = `
     currency: String
     seller: Seller
     blockchain: BlockchainInfo
+    "CIDv1 of the listing's metadata document on IPFS"
+    ipfsCID: String
+    "Metadata document resolved from ipfsCID through the configured gateways"
+    metadata: JSON
+    variants: [Variant!]!
+    saleMode: SaleMode!
+    auction: Auction
     views: Int!
     sales: Int!
     rating: Float
@@ -103,10 +152,22 @@ export const typeDefs = `
   }
 
   # Search results
+  type FacetValue {
+    value: String!
+    count: Int!
+  }
+
+  "Variant attribute with the number of matching products per value"
+  type VariantFacet {
+    name: String!
+    values: [FacetValue!]!
+  }
+
   type SearchResults {
     products: [Product!]!
     pagination: PageInfo!
     filters: JSON!
+    facets: [VariantFacet!]
     timestamp: DateTime!
   }
 
@@ -1,6 +1,43 @@
 import mongoose, { Schema, Document, Model } from 'mongoose';
 import { v4 as uuidv4 } from 'uuid';
 
+// Size/colour/... option of a listing, mirrored from ListingRegistry by listing-service
+export interface IProductVariant {
+  variantId: number;
+  sku: string;
+  attributes: Record<string, string>;
+  price: number;
+  stock: number;
+  active: boolean;
+}
+
+// Latest on-chain auction of a listing, mirrored by listing-service. Amounts
+// are per unit in the listing currency.
+export interface IProductAuction {
+  auctionId: string;
+  variantId: number;
+  quantity: number;
+  startPrice: number;
+  reservePrice: number;
+  minIncrement: number;
+  highestBid?: number | null;
+  highestBidder?: string | null;
+  bidCount: number;
+  reserveMet: boolean;
+  startsAt: Date;
+  endsAt: Date;
+  status: 'active' | 'settled' | 'ended' | 'cancelled';
+  orderId?: string | null;
+}
+
+export interface VariantFacet {
+  name: string;
+  values: { value: string; count: number }[];
+}
+
+// Attribute names become field paths, so only plain names are accepted
+const ATTRIBUTE_NAME_PATTERN = /^[A-Za-z0-9_ -]{1,64}$/;
+
 // Interface for TypeScript
 export interface IProduct extends Document {
   listingId: string;
@@ -10,11 +47,16 @@ export interface IProduct extends Document {
   currency: string;
   stock: number;
   images: string[];
+  attributes?: { trait_type: string; value: any }[];
+  variants?: IProductVariant[];
   seller: {
     address: string;
     name: string;
+    did?: string;
   };
   status: 'draft' | 'published' | 'sold_out' | 'inactive';
+  saleMode: 'fixed_price' | 'auction' | 'best_offer';
+  auction?: IProductAuction;
   blockchain?: {
     network?: string;
     transactionHash?: string;
@@ -29,8 +71,37 @@ export interface IProduct extends Document {
 
 export interface IProductModel extends Model<IProduct> {
   searchProducts(searchParams: any): Promise<IProduct[]>;
+  variantFacets(filter: any): Promise<VariantFacet[]>;
 }
 
+/**
+ * Filter matching products with one active variant that has every given
+ * attribute value (size M *and* red, not an M in blue plus a red in S).
+ * Returns null when an attribute name is not acceptable.
+ */
+export const variantAttributeFilter = (attributes: Record<string, string>): any => {
+  const names = Object.keys(attributes);
+  if (names.length === 0) return {};
+  if (names.some(name => !ATTRIBUTE_NAME_PATTERN.test(name))) return null;
+
+  const match: any = { active: true };
+  for (const name of names) {
+    match[`attributes.${name}`] = attributes[name];
+  }
+  return { variants: { $elemMatch: match } };
+};
+
+/**
+ * Auctions still taking bids, for the "ending soon" sort (soonest end first)
+ */
+export const endingSoonFilter = (now: Date = new Date()): any => ({
+  saleMode: 'auction',
+  'auction.status': 'active',
+  'auction.endsAt': { $gt: now },
+});
+
+export const ENDING_SOON_SORT = { 'auction.endsAt': 1 };
+
 // MongoDB Schema
 const ProductSchema: Schema = new Schema({
   listingId: {
@@ -46,15 +117,54 @@ const ProductSchema: Schema = new Schema({
   currency: { type: String, required: true, default: 'ETH' },
   stock: { type: Number, required: true },
   images: [{ type: String }],
+  attributes: [{
+    _id: false,
+    trait_type: { type: String, required: true },
+    value: { type: Schema.Types.Mixed, required: true },
+  }],
+  variants: [{
+    _id: false,
+    variantId: { type: Number, required: true },
+    sku: { type: String, required: true },
+    attributes: { type: Schema.Types.Mixed, default: {} },
+    price: Number,
+    stock: Number,
+    active: { type: Boolean, default: true },
+  }],
   seller: {
     address: { type: String, required: true },
     name: { type: String, required: true },
+    did: String,
   },
   status: {
     type: String,
     enum: ['draft', 'published', 'sold_out', 'inactive'],
     default: 'draft',
   },
+  saleMode: {
+    type: String,
+    enum: ['fixed_price', 'auction', 'best_offer'],
+    default: 'fixed_price',
+  },
+  auction: {
+    type: new Schema({
+      auctionId: String,
+      variantId: Number,
+      quantity: Number,
+      startPrice: Number,
+      reservePrice: Number,
+      minIncrement: Number,
+      highestBid: Number,
+      highestBidder: String,
+      bidCount: Number,
+      reserveMet: Boolean,
+      startsAt: Date,
+      endsAt: Date,
+      status: String,
+      orderId: String,
+    }, { _id: false }),
+    default: undefined,
+  },
   blockchain: {
     network: String,
     transactionHash: String,
@@ -83,6 +193,8 @@ ProductSchema.index({
   name: 'text_search_index'
 });
 
+ProductSchema.index({ 'auction.status': 1, 'auction.endsAt': 1 });
+
 // Methods
 ProductSchema.methods.incrementViews = function() {
   this.views += 1;
@@ -96,6 +208,7 @@ ProductSchema.statics.searchProducts = function(searchParams: any) {
     category,
     minPrice,
     maxPrice,
+    variantAttributes,
     sortBy = 'popularity',
     page = 1,
     limit = 20
@@ -103,6 +216,10 @@ ProductSchema.statics.searchProducts = function(searchParams: any) {
 
   const filter: any = { status: 'published' };
 
+  if (variantAttributes) {
+    Object.assign(filter, variantAttributeFilter(variantAttributes));
+  }
+
   // Text search
   if (query) {
     filter.$text = { $search: query };
@@ -132,6 +249,10 @@ ProductSchema.statics.searchProducts = function(searchParams: any) {
     case 'newest':
       sort = { createdAt: -1 };
       break;
+    case 'ending_soon':
+      Object.assign(filter, endingSoonFilter());
+      sort = { ...ENDING_SOON_SORT };
+      break;
     case 'popularity':
     default:
       // Popularity can be a combination of factors, e.g., views, sales
@@ -140,8 +261,8 @@ ProductSchema.statics.searchProducts = function(searchParams: any) {
       break;
   }
 
-  // Add text search score if searching
-  if (query) {
+  // Add text search score if searching; auctions ending soon stay in end order
+  if (query && sortBy !== 'ending_soon') {
     sort = { score: { $meta: 'textScore' }, ...sort };
   }
 
@@ -154,4 +275,30 @@ ProductSchema.statics.searchProducts = function(searchParams: any) {
     .exec();
 };
 
+/**
+ * Attribute names and values of the active variants of products matching
+ * `filter`, each value with the number of products offering it
+ */
+ProductSchema.statics.variantFacets = async function(filter: any): Promise<VariantFacet[]> {
+  const rows = await this.aggregate([
+    { $match: filter },
+    { $unwind: '$variants' },
+    { $match: { 'variants.active': true } },
+    { $project: { attribute: { $objectToArray: '$variants.attributes' } } },
+    { $unwind: '$attribute' },
+    { $group: { _id: { name: '$attribute.k', value: '$attribute.v' }, products: { $addToSet: '$_id' } } },
+    { $project: { _id: 0, name: '$_id.name', value: '$_id.value', count: { $size: '$products' } } },
+    { $sort: { name: 1, count: -1, value: 1 } },
+    {
+      $group: {
+        _id: '$name',
+        values: { $push: { value: '$value', count: '$count' } }
+      }
+    },
+    { $project: { _id: 0, name: '$_id', values: 1 } },
+    { $sort: { name: 1 } }
+  ]);
+  return rows as VariantFacet[];
+};
+
 export default mongoose.model<IProduct, IProductModel>('Product', ProductSchema) as IProductModel;
@@ -1,13 +1,26 @@
 import { Router, Request, Response } from 'express';
-import Product from '../models/Product';
+import Product, { variantAttributeFilter, endingSoonFilter } from '../models/Product';
 import logger from '../utils/logger';
 import config from '../config';
+import { resolveListingMetadata } from '../services/ipfs';
 
 const router = Router();
 
+// "size:M,colour:red" -> { size: 'M', colour: 'red' }
+const parseVariantAttributes = (value: string): Record<string, string> =>
+  Object.fromEntries(
+    value
+      .split(',')
+      .map(pair => pair.split(':').map(part => part.trim()))
+      .filter(([name, attributeValue]) => name && attributeValue)
+  );
+
 /**
  * GET /search
- * Advanced product search with filtering, sorting, and pagination
+ * Advanced product search with filtering, sorting, and pagination.
+ * `attributes=size:M,colour:red` keeps products with a variant matching all
+ * of them; `facets` lists the variant attributes of the matching products.
+ * `sortBy=ending_soon` lists auctions still taking bids, soonest end first.
  */
 router.get('/', async (req: Request, res: Response) => {
   try {
@@ -19,6 +32,7 @@ router.get('/', async (req: Request, res: Response) => {
       maxPrice,
       minReputation,
       verified,
+      attributes,
       sortBy = 'popularity',
       page = 1,
       limit = config.DEFAULT_PAGE_SIZE
@@ -31,6 +45,19 @@ router.get('/', async (req: Request, res: Response) => {
       Math.max(1, parseInt(limit as string) || config.DEFAULT_PAGE_SIZE)
     );
 
+    const variantAttributes = attributes ? parseVariantAttributes(attributes as string) : undefined;
+    const variantFilter = variantAttributes ? variantAttributeFilter(variantAttributes) : {};
+    if (variantFilter === null) {
+      res.status(400).json({
+        error: {
+          code: 'INVALID_ATTRIBUTES',
+          message: 'Attribute names may only contain letters, digits, spaces, "_" and "-"',
+          timestamp: new Date().toISOString()
+        }
+      });
+      return;
+    }
+
     // Build search parameters
     const searchParams = {
       query: query as string,
@@ -40,6 +67,7 @@ router.get('/', async (req: Request, res: Response) => {
       maxPrice: maxPrice ? parseFloat(maxPrice as string) : undefined,
       minReputation: minReputation ? parseInt(minReputation as string) : undefined,
       verified: verified === 'true',
+      variantAttributes,
       sortBy: sortBy as string,
       page: pageNum,
       limit: limitNum
@@ -47,15 +75,21 @@ router.get('/', async (req: Request, res: Response) => {
 
     // Execute search using Product model static method
     const products = await (Product as any).searchProducts(searchParams);
-    const totalCount = await Product.countDocuments({
+    const filter = {
       ...(query && { $text: { $search: query as string } }),
       ...(category && { category }),
       ...(searchParams.tags && { tags: { $in: searchParams.tags } }),
       ...(minPrice !== undefined && { price: { $gte: parseFloat(minPrice as string) } }),
       ...(maxPrice !== undefined && { price: { ...((minPrice !== undefined) ? { $gte: parseFloat(minPrice as string) } : {}), $lte: parseFloat(maxPrice as string) } }),
       ...(minReputation !== undefined && { 'seller.reputation': { $gte: parseInt(minReputation as string) } }),
-      ...(verified === 'true' && { 'seller.verified': true })
-    });
+      ...(verified === 'true' && { 'seller.verified': true }),
+      ...variantFilter,
+      ...(sortBy === 'ending_soon' && endingSoonFilter())
+    };
+    const [totalCount, facets] = await Promise.all([
+      Product.countDocuments(filter),
+      Product.variantFacets({ ...filter, status: 'published' })
+    ]);
 
     const totalPages = Math.ceil(totalCount / limitNum);
 
@@ -77,8 +111,10 @@ router.get('/', async (req: Request, res: Response) => {
         ...(searchParams.maxPrice !== undefined && { maxPrice: searchParams.maxPrice }),
         ...(searchParams.minReputation !== undefined && { minReputation: searchParams.minReputation }),
         ...(verified === 'true' && { verified: true }),
+        ...(variantAttributes && { attributes: variantAttributes }),
         sortBy: sortBy as string
       },
+      facets,
       timestamp: new Date().toISOString()
     };
 
@@ -237,7 +273,11 @@ router.get('/products/:productId', async (req: Request, res: Response) => {
     // Increment view count
     await product.incrementViews();
 
-    res.json(product);
+    // Name, description and images as pinned on IPFS (the document the
+    // on-chain listing points to); null if no gateway could provide it
+    const metadata = product.ipfsCID ? await resolveListingMetadata(product.ipfsCID) : null;
+
+    res.json({ ...product.toJSON(), metadata });
   } catch (error) {
     logger.error('Error fetching product:', error);
     res.status(500).json({
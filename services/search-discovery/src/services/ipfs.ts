@@ -0,0 +1,89 @@
+import crypto from 'crypto';
+import axios from 'axios';
+import config from '../config';
+import logger from '../utils/logger';
+
+// Listing metadata is pinned by listing-service as a raw CIDv1 block:
+// multibase "b" + base32(<0x01 version><0x55 raw><0x12 sha2-256><0x20 length><digest>)
+const RAW_CODEC = 0x55;
+const SHA2_256 = 0x12;
+const BASE32_ALPHABET = 'abcdefghijklmnopqrstuvwxyz234567';
+
+// Content behind a CID never changes, so resolved documents are cached
+// without expiry; the oldest entry is evicted once the cache is full
+const cache = new Map<string, Record<string, any>>();
+
+const decodeBase32 = (input: string): Buffer | null => {
+  const bytes: number[] = [];
+  let bits = 0;
+  let value = 0;
+
+  for (const char of input) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) return null;
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 0xff);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+/**
+ * True when `bytes` hash to the sha2-256 digest of a raw base32 CIDv1
+ */
+export const verifyRawCid = (cid: string, bytes: Buffer): boolean => {
+  if (!/^b[a-z2-7]+$/.test(cid)) return false;
+
+  const decoded = decodeBase32(cid.slice(1));
+  if (!decoded || decoded.length !== 36) return false;
+  if (decoded[0] !== 0x01 || decoded[1] !== RAW_CODEC || decoded[2] !== SHA2_256 || decoded[3] !== 32) {
+    return false;
+  }
+
+  return crypto.createHash('sha256').update(bytes).digest().equals(decoded.subarray(4));
+};
+
+/**
+ * Resolve a listing's metadata document by trying each configured gateway in
+ * order. Only content matching the CID is accepted, so any gateway (including
+ * public ones) can be used. Returns null when no gateway has it.
+ */
+export const resolveListingMetadata = async (cid: string): Promise<Record<string, any> | null> => {
+  const cached = cache.get(cid);
+  if (cached) return cached;
+
+  for (const gateway of config.IPFS_GATEWAY_URLS) {
+    try {
+      const response = await axios.get<ArrayBuffer>(`${gateway}${cid}`, {
+        params: { format: 'raw' },
+        headers: { Accept: 'application/vnd.ipld.raw' },
+        responseType: 'arraybuffer',
+        timeout: config.IPFS_GATEWAY_TIMEOUT_MS,
+        maxContentLength: config.IPFS_MAX_METADATA_BYTES,
+      });
+
+      const bytes = Buffer.from(response.data);
+      if (!verifyRawCid(cid, bytes)) {
+        logger.warn(`IPFS gateway ${gateway} returned content not matching ${cid}`);
+        continue;
+      }
+
+      const metadata = JSON.parse(bytes.toString('utf8'));
+      if (cache.size >= config.IPFS_CACHE_SIZE) {
+        cache.delete(cache.keys().next().value as string);
+      }
+      cache.set(cid, metadata);
+      return metadata;
+    } catch (error: any) {
+      logger.warn(`IPFS gateway ${gateway} failed for ${cid}: ${error.message}`);
+    }
+  }
+
+  logger.error(`Listing metadata ${cid} could not be resolved from any gateway`);
+  return null;
+};
+
+export default { resolveListingMetadata, verifyRawCid };
@@ -0,0 +1,113 @@
+// Sign-In with Ethereum access tokens for the Node services (order, payment
+// and listing). They are issued by identity-reputation (POST
+// /api/v1/auth/verify) and checked here with the same shared secret,
+// AUTH_JWT_SECRET, read from the environment on every check.
+const crypto = require('crypto');
+
+function authError(status, name, message) {
+  const err = new Error(message);
+  err.name = name;
+  err.status = status;
+  return err;
+}
+
+/**
+ * Wallet an HS256 access token was issued to: { address, did, sessionId }.
+ * Throws when the token is malformed, forged, expired or from another issuer.
+ */
+function verifyAccessToken(token) {
+  const secret = process.env.AUTH_JWT_SECRET || '';
+  const issuer = process.env.AUTH_JWT_ISSUER || 'nozama-identity';
+  if (!secret) {
+    throw authError(503, 'AuthNotConfigured', 'Authentication is unavailable: AUTH_JWT_SECRET is not set');
+  }
+
+  const [header, body, signature, ...rest] = token.split('.');
+  if (!signature || rest.length > 0) {
+    throw authError(401, 'Unauthorized', 'Malformed access token');
+  }
+
+  let alg;
+  let payload;
+  try {
+    alg = JSON.parse(Buffer.from(header, 'base64url').toString('utf8')).alg;
+    payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw authError(401, 'Unauthorized', 'Malformed access token');
+  }
+
+  const expected = crypto.createHmac('sha256', secret).update(`${header}.${body}`).digest();
+  const actual = Buffer.from(signature, 'base64url');
+  if (alg !== 'HS256' || actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    throw authError(401, 'Unauthorized', 'Invalid access token');
+  }
+  if (payload.iss !== issuer || typeof payload.sub !== 'string' || typeof payload.did !== 'string') {
+    throw authError(401, 'Unauthorized', 'Not an access token issued by identity-reputation');
+  }
+  if (typeof payload.exp !== 'number' || payload.exp <= Math.floor(Date.now() / 1000)) {
+    throw authError(401, 'Unauthorized', 'Access token expired; refresh it with POST /api/v1/auth/refresh');
+  }
+
+  return { address: payload.sub, did: payload.did, sessionId: payload.sid };
+}
+
+/**
+ * Require a Sign-In with Ethereum access token (Authorization: Bearer ...)
+ * and expose its wallet as req.auth
+ */
+const requireAuth = (req, res, next) => {
+  const header = req.headers.authorization || '';
+  const token = header.startsWith('Bearer ') ? header.slice('Bearer '.length).trim() : '';
+
+  let auth;
+  try {
+    if (!token) {
+      throw authError(401, 'Unauthorized', 'Sign in with Ethereum and send the access token as a Bearer token');
+    }
+    auth = verifyAccessToken(token);
+  } catch (error) {
+    return res.status(error.status || 401).json({
+      error: error.name,
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  req.auth = auth;
+  next();
+};
+
+/**
+ * Whether the signed-in wallet is one of `addresses`
+ */
+function isCaller(req, ...addresses) {
+  const caller = req.auth && req.auth.address.toLowerCase();
+  return Boolean(caller) && addresses.some(address => typeof address === 'string' && address.toLowerCase() === caller);
+}
+
+/**
+ * Answer 403 unless the signed-in wallet is one of `addresses`; returns
+ * whether it is. `who` names them in the error, e.g. 'the buyer'.
+ */
+function requireCaller(req, res, addresses, who) {
+  if (isCaller(req, ...[].concat(addresses))) return true;
+
+  res.status(403).json({
+    error: 'Forbidden',
+    message: `Only ${who} can do this; signed in as ${req.auth && req.auth.address}`,
+    timestamp: new Date().toISOString()
+  });
+  return false;
+}
+
+/**
+ * Throw 403 unless the signed-in wallet is one of `addresses`, for handlers
+ * that pass errors on to the error middleware
+ */
+function assertCaller(req, addresses, who) {
+  if (!isCaller(req, ...[].concat(addresses))) {
+    throw authError(403, 'Forbidden', `Only ${who} can do this; signed in as ${req.auth && req.auth.address}`);
+  }
+}
+
+module.exports = { requireAuth, requireCaller, assertCaller, isCaller, verifyAccessToken };